@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+require('babel/register')
+
+var CLI = require('../src/js/cli')
+
+new CLI(process.argv.slice(2)).run()
+  .then(function (exitCode) {
+    process.exit(exitCode)
+  })
@@ -0,0 +1,537 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import fs from 'fs'
+import path from 'path'
+import ImglyKit from './imglykit'
+import ImageDimensions from './lib/image-dimensions'
+import Utils from './lib/utils'
+import Promise from './vendor/promise'
+
+const USAGE = `Usage: imglykit [options] <input...>
+
+Renders the given images headlessly and writes the results to the
+output directory.
+
+Options:
+  -o, --output <dir>            Output directory (default: current directory)
+  -r, --recipe <file>           Operations recipe (JSON, as created by
+                                ImglyKit#serialize)
+  -d, --dimensions <dimensions> Output dimensions, e.g. 800x600, 800x or 800x600!
+  -f, --format <format>         png, jpeg, webp, bmp or tiff
+                                (default: format of the input image)
+  -q, --quality <quality>       Image quality between 0 and 1
+  --filter <identifier>         Applies the given filter
+  --filter-intensity <value>    Filter intensity between 0 and 1
+  --crop <x1,y1,x2,y2>          Crops the image (relative coordinates)
+  --rotate <degrees>            Rotates the image
+  --flip <direction>            horizontal, vertical or both
+  --brightness <value>          Changes the brightness
+  --contrast <value>            Changes the contrast
+  --saturation <value>          Changes the saturation
+  -h, --help                    Displays this help
+
+Exit codes:
+  0  All images have been rendered
+  1  At least one image could not be read, rendered or written
+  2  Invalid arguments or recipe
+  3  The operation settings are invalid
+`
+
+const ALIASES = {
+  o: 'output',
+  r: 'recipe',
+  d: 'dimensions',
+  f: 'format',
+  q: 'quality',
+  h: 'help'
+}
+
+const OPTIONS = [
+  'output', 'recipe', 'dimensions', 'format', 'quality', 'filter',
+  'filter-intensity', 'crop', 'rotate', 'flip', 'brightness', 'contrast',
+  'saturation'
+]
+
+const FORMATS = {
+  png: { imageFormat: ImglyKit.ImageFormat.PNG, extension: 'png' },
+  jpeg: { imageFormat: ImglyKit.ImageFormat.JPEG, extension: 'jpg' },
+  jpg: { imageFormat: ImglyKit.ImageFormat.JPEG, extension: 'jpg' },
+  webp: { imageFormat: ImglyKit.ImageFormat.WEBP, extension: 'webp' },
+  bmp: { imageFormat: ImglyKit.ImageFormat.BMP, extension: 'bmp' },
+  tiff: { imageFormat: ImglyKit.ImageFormat.TIFF, extension: 'tiff' },
+  tif: { imageFormat: ImglyKit.ImageFormat.TIFF, extension: 'tiff' }
+}
+
+/**
+ * The order in which operations created by inline flags are applied.
+ * Matches the order used by the UI.
+ * @type {Array.<String>}
+ */
+const INLINE_OPERATIONS = [
+  'rotation',
+  'crop',
+  'flip',
+  'filters',
+  'contrast',
+  'brightness',
+  'saturation'
+]
+
+/**
+ * A command-line interface that renders images headlessly using
+ * {@link ImglyKit#render}
+ * @class
+ * @alias ImglyKit.CLI
+ * @private
+ */
+class CLI {
+  /**
+   * @param {Array.<String>} args - The command-line arguments (without
+   *                              the node binary and the script path)
+   * @param {Object} [streams]
+   * @param {Stream} [streams.stdout = process.stdout]
+   * @param {Stream} [streams.stderr = process.stderr]
+   */
+  constructor (args, streams = {}) {
+    this._args = args
+    this._stdout = streams.stdout || process.stdout
+    this._stderr = streams.stderr || process.stderr
+  }
+
+  /**
+   * Runs the command
+   * @return {Promise} Resolves with the exit code
+   */
+  run () {
+    let options, recipe
+    try {
+      options = CLI.parseArguments(this._args)
+      if (options.help) {
+        this._stdout.write(USAGE)
+        return Promise.resolve(CLI.ExitCode.SUCCESS)
+      }
+      recipe = this._createRecipe(options)
+    } catch (e) {
+      return Promise.resolve(this._fail(e))
+    }
+
+    return this._validateRecipe(recipe)
+      .then(() => {
+        this._createOutputDirectory(options.output)
+        return this._renderAll(options, recipe)
+      })
+      .catch((e) => this._fail(e))
+  }
+
+  /**
+   * Parses the given command-line arguments
+   * @param  {Array.<String>} args
+   * @return {Object}
+   */
+  static parseArguments (args) {
+    const options = {
+      inputs: [],
+      output: process.cwd(),
+      recipe: null,
+      dimensions: null,
+      format: null,
+      quality: undefined,
+      help: false,
+      operations: {}
+    }
+
+    for (let i = 0; i < args.length; i++) {
+      let arg = args[i]
+      if (arg.charAt(0) !== '-' || arg === '-') {
+        options.inputs.push(arg)
+        continue
+      }
+
+      let value = null
+      const equalsIndex = arg.indexOf('=')
+      if (equalsIndex !== -1) {
+        value = arg.slice(equalsIndex + 1)
+        arg = arg.slice(0, equalsIndex)
+      }
+
+      let name = arg.replace(/^--?/, '')
+      if (arg.charAt(1) !== '-') {
+        name = ALIASES[name]
+      }
+
+      if (name === 'help') {
+        options.help = true
+        continue
+      }
+
+      if (OPTIONS.indexOf(name) === -1) {
+        throw CLI._createError('INVALID_ARGUMENTS', 'Unknown option: ' + arg)
+      }
+
+      if (value === null) {
+        if (i + 1 >= args.length) {
+          throw CLI._createError('INVALID_ARGUMENTS', 'Missing value for ' + arg)
+        }
+        value = args[++i]
+      }
+
+      CLI._applyArgument(options, name, value, arg)
+    }
+
+    if (!options.help && !options.inputs.length) {
+      throw CLI._createError('INVALID_ARGUMENTS', 'No input images given')
+    }
+
+    return options
+  }
+
+  /**
+   * Applies the given argument to the given options
+   * @param  {Object} options
+   * @param  {String} name
+   * @param  {String} value
+   * @param  {String} arg - The argument as passed by the user
+   * @private
+   */
+  static _applyArgument (options, name, value, arg) {
+    const number = () => {
+      const parsed = parseFloat(value)
+      if (isNaN(parsed)) {
+        throw CLI._createError('INVALID_ARGUMENTS', 'Invalid value for ' + arg + ': ' + value)
+      }
+      return parsed
+    }
+    const operations = options.operations
+
+    switch (name) {
+      case 'output':
+      case 'recipe':
+        options[name] = value
+        break
+      case 'dimensions':
+        try {
+          ImageDimensions.validate(value)
+        } catch (e) {
+          throw CLI._createError('INVALID_ARGUMENTS', e.message)
+        }
+        options.dimensions = value
+        break
+      case 'format':
+        if (!FORMATS[value.toLowerCase()]) {
+          throw CLI._createError('INVALID_ARGUMENTS', 'Unknown format: ' + value)
+        }
+        options.format = value.toLowerCase()
+        break
+      case 'quality':
+        options.quality = number()
+        if (options.quality < 0 || options.quality > 1) {
+          throw CLI._createError('INVALID_ARGUMENTS', 'Invalid value for ' + arg + ': ' + value)
+        }
+        break
+      case 'filter':
+        operations.filters = Utils.extend(operations.filters || {}, { filter: value })
+        break
+      case 'filter-intensity':
+        operations.filters = Utils.extend(operations.filters || {}, { intensity: number() })
+        break
+      case 'crop': {
+        const coordinates = value.split(',').map(parseFloat)
+        if (coordinates.length !== 4 || coordinates.some(isNaN)) {
+          throw CLI._createError('INVALID_ARGUMENTS', 'Invalid value for ' + arg + ': ' + value)
+        }
+        operations.crop = {
+          start: coordinates.slice(0, 2),
+          end: coordinates.slice(2, 4)
+        }
+        break
+      }
+      case 'rotate':
+        operations.rotation = { degrees: number() }
+        break
+      case 'flip':
+        if (['horizontal', 'vertical', 'both'].indexOf(value) === -1) {
+          throw CLI._createError('INVALID_ARGUMENTS', 'Invalid value for ' + arg + ': ' + value)
+        }
+        operations.flip = {
+          horizontal: value !== 'vertical',
+          vertical: value !== 'horizontal'
+        }
+        break
+      case 'brightness':
+      case 'contrast':
+      case 'saturation':
+        operations[name] = { [name]: number() }
+        break
+    }
+  }
+
+  /**
+   * Creates the serialized operations from the recipe file and the
+   * inline flags. Options given as flags override the recipe.
+   * @param  {Object} options
+   * @return {Object}
+   * @private
+   */
+  _createRecipe (options) {
+    let recipe = { operations: [] }
+    if (options.recipe) {
+      let source
+      try {
+        source = fs.readFileSync(options.recipe, 'utf8')
+      } catch (e) {
+        throw CLI._createError('INVALID_ARGUMENTS', 'Could not read recipe: ' + options.recipe)
+      }
+
+      try {
+        recipe = JSON.parse(source)
+      } catch (e) {
+        throw CLI._createError('INVALID_ARGUMENTS', 'Invalid recipe: ' + e.message)
+      }
+
+      if (Utils.isArray(recipe)) {
+        recipe = { operations: recipe }
+      }
+      if (!recipe || !Utils.isArray(recipe.operations)) {
+        throw CLI._createError('INVALID_ARGUMENTS', 'Invalid recipe: `operations` has to be an array.')
+      }
+    }
+
+    INLINE_OPERATIONS.forEach((identifier) => {
+      const inlineOptions = options.operations[identifier]
+      if (!inlineOptions) return
+
+      const existing = recipe.operations
+        .filter((operation) => operation.identifier === identifier)[0]
+      if (existing) {
+        existing.options = Utils.extend(existing.options || {}, inlineOptions)
+      } else {
+        recipe.operations.push({ identifier, options: inlineOptions })
+      }
+    })
+
+    return recipe
+  }
+
+  /**
+   * Applies the recipe to a kit without an image and validates the
+   * resulting operations
+   * @param  {Object} recipe
+   * @return {Promise}
+   * @private
+   */
+  _validateRecipe (recipe) {
+    const kit = new ImglyKit({ image: null, ui: { enabled: false } })
+
+    try {
+      this._applyRecipe(kit, recipe)
+    } catch (e) {
+      return Promise.reject(e)
+    }
+
+    const validations = kit.operationsStack.map((operation) => {
+      return operation.validateSettings()
+    })
+    return Promise.all(validations)
+      .catch((e) => {
+        throw CLI._createError('INVALID_SETTINGS', e.message)
+      })
+  }
+
+  /**
+   * Applies the given recipe to the given kit
+   * @param  {ImglyKit} kit
+   * @param  {Object} recipe
+   * @private
+   */
+  _applyRecipe (kit, recipe) {
+    recipe.operations.forEach((operation) => {
+      if (typeof kit.registeredOperations[operation.identifier] === 'undefined') {
+        throw CLI._createError('INVALID_ARGUMENTS', 'Unknown operation: ' + operation.identifier)
+      }
+    })
+
+    try {
+      kit.deserialize(recipe)
+    } catch (e) {
+      throw CLI._createError('INVALID_SETTINGS', e.message)
+    }
+  }
+
+  /**
+   * Creates the output directory if it does not exist yet
+   * @param  {String} directory
+   * @private
+   */
+  _createOutputDirectory (directory) {
+    try {
+      if (!fs.existsSync(directory)) {
+        fs.mkdirSync(directory)
+      }
+    } catch (e) {
+      throw CLI._createError('RENDER_FAILED', 'Could not create output directory: ' + directory)
+    }
+  }
+
+  /**
+   * Renders all input images one after another
+   * @param  {Object} options
+   * @param  {Object} recipe
+   * @return {Promise} Resolves with the exit code
+   * @private
+   */
+  _renderAll (options, recipe) {
+    let exitCode = CLI.ExitCode.SUCCESS
+    let promise = Promise.resolve()
+
+    options.inputs.forEach((input) => {
+      promise = promise
+        .then(() => this._render(input, options, recipe))
+        .then((outputPath) => {
+          this._stdout.write(input + ' -> ' + outputPath + '\n')
+        })
+        .catch((e) => {
+          this._stderr.write('imglykit: ' + input + ': ' + e.message + '\n')
+          exitCode = Math.max(exitCode, CLI._getExitCode(e))
+        })
+    })
+
+    return promise.then(() => exitCode)
+  }
+
+  /**
+   * Renders the given input image and writes the result to the output
+   * directory
+   * @param  {String} input
+   * @param  {Object} options
+   * @param  {Object} recipe
+   * @return {Promise} Resolves with the output path
+   * @private
+   */
+  _render (input, options, recipe) {
+    const format = FORMATS[options.format || CLI._getFormatName(input)]
+    const outputPath = path.join(options.output,
+      path.basename(input, path.extname(input)) + '.' + format.extension)
+
+    return this._loadImage(input)
+      .then((image) => {
+        const kit = new ImglyKit({ image, ui: { enabled: false } })
+        this._applyRecipe(kit, recipe)
+
+        return kit.render(ImglyKit.RenderType.DATAURL, format.imageFormat,
+          options.dimensions, options.quality)
+          .catch((e) => {
+            throw CLI._createError('RENDER_FAILED', e.message)
+          })
+      })
+      .then((dataURL) => {
+        const buffer = new Buffer(dataURL.split(',')[1], 'base64')
+        return new Promise((resolve, reject) => {
+          fs.writeFile(outputPath, buffer, (err) => {
+            if (err) return reject(CLI._createError('RENDER_FAILED', err.message))
+            resolve(outputPath)
+          })
+        })
+      })
+  }
+
+  /**
+   * Loads the image at the given path using node-canvas
+   * @param  {String} imagePath
+   * @return {Promise}
+   * @private
+   */
+  _loadImage (imagePath) {
+    const Canvas = require('canvas')
+    return new Promise((resolve, reject) => {
+      fs.readFile(imagePath, (err, buffer) => {
+        if (err) return reject(CLI._createError('RENDER_FAILED', err.message))
+
+        const image = new Canvas.Image()
+        image.onerror = () => {
+          reject(CLI._createError('RENDER_FAILED', 'Could not decode image'))
+        }
+        image.onload = () => {
+          resolve(image)
+        }
+        image.src = buffer
+      })
+    })
+  }
+
+  /**
+   * Returns the name of the format matching the extension of the given
+   * path. Falls back to PNG.
+   * @param  {String} filePath
+   * @return {String}
+   * @private
+   */
+  static _getFormatName (filePath) {
+    const extension = path.extname(filePath).slice(1).toLowerCase()
+    return FORMATS[extension] ? extension : 'png'
+  }
+
+  /**
+   * Prints the given error and returns the matching exit code
+   * @param  {Error} e
+   * @return {Number}
+   * @private
+   */
+  _fail (e) {
+    this._stderr.write('imglykit: ' + e.message + '\n')
+    if (e.code === 'INVALID_ARGUMENTS') {
+      this._stderr.write('Run `imglykit --help` for usage information.\n')
+    }
+    return CLI._getExitCode(e)
+  }
+
+  /**
+   * Returns the exit code for the given error
+   * @param  {Error} e
+   * @return {Number}
+   * @private
+   */
+  static _getExitCode (e) {
+    switch (e.code) {
+      case 'INVALID_ARGUMENTS':
+        return CLI.ExitCode.INVALID_ARGUMENTS
+      case 'INVALID_SETTINGS':
+        return CLI.ExitCode.INVALID_SETTINGS
+      default:
+        return CLI.ExitCode.RENDER_FAILED
+    }
+  }
+
+  /**
+   * Creates an error with the given code and message
+   * @param  {String} code
+   * @param  {String} message
+   * @return {Error}
+   * @private
+   */
+  static _createError (code, message) {
+    const err = new Error(message)
+    err.code = code
+    return err
+  }
+}
+
+/**
+ * The exit codes of the CLI
+ * @enum {Number}
+ */
+CLI.ExitCode = {
+  SUCCESS: 0,
+  RENDER_FAILED: 1,
+  INVALID_ARGUMENTS: 2,
+  INVALID_SETTINGS: 3
+}
+
+export default CLI
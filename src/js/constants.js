@@ -28,5 +28,8 @@ export var RenderType = {
  */
 export var ImageFormat = {
   PNG: 'image/png',
-  JPEG: 'image/jpeg'
+  JPEG: 'image/jpeg',
+  WEBP: 'image/webp',
+  BMP: 'image/bmp',
+  TIFF: 'image/tiff'
 }
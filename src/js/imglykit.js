@@ -17,8 +17,14 @@ import VersionChecker from './lib/version-checker'
 import { RenderType, ImageFormat } from './constants'
 import Utils from './lib/utils'
 import Exif from './lib/exif'
+import History from './lib/history'
+import BatchRenderer from './lib/batch-renderer'
+import CancellationToken from './lib/cancellation-token'
+import Histogram from './lib/histogram'
+import IdentityFilter from './operations/filters/identity-filter'
 import RotationOperation from './operations/rotation-operation'
 import FlipOperation from './operations/flip-operation'
+import SharpenOperation from './operations/sharpen-operation'
 
 /**
  * @class
@@ -34,6 +40,10 @@ import FlipOperation from './operations/flip-operation'
  * @param {String} [options.assetsUrl='assets'] - The base path for all external assets.
  * @param {String} [options.renderer='webgl'] - The renderer identifier. Can either
  *                                            be 'webgl' or 'canvas'.
+ * @param {Number} [options.maxHistoryLength=50] - The maximum amount of history
+ *                                              items. `0` disables the limit.
+ * @param {Boolean} [options.stripGPS=false] - Removes the GPS information from
+ *                                          the Exif data of exported images.
  */
 class ImglyKit extends EventEmitter {
   constructor (options) {
@@ -49,7 +59,9 @@ class ImglyKit extends EventEmitter {
       assetsUrl: 'assets',
       container: null,
       renderOnWindowResize: false,
-      versionCheck: true
+      versionCheck: true,
+      maxHistoryLength: 50,
+      stripGPS: false
     })
     options.ui = options.ui || {}
     options.ui = Utils.defaults(options.ui, {
@@ -73,6 +85,13 @@ class ImglyKit extends EventEmitter {
      */
     this.operationsStack = []
 
+    /**
+     * The history of changes made to the operations
+     * @type {ImglyKit.History}
+     */
+    this.history = new History(this, { maxLength: this._options.maxHistoryLength })
+    this.history.pipeEvents(this)
+
     /**
      * The registered UI types that can be selected via the `ui` option
      * @type {Object.<String, UI>}
@@ -92,6 +111,15 @@ class ImglyKit extends EventEmitter {
     // Register the default operations
     this._registerOperations()
 
+    /**
+     * The registered filters
+     * @type {Object.<String, ImglyKit.Filter>}
+     */
+    this._registeredFilters = {}
+
+    // Register the default filters
+    this._registerFilters()
+
     if (typeof window !== 'undefined' && this._options.versionCheck) {
       this._versionChecker = new VersionChecker(VERSION)
     }
@@ -109,15 +137,42 @@ class ImglyKit extends EventEmitter {
   }
 
   /**
-   * Renders the image
+   * Renders the image. Emits `operation-start` and `operation-end` events
+   * for every rendered operation, see {@link ImglyKit.RenderImage#render}.
+   * @param  {ImglyKit.RenderType} [renderType=ImglyKit.RenderType.DATAURL] - The output type
+   * @param  {ImglyKit.ImageFormat} [imageFormat=ImglyKit.ImageFormat.PNG] - The output image format
+   * @param  {string} [dimensions] - The final dimensions of the image
+   * @param  {Number} [quality] - The image quality, between 0 and 1
+   * @param  {ImglyKit.CancellationToken} [cancellationToken] - Aborts the rendering when cancelled
+   * @param  {Boolean|Object} [sharpen=false] - Sharpens the image after it has been resized
+   *                                          to its final dimensions. Pass an object to
+   *                                          override the `amount`, `radius` and `threshold`
+   *                                          of the {@link ImglyKit.Operations.SharpenOperation}
+   * @return {Promise} Gets rejected with an error with the code
+   *                   `RENDER_CANCELLED` when the rendering has been cancelled
+   */
+  render (renderType, imageFormat, dimensions, quality, cancellationToken = null, sharpen = false) {
+    return this._render(renderType, imageFormat, dimensions, quality, { cancellationToken, sharpen })
+      .then(({ result }) => result)
+  }
+
+  /**
+   * Renders the image, optionally reusing the given renderer
    * @param  {ImglyKit.RenderType} [renderType=ImglyKit.RenderType.DATAURL] - The output type
    * @param  {ImglyKit.ImageFormat} [imageFormat=ImglyKit.ImageFormat.PNG] - The output image format
    * @param  {string} [dimensions] - The final dimensions of the image
    * @param  {Number} [quality] - The image quality, between 0 and 1
-   * @return {Promise}
+   * @param  {Object} [options]
+   * @param  {Renderer} [options.renderer] - A renderer returned by a previous call
+   * @param  {ImglyKit.CancellationToken} [options.cancellationToken]
+   * @param  {Boolean|Object} [options.sharpen] - See {@link ImglyKit#render}
+   * @return {Promise} Resolves with an object containing the `result` and
+   *                   the used `renderer`
+   * @private
    */
-  render (renderType, imageFormat, dimensions, quality) {
+  _render (renderType, imageFormat, dimensions, quality, options = {}) {
     var settings = ImageExporter.validateSettings(renderType, imageFormat)
+    var { renderer, cancellationToken, sharpen } = options
 
     renderType = settings.renderType
     imageFormat = settings.imageFormat
@@ -127,21 +182,105 @@ class ImglyKit extends EventEmitter {
       this._options.image,
       this.operationsStack,
       dimensions,
-      this._options.renderer)
+      this._options.renderer,
+      renderer)
+    renderImage.on('operation-start', (e) => this.emit('operation-start', e))
+    renderImage.on('operation-end', (e) => this.emit('operation-end', e))
 
     // Set all operations to dirty, since we have another webgl renderer
-    for (let i = 0; i < this.operationsStack.length; i++) {
-      let operation = this.operationsStack[i]
-      if (!operation) { continue }
-      operation.dirty = true
+    this._setAllOperationsToDirty()
+
+    var sharpenOperation = null
+    if (sharpen) {
+      sharpenOperation = new SharpenOperation(this,
+        Utils.extend({}, SharpenOperation.RESIZE_OPTIONS, sharpen === true ? {} : sharpen))
     }
 
     // Initiate image rendering
-    return renderImage.render()
+    return renderImage.render(cancellationToken, sharpenOperation)
       .then(() => {
         var canvas = renderImage.getRenderer().getCanvas()
         return ImageExporter.export(this, this._options.image, canvas, renderType, imageFormat, quality)
       })
+      .then((result) => {
+        return { result, renderer: renderImage.getRenderer() }
+      })
+  }
+
+  /**
+   * Computes the histogram of the current render. When the UI is running,
+   * the pixels are read back from its canvas. Otherwise, the image is
+   * rendered offscreen.
+   * @param  {Object} [options]
+   * @param  {Number} [options.bins=256] - The amount of bins per channel
+   * @param  {string} [options.dimensions] - The dimensions of the offscreen
+   *                                       render
+   * @return {Promise} Resolves with an {@link ImglyKit.Histogram}
+   */
+  getHistogram (options = {}) {
+    const { bins, dimensions } = options
+
+    if (this.ui && this.ui.canvas) {
+      const { canvas } = this.ui
+      return canvas.render()
+        .then(() => new Histogram(canvas.renderer.getImageData(), bins))
+    }
+
+    const renderImage = new RenderImage(
+      this._options.image,
+      this.operationsStack,
+      dimensions,
+      this._options.renderer)
+    this._setAllOperationsToDirty()
+
+    return renderImage.render()
+      .then(() => {
+        const renderer = renderImage.getRenderer()
+        const histogram = new Histogram(renderer.getImageData(), bins)
+        renderer.dispose()
+        return histogram
+      })
+  }
+
+  /**
+   * Marks all operations as dirty so that they are re-rendered by a
+   * different renderer
+   * @private
+   */
+  _setAllOperationsToDirty () {
+    for (let i = 0; i < this.operationsStack.length; i++) {
+      let operation = this.operationsStack[i]
+      if (!operation) { continue }
+      operation.dirty = true
+    }
+  }
+
+  /**
+   * Renders the given images with the same operations. Renderers are reused
+   * and at most `options.concurrency` images are rendered at once. Images
+   * that fail to render don't stop the batch.
+   *
+   * The returned {@link ImglyKit.BatchRenderer} emits `done`, `error` and
+   * `progress` events for every image and can be used like a promise that
+   * resolves with an array of `{ index, image, result, error }` objects.
+   * @param  {Array.<Image>} images
+   * @param  {String|Object} recipe - The operations, as created by
+   *                               {@link ImglyKit#serialize}
+   * @param  {Object} [options] - See {@link ImglyKit.BatchRenderer}
+   * @return {ImglyKit.BatchRenderer}
+   */
+  static renderBatch (images, recipe, options) {
+    const batch = new BatchRenderer(ImglyKit, images, recipe, options)
+    batch.render()
+    return batch
+  }
+
+  /**
+   * Returns the source image
+   * @return {Image}
+   */
+  getImage () {
+    return this._options.image
   }
 
   /**
@@ -164,6 +303,7 @@ class ImglyKit extends EventEmitter {
    * @private
    */
   _parseExif (image) {
+    this._orientation = null
     if (Exif.isJPEG(image.src)) {
       this._exif = null
       try {
@@ -174,32 +314,8 @@ class ImglyKit extends EventEmitter {
       let exifTags = this._exif.getTags()
 
       if (exifTags && exifTags.Orientation) {
-        if (exifTags.Orientation !== 1 && exifTags.Orientation !== 2) {
-          // We need to rotate
-          let degrees = 0
-          switch (exifTags.Orientation) {
-            case 7:
-            case 8:
-              degrees = -90
-              break
-            case 3:
-            case 4:
-              degrees = -180
-              break
-            case 5:
-            case 6:
-              degrees = 90
-              break
-          }
-
-          const rotationOperation = new RotationOperation(this, { degrees: degrees })
-          this.operationsStack.push(rotationOperation)
-        }
-
-        if ([2, 4, 5, 7].indexOf(exifTags.Orientation) !== -1) {
-          const flipOperation = new FlipOperation(this, { horizontal: true })
-          this.operationsStack.push(flipOperation)
-        }
+        this._orientation = exifTags.Orientation
+        this.operationsStack.push(...this._createOrientationOperations())
 
         this._exif.setOrientation(1)
       }
@@ -207,10 +323,63 @@ class ImglyKit extends EventEmitter {
   }
 
   /**
-   * Resets all custom and selected operations
+   * Creates the Rotation and Flip operations that are needed to fix the
+   * orientation specified in the Exif tags
+   * @return {Array.<ImglyKit.Operation>}
+   * @private
+   */
+  _createOrientationOperations () {
+    const orientation = this._orientation
+    const operations = []
+    if (!orientation) return operations
+
+    if (orientation !== 1 && orientation !== 2) {
+      // We need to rotate
+      let degrees = 0
+      switch (orientation) {
+        case 7:
+        case 8:
+          degrees = -90
+          break
+        case 3:
+        case 4:
+          degrees = -180
+          break
+        case 5:
+        case 6:
+          degrees = 90
+          break
+      }
+
+      operations.push(new RotationOperation(this, { degrees: degrees }))
+    }
+
+    if ([2, 4, 5, 7].indexOf(orientation) !== -1) {
+      operations.push(new FlipOperation(this, { horizontal: true }))
+    }
+
+    return operations
+  }
+
+  /**
+   * Resets the image to its original state. All operations are reset to
+   * their default options and removed from the stack, except for the ones
+   * that fix the Exif orientation. The history is cleared as well.
    */
   reset () {
+    for (let i = 0; i < this.operationsStack.length; i++) {
+      const operation = this.operationsStack[i]
+      if (!operation) continue
+      operation.resetOptions()
+      operation.reset()
+    }
+
+    this.operationsStack = this._createOrientationOperations()
+    this.history.clear()
 
+    if (this.ui) {
+      this.ui.reset()
+    }
   }
 
   /**
@@ -278,6 +447,27 @@ class ImglyKit extends EventEmitter {
     }
   }
 
+  /**
+   * Registers all default filters
+   * @private
+   */
+  _registerFilters () {
+    // The default filter of the filters operation is not part of the public
+    // filters, but has to be known to restore recipes that use it
+    this.registerFilter(IdentityFilter)
+    for (let filterName in ImglyKit.Filters) {
+      this.registerFilter(ImglyKit.Filters[filterName])
+    }
+  }
+
+  /**
+   * Registers the given filter
+   * @param {ImglyKit.Filter} filter - The filter class
+   */
+  registerFilter (filter) {
+    this._registeredFilters[filter.identifier] = filter
+  }
+
   /**
    * Registers the given UI
    * @param {UI} ui
@@ -308,6 +498,12 @@ class ImglyKit extends EventEmitter {
      */
     this.ui = new UI(this, this._options)
     this.ui.pipeEvents(this)
+
+    // The UI used to emit the history events itself. Route them through the
+    // UI so that its listeners keep receiving them, and the kit still
+    // receives them once.
+    this.history.unpipeEvents(this)
+    this.history.pipeEvents(this.ui)
   }
 
   /**
@@ -318,11 +514,59 @@ class ImglyKit extends EventEmitter {
    */
   getOperationFromStack (identifier) {
     let operation = this.operationsStack.filter((operation) => {
-      return operation.identifier === identifier
+      return operation && operation.identifier === identifier
     })[0]
     return operation
   }
 
+  /**
+   * Serializes the operations stack to a JSON string that can be
+   * restored later using {@link ImglyKit#deserialize}
+   * @return {String}
+   */
+  serialize () {
+    const operations = this.operationsStack
+      .filter((operation) => !!operation)
+      .map((operation) => {
+        return {
+          identifier: operation.identifier,
+          options: operation.serializeOptions()
+        }
+      })
+
+    return JSON.stringify({ version: VERSION, operations })
+  }
+
+  /**
+   * Replaces the operations stack with the operations described by the given
+   * JSON string (or parsed object) that has been created by
+   * {@link ImglyKit#serialize}
+   * @param {String|Object} json
+   */
+  deserialize (json) {
+    const data = typeof json === 'string' ? JSON.parse(json) : json
+    if (!data || !Utils.isArray(data.operations)) {
+      throw new Error('Invalid serialized data: `operations` has to be an array.')
+    }
+
+    this.operationsStack = data.operations.map((operationData) => {
+      const { identifier } = operationData
+      const Operation = this._registeredOperations[identifier]
+      if (typeof Operation === 'undefined') {
+        throw new Error('Unknown operation: ' + identifier)
+      }
+
+      const operation = new Operation(this)
+      operation.set(operation.deserializeOptions(operationData.options || {}))
+      return operation
+    })
+    this.history.clear()
+
+    if (this.ui) {
+      this.ui.onOperationsStackChange()
+    }
+  }
+
   /**
    * Runs the UI, if present
    */
@@ -334,10 +578,18 @@ class ImglyKit extends EventEmitter {
 
   get exif () { return this._exif }
 
+  get options () {
+    return this._options
+  }
+
   get registeredOperations () {
     return this._registeredOperations
   }
 
+  get registeredFilters () {
+    return this._registeredFilters
+  }
+
   dispose () {
     if (this._exif) {
       this._exif.dispose()
@@ -355,8 +607,13 @@ ImglyKit.version = VERSION
 
 // Exposed classes
 ImglyKit.RenderImage = RenderImage
+ImglyKit.History = History
+ImglyKit.BatchRenderer = BatchRenderer
+ImglyKit.CancellationToken = CancellationToken
+ImglyKit.Histogram = Histogram
 ImglyKit.Color = require('./lib/color')
 ImglyKit.Filter = require('./operations/filters/filter')
+ImglyKit.LUTFilter = require('./operations/filters/lut-filter')
 ImglyKit.Operation = require('./operations/operation')
 ImglyKit.Operations = {}
 ImglyKit.Operations.Filters = require('./operations/filters-operation')
@@ -372,6 +629,17 @@ ImglyKit.Operations.Text = require('./operations/text-operation')
 ImglyKit.Operations.Stickers = require('./operations/stickers-operation')
 ImglyKit.Operations.Frames = require('./operations/frames-operation')
 ImglyKit.Operations.Brush = require('./operations/brush-operation')
+ImglyKit.Operations.AutoEnhance = require('./operations/auto-enhance-operation')
+ImglyKit.Operations.Levels = require('./operations/levels-operation')
+ImglyKit.Operations.Curves = require('./operations/curves-operation')
+ImglyKit.Operations.WhiteBalance = require('./operations/white-balance-operation')
+ImglyKit.Operations.Exposure = require('./operations/exposure-operation')
+ImglyKit.Operations.Vignette = require('./operations/vignette-operation')
+ImglyKit.Operations.Sharpen = require('./operations/sharpen-operation')
+ImglyKit.Operations.Denoise = require('./operations/denoise-operation')
+ImglyKit.Operations.Grain = require('./operations/grain-operation')
+ImglyKit.Operations.HSL = require('./operations/hsl-operation')
+ImglyKit.Operations.Redact = require('./operations/redact-operation')
 
 ImglyKit.Filters = {}
 ImglyKit.Filters.A15 = require('./operations/filters/a15-filter')
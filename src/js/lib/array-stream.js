@@ -53,15 +53,17 @@ export default class ArrayStream {
     const c = this._buf[this._head + 2]
     const d = this._buf[this._head + 3]
     if (!littleEndian) {
-      return (a << 32) + (b << 16) + (c << 8) + d
+      return ((a << 24) | (b << 16) | (c << 8) | d) >>> 0
     } else {
-      return (d << 32) + (c << 16) + (b << 8) + a
+      return ((d << 24) | (c << 16) | (b << 8) | a) >>> 0
     }
   }
 
-  writeInt16 (num) {
-    this._buf[this._head] = num >> 8 // upper
-    this._buf[this._head + 1] = num & 0xff // lower
+  writeInt16 (num, littleEndian = false) {
+    const upper = num >> 8
+    const lower = num & 0xff
+    this._buf[this._head] = littleEndian ? lower : upper
+    this._buf[this._head + 1] = littleEndian ? upper : lower
   }
 
   readInt8 () {
@@ -0,0 +1,174 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import EventEmitter from './event-emitter'
+import Utils from './utils'
+import Promise from '../vendor/promise'
+
+/**
+ * Renders multiple images with the same operations. Every image is rendered
+ * by its own {@link ImglyKit} instance, but renderers are reused. Failing
+ * images don't stop the batch.
+ *
+ * Emits the following events:
+ * - `done` ({ index, image, result }) when an image has been rendered
+ * - `error` ({ index, image, error }) when an image could not be rendered
+ * - `progress` ({ index, image, completed, total }) after each image
+ *
+ * Use {@link ImglyKit.renderBatch} to create an instance.
+ * @class
+ * @alias ImglyKit.BatchRenderer
+ * @extends EventEmitter
+ * @private
+ */
+class BatchRenderer extends EventEmitter {
+  /**
+   * @param {Class} ImglyKit
+   * @param {Array.<Image>} images
+   * @param {String|Object} recipe - The operations, as created by
+   *                               {@link ImglyKit#serialize}
+   * @param {Object} [options]
+   * @param {Number} [options.concurrency=2] - The maximum amount of images
+   *                                         that are rendered at once
+   * @param {ImglyKit.RenderType} [options.renderType]
+   * @param {ImglyKit.ImageFormat} [options.imageFormat]
+   * @param {String} [options.dimensions]
+   * @param {Number} [options.quality]
+   * @param {Object} [options.kitOptions] - Additional options passed to each
+   *                                      {@link ImglyKit} instance
+   */
+  constructor (ImglyKit, images, recipe, options = {}) {
+    super()
+
+    if (!Utils.isArray(images)) {
+      throw new Error('ImglyKit.renderBatch: `images` has to be an array.')
+    }
+
+    this._ImglyKit = ImglyKit
+    this._images = images
+    this._recipe = typeof recipe === 'string' ? JSON.parse(recipe) : recipe
+    this._options = Utils.defaults(options, {
+      concurrency: 2,
+      kitOptions: {}
+    })
+
+    if (!(this._options.concurrency >= 1)) {
+      throw new Error('ImglyKit.renderBatch: `concurrency` has to be at least 1.')
+    }
+
+    /**
+     * The renderers that are reused, one per concurrently rendered image
+     * @type {Array.<Renderer>}
+     * @private
+     */
+    this._renderers = []
+
+    this._promise = null
+  }
+
+  /**
+   * Starts rendering. Calling this method multiple times returns the
+   * same promise.
+   * @return {Promise} Resolves with an array of `{ index, image, result,
+   *                   error }` objects in the order of the input images
+   */
+  render () {
+    if (this._promise) return this._promise
+
+    const images = this._images
+    const total = images.length
+    const results = new Array(total)
+    let nextIndex = 0
+    let completed = 0
+
+    const work = (slot) => {
+      if (nextIndex >= total) return Promise.resolve()
+
+      const index = nextIndex++
+      const image = images[index]
+      return this._renderImage(image, slot)
+        .then((result) => {
+          results[index] = { index, image, result, error: null }
+          this.emit('done', { index, image, result })
+        }, (error) => {
+          results[index] = { index, image, result: null, error }
+          this.emit('error', { index, image, error })
+        })
+        .then(() => {
+          completed++
+          this.emit('progress', { index, image, completed, total })
+          return work(slot)
+        })
+    }
+
+    const workers = []
+    const concurrency = Math.min(this._options.concurrency, total)
+    for (let slot = 0; slot < concurrency; slot++) {
+      workers.push(work(slot))
+    }
+
+    this._promise = Promise.all(workers).then(() => results)
+    return this._promise
+  }
+
+  /**
+   * Renders the given image using the renderer of the given slot
+   * @param  {Image} image
+   * @param  {Number} slot
+   * @return {Promise}
+   * @private
+   */
+  _renderImage (image, slot) {
+    const { renderType, imageFormat, dimensions, quality, kitOptions } = this._options
+    let kit
+
+    return new Promise((resolve, reject) => {
+      kit = new this._ImglyKit(Utils.extend(kitOptions, {
+        image,
+        ui: { enabled: false },
+        versionCheck: false
+      }))
+      kit.deserialize(this._recipe)
+
+      kit._render(renderType, imageFormat, dimensions, quality, { renderer: this._renderers[slot] })
+        .then(resolve, reject)
+    })
+      .then(({ result, renderer }) => {
+        this._renderers[slot] = renderer
+        kit.dispose()
+        return result
+      }, (error) => {
+        // Don't reuse a renderer that might be in a broken state
+        this._renderers[slot] = null
+        if (kit) kit.dispose()
+        throw error
+      })
+  }
+
+  /**
+   * Allows waiting for the batch like a promise
+   * @param  {Function} onFulfilled
+   * @param  {Function} [onRejected]
+   * @return {Promise}
+   */
+  then (onFulfilled, onRejected) {
+    return this.render().then(onFulfilled, onRejected)
+  }
+
+  /**
+   * @param  {Function} onRejected
+   * @return {Promise}
+   */
+  catch (onRejected) {
+    return this.render().catch(onRejected)
+  }
+}
+
+export default BatchRenderer
@@ -0,0 +1,75 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import EventEmitter from './event-emitter'
+
+/**
+ * Can be passed to {@link ImglyKit#render} to abort a running render.
+ * Emits a `cancel` event when {@link CancellationToken#cancel} is called.
+ * @class
+ * @alias ImglyKit.CancellationToken
+ * @extends EventEmitter
+ */
+class CancellationToken extends EventEmitter {
+  constructor () {
+    super()
+
+    /**
+     * @type {Boolean}
+     * @private
+     */
+    this._cancelled = false
+  }
+
+  /**
+   * Requests the cancellation. The render stops before the next operation,
+   * operations that need more than one frame stop before their next frame.
+   */
+  cancel () {
+    if (this._cancelled) return
+    this._cancelled = true
+    this.emit('cancel')
+  }
+
+  /**
+   * Specifies whether the cancellation has been requested
+   * @type {Boolean}
+   */
+  get cancelled () {
+    return this._cancelled
+  }
+
+  /**
+   * Throws a `RENDER_CANCELLED` error if the cancellation has been requested
+   */
+  throwIfCancelled () {
+    if (this._cancelled) {
+      throw CancellationToken.createError()
+    }
+  }
+
+  /**
+   * Creates the error that cancelled renders are rejected with
+   * @return {Error}
+   */
+  static createError () {
+    let err = new Error('Rendering has been cancelled.')
+    err.code = CancellationToken.ERROR_CODE
+    return err
+  }
+}
+
+/**
+ * The `code` of errors caused by a cancellation
+ * @type {String}
+ */
+CancellationToken.ERROR_CODE = 'RENDER_CANCELLED'
+
+export default CancellationToken
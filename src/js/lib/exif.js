@@ -51,6 +51,161 @@ const EXIF_TAGS = {
   0x8298 : 'Copyright'
 }
 
+const EXIF_IFD_TAGS = {
+  0x829A: 'ExposureTime',
+  0x829D: 'FNumber',
+  0x8822: 'ExposureProgram',
+  0x8827: 'ISOSpeedRatings',
+  0x9000: 'ExifVersion',
+  0x9003: 'DateTimeOriginal',
+  0x9004: 'DateTimeDigitized',
+  0x9201: 'ShutterSpeedValue',
+  0x9202: 'ApertureValue',
+  0x9204: 'ExposureBias',
+  0x9205: 'MaxApertureValue',
+  0x9207: 'MeteringMode',
+  0x9209: 'Flash',
+  0x920A: 'FocalLength',
+  0x927C: 'MakerNote',
+  0x9286: 'UserComment',
+  0xA001: 'ColorSpace',
+  0xA002: 'PixelXDimension',
+  0xA003: 'PixelYDimension',
+  0xA005: 'InteroperabilityIFDPointer',
+  0xA402: 'ExposureMode',
+  0xA403: 'WhiteBalance',
+  0xA405: 'FocalLengthIn35mmFilm',
+  0xA431: 'BodySerialNumber',
+  0xA432: 'LensSpecification',
+  0xA433: 'LensMake',
+  0xA434: 'LensModel',
+  0xA435: 'LensSerialNumber'
+}
+
+const GPS_TAGS = {
+  0x0000: 'GPSVersionID',
+  0x0001: 'GPSLatitudeRef',
+  0x0002: 'GPSLatitude',
+  0x0003: 'GPSLongitudeRef',
+  0x0004: 'GPSLongitude',
+  0x0005: 'GPSAltitudeRef',
+  0x0006: 'GPSAltitude',
+  0x0007: 'GPSTimeStamp',
+  0x0008: 'GPSSatellites',
+  0x0009: 'GPSStatus',
+  0x000A: 'GPSMeasureMode',
+  0x000B: 'GPSDOP',
+  0x000C: 'GPSSpeedRef',
+  0x000D: 'GPSSpeed',
+  0x000E: 'GPSTrackRef',
+  0x000F: 'GPSTrack',
+  0x0010: 'GPSImgDirectionRef',
+  0x0011: 'GPSImgDirection',
+  0x0012: 'GPSMapDatum',
+  0x0013: 'GPSDestLatitudeRef',
+  0x0014: 'GPSDestLatitude',
+  0x0015: 'GPSDestLongitudeRef',
+  0x0016: 'GPSDestLongitude',
+  0x0017: 'GPSDestBearingRef',
+  0x0018: 'GPSDestBearing',
+  0x0019: 'GPSDestDistanceRef',
+  0x001A: 'GPSDestDistance',
+  0x001B: 'GPSProcessingMethod',
+  0x001C: 'GPSAreaInformation',
+  0x001D: 'GPSDateStamp',
+  0x001E: 'GPSDifferential'
+}
+
+/**
+ * The tag tables of the image file directories we parse and write
+ * @type {Object.<String, Object>}
+ */
+const IFD_TAGS = {
+  '0': EXIF_TAGS,
+  exif: EXIF_IFD_TAGS,
+  gps: GPS_TAGS
+}
+
+/**
+ * Types of tags that can be added even if they don't exist in the image yet.
+ * Other new tags are written as ASCII strings.
+ * @type {Object.<String, Number>}
+ */
+const TAG_TYPES = {
+  Orientation: 3,
+  ExposureTime: 5,
+  FNumber: 5,
+  ISOSpeedRatings: 3,
+  FocalLength: 5,
+  GPSVersionID: 1,
+  GPSLatitude: 5,
+  GPSLongitude: 5,
+  GPSAltitudeRef: 1,
+  GPSAltitude: 5,
+  GPSTimeStamp: 5,
+  GPSImgDirection: 5
+}
+
+/**
+ * The byte sizes of the TIFF field types
+ * @type {Object.<Number, Number>}
+ */
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 }
+
+/**
+ * Tags that point to other image file directories. Their values are
+ * calculated when the Exif segment is written.
+ * @type {Array.<String>}
+ */
+const POINTER_TAGS = ['ExifIFDPointer', 'GPSInfoIFDPointer', 'InteroperabilityIFDPointer']
+
+/**
+ * The IPTC datasets of the application record (record 2) we parse and write
+ * @type {Object.<Number, String>}
+ */
+const IPTC_TAGS = {
+  0x05: 'objectName',
+  0x0F: 'category',
+  0x14: 'supplementalCategories',
+  0x19: 'keywords',
+  0x28: 'specialInstructions',
+  0x37: 'dateCreated',
+  0x3C: 'timeCreated',
+  0x50: 'byline',
+  0x55: 'bylineTitle',
+  0x5A: 'city',
+  0x5C: 'sublocation',
+  0x5F: 'state',
+  0x64: 'countryCode',
+  0x65: 'country',
+  0x67: 'transmissionReference',
+  0x69: 'headline',
+  0x6E: 'credit',
+  0x73: 'source',
+  0x74: 'copyright',
+  0x76: 'contact',
+  0x78: 'caption',
+  0x7A: 'captionWriter'
+}
+
+/**
+ * IPTC tags that can occur multiple times. Their values are arrays.
+ * @type {Array.<String>}
+ */
+const IPTC_REPEATABLE_TAGS = ['supplementalCategories', 'keywords', 'byline', 'bylineTitle', 'contact', 'captionWriter']
+
+/**
+ * The Photoshop image resources we handle: the IPTC data and the
+ * thumbnails (Photoshop 4 and 5 format)
+ * @type {Object.<String, Number>}
+ */
+const PHOTOSHOP_RESOURCES = {
+  IPTC: 0x0404,
+  THUMBNAILS: [0x0409, 0x040C]
+}
+
+const PHOTOSHOP_HEADER = 'Photoshop 3.0\0'
+
 const DATA_JPEG_PREFIX = 'data:image/jpeg;base64,'
 const JPEG_REGEX = new RegExp(`^${DATA_JPEG_PREFIX}`, 'i')
 
@@ -65,27 +220,232 @@ export default class Exif {
     this._segments = this._sliceIntoSegments(this._buf)
     this._exifBuffer = this._getExifBuffer()
     this._exifStream = new ArrayStream(this._exifBuffer)
+    this._iptcBuffer = this._getSegmentBuffer(0xffed)
+
+    /**
+     * Has any tag been added, changed or removed? If so, the Exif segment
+     * needs to be rebuilt when restoring the tags.
+     * @type {Boolean}
+     * @private
+     */
+    this._modified = false
+
+    /**
+     * Has any IPTC tag been changed or removed?
+     * @type {Boolean}
+     * @private
+     */
+    this._iptcModified = false
+
     this._parseExif()
+    this._parseIPTC()
   }
 
+  /**
+   * Returns the values of all known tags of IFD0, the Exif IFD and the
+   * GPS IFD, indexed by tag name
+   * @return {Object.<String, *>}
+   */
   getTags () { return this._tags }
   getTagData () { return this._tagData }
 
   /**
-   * Restores the exif tags into the given data url
+   * Returns the value of the tag with the given name
+   * @param  {String} name
+   * @return {*}
+   */
+  getTag (name) {
+    return this._tags ? this._tags[name] : undefined
+  }
+
+  /**
+   * Returns the GPS coordinates in decimal degrees, or `null` if the image
+   * has no GPS information
+   * @return {Object}
+   */
+  getGPSCoordinates () {
+    const tags = this._tags || {}
+    if (!tags.GPSLatitude || !tags.GPSLongitude) {
+      return null
+    }
+
+    const toDecimal = ([degrees, minutes, seconds]) => {
+      return degrees + minutes / 60 + seconds / 3600
+    }
+
+    let latitude = toDecimal(tags.GPSLatitude)
+    let longitude = toDecimal(tags.GPSLongitude)
+    if (/^S/.test(tags.GPSLatitudeRef)) latitude *= -1
+    if (/^W/.test(tags.GPSLongitudeRef)) longitude *= -1
+
+    let altitude = null
+    if (typeof tags.GPSAltitude === 'number') {
+      altitude = tags.GPSAltitudeRef === 1 ? -tags.GPSAltitude : tags.GPSAltitude
+    }
+
+    return { latitude, longitude, altitude }
+  }
+
+  /**
+   * Sets the value of the tag with the given name. Tags that don't exist
+   * yet are added to the image file directory they belong to.
+   * @param {String} name
+   * @param {*} value
+   */
+  setTag (name, value) {
+    const ifd = this._getIFDNameForTag(name)
+    if (!ifd) {
+      throw new Error('Exif: Unknown tag `' + name + '`.')
+    }
+    if (POINTER_TAGS.indexOf(name) !== -1) {
+      throw new Error('Exif: Tag `' + name + '` can not be set.')
+    }
+
+    const entries = this._ifds[ifd]
+    let entry = this._findEntry(ifd, name)
+    if (!entry) {
+      entry = {
+        tag: this._getTagId(ifd, name),
+        name,
+        type: TAG_TYPES[name] || 2
+      }
+      entries.push(entry)
+    }
+
+    entry.value = value
+    entry.raw = null
+    this._tags[name] = value
+    this._modified = true
+  }
+
+  /**
+   * Removes the tags with the given names
+   * @param {...String} names
+   */
+  removeTags (...names) {
+    names.forEach((name) => {
+      const ifd = this._getIFDNameForTag(name)
+      if (!ifd) return
+
+      const entry = this._findEntry(ifd, name)
+      if (!entry) return
+
+      const entries = this._ifds[ifd]
+      entries.splice(entries.indexOf(entry), 1)
+      delete this._tags[name]
+      delete this._tagData[name]
+      this._modified = true
+    })
+  }
+
+  /**
+   * Removes all GPS information
+   */
+  stripGPS () {
+    this.removeTags(...this._ifds.gps.map((entry) => entry.name))
+  }
+
+  /**
+   * Returns the values of all known IPTC tags, indexed by tag name. Tags
+   * that can occur multiple times (e.g. `keywords`) have array values.
+   * @return {Object.<String, *>}
+   */
+  getIPTCTags () { return this._iptcTags }
+
+  /**
+   * Returns the value of the IPTC tag with the given name
+   * @param  {String} name
+   * @return {*}
+   */
+  getIPTCTag (name) {
+    return this._iptcTags[name]
+  }
+
+  /**
+   * Sets the value of the IPTC tag with the given name
+   * @param {String} name
+   * @param {(String|Array.<String>)} value - Repeatable tags accept arrays
+   */
+  setIPTCTag (name, value) {
+    const dataset = this._getIPTCDataset(name)
+    if (dataset === null) {
+      throw new Error('Exif: Unknown IPTC tag `' + name + '`.')
+    }
+
+    const repeatable = IPTC_REPEATABLE_TAGS.indexOf(name) !== -1
+    let values = Array.isArray(value) ? value : [value]
+    if (!repeatable && values.length !== 1) {
+      throw new Error('Exif: IPTC tag `' + name + '` can only have one value.')
+    }
+    values = values.map((val) => String(val))
+
+    // Replace the existing datasets at the position of the first one
+    const entries = this._iptcEntries
+    let index = entries.length
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (entries[i].name === name) {
+        entries.splice(i, 1)
+        index = i
+      }
+    }
+    const newEntries = values.map((val) => {
+      return { record: 2, dataset, name, value: val, raw: null }
+    })
+    entries.splice(index, 0, ...newEntries)
+
+    this._iptcTags[name] = repeatable ? values : values[0]
+    this._iptcModified = true
+  }
+
+  /**
+   * Removes the IPTC tags with the given names
+   * @param {...String} names
+   */
+  removeIPTCTags (...names) {
+    names.forEach((name) => {
+      if (typeof this._iptcTags[name] === 'undefined') return
+
+      this._iptcEntries = this._iptcEntries.filter((entry) => entry.name !== name)
+      delete this._iptcTags[name]
+      this._iptcModified = true
+    })
+  }
+
+  /**
+   * Restores the exif tags and the IPTC data into the given data url
+   * @param  {String} base64String
+   * @param  {Object} [options]
+   * @param  {Boolean} [options.stripGPS=false] - Removes all GPS information
+   *                                            from the restored tags
+   * @param  {Boolean} [options.stripThumbnail=false] - Removes the embedded
+   *                                                  thumbnails which show
+   *                                                  the unedited image
    * @return {String} base64String
    */
-  restoreExifTags (base64String) {
+  restoreExifTags (base64String, options = {}) {
     // First, make the given string a data array
     const raw = base64String.replace(DATA_JPEG_PREFIX, '')
     const data = Base64.decode(raw)
 
     const segments = this._sliceIntoSegments(data)
-    const [ segmentStart, segmentEnd ] = segments[1]
+    const [ segmentStart ] = segments[1]
     const dataBefore = data.slice(0, segmentStart)
     const dataAfter = data.slice(segmentStart)
 
-    let newData = dataBefore.concat(this._exifBuffer)
+    let exifBuffer = this._exifBuffer || []
+    const hasGPS = this._ifds.gps.length > 0
+    const stripExifThumbnail = options.stripThumbnail && !!this._exifBuffer
+    if (this._modified || (options.stripGPS && hasGPS) || stripExifThumbnail) {
+      exifBuffer = this._buildExifBuffer(options.stripGPS)
+    }
+
+    let iptcBuffer = this._iptcBuffer || []
+    const stripIPTCThumbnail = options.stripThumbnail && !!this._iptcBuffer
+    if (this._iptcModified || stripIPTCThumbnail) {
+      iptcBuffer = this._buildIPTCBuffer()
+    }
+
+    let newData = dataBefore.concat(exifBuffer, iptcBuffer)
     newData = newData.concat(dataAfter)
 
     // Make it a base64 string again
@@ -101,7 +461,14 @@ export default class Exif {
       const { entryOffset } = this._tagData.Orientation
       // Replace value in buffer
       this._exifStream.setHead(entryOffset + 8)
-      this._exifStream.writeInt16(orientation)
+      this._exifStream.writeInt16(orientation, !this._bigEndian)
+
+      // Keep the parsed entry in sync in case the segment is rebuilt
+      const entry = this._findEntry('0', 'Orientation')
+      entry.value = orientation
+      entry.raw = null
+      this._tags.Orientation = orientation
+      this._tagData.Orientation.value = orientation
     }
   }
 
@@ -132,6 +499,10 @@ export default class Exif {
    * @private
    */
   _parseExif () {
+    this._tags = {}
+    this._tagData = {}
+    this._ifds = { '0': [], exif: [], gps: [] }
+
     this._exifStream.setHead(0)
     // Skip marker
     this._exifStream.readInt16()
@@ -158,6 +529,7 @@ export default class Exif {
     } else {
       throw new Error('Invalid TIFF data: No endian type found')
     }
+    this._bigEndian = bigEndian
 
     if (this._exifStream.readInt16(!bigEndian) !== 0x002A) {
       throw new Error('Invalid TIFF data: No 0x002A')
@@ -169,100 +541,250 @@ export default class Exif {
     }
 
     const ifdOffset = tiffOffset + firstIFDOffset
-    const tags = this._readTags(this._exifStream, tiffOffset, ifdOffset, bigEndian)
-    this._tags = tags.tags
-    this._tagData = tags.tagData
+    this._readIFD('0', this._exifStream, tiffOffset, ifdOffset, bigEndian)
+
+    // Parse the sub-IFDs
+    const subIFDs = { exif: 'ExifIFDPointer', gps: 'GPSInfoIFDPointer' }
+    for (let ifd in subIFDs) {
+      const pointer = this._tags[subIFDs[ifd]]
+      if (typeof pointer === 'number') {
+        this._readIFD(ifd, this._exifStream, tiffOffset, tiffOffset + pointer, bigEndian)
+      }
+    }
   }
 
   /**
-   * Reads the TIFF tags from the stream
-   * @param  {ArrayBuffer} stream
+   * Parses the Photoshop image resources of the APP13 segment and the IPTC
+   * datasets they contain
+   * @private
+   */
+  _parseIPTC () {
+    this._iptcTags = {}
+    this._iptcEntries = []
+    this._photoshopResources = []
+
+    const buf = this._iptcBuffer
+    if (!buf) return
+
+    const readInt = (offset, length) => {
+      let num = 0
+      for (let i = 0; i < length; i++) {
+        num = num * 256 + buf[offset + i]
+      }
+      return num
+    }
+    const readString = (offset, length) => {
+      return String.fromCharCode(...buf.slice(offset, offset + length))
+    }
+
+    // Skip marker and length
+    let offset = 4
+    if (readString(offset, PHOTOSHOP_HEADER.length) !== PHOTOSHOP_HEADER) {
+      return
+    }
+    offset += PHOTOSHOP_HEADER.length
+
+    while (offset + 12 <= buf.length && readString(offset, 4) === '8BIM') {
+      const id = readInt(offset + 4, 2)
+
+      // The name is a pascal string, padded to an even size
+      const nameLength = buf[offset + 6]
+      const nameSize = nameLength + 1 + ((nameLength + 1) % 2)
+      const name = buf.slice(offset + 6, offset + 6 + nameSize)
+      offset += 6 + nameSize
+
+      const size = readInt(offset, 4)
+      const data = buf.slice(offset + 4, offset + 4 + size)
+      offset += 4 + size + (size % 2)
+
+      this._photoshopResources.push({ id, name, data })
+      if (id === PHOTOSHOP_RESOURCES.IPTC) {
+        this._readIPTCDatasets(data)
+      }
+    }
+  }
+
+  /**
+   * Reads the IPTC datasets from the given IPTC resource data
+   * @param  {Array.<Number>} data
+   * @private
+   */
+  _readIPTCDatasets (data) {
+    let offset = 0
+    while (offset + 5 <= data.length && data[offset] === 0x1C) {
+      const record = data[offset + 1]
+      const dataset = data[offset + 2]
+      let length = (data[offset + 3] << 8) + data[offset + 4]
+      let headerSize = 5
+
+      // Extended datasets store the size of the length field instead
+      if (length & 0x8000) {
+        const lengthSize = length & 0x7fff
+        length = 0
+        for (let i = 0; i < lengthSize; i++) {
+          length = length * 256 + data[offset + 5 + i]
+        }
+        headerSize += lengthSize
+      }
+
+      const end = offset + headerSize + length
+      const name = record === 2 ? (IPTC_TAGS[dataset] || null) : null
+      const entry = { record, dataset, name, raw: data.slice(offset, end) }
+
+      if (name) {
+        entry.value = Exif._decodeIPTCString(data.slice(offset + headerSize, end))
+        if (IPTC_REPEATABLE_TAGS.indexOf(name) !== -1) {
+          this._iptcTags[name] = (this._iptcTags[name] || []).concat([entry.value])
+        } else {
+          this._iptcTags[name] = entry.value
+        }
+      }
+
+      this._iptcEntries.push(entry)
+      offset = end
+    }
+  }
+
+  /**
+   * Decodes the given IPTC string bytes. Strings are read as UTF-8 if
+   * possible, otherwise as Latin-1.
+   * @param  {Array.<Number>} bytes
+   * @return {String}
+   * @private
+   */
+  static _decodeIPTCString (bytes) {
+    const str = String.fromCharCode(...bytes)
+    try {
+      return decodeURIComponent(escape(str))
+    } catch (e) {
+      return str
+    }
+  }
+
+  /**
+   * Builds a new APP13 segment from the parsed (and possibly modified) IPTC
+   * datasets. The other image resources are kept, except for the thumbnails
+   * which would still show the unedited image.
+   * @return {Array.<Number>}
+   * @private
+   */
+  _buildIPTCBuffer () {
+    const iptc = []
+    let hasUTF8 = false
+    this._iptcEntries.forEach((entry) => {
+      if (entry.raw) {
+        iptc.push(...entry.raw)
+        return
+      }
+
+      const encoded = unescape(encodeURIComponent(entry.value))
+      if (encoded !== entry.value) hasUTF8 = true
+      if (encoded.length > 0x7fff) {
+        throw new Error('Exif: The value of IPTC tag `' + entry.name + '` is too long.')
+      }
+
+      iptc.push(0x1C, entry.record, entry.dataset, encoded.length >> 8, encoded.length & 0xff)
+      for (let i = 0; i < encoded.length; i++) {
+        iptc.push(encoded.charCodeAt(i))
+      }
+    })
+
+    // Mark the strings as UTF-8 (ESC % G) unless the character set is set
+    const hasCharacterSet = this._iptcEntries.some((entry) => {
+      return entry.record === 1 && entry.dataset === 0x5A
+    })
+    if (hasUTF8 && !hasCharacterSet) {
+      iptc.unshift(0x1C, 0x01, 0x5A, 0x00, 0x03, 0x1B, 0x25, 0x47)
+    }
+
+    let resources = this._photoshopResources.filter((resource) => {
+      return PHOTOSHOP_RESOURCES.THUMBNAILS.indexOf(resource.id) === -1
+    })
+    const iptcResource = { id: PHOTOSHOP_RESOURCES.IPTC, name: [0, 0], data: iptc }
+    let replaced = false
+    resources = resources.map((resource) => {
+      if (resource.id !== PHOTOSHOP_RESOURCES.IPTC) return resource
+      replaced = true
+      return iptcResource
+    })
+    if (!replaced) {
+      resources.push(iptcResource)
+    }
+
+    const bytes = []
+    for (let i = 0; i < PHOTOSHOP_HEADER.length; i++) {
+      bytes.push(PHOTOSHOP_HEADER.charCodeAt(i))
+    }
+    resources.forEach(({ id, name, data }) => {
+      bytes.push(0x38, 0x42, 0x49, 0x4D) // 8BIM
+      bytes.push(id >> 8, id & 0xff)
+      bytes.push(...name)
+      bytes.push((data.length >>> 24) & 0xff, (data.length >>> 16) & 0xff,
+        (data.length >>> 8) & 0xff, data.length & 0xff)
+      bytes.push(...data)
+      if (data.length % 2) bytes.push(0)
+    })
+
+    const length = bytes.length + 2
+    if (length > 0xffff) {
+      throw new Error('Exif: The IPTC data exceeds the maximum segment size.')
+    }
+
+    return [0xff, 0xed, length >> 8, length & 0xff].concat(bytes)
+  }
+
+  /**
+   * Returns the dataset number of the IPTC tag with the given name
+   * @param  {String} name
+   * @return {Number}
+   * @private
+   */
+  _getIPTCDataset (name) {
+    for (let dataset in IPTC_TAGS) {
+      if (IPTC_TAGS[dataset] === name) return parseInt(dataset, 10)
+    }
+    return null
+  }
+
+  /**
+   * Reads the TIFF tags of an image file directory from the stream
+   * @param  {String} ifd - The name of the image file directory
+   * @param  {ArrayStream} stream
    * @param  {Number} tiffStart The position where tiff data starts
    * @param  {Number} ifdStart  The position where the IFD starts
    * @param  {Boolean} bigEndian
-   * @return {Object}
    * @private
    */
-  _readTags (stream, tiffStart, ifdStart, bigEndian) {
+  _readIFD (ifd, stream, tiffStart, ifdStart, bigEndian) {
+    const tagNames = IFD_TAGS[ifd]
+    const entries = this._ifds[ifd]
+
     stream.setHead(ifdStart)
     const entriesCount = stream.readInt16(!bigEndian)
-    let tags = {}
-    let tagData = []
 
     for (let i = 0; i < entriesCount; i++) {
-      const entryOffset = ifdStart + i*12 + 2
+      const entryOffset = ifdStart + i * 12 + 2
       stream.setHead(entryOffset)
-      let tag = stream.readInt16(!bigEndian)
-      let type
-      let numValues
-      let valueOffset
-      if (EXIF_TAGS[tag]) {
-        tag = EXIF_TAGS[tag]
-        type = stream.readInt16(!bigEndian)
-        numValues = stream.readInt32(!bigEndian)
-        valueOffset = stream.readInt32(!bigEndian) + tiffStart
-        let value = null
-
-        switch (type) {
-          case 1: // byte, 8-bit unsigned int
-          case 7: // undefined, 8-bit byte, value depending on field
-            if (numValues === 1) {
-              value = stream.readInt8(!bigEndian)
-            } else {
-              value = []
-              for (let i = 0; i < numValues; i++) {
-                value.push(stream.readInt8(!bigEndian))
-              }
-            }
-            break
-          case 2: // 8-bit ascii char
-            stream.setHead(numValues > 4 ? valueOffset : (entryOffset + 8))
-            value = stream.readString(numValues)
-            break
-          case 3: // short
-            stream.setHead(numValues > 2 ? valueOffset : (entryOffset + 8))
-            if (numValues === 1) {
-              value = stream.readInt16(!bigEndian)
-            } else {
-              value = []
-              for (let i = 0; i < numValues; i++) {
-                value.push(stream.readInt16(!bigEndian))
-              }
-            }
-            break
-          case 4: // long
-          case 9: // slong
-            stream.setHead(numValues > 1 ? valueOffset : (entryOffset + 8))
-            if (numValues === 1) {
-              value = stream.readInt32(!bigEndian)
-            } else {
-              value = []
-              for (let i = 0; i < numValues; i++) {
-                value.push(stream.readInt32(!bigEndian))
-              }
-            }
-            break
-          case 5: // rational (two long values, first numerator, second denominator)
-          case 10: // rational (two slongs)
-            stream.setHead(valueOffset)
-            if (numValues === 1) {
-              const numerator = stream.readInt32(!bigEndian)
-              const denominator = stream.readInt32(!bigEndian)
-              value = numerator / denominator
-            } else {
-              value = []
-              for (let i = 0; i < numValues; i++) {
-                const numerator = stream.readInt32(!bigEndian)
-                const denominator = stream.readInt32(!bigEndian)
-                const val = numerator / denominator
-                value.push(val)
-              }
-            }
-            break
-        }
+      const tag = stream.readInt16(!bigEndian)
+      const type = stream.readInt16(!bigEndian)
+      const numValues = stream.readInt32(!bigEndian)
+      const size = (TYPE_SIZES[type] || 1) * numValues
+
+      // Values that fit into 4 bytes are stored inside the entry itself
+      const valueOffset = size > 4
+        ? stream.readInt32(!bigEndian) + tiffStart
+        : entryOffset + 8
+
+      const raw = this._exifBuffer.slice(valueOffset, valueOffset + size)
+      stream.setHead(valueOffset)
+      const value = this._readValue(stream, type, numValues, bigEndian)
+
+      const name = tagNames[tag] || null
+      entries.push({ tag, name, type, numValues, raw, value })
 
-        tags[tag] = value
-        tagData[tag] = {
+      if (name) {
+        this._tags[name] = value
+        this._tagData[name] = {
           value,
           numValues,
           entryOffset,
@@ -271,8 +793,280 @@ export default class Exif {
         }
       }
     }
+  }
 
-    return { tags, tagData }
+  /**
+   * Reads a tag value of the given type from the stream
+   * @param  {ArrayStream} stream
+   * @param  {Number} type
+   * @param  {Number} numValues
+   * @param  {Boolean} bigEndian
+   * @return {*}
+   * @private
+   */
+  _readValue (stream, type, numValues, bigEndian) {
+    if (type === 2) { // 8-bit ascii char, null terminated
+      return stream.readString(numValues).replace(/\0+$/, '')
+    }
+
+    const values = []
+    for (let i = 0; i < numValues; i++) {
+      switch (type) {
+        case 1: // byte, 8-bit unsigned int
+        case 7: // undefined, 8-bit byte, value depending on field
+          values.push(stream.readInt8())
+          break
+        case 3: // short
+          values.push(stream.readInt16(!bigEndian))
+          break
+        case 4: // long
+          values.push(stream.readInt32(!bigEndian))
+          break
+        case 9: // slong
+          values.push(stream.readInt32(!bigEndian) | 0)
+          break
+        case 5: // rational (two long values, first numerator, second denominator)
+        case 10: // rational (two slongs)
+          let numerator = stream.readInt32(!bigEndian)
+          let denominator = stream.readInt32(!bigEndian)
+          if (type === 10) {
+            numerator = numerator | 0
+            denominator = denominator | 0
+          }
+          values.push(numerator / denominator)
+          break
+        default:
+          return null
+      }
+    }
+    return numValues === 1 ? values[0] : values
+  }
+
+  /**
+   * Encodes the given entry's value in the given byte order
+   * @param  {Object} entry
+   * @param  {Boolean} bigEndian
+   * @return {Array.<Number>}
+   * @private
+   */
+  _encodeValue (entry, bigEndian) {
+    const { type } = entry
+    let { value } = entry
+    const bytes = []
+
+    const writeInt = (num, length) => {
+      const intBytes = []
+      for (let i = 0; i < length; i++) {
+        intBytes.push((num >>> (i * 8)) & 0xff)
+      }
+      if (bigEndian) intBytes.reverse()
+      bytes.push(...intBytes)
+    }
+
+    if (type === 2) {
+      value = String(value)
+      for (let i = 0; i < value.length; i++) {
+        bytes.push(value.charCodeAt(i) & 0xff)
+      }
+      bytes.push(0)
+      return bytes
+    }
+
+    const values = Array.isArray(value) ? value : [value]
+    values.forEach((val) => {
+      switch (type) {
+        case 1:
+        case 7:
+          bytes.push(val & 0xff)
+          break
+        case 3:
+          writeInt(val, 2)
+          break
+        case 4:
+        case 9:
+          writeInt(val, 4)
+          break
+        case 5:
+        case 10:
+          const [numerator, denominator] = Exif._toRational(val)
+          writeInt(numerator, 4)
+          writeInt(denominator, 4)
+          break
+      }
+    })
+    return bytes
+  }
+
+  /**
+   * Approximates the given number as a fraction
+   * @param  {Number} value
+   * @return {Array.<Number>} Numerator and denominator
+   * @private
+   */
+  static _toRational (value) {
+    let denominator = 1
+    while (Math.round(value * denominator) !== value * denominator &&
+      denominator < 1000000) {
+      denominator *= 10
+    }
+    return [Math.round(value * denominator), denominator]
+  }
+
+  /**
+   * Builds a new Exif segment from the parsed (and possibly modified) tags.
+   * Since the thumbnail (IFD1) and the interoperability IFD would still
+   * contain the unedited image information, they are not written.
+   * @param  {Boolean} stripGPS - Leave out the GPS IFD
+   * @return {Array.<Number>}
+   * @private
+   */
+  _buildExifBuffer (stripGPS) {
+    const bigEndian = this._bigEndian
+    const filterEntries = (entries) => {
+      return entries.filter((entry) => POINTER_TAGS.indexOf(entry.name) === -1)
+    }
+
+    const ifds = [
+      { name: '0', entries: filterEntries(this._ifds['0']) },
+      { name: 'exif', entries: filterEntries(this._ifds.exif) }
+    ]
+    if (!stripGPS) {
+      ifds.push({ name: 'gps', entries: this._ifds.gps })
+    }
+
+    // Add the pointers to the sub IFDs to IFD0
+    const pointerEntries = {}
+    ifds.slice(1).forEach((ifd) => {
+      if (!ifd.entries.length) return
+      const name = ifd.name === 'exif' ? 'ExifIFDPointer' : 'GPSInfoIFDPointer'
+      const entry = { tag: this._getTagId('0', name), name, type: 4, value: 0 }
+      pointerEntries[ifd.name] = entry
+      ifds[0].entries.push(entry)
+    })
+
+    // Calculate the offsets of all IFDs (relative to the TIFF header)
+    let offset = 8
+    ifds.forEach((ifd) => {
+      ifd.entries.sort((a, b) => a.tag - b.tag)
+      ifd.entries.forEach((entry) => {
+        entry.bytes = entry.raw || this._encodeValue(entry, bigEndian)
+      })
+
+      ifd.offset = offset
+      offset += 2 + ifd.entries.length * 12 + 4
+      ifd.entries.forEach((entry) => {
+        if (entry.bytes.length > 4) {
+          offset += entry.bytes.length + (entry.bytes.length % 2)
+        }
+      })
+    })
+
+    ifds.slice(1).forEach((ifd) => {
+      if (pointerEntries[ifd.name]) {
+        pointerEntries[ifd.name].bytes = this._encodeValue({ type: 4, value: ifd.offset }, bigEndian)
+      }
+    })
+
+    // Write the TIFF data
+    const tiff = []
+    const writeInt = (num, length) => {
+      const intBytes = []
+      for (let i = 0; i < length; i++) {
+        intBytes.push((num >>> (i * 8)) & 0xff)
+      }
+      if (bigEndian) intBytes.reverse()
+      tiff.push(...intBytes)
+    }
+
+    tiff.push(...(bigEndian ? [0x4d, 0x4d] : [0x49, 0x49]))
+    writeInt(0x2A, 2)
+    writeInt(8, 4)
+
+    ifds.forEach((ifd) => {
+      let valuesOffset = ifd.offset + 2 + ifd.entries.length * 12 + 4
+      const values = []
+
+      writeInt(ifd.entries.length, 2)
+      ifd.entries.forEach((entry) => {
+        const { bytes } = entry
+        const count = entry.type === 2
+          ? bytes.length
+          : bytes.length / TYPE_SIZES[entry.type]
+
+        writeInt(entry.tag, 2)
+        writeInt(entry.type, 2)
+        writeInt(count, 4)
+        if (bytes.length > 4) {
+          writeInt(valuesOffset, 4)
+          values.push(...bytes)
+          if (bytes.length % 2) values.push(0)
+          valuesOffset += bytes.length + (bytes.length % 2)
+        } else {
+          tiff.push(...bytes)
+          for (let i = bytes.length; i < 4; i++) tiff.push(0)
+        }
+      })
+      writeInt(0, 4) // No next IFD
+      tiff.push(...values)
+
+      // Clean up temporary data
+      ifd.entries.forEach((entry) => { delete entry.bytes })
+    })
+
+    const length = tiff.length + 8
+    if (length > 0xffff) {
+      throw new Error('Exif: The Exif data exceeds the maximum segment size.')
+    }
+
+    return [
+      0xff, 0xe1,
+      length >> 8, length & 0xff,
+      0x45, 0x78, 0x69, 0x66, 0x00, 0x00 // Exif\0\0
+    ].concat(tiff)
+  }
+
+  /**
+   * Returns the name of the image file directory the given tag belongs to
+   * @param  {String} name
+   * @return {String}
+   * @private
+   */
+  _getIFDNameForTag (name) {
+    for (let ifd in IFD_TAGS) {
+      if (this._getTagId(ifd, name) !== null) return ifd
+    }
+    return null
+  }
+
+  /**
+   * Returns the numeric id of the given tag in the given image file
+   * directory
+   * @param  {String} ifd
+   * @param  {String} name
+   * @return {Number}
+   * @private
+   */
+  _getTagId (ifd, name) {
+    const tags = IFD_TAGS[ifd]
+    for (let tag in tags) {
+      if (tags[tag] === name) return parseInt(tag, 10)
+    }
+    return null
+  }
+
+  /**
+   * Returns the parsed entry of the given tag
+   * @param  {String} ifd
+   * @param  {String} name
+   * @return {Object}
+   * @private
+   */
+  _findEntry (ifd, name) {
+    const entries = this._ifds[ifd]
+    for (let i = 0; i < entries.length; i++) {
+      if (entries[i].name === name) return entries[i]
+    }
+    return null
   }
 
   /**
@@ -281,12 +1075,21 @@ export default class Exif {
    * @private
    */
   _getExifBuffer () {
+    return this._getSegmentBuffer(0xffe1)
+  }
+
+  /**
+   * Returns a new buffer containing the first segment with the given marker
+   * @param  {Number} marker
+   * @return {Array}
+   * @private
+   */
+  _getSegmentBuffer (marker) {
     const segments = this._segments
     for (let i = 0; i < segments.length; i++) {
       const [offset, end] = segments[i]
       this._stream.setHead(offset)
-      const marker = this._stream.peekInt16()
-      if (marker === 0xffe1) {
+      if (this._stream.peekInt16() === marker) {
         return this._buf.slice(offset, end)
       }
     }
@@ -326,6 +1129,7 @@ export default class Exif {
   dispose () {
     this._buf = []
     this._exifBuffer = []
+    this._iptcBuffer = []
     this._segments = []
   }
 }
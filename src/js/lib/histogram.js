@@ -0,0 +1,195 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+const CHANNELS = ['red', 'green', 'blue', 'luminance']
+
+/**
+ * The tonal distribution of an image. Fully transparent pixels are ignored.
+ * @class
+ * @alias ImglyKit.Histogram
+ * @param {Object} imageData - An object with a `data` array of RGBA values
+ * @param {Number} [bins=256] - The amount of bins per channel
+ */
+class Histogram {
+  constructor (imageData, bins = 256) {
+    if (!(bins >= 1 && bins <= 256)) {
+      throw new Error('Histogram: `bins` has to be between 1 and 256.')
+    }
+
+    /**
+     * The amount of bins per channel
+     * @type {Number}
+     */
+    this.bins = bins
+
+    /**
+     * The amount of pixels that have been counted
+     * @type {Number}
+     */
+    this.pixelCount = 0
+
+    /**
+     * The pixel counts per bin for each channel
+     * @type {Array.<Number>}
+     */
+    this.red = this._createBins()
+    this.green = this._createBins()
+    this.blue = this._createBins()
+    this.luminance = this._createBins()
+
+    /**
+     * The percentage (0-100) of pixels per channel that are clipped to
+     * black (`shadows`) or white (`highlights`)
+     * @type {Object.<String, Object>}
+     */
+    this.clipping = {}
+
+    /**
+     * The mean value (0-255) of each channel
+     * @type {Object.<String, Number>}
+     */
+    this.mean = {}
+
+    this._count(imageData.data)
+  }
+
+  /**
+   * Creates an array containing `this.bins` zeros
+   * @return {Array.<Number>}
+   * @private
+   */
+  _createBins () {
+    let bins = new Array(this.bins)
+    for (let i = 0; i < this.bins; i++) {
+      bins[i] = 0
+    }
+    return bins
+  }
+
+  /**
+   * Counts the given RGBA values
+   * @param {Array.<Number>} data
+   * @private
+   */
+  _count (data) {
+    const scale = this.bins / 256
+    const bins = [this.red, this.green, this.blue, this.luminance]
+    const shadows = [0, 0, 0, 0]
+    const highlights = [0, 0, 0, 0]
+    const sums = [0, 0, 0, 0]
+    const values = [0, 0, 0, 0]
+
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] === 0) continue
+
+      values[0] = data[i]
+      values[1] = data[i + 1]
+      values[2] = data[i + 2]
+      values[3] = Math.round(Histogram.getLuminance(values[0], values[1], values[2]))
+
+      for (let c = 0; c < 4; c++) {
+        const value = values[c]
+        bins[c][Math.floor(value * scale)]++
+        sums[c] += value
+        if (value === 0) shadows[c]++
+        if (value === 255) highlights[c]++
+      }
+      this.pixelCount++
+    }
+
+    const count = this.pixelCount || 1
+    CHANNELS.forEach((channel, c) => {
+      this.clipping[channel] = {
+        shadows: shadows[c] / count * 100,
+        highlights: highlights[c] / count * 100
+      }
+      this.mean[channel] = sums[c] / count
+    })
+  }
+
+  /**
+   * Returns the value (0-255) below which the given percentage of pixels
+   * of the given channel lie
+   * @param  {String} channel - `red`, `green`, `blue` or `luminance`
+   * @param  {Number} percentage - Between 0 and 100
+   * @return {Number}
+   */
+  getPercentile (channel, percentage) {
+    if (CHANNELS.indexOf(channel) === -1) {
+      throw new Error(`Histogram: Unknown channel \`${channel}\`.`)
+    }
+
+    const bins = this[channel]
+    const threshold = this.pixelCount * percentage / 100
+    const binSize = 256 / this.bins
+    let sum = 0
+    for (let i = 0; i < bins.length; i++) {
+      sum += bins[i]
+      if (sum >= threshold && sum > 0) {
+        return Math.min(255, Math.round(i * binSize))
+      }
+    }
+    return 255
+  }
+
+  /**
+   * Returns the highest bin count of all channels. Useful for scaling when
+   * drawing the histogram.
+   * @return {Number}
+   */
+  getMaximum () {
+    let max = 0
+    CHANNELS.forEach((channel) => {
+      max = Math.max(max, Math.max.apply(null, this[channel]))
+    })
+    return max
+  }
+
+  /**
+   * Draws a downscaled version of the given image on the given canvas and
+   * returns its histogram
+   * @param  {Image} image
+   * @param  {Canvas} canvas
+   * @param  {Number} [maxSize=256] - The maximum width / height of the
+   *                                analyzed image
+   * @param  {Number} [bins=256]
+   * @return {ImglyKit.Histogram}
+   */
+  static fromImage (image, canvas, maxSize = 256, bins = 256) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height))
+    canvas.width = Math.max(1, Math.round(image.width * scale))
+    canvas.height = Math.max(1, Math.round(image.height * scale))
+
+    const context = canvas.getContext('2d')
+    context.drawImage(image, 0, 0, canvas.width, canvas.height)
+
+    return new Histogram(context.getImageData(0, 0, canvas.width, canvas.height), bins)
+  }
+
+  /**
+   * Returns the luminance of the given color, using the same weights as the
+   * saturation primitive
+   * @param  {Number} r
+   * @param  {Number} g
+   * @param  {Number} b
+   * @return {Number}
+   */
+  static getLuminance (r, g, b) {
+    return 0.2125 * r + 0.7154 * g + 0.0721 * b
+  }
+}
+
+/**
+ * The available channels
+ * @type {Array.<String>}
+ */
+Histogram.CHANNELS = CHANNELS
+
+export default Histogram
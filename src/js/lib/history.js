@@ -0,0 +1,322 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import EventEmitter from './event-emitter'
+
+/**
+ * Returns a deep copy of the given option value. Arrays and plain objects
+ * are copied recursively, objects with a `clone` method (e.g. vectors,
+ * colors, stickers, texts or regions) are cloned, so that editing a value
+ * in place does not change history items that have been recorded before.
+ * @param  {*} value
+ * @return {*}
+ */
+function cloneValue (value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneValue)
+  }
+  if (value && typeof value.clone === 'function') {
+    return value.clone()
+  }
+  if (value && value.constructor === Object) {
+    const object = {}
+    for (let key in value) {
+      object[key] = cloneValue(value[key])
+    }
+    return object
+  }
+  return value
+}
+
+/**
+ * Returns a deep copy of the given options
+ * @param  {Object.<String, *>} options
+ * @return {Object.<String, *>}
+ */
+function cloneOptions (options) {
+  const copy = {}
+  for (let optionName in options) {
+    copy[optionName] = cloneValue(options[optionName])
+  }
+  return copy
+}
+
+/**
+ * Keeps track of the changes that have been made to the operations of
+ * an {@link ImglyKit} instance and allows undoing and redoing them.
+ *
+ * Every history item stores the options of an operation *before* a change.
+ * When an item is undone, the options *after* the change are stored on the
+ * item as well, so that the change can be redone.
+ *
+ * @class
+ * @alias ImglyKit.History
+ * @extends EventEmitter
+ */
+class History extends EventEmitter {
+  /**
+   * @param {ImglyKit} kit
+   * @param {Object} [options]
+   * @param {Number} [options.maxLength=50] - The maximum amount of items
+   */
+  constructor (kit, options = {}) {
+    super()
+
+    this._kit = kit
+    this._maxLength = typeof options.maxLength === 'undefined' ? 50 : options.maxLength
+
+    /**
+     * All history items, including the ones that have been undone
+     * @type {Array.<Object>}
+     * @private
+     */
+    this._items = []
+
+    /**
+     * The amount of items that are currently applied
+     * @type {Number}
+     * @private
+     */
+    this._index = 0
+  }
+
+  /**
+   * Adds a history item. Items that have been undone before are discarded.
+   * @param {Operation} operation
+   * @param {Object.<String, *>} options - The options before the change
+   * @param {Boolean} existent - Did the operation exist before the change?
+   * @return {Object} The history item
+   */
+  add (operation, options, existent) {
+    const item = { operation, options: cloneOptions(options), existent }
+
+    this._items.splice(this._index)
+    this._items.push(item)
+    while (this._maxLength > 0 && this._items.length > this._maxLength) {
+      this._items.shift()
+    }
+    this._index = this._items.length
+
+    this.emit('history-add', item)
+    return item
+  }
+
+  /**
+   * Reverts the last applied history item
+   * @return {Object} The reverted history item
+   */
+  undo () {
+    const item = this._undo()
+    if (item) {
+      this.emit('history-undo', item)
+    }
+    return item
+  }
+
+  /**
+   * Re-applies the last reverted history item
+   * @return {Object} The re-applied history item
+   */
+  redo () {
+    const item = this._redo()
+    if (item) {
+      this.emit('history-redo', item)
+    }
+    return item
+  }
+
+  /**
+   * Undoes or redoes history items until exactly `index` items are applied.
+   * `0` reverts all items, `length` applies all items.
+   * @param {Number} index
+   */
+  jump (index) {
+    if (index < 0 || index > this._items.length) {
+      throw new Error('History: Index ' + index + ' is out of bounds.')
+    }
+
+    const previousIndex = this._index
+    while (this._index > index) {
+      this._undo()
+    }
+    while (this._index < index) {
+      this._redo()
+    }
+
+    if (previousIndex !== index) {
+      this.emit('history-jump', { index, previousIndex })
+    }
+  }
+
+  /**
+   * Removes all history items
+   */
+  clear () {
+    this._items = []
+    this._index = 0
+  }
+
+  /**
+   * Checks whether there is an item that can be undone
+   * @return {Boolean}
+   */
+  canUndo () {
+    return this._index > 0
+  }
+
+  /**
+   * Checks whether there is an item that can be redone
+   * @return {Boolean}
+   */
+  canRedo () {
+    return this._index < this._items.length
+  }
+
+  /**
+   * Reverts the last applied history item without emitting an event
+   * @return {Object}
+   * @private
+   */
+  _undo () {
+    if (!this.canUndo()) return null
+
+    this._index--
+    const item = this._items[this._index]
+    const operation = this._findOperation(item)
+
+    // Remember the current state so that this item can be redone
+    item.redoExistent = !!operation
+    item.redoOptions = operation
+      ? this._snapshotOptions(operation, Object.keys(item.options))
+      : item.options
+
+    this._applyState(item, item.existent, item.options)
+    return item
+  }
+
+  /**
+   * Re-applies the last reverted history item without emitting an event
+   * @return {Object}
+   * @private
+   */
+  _redo () {
+    if (!this.canRedo()) return null
+
+    const item = this._items[this._index]
+    this._index++
+
+    this._applyState(item, item.redoExistent, item.redoOptions)
+    return item
+  }
+
+  /**
+   * Makes sure the operation of the given item is (or is not) on the
+   * operations stack and applies the given options
+   * @param {Object} item
+   * @param {Boolean} existent
+   * @param {Object.<String, *>} options
+   * @private
+   */
+  _applyState (item, existent, options) {
+    const stack = this._kit.operationsStack
+    let operation = this._findOperation(item)
+
+    if (!existent) {
+      if (operation) {
+        item.stackIndex = stack.indexOf(operation)
+        stack.splice(item.stackIndex, 1)
+      }
+      return
+    }
+
+    if (!operation) {
+      operation = item.operation
+      const index = typeof item.stackIndex === 'undefined'
+        ? stack.length
+        : Math.min(item.stackIndex, stack.length)
+      stack.splice(index, 0, operation)
+    }
+    item.operation = operation
+    operation.set(cloneOptions(options))
+  }
+
+  /**
+   * Returns the operation on the stack that the given item refers to. Since
+   * operations might have been re-created in the meantime, operations with
+   * the same identifier are accepted as well.
+   * @param {Object} item
+   * @return {Operation}
+   * @private
+   */
+  _findOperation (item) {
+    const stack = this._kit.operationsStack
+    if (stack.indexOf(item.operation) !== -1) {
+      return item.operation
+    }
+    return this._kit.getOperationFromStack(item.operation.identifier) || null
+  }
+
+  /**
+   * Returns a copy of the given options of the given operation
+   * @param {Operation} operation
+   * @param {Array.<String>} optionNames
+   * @return {Object.<String, *>}
+   * @private
+   */
+  _snapshotOptions (operation, optionNames) {
+    const options = {}
+    optionNames.forEach((optionName) => {
+      options[optionName] = cloneValue(operation._getOption(optionName))
+    })
+    return options
+  }
+
+  /**
+   * All history items, including the ones that have been undone
+   * @type {Array.<Object>}
+   */
+  get items () {
+    return this._items
+  }
+
+  /**
+   * The amount of currently applied history items
+   * @type {Number}
+   */
+  get index () {
+    return this._index
+  }
+
+  /**
+   * The amount of history items
+   * @type {Number}
+   */
+  get length () {
+    return this._items.length
+  }
+
+  /**
+   * The maximum amount of history items. `0` disables the limit.
+   * @type {Number}
+   */
+  get maxLength () {
+    return this._maxLength
+  }
+
+  set maxLength (maxLength) {
+    this._maxLength = maxLength
+    while (maxLength > 0 && this._items.length > maxLength) {
+      this._items.shift()
+      this._index = Math.max(0, this._index - 1)
+    }
+  }
+}
+
+export default History
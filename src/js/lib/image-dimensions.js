@@ -114,6 +114,17 @@ class ImageDimensions {
 
     return dimensions
   }
+
+  /**
+   * Checks whether the given dimensions string is valid
+   * @param  {string} dimensions
+   * @return {Boolean} Whether any dimensions are given
+   * @throws {Error} If the dimensions string is invalid
+   */
+  static validate (dimensions) {
+    const imageDimensions = new ImageDimensions(dimensions)
+    return imageDimensions._rules !== null
+  }
 }
 
 export default ImageDimensions
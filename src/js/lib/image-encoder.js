@@ -0,0 +1,203 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+import { ImageFormat } from '../constants'
+import Base64 from './base64'
+
+/**
+ * Encodes raw RGBA pixel data to image formats that canvas elements
+ * can't export. Since it does not depend on the environment, node.js and
+ * browsers produce the exact same output.
+ * @class
+ * @alias ImglyKit.ImageEncoder
+ * @private
+ */
+class ImageEncoder {
+  /**
+   * Checks whether the given image format can be encoded
+   * @param  {ImglyKit.ImageFormat} imageFormat
+   * @return {Boolean}
+   */
+  static isSupported (imageFormat) {
+    return imageFormat === ImageFormat.BMP ||
+      imageFormat === ImageFormat.TIFF
+  }
+
+  /**
+   * Encodes the given pixel data
+   * @param  {ImageData} imageData - An object with `width`, `height` and
+   *                               non-premultiplied RGBA `data`
+   * @param  {ImglyKit.ImageFormat} imageFormat
+   * @return {Uint8Array}
+   */
+  static encode (imageData, imageFormat) {
+    switch (imageFormat) {
+      case ImageFormat.BMP:
+        return ImageEncoder.encodeBMP(imageData)
+      case ImageFormat.TIFF:
+        return ImageEncoder.encodeTIFF(imageData)
+      default:
+        throw new Error('ImageEncoder: Unsupported image format: ' + imageFormat)
+    }
+  }
+
+  /**
+   * Returns a data url for the given encoded image
+   * @param  {Uint8Array} bytes
+   * @param  {ImglyKit.ImageFormat} imageFormat
+   * @return {String}
+   */
+  static toDataURL (bytes, imageFormat) {
+    return 'data:' + imageFormat + ';base64,' + Base64.encode(bytes)
+  }
+
+  /**
+   * Encodes the given pixel data as a 32 bit top-down bitmap with an
+   * alpha channel (BITMAPV4HEADER)
+   * @param  {ImageData} imageData
+   * @return {Uint8Array}
+   */
+  static encodeBMP (imageData) {
+    const { width, height, data } = imageData
+    const fileHeaderSize = 14
+    const infoHeaderSize = 108
+    const dataOffset = fileHeaderSize + infoHeaderSize
+    const dataSize = width * height * 4
+
+    const bytes = new Uint8Array(dataOffset + dataSize)
+    const view = new DataView(bytes.buffer)
+
+    // File header
+    bytes[0] = 0x42 // B
+    bytes[1] = 0x4D // M
+    view.setUint32(2, bytes.length, true)
+    view.setUint32(10, dataOffset, true)
+
+    // BITMAPV4HEADER
+    view.setUint32(14, infoHeaderSize, true)
+    view.setInt32(18, width, true)
+    view.setInt32(22, -height, true) // Negative height: top-down rows
+    view.setUint16(26, 1, true) // Planes
+    view.setUint16(28, 32, true) // Bits per pixel
+    view.setUint32(30, 3, true) // BI_BITFIELDS
+    view.setUint32(34, dataSize, true)
+    view.setInt32(38, 2835, true) // 72 DPI
+    view.setInt32(42, 2835, true)
+    view.setUint32(54, 0x00FF0000, true) // Red mask
+    view.setUint32(58, 0x0000FF00, true) // Green mask
+    view.setUint32(62, 0x000000FF, true) // Blue mask
+    view.setUint32(66, 0xFF000000, true) // Alpha mask
+    view.setUint32(70, 0x73524742, true) // LCS_sRGB
+
+    // Pixels are stored as BGRA
+    for (let i = 0; i < dataSize; i += 4) {
+      const offset = dataOffset + i
+      bytes[offset] = data[i + 2]
+      bytes[offset + 1] = data[i + 1]
+      bytes[offset + 2] = data[i]
+      bytes[offset + 3] = data[i + 3]
+    }
+
+    return bytes
+  }
+
+  /**
+   * Encodes the given pixel data as an uncompressed little-endian RGBA
+   * baseline TIFF with a single strip
+   * @param  {ImageData} imageData
+   * @return {Uint8Array}
+   */
+  static encodeTIFF (imageData) {
+    const { width, height, data } = imageData
+    const SHORT = 3
+    const LONG = 4
+    const RATIONAL = 5
+
+    const entries = [
+      [256, LONG, 1, width], // ImageWidth
+      [257, LONG, 1, height], // ImageLength
+      [258, SHORT, 4, null], // BitsPerSample, stored separately
+      [259, SHORT, 1, 1], // Compression: none
+      [262, SHORT, 1, 2], // PhotometricInterpretation: RGB
+      [273, LONG, 1, null], // StripOffsets
+      [277, SHORT, 1, 4], // SamplesPerPixel
+      [278, LONG, 1, height], // RowsPerStrip
+      [279, LONG, 1, width * height * 4], // StripByteCounts
+      [282, RATIONAL, 1, null], // XResolution
+      [283, RATIONAL, 1, null], // YResolution
+      [284, SHORT, 1, 1], // PlanarConfiguration: chunky
+      [296, SHORT, 1, 2], // ResolutionUnit: inch
+      [338, SHORT, 1, 2] // ExtraSamples: unassociated alpha
+    ]
+
+    const ifdOffset = 8
+    const ifdSize = 2 + entries.length * 12 + 4
+    const bitsPerSampleOffset = ifdOffset + ifdSize
+    const xResolutionOffset = bitsPerSampleOffset + 8
+    const yResolutionOffset = xResolutionOffset + 8
+    const dataOffset = yResolutionOffset + 8
+    const dataSize = width * height * 4
+
+    const bytes = new Uint8Array(dataOffset + dataSize)
+    const view = new DataView(bytes.buffer)
+
+    // Header
+    bytes[0] = 0x49 // I
+    bytes[1] = 0x49 // I
+    view.setUint16(2, 42, true)
+    view.setUint32(4, ifdOffset, true)
+
+    // Image file directory
+    view.setUint16(ifdOffset, entries.length, true)
+    entries.forEach(([tag, type, count, value], i) => {
+      const offset = ifdOffset + 2 + i * 12
+      switch (tag) {
+        case 258:
+          value = bitsPerSampleOffset
+          break
+        case 273:
+          value = dataOffset
+          break
+        case 282:
+          value = xResolutionOffset
+          break
+        case 283:
+          value = yResolutionOffset
+          break
+      }
+
+      view.setUint16(offset, tag, true)
+      view.setUint16(offset + 2, type, true)
+      view.setUint32(offset + 4, count, true)
+      if (type === SHORT && count === 1) {
+        view.setUint16(offset + 8, value, true)
+      } else {
+        view.setUint32(offset + 8, value, true)
+      }
+    })
+    view.setUint32(ifdOffset + 2 + entries.length * 12, 0, true) // No next IFD
+
+    // BitsPerSample: 8, 8, 8, 8
+    for (let i = 0; i < 4; i++) {
+      view.setUint16(bitsPerSampleOffset + i * 2, 8, true)
+    }
+
+    // 72 DPI
+    view.setUint32(xResolutionOffset, 72, true)
+    view.setUint32(xResolutionOffset + 4, 1, true)
+    view.setUint32(yResolutionOffset, 72, true)
+    view.setUint32(yResolutionOffset + 4, 1, true)
+
+    bytes.set(data, dataOffset)
+
+    return bytes
+  }
+}
+
+export default ImageEncoder
@@ -1,4 +1,4 @@
-/* global Image */
+/* global Image, Blob */
 /*
  * Photo Editor SDK - photoeditorsdk.com
  * Copyright (c) 2013-2015 9elements GmbH
@@ -12,6 +12,14 @@ import { RenderType, ImageFormat } from '../constants'
 import Utils from './utils'
 import Promise from '../vendor/promise'
 import Exif from './exif'
+import ImageEncoder from './image-encoder'
+
+/**
+ * Caches the results of the image format support detection
+ * @type {Object.<String, Boolean>}
+ * @private
+ */
+const supportedFormats = {}
 
 /**
  * @class
@@ -20,6 +28,51 @@ import Exif from './exif'
  */
 class ImageExporter {
 
+  /**
+   * Checks whether the given image format can be exported in the current
+   * environment. Formats that are not handled by {@link ImageEncoder} are
+   * exported by the canvas itself, which falls back to PNG for formats it
+   * does not know.
+   * @param  {ImglyKit.ImageFormat} imageFormat
+   * @return {Boolean}
+   */
+  static isFormatSupported (imageFormat) {
+    if (imageFormat === ImageFormat.PNG || ImageEncoder.isSupported(imageFormat)) {
+      return true
+    }
+
+    if (typeof supportedFormats[imageFormat] === 'undefined') {
+      let supported
+      try {
+        if (typeof window === 'undefined' && imageFormat === ImageFormat.JPEG) {
+          // node-canvas only encodes JPEG when it has been built with libjpeg
+          supported = !!require('canvas').jpegVersion
+        } else {
+          const canvas = ImageExporter._createCanvas(1, 1)
+          const dataURL = canvas.toDataURL(imageFormat)
+          supported = dataURL.indexOf('data:' + imageFormat) === 0
+        }
+      } catch (e) {
+        supported = false
+      }
+      supportedFormats[imageFormat] = supported
+    }
+    return supportedFormats[imageFormat]
+  }
+
+  /**
+   * Returns the error that is thrown when exporting to an image format
+   * that is not supported
+   * @param  {ImglyKit.ImageFormat} imageFormat
+   * @return {Error}
+   * @private
+   */
+  static _createUnsupportedFormatError (imageFormat) {
+    const err = new Error('Image format ' + imageFormat + ' is not supported in this environment')
+    err.code = 'IMAGE_FORMAT_NOT_SUPPORTED'
+    return err
+  }
+
   static validateSettings (renderType, imageFormat) {
     var settings = {
       renderType: renderType,
@@ -42,6 +95,12 @@ class ImageExporter {
       settings.imageFormat = ImageFormat.PNG
     }
 
+    // Make sure we don't silently export a different format
+    if (typeof settings.imageFormat === 'string' &&
+        !ImageExporter.isFormatSupported(settings.imageFormat)) {
+      throw ImageExporter._createUnsupportedFormatError(settings.imageFormat)
+    }
+
     // Render type 'buffer' only available in node
     if (settings.renderType === RenderType.BUFFER &&
         typeof process === 'undefined') {
@@ -62,54 +121,196 @@ class ImageExporter {
    * @return {Promise}
    */
   static export (kit, image, canvas, renderType, imageFormat, quality=0.8) {
-    return new Promise((resolve, reject) => {
-      let result
-      if (renderType === RenderType.IMAGE ||
-          renderType === RenderType.DATAURL) {
-        if (typeof window === 'undefined') {
-          // Quality not supported in node environment / node-canvas
-          result = canvas.toDataURL(imageFormat)
-        } else {
-          result = canvas.toDataURL(imageFormat, quality)
+    if (ImageEncoder.isSupported(imageFormat)) {
+      return ImageExporter._exportEncoded(canvas, renderType, imageFormat)
+    }
+
+    // node-canvas' `toBuffer` always encodes PNG, buffers of other formats
+    // are created from the data url
+    const bufferFromDataURL = renderType === RenderType.BUFFER &&
+      !!imageFormat && imageFormat !== ImageFormat.PNG
+
+    const needsDataURL = renderType === RenderType.IMAGE ||
+      renderType === RenderType.DATAURL ||
+      bufferFromDataURL
+    const dataURLPromise = needsDataURL
+      ? ImageExporter._toDataURL(canvas, imageFormat, quality)
+      : Promise.resolve(null)
+
+    return dataURLPromise.then((result) => new Promise((resolve, reject) => {
+      if (needsDataURL) {
+        // Canvas falls back to PNG for unknown formats
+        if (imageFormat && result.indexOf('data:' + imageFormat) !== 0) {
+          return reject(ImageExporter._createUnsupportedFormatError(imageFormat))
         }
 
         // When image's `src` attribute is a jpeg data url, we can restore
-        // the exif information
+        // the exif information. The thumbnails would show what has been
+        // redacted, so they are dropped in this case.
         if (Exif.isJPEG(image.src) && Exif.isJPEG(result)) {
           const { exif } = kit
           if (exif) {
-            result = exif.restoreExifTags(result)
+            result = exif.restoreExifTags(result, {
+              stripGPS: kit.options.stripGPS,
+              stripThumbnail: !!kit.getOperationFromStack('redact')
+            })
           }
         }
       }
 
       if (renderType === RenderType.IMAGE) {
-        let outputImage
-
-        /* istanbul ignore else  */
-        if (typeof window === 'undefined') {
-          // Not a browser environment
-          var CanvasImage = require('canvas').Image
-          outputImage = new CanvasImage()
-        } else {
-          outputImage = new Image()
-        }
-
-        outputImage.src = result
-        resolve(outputImage)
+        resolve(ImageExporter._createImage(result))
       } else if (renderType === RenderType.DATAURL) {
         resolve(result)
       } else if (renderType === RenderType.BUFFER) {
-        resolve(canvas.toBuffer())
+        resolve(bufferFromDataURL
+          ? ImageExporter._dataURLToBuffer(result)
+          : canvas.toBuffer())
       } else if (renderType === RenderType.MSBLOB) {
         resolve(canvas.msToBlob())
       } else if (renderType === RenderType.BLOB) {
         canvas.toBlob((blob) => {
+          if (imageFormat && blob.type !== imageFormat) {
+            return reject(ImageExporter._createUnsupportedFormatError(imageFormat))
+          }
           resolve(blob)
         }, imageFormat, quality)
+      } else {
+        reject(new Error('Invalid render type: ' + renderType))
+      }
+    }))
+  }
+
+  /**
+   * Returns the data url of the given canvas. node-canvas only encodes JPEG
+   * asynchronously, and JPEG is the only format it applies the quality to.
+   * @param  {Canvas} canvas
+   * @param  {ImglyKit.ImageFormat} imageFormat
+   * @param  {Number} quality
+   * @return {Promise}
+   * @private
+   */
+  static _toDataURL (canvas, imageFormat, quality) {
+    return new Promise((resolve, reject) => {
+      if (typeof window !== 'undefined') {
+        return resolve(canvas.toDataURL(imageFormat, quality))
+      }
+
+      if (imageFormat !== ImageFormat.JPEG) {
+        return resolve(canvas.toDataURL(imageFormat))
+      }
+
+      canvas.toDataURL(imageFormat, quality, (err, dataURL) => {
+        if (err) return reject(err)
+        resolve(dataURL)
+      })
+    })
+  }
+
+  /**
+   * Exports the image from the given canvas using the {@link ImageEncoder}
+   * @param  {Canvas} canvas
+   * @param  {ImglyKit.RenderType} renderType
+   * @param  {ImglyKit.ImageFormat} imageFormat
+   * @return {Promise}
+   * @private
+   */
+  static _exportEncoded (canvas, renderType, imageFormat) {
+    return new Promise((resolve, reject) => {
+      const imageData = ImageExporter._getImageData(canvas)
+      const bytes = ImageEncoder.encode(imageData, imageFormat)
+
+      switch (renderType) {
+        case RenderType.IMAGE:
+          resolve(ImageExporter._createImage(ImageEncoder.toDataURL(bytes, imageFormat)))
+          break
+        case RenderType.DATAURL:
+          resolve(ImageEncoder.toDataURL(bytes, imageFormat))
+          break
+        case RenderType.BUFFER:
+          resolve(new Buffer(bytes))
+          break
+        case RenderType.BLOB:
+        case RenderType.MSBLOB:
+          resolve(new Blob([bytes], { type: imageFormat }))
+          break
+        default:
+          reject(new Error('Invalid render type: ' + renderType))
       }
     })
   }
+
+  /**
+   * Decodes the given base64 data url
+   * @param  {String} dataURL
+   * @return {Buffer}
+   * @private
+   */
+  static _dataURLToBuffer (dataURL) {
+    return new Buffer(dataURL.slice(dataURL.indexOf(',') + 1), 'base64')
+  }
+
+  /**
+   * Returns the non-premultiplied pixel data of the given canvas
+   * @param  {Canvas} canvas
+   * @return {ImageData}
+   * @private
+   */
+  static _getImageData (canvas) {
+    let context = canvas.getContext('2d')
+
+    // WebGL canvases don't have a 2D context, draw them to a new canvas
+    if (!context) {
+      const newCanvas = ImageExporter._createCanvas(canvas.width, canvas.height)
+      context = newCanvas.getContext('2d')
+      context.drawImage(canvas, 0, 0)
+    }
+
+    return context.getImageData(0, 0, canvas.width, canvas.height)
+  }
+
+  /**
+   * Creates an image with the given source
+   * @param  {String} src
+   * @return {Image}
+   * @private
+   */
+  static _createImage (src) {
+    let outputImage
+
+    /* istanbul ignore else  */
+    if (typeof window === 'undefined') {
+      // Not a browser environment
+      var CanvasImage = require('canvas').Image
+      outputImage = new CanvasImage()
+    } else {
+      outputImage = new Image()
+    }
+
+    outputImage.src = src
+    return outputImage
+  }
+
+  /**
+   * Creates a canvas with the given dimensions
+   * @param  {Number} width
+   * @param  {Number} height
+   * @return {Canvas}
+   * @private
+   */
+  static _createCanvas (width, height) {
+    var canvas
+    /* istanbul ignore else  */
+    if (typeof window === 'undefined') {
+      var Canvas = require('canvas')
+      canvas = new Canvas()
+    } else {
+      canvas = document.createElement('canvas')
+    }
+    canvas.width = width
+    canvas.height = height
+    return canvas
+  }
 }
 
 export default ImageExporter
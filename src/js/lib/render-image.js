@@ -14,6 +14,7 @@ import Vector2 from './math/vector2'
 import CanvasRenderer from '../renderers/canvas-renderer'
 import WebGLRenderer from '../renderers/webgl-renderer'
 import Utils from './utils'
+import CancellationToken from './cancellation-token'
 
 /**
  * Handles the image rendering process
@@ -23,10 +24,12 @@ import Utils from './utils'
  * @param {Array.<ImglyKit.Operation>} operationsStack
  * @param {string} dimensions
  * @param {string} preferredRenderer
+ * @param {Renderer} [renderer] - A renderer of a previous RenderImage that
+ *                              should be reused
  * @private
  */
 class RenderImage extends EventEmitter {
-  constructor (image, operationsStack, dimensions, preferredRenderer) {
+  constructor (image, operationsStack, dimensions, preferredRenderer, renderer = null) {
     super()
 
     /**
@@ -74,7 +77,23 @@ class RenderImage extends EventEmitter {
      */
     this._initialDimensions = new Vector2(this._image.width, this._image.height)
 
-    this._initRenderer()
+    if (renderer) {
+      this._reuseRenderer(renderer)
+    } else {
+      this._initRenderer()
+    }
+  }
+
+  /**
+   * Prepares the given renderer for rendering this image
+   * @param {Renderer} renderer
+   * @private
+   */
+  _reuseRenderer (renderer) {
+    this._renderer = renderer
+    this._webglEnabled = renderer.identifier === 'webgl'
+    this._renderer.setImage(this._image)
+    this._renderer.reset(true)
   }
 
   /**
@@ -101,22 +120,42 @@ class RenderImage extends EventEmitter {
   }
 
   /**
-   * Renders the image
-   * @return {Promise}
+   * Renders the image. Emits an `operation-start` event ({ operation, index,
+   * total }) before and an `operation-end` event ({ operation, index, total,
+   * duration }) after each operation has been rendered.
+   * @param {ImglyKit.CancellationToken} [cancellationToken] - Aborts the
+   *                                                       rendering when
+   *                                                       cancelled
+   * @param {ImglyKit.Operation} [finalOperation] - An operation that is
+   *                                              rendered after the image
+   *                                              has been resized to its
+   *                                              final dimensions
+   * @return {Promise} Gets rejected with a `RENDER_CANCELLED` error when the
+   *                   rendering has been cancelled. The renderer is disposed
+   *                   in this case.
    */
-  render () {
+  render (cancellationToken = null, finalOperation = null) {
     const stack = this.sanitizedStack
-    const initialDimensions = this._renderer.getInitialDimensionsForStack(stack, this._dimensions)
-    this._renderer.resizeTo(initialDimensions)
-    this._renderer.drawImage(this._image)
-
-    let validationPromises = []
-    for (let i = 0; i < stack.length; i++) {
-      let operation = stack[i]
-      validationPromises.push(operation.validateSettings())
+    const throwIfCancelled = () => {
+      if (cancellationToken) cancellationToken.throwIfCancelled()
     }
 
-    return Promise.all(validationPromises)
+    return Promise.resolve()
+      .then(() => {
+        throwIfCancelled()
+
+        this._renderer.setStack(stack)
+        const initialDimensions = this._renderer.getInitialDimensionsForStack(stack, this._dimensions)
+        this._renderer.resizeTo(initialDimensions)
+        this._renderer.drawImage(this._image)
+
+        let validationPromises = []
+        for (let i = 0; i < stack.length; i++) {
+          let operation = stack[i]
+          validationPromises.push(operation.validateSettings())
+        }
+        return Promise.all(validationPromises)
+      })
       .then(() => {
         let promise = Promise.resolve()
         for (let i = 0; i < stack.length; i++) {
@@ -124,8 +163,13 @@ class RenderImage extends EventEmitter {
           promise = promise.then(() => {
             return new Promise((resolve, reject) => {
               Utils.requestAnimationFrame(() => {
-                operation.render(this._renderer)
-                resolve()
+                try {
+                  throwIfCancelled()
+                  Promise.resolve(this._renderOperation(operation, i, stack.length, cancellationToken))
+                    .then(resolve, reject)
+                } catch (e) {
+                  reject(e)
+                }
               })
             })
           })
@@ -133,11 +177,49 @@ class RenderImage extends EventEmitter {
         return promise
       })
       .then(() => {
+        throwIfCancelled()
         return this._renderer.renderFinal()
       })
       .then(() => {
         return this._renderer.postRender(this._dimensions)
       })
+      .then(() => {
+        if (!finalOperation) return
+
+        throwIfCancelled()
+        return Promise.resolve(finalOperation.render(this._renderer))
+          .then(() => this._renderer.renderFinal())
+      })
+      .catch((err) => {
+        if (err.code === CancellationToken.ERROR_CODE) {
+          this._renderer.dispose()
+        }
+        throw err
+      })
+  }
+
+  /**
+   * Renders the given operation and emits the progress events
+   * @param {ImglyKit.Operation} operation
+   * @param {Number} index
+   * @param {Number} total
+   * @param {ImglyKit.CancellationToken} [cancellationToken]
+   * @return {Promise} If the operation renders asynchronously
+   * @private
+   */
+  _renderOperation (operation, index, total, cancellationToken) {
+    this.emit('operation-start', { operation, index, total })
+    const start = Date.now()
+    const emitEnd = () => {
+      const duration = Date.now() - start
+      this.emit('operation-end', { operation, index, total, duration })
+    }
+
+    const result = operation.render(this._renderer, cancellationToken)
+    if (result && typeof result.then === 'function') {
+      return result.then(emitEnd)
+    }
+    emitEnd()
   }
 
   /**
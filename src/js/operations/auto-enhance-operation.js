@@ -0,0 +1,170 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import Histogram from '../lib/histogram'
+import PrimitivesStack from './filters/primitives-stack'
+import LookupTablePrimitive from './filters/primitives/lookup-table'
+import ToneCurvePrimitive from './filters/primitives/tone-curve'
+import SaturationPrimitive from './filters/primitives/saturation'
+
+/**
+ * The maximum width / height of the image that is analyzed
+ * @type {Number}
+ */
+const ANALYSIS_SIZE = 256
+
+/**
+ * The percentage of pixels that may be clipped by the levels stretching
+ * @type {Number}
+ */
+const CLIP_PERCENTAGE = 0.5
+
+/**
+ * The minimum and maximum gain of the white balance correction
+ * @type {Number}
+ */
+const MIN_GAIN = 0.8
+const MAX_GAIN = 1.25
+
+/**
+ * The control points of the mild contrast curve
+ * @type {Array.<Array.<Number>>}
+ */
+const CONTRAST_CURVE = [[0, 0], [64, 58], [192, 198], [255, 255]]
+
+/**
+ * The saturation boost at full intensity
+ * @type {Number}
+ */
+const SATURATION_BOOST = 0.15
+
+/**
+ * An operation that automatically stretches the levels, corrects the white
+ * balance and slightly boosts the contrast and saturation. The original
+ * image is analyzed (instead of the renderer's output) so that the Canvas
+ * and WebGL renderers end up with the same lookup table.
+ *
+ * @class
+ * @alias ImglyKit.Operations.AutoEnhanceOperation
+ * @extends ImglyKit.Operation
+ */
+class AutoEnhanceOperation extends Operation {
+  /**
+   * Renders the enhancement using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the enhancement using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the enhancement (all renderers supported)
+   * @param {Renderer} renderer
+   * @private
+   */
+  _render (renderer) {
+    const intensity = this._options.intensity
+    if (intensity === 0) return
+
+    if (!this._stack) {
+      this._stack = new PrimitivesStack()
+      this._lookupTable = new LookupTablePrimitive()
+      this._saturation = new SaturationPrimitive()
+      this._stack.add(this._lookupTable)
+      this._stack.add(this._saturation)
+    }
+
+    const image = this._kit.getImage()
+    if (image !== this._analyzedImage) {
+      this._histogram = Histogram.fromImage(image, renderer.createCanvas(), ANALYSIS_SIZE)
+      this._analyzedImage = image
+    }
+
+    this._lookupTable.options.data = AutoEnhanceOperation.createLookupTable(this._histogram, intensity)
+    this._saturation.options.saturation = 1 + SATURATION_BOOST * intensity
+    this._stack.render(renderer)
+  }
+
+  /**
+   * Creates the lookup table data (256 RGBA entries) for the given
+   * histogram and intensity
+   * @param  {ImglyKit.Histogram} histogram
+   * @param  {Number} intensity
+   * @return {Array.<Number>}
+   */
+  static createLookupTable (histogram, intensity) {
+    // Levels: Stretch the luminance range, ignoring a few outliers
+    let black = histogram.getPercentile('luminance', CLIP_PERCENTAGE)
+    let white = histogram.getPercentile('luminance', 100 - CLIP_PERCENTAGE)
+    if (white - black < 16) {
+      black = 0
+      white = 255
+    }
+    const stretch = (value) => (value - black) * 255 / (white - black)
+
+    // White balance: Scale the channels so that their means are gray
+    const channels = ['red', 'green', 'blue']
+    const means = channels.map((channel) => stretch(histogram.mean[channel]))
+    const gray = (means[0] + means[1] + means[2]) / 3
+    const gains = means.map((mean) => {
+      if (mean <= 0) return 1
+      return Math.min(MAX_GAIN, Math.max(MIN_GAIN, gray / mean))
+    })
+
+    // Contrast: Apply a mild s-curve
+    const curve = new ToneCurvePrimitive({ controlPoints: CONTRAST_CURVE }).options.data
+
+    const clamp = (value) => Math.min(255, Math.max(0, Math.round(value)))
+    let data = []
+    for (let i = 0; i < 256; i++) {
+      for (let c = 0; c < 3; c++) {
+        const enhanced = curve[clamp(stretch(i) * gains[c]) * 4 + c]
+        data.push(clamp(i + (enhanced - i) * intensity))
+      }
+      data.push(255)
+    }
+    return data
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+AutoEnhanceOperation.prototype.identifier = 'auto-enhance'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+AutoEnhanceOperation.prototype.availableOptions = {
+  intensity: { type: 'number', default: 1,
+    validation: function (intensity) {
+      if (intensity < 0 || intensity > 1) {
+        throw new Error('Operation `auto-enhance`: Option `intensity` has to be between 0 and 1.')
+      }
+    }
+  }
+}
+
+export default AutoEnhanceOperation
@@ -237,7 +237,30 @@ BrushOperation.prototype.identifier = 'brush'
  * @type {Object}
  */
 BrushOperation.prototype.availableOptions = {
-  paths: { type: 'array', default: [] }
+  paths: { type: 'array', default: [],
+    serialize: function (paths) {
+      return paths.map((path) => {
+        return {
+          thickness: path.getThickness(),
+          color: [path.getColor().r, path.getColor().g, path.getColor().b, path.getColor().a],
+          controlPoints: path.getControlPoints().map((controlPoint) => {
+            const position = controlPoint.getPosition()
+            return [position.x, position.y]
+          })
+        }
+      })
+    },
+    deserialize: function (paths) {
+      return paths.map((data) => {
+        const color = new Color(data.color[0], data.color[1], data.color[2], data.color[3])
+        const path = new BrushOperation.Path(this, data.thickness, color)
+        data.controlPoints.forEach((position) => {
+          path.addControlPoint(new Vector2(position[0], position[1]))
+        })
+        return path
+      })
+    }
+  }
 }
 
 /**
@@ -275,6 +298,10 @@ BrushOperation.Path = class Path {
     return this._thickness
   }
 
+  getControlPoints () {
+    return this._controlPoints
+  }
+
   setDirty () {
     this._controlPoints.forEach((point) => {
       point.setDirty()
@@ -0,0 +1,209 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import PrimitivesStack from './filters/primitives-stack'
+import LookupTablePrimitive from './filters/primitives/lookup-table'
+import ToneCurvePrimitive from './filters/primitives/tone-curve'
+
+const CHANNELS = ['rgb', 'red', 'green', 'blue']
+
+/**
+ * Returns the control points of a curve that doesn't change the image
+ * @return {Array.<Array.<Number>>}
+ */
+function createIdentityCurve () {
+  return [[0, 0], [255, 255]]
+}
+
+/**
+ * An operation that applies user defined tone curves. Each curve is defined
+ * by control points (`[x, y]`, between 0 and 255) that are interpolated
+ * using splines. The curves of the single channels are applied first, then
+ * the composite (`rgb`) curve.
+ *
+ * @class
+ * @alias ImglyKit.Operations.CurvesOperation
+ * @extends ImglyKit.Operation
+ */
+class CurvesOperation extends Operation {
+  /**
+   * Renders the curves using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the curves using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the curves (all renderers supported)
+   * @param {Renderer} renderer
+   * @private
+   */
+  _render (renderer) {
+    if (!this._stack) {
+      this._stack = new PrimitivesStack()
+      this._primitive = new LookupTablePrimitive()
+      this._stack.add(this._primitive)
+    }
+
+    this._primitive.options.data = this.createLookupTable()
+    this._stack.render(renderer)
+  }
+
+  /**
+   * Creates the lookup table data (256 RGBA entries) for the current
+   * control points by combining the channel curves with the composite curve
+   * @return {Array.<Number>}
+   */
+  createLookupTable () {
+    const { rgb, red, green, blue } = this._options.rgbControlPoints
+
+    // ToneCurve sorts the given points in place, so we pass copies
+    const channelCurves = new ToneCurvePrimitive({
+      rgbControlPoints: { red: red.slice(0), green: green.slice(0), blue: blue.slice(0) }
+    }).options.data
+    const compositeCurve = new ToneCurvePrimitive({
+      controlPoints: rgb.slice(0)
+    }).options.data
+
+    let data = []
+    for (let i = 0; i < 256; i++) {
+      for (let c = 0; c < 3; c++) {
+        const value = Math.round(channelCurves[i * 4 + c])
+        data.push(Math.round(compositeCurve[value * 4 + c]))
+      }
+      data.push(255)
+    }
+    return data
+  }
+
+  /**
+   * Returns the control points of the given channel
+   * @param  {String} channel - `rgb`, `red`, `green` or `blue`
+   * @return {Array.<Array.<Number>>}
+   */
+  getControlPoints (channel) {
+    this._checkChannel(channel)
+    return this._options.rgbControlPoints[channel]
+  }
+
+  /**
+   * Sets the control points of the given channel
+   * @param {String} channel - `rgb`, `red`, `green` or `blue`
+   * @param {Array.<Array.<Number>>} points
+   */
+  setControlPoints (channel, points) {
+    this._checkChannel(channel)
+
+    let rgbControlPoints = {}
+    CHANNELS.forEach((c) => {
+      rgbControlPoints[c] = this._options.rgbControlPoints[c]
+    })
+    rgbControlPoints[channel] = points
+    this.setRgbControlPoints(rgbControlPoints)
+  }
+
+  /**
+   * Throws an error if the given channel does not exist
+   * @param {String} channel
+   * @private
+   */
+  _checkChannel (channel) {
+    if (CHANNELS.indexOf(channel) === -1) {
+      throw new Error('Operation `curves`: Unknown channel `' + channel + '`.')
+    }
+  }
+
+  /**
+   * Checks whether the given control points leave the image unchanged
+   * @param  {Array.<Array.<Number>>} points
+   * @return {Boolean}
+   */
+  static isIdentity (points) {
+    for (let i = 0; i < points.length; i++) {
+      if (points[i][0] !== points[i][1]) return false
+    }
+    return true
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+CurvesOperation.prototype.identifier = 'curves'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+CurvesOperation.prototype.availableOptions = {
+  rgbControlPoints: { type: 'object',
+    default: {
+      rgb: createIdentityCurve(),
+      red: createIdentityCurve(),
+      green: createIdentityCurve(),
+      blue: createIdentityCurve()
+    },
+    // Copies, rounds and sorts the points. Missing channels are reset.
+    setter: function (rgbControlPoints) {
+      let normalized = {}
+      CHANNELS.forEach((channel) => {
+        const points = rgbControlPoints[channel] || createIdentityCurve()
+        normalized[channel] = points
+          .map((point) => [Math.round(point[0]), Math.round(point[1])])
+          .sort((a, b) => a[0] - b[0])
+      })
+      return normalized
+    },
+    validation: function (rgbControlPoints) {
+      CHANNELS.forEach((channel) => {
+        const prefix = 'Operation `curves`: Curve `' + channel + '`'
+        const points = rgbControlPoints[channel]
+        if (points.length < 2) {
+          throw new Error(prefix + ' needs at least 2 control points.')
+        }
+        if (points[0][0] !== 0 || points[points.length - 1][0] !== 255) {
+          throw new Error(prefix + ' has to start at x = 0 and end at x = 255.')
+        }
+        for (let i = 0; i < points.length; i++) {
+          const [x, y] = points[i]
+          if (isNaN(x) || isNaN(y) || y < 0 || y > 255) {
+            throw new Error(prefix + ': Control points have to be between 0 and 255.')
+          }
+          if (i > 0 && x === points[i - 1][0]) {
+            throw new Error(prefix + ': Control points need distinct x values.')
+          }
+        }
+      })
+    }
+  }
+}
+
+/**
+ * The channels that have a curve
+ * @type {Array.<String>}
+ */
+CurvesOperation.CHANNELS = CHANNELS
+
+export default CurvesOperation
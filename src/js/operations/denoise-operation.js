@@ -0,0 +1,430 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import Utils from '../lib/utils'
+
+/**
+ * The radius (in pixels) of the filter kernel and the standard deviation of
+ * its spatial weights
+ * @type {Number}
+ */
+const KERNEL_RADIUS = 3
+const SPATIAL_SIGMA = 2
+
+/**
+ * The standard deviations (in 0..255 units) of the range weights at a
+ * strength of 1. Differences that are a lot larger than these are treated
+ * as edges and are preserved.
+ * @type {Number}
+ */
+const MAX_LUMINANCE_SIGMA = 20
+const MAX_COLOR_SIGMA = 40
+
+/**
+ * The standard deviation (in 0..255 units) of the luminance weights used
+ * when smoothing the colors. Keeps colors from bleeding over edges.
+ * @type {Number}
+ */
+const EDGE_SIGMA = 25
+
+/**
+ * The size (in pixels) of the tiles the canvas implementation works on and
+ * the time (in milliseconds) it may block the browser before waiting for
+ * the next frame
+ * @type {Number}
+ */
+const TILE_SIZE = 256
+const FRAME_BUDGET = 40
+
+/**
+ * Returns the weights of a gaussian with the given standard deviation for
+ * the distances 0 to 255
+ * @param  {Number} sigma
+ * @return {Float32Array}
+ */
+function rangeWeights (sigma) {
+  const weights = new Float32Array(256)
+  for (let i = 0; i < 256; i++) {
+    weights[i] = Math.exp(-i * i / (2 * sigma * sigma))
+  }
+  return weights
+}
+
+/**
+ * An operation that reduces noise using a bilateral filter in YCbCr space.
+ * Luminance noise (grain) and color noise (colored blotches) are smoothed
+ * separately, pixels that differ a lot from each other are not mixed so
+ * that edges stay sharp.
+ *
+ * @class
+ * @alias ImglyKit.Operations.DenoiseOperation
+ * @extends ImglyKit.Operation
+ */
+class DenoiseOperation extends Operation {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * The fragment shader used for this operation
+     */
+    this._fragmentShader = `
+      precision mediump float;
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform vec2 u_texelSize;
+      uniform float u_luminanceSigma;
+      uniform float u_colorSigma;
+
+      const float spatialSigma = ${SPATIAL_SIGMA.toFixed(1)};
+      const float edgeSigma = ${(EDGE_SIGMA / 255).toFixed(6)};
+
+      vec3 toYCbCr(vec3 color) {
+        return vec3(
+          dot(color, vec3(0.299, 0.587, 0.114)),
+          dot(color, vec3(-0.168736, -0.331264, 0.5)) + 0.5,
+          dot(color, vec3(0.5, -0.418688, -0.081312)) + 0.5
+        );
+      }
+
+      vec3 toRGB(vec3 color) {
+        float cb = color.y - 0.5;
+        float cr = color.z - 0.5;
+        return vec3(
+          color.x + 1.402 * cr,
+          color.x - 0.344136 * cb - 0.714136 * cr,
+          color.x + 1.772 * cb
+        );
+      }
+
+      void main() {
+        vec4 texColor = texture2D(u_image, v_texCoord);
+        vec3 center = toYCbCr(texColor.rgb);
+
+        float luminanceSum = 0.0;
+        float luminanceTotal = 0.0;
+        vec2 colorSum = vec2(0.0);
+        float colorTotal = 0.0;
+
+        for (float y = -${KERNEL_RADIUS}.0; y <= ${KERNEL_RADIUS}.0; y++) {
+          for (float x = -${KERNEL_RADIUS}.0; x <= ${KERNEL_RADIUS}.0; x++) {
+            vec3 sampleColor = toYCbCr(texture2D(u_image, v_texCoord + vec2(x, y) * u_texelSize).rgb);
+            float spatial = exp(-(x * x + y * y) / (2.0 * spatialSigma * spatialSigma));
+            float luminanceDifference = sampleColor.x - center.x;
+
+            if (u_luminanceSigma > 0.0) {
+              float weight = spatial * exp(-luminanceDifference * luminanceDifference / (2.0 * u_luminanceSigma * u_luminanceSigma));
+              luminanceSum += sampleColor.x * weight;
+              luminanceTotal += weight;
+            }
+
+            if (u_colorSigma > 0.0) {
+              vec2 colorDifference = sampleColor.yz - center.yz;
+              float weight = spatial *
+                exp(-luminanceDifference * luminanceDifference / (2.0 * edgeSigma * edgeSigma)) *
+                exp(-dot(colorDifference, colorDifference) / (2.0 * u_colorSigma * u_colorSigma));
+              colorSum += sampleColor.yz * weight;
+              colorTotal += weight;
+            }
+          }
+        }
+
+        vec3 color = center;
+        if (luminanceTotal > 0.0) color.x = luminanceSum / luminanceTotal;
+        if (colorTotal > 0.0) color.yz = colorSum / colorTotal;
+
+        gl_FragColor = vec4(clamp(toRGB(color), 0.0, 1.0) * texColor.a, texColor.a);
+      }
+    `
+  }
+
+  /**
+   * Reduces the noise using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    const { luminanceSigma, colorSigma } = this._getParameters()
+    if (luminanceSigma === 0 && colorSigma === 0) return
+
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = renderer.setupGLSLProgram(
+        null,
+        this._fragmentShader
+      )
+    }
+
+    const canvas = renderer.getCanvas()
+    renderer.runProgram(this._glslPrograms[renderer.id], {
+      uniforms: {
+        u_texelSize: { type: '2f', value: [1 / canvas.width, 1 / canvas.height] },
+        u_luminanceSigma: { type: 'f', value: luminanceSigma / 255 },
+        u_colorSigma: { type: 'f', value: colorSigma / 255 }
+      }
+    })
+  }
+
+  /**
+   * Reduces the noise using Canvas2D. The image is processed in tiles, when
+   * a frame's time budget is used up the remaining tiles are processed in
+   * the next animation frame so that the browser stays responsive.
+   * @param  {CanvasRenderer} renderer
+   * @param  {ImglyKit.CancellationToken} [cancellationToken]
+   * @return {Promise} Gets rejected with a `RENDER_CANCELLED` error when the
+   *                   token has been cancelled between two frames
+   * @override
+   */
+  _renderCanvas (renderer, cancellationToken = null) {
+    const { luminanceSigma, colorSigma } = this._getParameters()
+    if (luminanceSigma === 0 && colorSigma === 0) return
+
+    const canvas = renderer.getCanvas()
+    const context = renderer.getContext()
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height)
+    const source = new Uint8ClampedArray(imageData.data)
+    const weights = {
+      spatial: DenoiseOperation._getSpatialWeights(),
+      luminance: luminanceSigma && rangeWeights(luminanceSigma),
+      edge: rangeWeights(EDGE_SIGMA),
+      color: colorSigma && rangeWeights(colorSigma)
+    }
+
+    let tiles = []
+    for (let y = 0; y < canvas.height; y += TILE_SIZE) {
+      for (let x = 0; x < canvas.width; x += TILE_SIZE) {
+        tiles.push({
+          x, y,
+          width: Math.min(TILE_SIZE, canvas.width - x),
+          height: Math.min(TILE_SIZE, canvas.height - y)
+        })
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      let index = 0
+      const processTiles = () => {
+        try {
+          if (cancellationToken) cancellationToken.throwIfCancelled()
+
+          const start = Date.now()
+          while (index < tiles.length) {
+            const tile = tiles[index++]
+            const planes = DenoiseOperation._getPlanes(source, canvas.width, canvas.height, tile)
+            DenoiseOperation._denoiseTile(imageData, source, planes, weights, tile)
+            if (index < tiles.length && Date.now() - start > FRAME_BUDGET) {
+              return Utils.requestAnimationFrame(processTiles)
+            }
+          }
+
+          context.putImageData(imageData, 0, 0)
+          resolve()
+        } catch (e) {
+          reject(e)
+        }
+      }
+      processTiles()
+    })
+  }
+
+  /**
+   * Converts the options to the standard deviations (in 0..255 units) of
+   * the range weights
+   * @return {Object}
+   * @private
+   */
+  _getParameters () {
+    return {
+      luminanceSigma: this._options.luminance * MAX_LUMINANCE_SIGMA,
+      colorSigma: this._options.color * MAX_COLOR_SIGMA
+    }
+  }
+
+  /**
+   * Converts the pixels the kernel reads for the given tile (the tile plus
+   * a margin of the kernel radius, clipped to the image) to YCbCr and
+   * returns the luminance and the two chroma channels as separate planes
+   * @param  {Uint8ClampedArray} data - The RGBA data of the whole image
+   * @param  {Number} width - The width of the whole image
+   * @param  {Number} height - The height of the whole image
+   * @param  {Object} tile
+   * @return {Object} The area the planes cover ({ x, y, width, height }) and
+   *                  the planes (`channels`)
+   * @private
+   */
+  static _getPlanes (data, width, height, tile) {
+    const x0 = Math.max(0, tile.x - KERNEL_RADIUS)
+    const y0 = Math.max(0, tile.y - KERNEL_RADIUS)
+    const x1 = Math.min(width, tile.x + tile.width + KERNEL_RADIUS)
+    const y1 = Math.min(height, tile.y + tile.height + KERNEL_RADIUS)
+    const planeWidth = x1 - x0
+    const pixelCount = planeWidth * (y1 - y0)
+    const channels = [
+      new Uint8ClampedArray(pixelCount),
+      new Uint8ClampedArray(pixelCount),
+      new Uint8ClampedArray(pixelCount)
+    ]
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        const dataIndex = (y * width + x) * 4
+        const index = (y - y0) * planeWidth + x - x0
+        const [luminance, cb, cr] = DenoiseOperation.toYCbCr(data[dataIndex], data[dataIndex + 1], data[dataIndex + 2])
+        channels[0][index] = luminance
+        channels[1][index] = cb
+        channels[2][index] = cr
+      }
+    }
+    return { x: x0, y: y0, width: planeWidth, height: y1 - y0, channels }
+  }
+
+  /**
+   * Returns the spatial weights of the kernel, row by row
+   * @return {Float32Array}
+   * @private
+   */
+  static _getSpatialWeights () {
+    const size = KERNEL_RADIUS * 2 + 1
+    const weights = new Float32Array(size * size)
+    for (let y = -KERNEL_RADIUS; y <= KERNEL_RADIUS; y++) {
+      for (let x = -KERNEL_RADIUS; x <= KERNEL_RADIUS; x++) {
+        weights[(y + KERNEL_RADIUS) * size + x + KERNEL_RADIUS] =
+          Math.exp(-(x * x + y * y) / (2 * SPATIAL_SIGMA * SPATIAL_SIGMA))
+      }
+    }
+    return weights
+  }
+
+  /**
+   * Filters the pixels of the given tile and writes them to the image data.
+   * The kernel reads from the unfiltered source, so the tiles can be
+   * processed in any order.
+   * @param  {ImageData} imageData
+   * @param  {Uint8ClampedArray} source - The unfiltered RGBA data
+   * @param  {Object} planes - The planes of the tile, see `_getPlanes`
+   * @param  {Object} weights
+   * @param  {Object} tile
+   * @private
+   */
+  static _denoiseTile (imageData, source, planes, weights, tile) {
+    const { width, height, data } = imageData
+    const [luminancePlane, cbPlane, crPlane] = planes.channels
+    const kernelSize = KERNEL_RADIUS * 2 + 1
+
+    for (let y = tile.y; y < tile.y + tile.height; y++) {
+      for (let x = tile.x; x < tile.x + tile.width; x++) {
+        const index = (y - planes.y) * planes.width + x - planes.x
+        const centerLuminance = luminancePlane[index]
+        const centerCb = cbPlane[index]
+        const centerCr = crPlane[index]
+
+        let luminanceSum = 0
+        let luminanceTotal = 0
+        let cbSum = 0
+        let crSum = 0
+        let colorTotal = 0
+
+        for (let offsetY = -KERNEL_RADIUS; offsetY <= KERNEL_RADIUS; offsetY++) {
+          const sampleY = Math.min(height - 1, Math.max(0, y + offsetY)) - planes.y
+          for (let offsetX = -KERNEL_RADIUS; offsetX <= KERNEL_RADIUS; offsetX++) {
+            const sampleX = Math.min(width - 1, Math.max(0, x + offsetX)) - planes.x
+            const sampleIndex = sampleY * planes.width + sampleX
+            const spatial = weights.spatial[(offsetY + KERNEL_RADIUS) * kernelSize + offsetX + KERNEL_RADIUS]
+            const luminance = luminancePlane[sampleIndex]
+            const luminanceDifference = Math.abs(luminance - centerLuminance)
+
+            if (weights.luminance) {
+              const weight = spatial * weights.luminance[luminanceDifference]
+              luminanceSum += luminance * weight
+              luminanceTotal += weight
+            }
+
+            if (weights.color) {
+              const cb = cbPlane[sampleIndex]
+              const cr = crPlane[sampleIndex]
+              const weight = spatial *
+                weights.edge[luminanceDifference] *
+                weights.color[Math.abs(cb - centerCb)] *
+                weights.color[Math.abs(cr - centerCr)]
+              cbSum += cb * weight
+              crSum += cr * weight
+              colorTotal += weight
+            }
+          }
+        }
+
+        // Keep the exact values of the channels that are not filtered
+        const dataIndex = (y * width + x) * 4
+        let [newLuminance, newCb, newCr] = DenoiseOperation.toYCbCr(
+          source[dataIndex], source[dataIndex + 1], source[dataIndex + 2])
+        if (luminanceTotal > 0) newLuminance = luminanceSum / luminanceTotal
+        if (colorTotal > 0) {
+          newCb = cbSum / colorTotal
+          newCr = crSum / colorTotal
+        }
+
+        const [r, g, b] = DenoiseOperation.toRGB(newLuminance, newCb, newCr)
+        data[dataIndex] = r
+        data[dataIndex + 1] = g
+        data[dataIndex + 2] = b
+      }
+    }
+  }
+
+  /**
+   * Converts the given RGB color (0..255) to YCbCr (0..255, chroma
+   * centered around 128)
+   * @param  {Number} r
+   * @param  {Number} g
+   * @param  {Number} b
+   * @return {Array.<Number>}
+   */
+  static toYCbCr (r, g, b) {
+    return [
+      0.299 * r + 0.587 * g + 0.114 * b,
+      128 - 0.168736 * r - 0.331264 * g + 0.5 * b,
+      128 + 0.5 * r - 0.418688 * g - 0.081312 * b
+    ]
+  }
+
+  /**
+   * Converts the given YCbCr color (0..255, chroma centered around 128)
+   * to RGB (0..255)
+   * @param  {Number} y
+   * @param  {Number} cb
+   * @param  {Number} cr
+   * @return {Array.<Number>}
+   */
+  static toRGB (y, cb, cr) {
+    return [
+      y + 1.402 * (cr - 128),
+      y - 0.344136 * (cb - 128) - 0.714136 * (cr - 128),
+      y + 1.772 * (cb - 128)
+    ]
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+DenoiseOperation.prototype.identifier = 'denoise'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+DenoiseOperation.prototype.availableOptions = {
+  luminance: { type: 'number', default: 0.5, validation: Operation.rangeValidation('denoise', 'luminance', 0, 1) },
+  color: { type: 'number', default: 0.5, validation: Operation.rangeValidation('denoise', 'color', 0, 1) }
+}
+
+export default DenoiseOperation
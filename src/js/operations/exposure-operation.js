@@ -0,0 +1,132 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import PrimitivesStack from './filters/primitives-stack'
+import ExposurePrimitive from './filters/primitives/exposure'
+
+/**
+ * Creates the option configuration for a tone option that ranges from
+ * -1 to 1
+ * @param  {String} name
+ * @return {Object}
+ */
+function toneOption (name) {
+  return {
+    type: 'number',
+    default: 0,
+    validation: function (value) {
+      if (value < -1 || value > 1) {
+        throw new Error('Operation `exposure`: Option `' + name + '` has to be between -1 and 1.')
+      }
+    }
+  }
+}
+
+/**
+ * An operation that changes the exposure (in stops) and recovers highlight
+ * and shadow detail using luminance masked tone mapping. The whites and
+ * blacks options move the white and black points.
+ *
+ * @class
+ * @alias ImglyKit.Operations.ExposureOperation
+ * @extends ImglyKit.Operation
+ */
+class ExposureOperation extends Operation {
+  /**
+   * Renders the exposure using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the exposure using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the exposure (all renderers supported)
+   * @param {Renderer} renderer
+   * @private
+   */
+  _render (renderer) {
+    if (!this._stack) {
+      this._stack = new PrimitivesStack()
+      this._primitive = new ExposurePrimitive()
+      this._stack.add(this._primitive)
+    }
+
+    ExposureOperation.OPTIONS.forEach((name) => {
+      this._primitive.options[name] = this._options[name]
+    })
+    this._stack.render(renderer)
+  }
+
+  /**
+   * Returns the values of all options
+   * @return {Object}
+   */
+  getOptions () {
+    let options = {}
+    ExposureOperation.OPTIONS.forEach((name) => {
+      options[name] = this._options[name]
+    })
+    return options
+  }
+
+  /**
+   * Checks whether the current options leave the image unchanged
+   * @return {Boolean}
+   */
+  isIdentity () {
+    return ExposureOperation.OPTIONS.every((name) => this._options[name] === 0)
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+ExposureOperation.prototype.identifier = 'exposure'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+ExposureOperation.prototype.availableOptions = {
+  exposure: { type: 'number', default: 0,
+    validation: function (exposure) {
+      if (exposure < -3 || exposure > 3) {
+        throw new Error('Operation `exposure`: Option `exposure` has to be between -3 and 3.')
+      }
+    }
+  },
+  highlights: toneOption('highlights'),
+  shadows: toneOption('shadows'),
+  whites: toneOption('whites'),
+  blacks: toneOption('blacks')
+}
+
+/**
+ * The names of all options
+ * @type {Array.<String>}
+ */
+ExposureOperation.OPTIONS = ['exposure', 'highlights', 'shadows', 'whites', 'blacks']
+
+export default ExposureOperation
@@ -19,6 +19,37 @@ import IdentityFilter from './filters/identity-filter'
  * @extends ImglyKit.Operation
  */
 class FiltersOperation extends Operation {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * The texture index used for the unfiltered image
+     * @type {Number}
+     * @private
+     */
+    this._textureIndex = 1
+
+    /**
+     * The fragment shader that blends the filtered image with the
+     * unfiltered one
+     * @type {String}
+     * @private
+     */
+    this._fragmentShader = `
+      precision mediump float;
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform sampler2D u_unfilteredImage;
+      uniform float u_intensity;
+
+      void main() {
+        vec4 filteredColor = texture2D(u_image, v_texCoord);
+        vec4 unfilteredColor = texture2D(u_unfilteredImage, v_texCoord);
+        gl_FragColor = mix(unfilteredColor, filteredColor, u_intensity);
+      }
+    `
+  }
+
   /**
    * Renders the filter using WebGL
    * @param  {WebGLRenderer} renderer
@@ -26,7 +57,29 @@ class FiltersOperation extends Operation {
    */
   /* istanbul ignore next */
   _renderWebGL (renderer) {
-    this._render(renderer)
+    const intensity = this._options.intensity
+    if (intensity === 0) return
+    if (intensity === 1) {
+      return this._selectedFilter.render(renderer)
+    }
+
+    // Keep a copy of the unfiltered image
+    const cacheIdentifier = this._uuid + '-unfiltered'
+    renderer.cache(cacheIdentifier)
+
+    this._selectedFilter.render(renderer)
+
+    const gl = renderer.getContext()
+    gl.activeTexture(gl.TEXTURE0 + this._textureIndex)
+    gl.bindTexture(gl.TEXTURE_2D, renderer.getCachedTexture(cacheIdentifier))
+    gl.activeTexture(gl.TEXTURE0)
+
+    renderer.runShader(null, this._fragmentShader, {
+      uniforms: {
+        u_unfilteredImage: { type: 'i', value: this._textureIndex },
+        u_intensity: { type: 'f', value: intensity }
+      }
+    })
   }
 
   /**
@@ -35,16 +88,25 @@ class FiltersOperation extends Operation {
    * @override
    */
   _renderCanvas (renderer) {
-    this._render(renderer)
-  }
+    const intensity = this._options.intensity
+    if (intensity === 0) return
+    if (intensity === 1) {
+      return this._selectedFilter.render(renderer)
+    }
+
+    const canvas = renderer.getCanvas()
+    const unfilteredData = renderer.getContext()
+      .getImageData(0, 0, canvas.width, canvas.height).data
 
-  /**
-   * Renders the filter (all renderers supported)
-   * @param {Renderer} renderer
-   * @private
-   */
-  _render (renderer) {
     this._selectedFilter.render(renderer)
+
+    const context = renderer.getContext()
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height)
+    const filteredData = imageData.data
+    for (let i = 0; i < filteredData.length; i++) {
+      filteredData[i] = unfilteredData[i] + (filteredData[i] - unfilteredData[i]) * intensity
+    }
+    context.putImageData(imageData, 0, 0)
   }
 }
 
@@ -64,6 +126,23 @@ FiltersOperation.prototype.availableOptions = {
     setter: function (Filter) {
       this._selectedFilter = new Filter()
       return Filter
+    },
+    serialize: function (Filter) {
+      return Filter.identifier
+    },
+    deserialize: function (identifier) {
+      let Filter = this._kit.registeredFilters[identifier]
+      if (typeof Filter === 'undefined') {
+        throw new Error('Operation `' + this.identifier + '`: Unknown filter `' + identifier + '`.')
+      }
+      return Filter
+    }
+  },
+  intensity: { type: 'number', default: 1,
+    validation: function (intensity) {
+      if (intensity < 0 || intensity > 1) {
+        throw new Error('Operation `filters`: Option `intensity` has to be between 0 and 1.')
+      }
     }
   }
 }
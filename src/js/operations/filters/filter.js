@@ -45,6 +45,7 @@ Filter.PrimitivesStack = require('./primitives-stack')
 Filter.Primitives = {}
 Filter.Primitives.Saturation = require('./primitives/saturation')
 Filter.Primitives.LookupTable = require('./primitives/lookup-table')
+Filter.Primitives.LookupTable3D = require('./primitives/lookup-table-3d')
 Filter.Primitives.ToneCurve = require('./primitives/tone-curve')
 Filter.Primitives.SoftColorOverlay = require('./primitives/soft-color-overlay')
 Filter.Primitives.Desaturation = require('./primitives/desaturation')
@@ -54,5 +55,9 @@ Filter.Primitives.Contrast = require('./primitives/contrast')
 Filter.Primitives.Glow = require('./primitives/glow')
 Filter.Primitives.Gobblin = require('./primitives/gobblin')
 Filter.Primitives.Brightness = require('./primitives/brightness')
+Filter.Primitives.WhiteBalance = require('./primitives/white-balance')
+Filter.Primitives.Exposure = require('./primitives/exposure')
+Filter.Primitives.Grain = require('./primitives/grain')
+Filter.Primitives.HSL = require('./primitives/hsl')
 
 export default Filter
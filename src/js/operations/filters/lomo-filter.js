@@ -53,6 +53,12 @@ class LomoFilter extends Filter {
       ]
     }))
 
+    stack.add(new Filter.Primitives.Grain({
+      amount: 0.4,
+      size: 1.5,
+      roughness: 0.5
+    }))
+
     stack.render(renderer)
   }
 }
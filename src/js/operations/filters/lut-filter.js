@@ -0,0 +1,328 @@
+/* global Image, XMLHttpRequest */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Filter from './filter'
+import Promise from '../../vendor/promise'
+
+/**
+ * Base class for filters that map colors using a 3D lookup table. Use
+ * {@link ImglyKit.LUTFilter.fromCube}, {@link ImglyKit.LUTFilter.fromHald}
+ * or {@link ImglyKit.LUTFilter.load} to create a filter class that can be
+ * registered using {@link ImglyKit#registerFilter} or added to the UI
+ * using `FiltersControl#addFilter`.
+ * @class
+ * @alias ImglyKit.LUTFilter
+ * @extends {ImglyKit.Filter}
+ */
+class LUTFilter extends Filter {
+  /**
+   * The lookup table of this filter
+   * @type {Object}
+   * @property {Number} size - The amount of entries per dimension
+   * @property {Array.<Number>} data - `size`^3 RGB triplets (0 - 1)
+   */
+  static get lut () { return null }
+
+  /**
+   * Renders the filter
+   * @param  {Renderer} renderer
+   * @return {Promise}
+   */
+  render (renderer) {
+    if (!this._primitive) {
+      const { size, data } = this.constructor.lut
+      this._primitive = new Filter.Primitives.LookupTable3D({ size, data })
+    }
+    this._primitive.render(renderer)
+  }
+
+  /**
+   * Creates a filter class for the given lookup table
+   * @param  {Object} lut
+   * @param  {Number} lut.size
+   * @param  {Array.<Number>} lut.data
+   * @param  {String} [lut.title]
+   * @param  {Object} options
+   * @param  {String} options.identifier - The identifier of the new filter
+   * @param  {String} [options.name] - The name that is displayed in the UI.
+   *                                 Defaults to the title of the table or
+   *                                 the identifier.
+   * @param  {String} [options.thumbnail] - The URL of the image that is
+   *                                      displayed in the UI
+   * @return {ImglyKit.LUTFilter}
+   */
+  static create (lut, options = {}) {
+    if (typeof options.identifier !== 'string') {
+      throw new Error('LUTFilter: Option `identifier` is required.')
+    }
+
+    const { identifier, thumbnail } = options
+    const name = options.name || lut.title || identifier
+
+    class CustomLUTFilter extends LUTFilter {
+      static get identifier () { return identifier }
+      static get lut () { return lut }
+      get name () { return name }
+      get thumbnail () { return thumbnail }
+    }
+    return CustomLUTFilter
+  }
+
+  /**
+   * Creates a filter class from the contents of a .cube file
+   * @param  {String} source
+   * @param  {Object} options - See {@link ImglyKit.LUTFilter.create}
+   * @return {ImglyKit.LUTFilter}
+   */
+  static fromCube (source, options) {
+    return LUTFilter.create(LUTFilter.parseCube(source), options)
+  }
+
+  /**
+   * Creates a filter class from a Hald CLUT image
+   * @param  {Image|Canvas} image
+   * @param  {Object} options - See {@link ImglyKit.LUTFilter.create}
+   * @return {ImglyKit.LUTFilter}
+   */
+  static fromHald (image, options) {
+    return LUTFilter.create(LUTFilter.parseHald(image), options)
+  }
+
+  /**
+   * Loads the .cube file or Hald CLUT image at the given URL (or path,
+   * when running in node.js) and creates a filter class from it
+   * @param  {String} url
+   * @param  {Object} options - See {@link ImglyKit.LUTFilter.create}
+   * @return {Promise}
+   */
+  static load (url, options) {
+    const isCube = /\.cube([?#].*)?$/i.test(url)
+    const isBrowser = typeof window !== 'undefined'
+
+    let promise
+    if (isCube) {
+      promise = isBrowser ? LUTFilter._loadTextBrowser(url) : LUTFilter._loadTextNode(url)
+    } else {
+      promise = isBrowser ? LUTFilter._loadImageBrowser(url) : LUTFilter._loadImageNode(url)
+    }
+
+    return promise.then((source) => {
+      return isCube
+        ? LUTFilter.fromCube(source, options)
+        : LUTFilter.fromHald(source, options)
+    })
+  }
+
+  /**
+   * Parses the given contents of a .cube file
+   * @param  {String} source
+   * @return {Object} An object with `size`, `data` and `title`
+   */
+  static parseCube (source) {
+    const lines = source.split(/\r?\n/)
+    let size = null
+    let title = null
+    const data = []
+
+    lines.forEach((line, i) => {
+      line = line.trim()
+      if (line === '' || line.charAt(0) === '#') return
+
+      const parts = line.split(/\s+/)
+      const keyword = parts[0]
+      switch (keyword) {
+        case 'TITLE':
+          title = line.replace(/^TITLE\s+"?/, '').replace(/"$/, '')
+          return
+        case 'LUT_3D_SIZE':
+          size = parseInt(parts[1], 10)
+          return
+        case 'LUT_1D_SIZE':
+          throw new Error('LUTFilter: 1D lookup tables are not supported.')
+        case 'DOMAIN_MIN':
+        case 'DOMAIN_MAX':
+          LUTFilter._validateDomain(parts.slice(1), keyword === 'DOMAIN_MIN' ? 0 : 1)
+          return
+      }
+
+      // Skip unknown keywords
+      if (/^[A-Za-z]/.test(keyword)) return
+
+      const values = parts.map(parseFloat)
+      if (values.length !== 3 || values.some(isNaN)) {
+        throw new Error('LUTFilter: Invalid entry in line ' + (i + 1) + '.')
+      }
+      for (let j = 0; j < 3; j++) {
+        data.push(Math.min(1, Math.max(0, values[j])))
+      }
+    })
+
+    if (!size) {
+      throw new Error('LUTFilter: Missing `LUT_3D_SIZE`.')
+    }
+
+    const expectedLength = size * size * size
+    if (data.length / 3 !== expectedLength) {
+      throw new Error('LUTFilter: Expected ' + expectedLength + ' entries, got ' + (data.length / 3) + '.')
+    }
+
+    return { size, data, title }
+  }
+
+  /**
+   * Makes sure that the given domain bounds of a .cube file match the
+   * default input domain
+   * @param  {Array.<String>} values
+   * @param  {Number} expected
+   * @private
+   */
+  static _validateDomain (values, expected) {
+    if (values.some((value) => parseFloat(value) !== expected)) {
+      throw new Error('LUTFilter: Custom input domains are not supported.')
+    }
+  }
+
+  /**
+   * Reads the lookup table from the given Hald CLUT image. A Hald CLUT
+   * of level `n` is a square image with a side length of `n`^3 pixels
+   * that holds a table with `n`^2 entries per dimension.
+   * @param  {Image|Canvas} image
+   * @return {Object} An object with `size` and `data`
+   */
+  static parseHald (image) {
+    const { width, height } = image
+    const level = Math.round(Math.pow(width, 1 / 3))
+    if (width !== height || level * level * level !== width) {
+      throw new Error('LUTFilter: Invalid Hald CLUT dimensions: ' + width + 'x' + height + '.')
+    }
+
+    const canvas = LUTFilter._createCanvas(width, height)
+    const context = canvas.getContext('2d')
+    context.drawImage(image, 0, 0)
+    const pixels = context.getImageData(0, 0, width, height).data
+
+    // Pixels are stored in the same order as the table entries
+    const data = new Array(width * height * 3)
+    for (let i = 0, j = 0; i < pixels.length; i += 4, j += 3) {
+      data[j] = pixels[i] / 255
+      data[j + 1] = pixels[i + 1] / 255
+      data[j + 2] = pixels[i + 2] / 255
+    }
+
+    return { size: level * level, data, title: null }
+  }
+
+  /**
+   * Loads the text file at the given URL using XMLHttpRequest
+   * @param  {String} url
+   * @return {Promise}
+   * @private
+   */
+  /* istanbul ignore next */
+  static _loadTextBrowser (url) {
+    return new Promise((resolve, reject) => {
+      const request = new XMLHttpRequest()
+      request.addEventListener('load', () => {
+        if (request.status >= 200 && request.status < 300) {
+          resolve(request.responseText)
+        } else {
+          reject(new Error('Could not load lookup table: ' + url))
+        }
+      })
+      request.addEventListener('error', () => {
+        reject(new Error('Could not load lookup table: ' + url))
+      })
+      request.open('GET', url)
+      request.send()
+    })
+  }
+
+  /**
+   * Reads the text file at the given path using node.js' `fs`
+   * @param  {String} path
+   * @return {Promise}
+   * @private
+   */
+  static _loadTextNode (path) {
+    const fs = require('fs')
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, 'utf8', (err, source) => {
+        if (err) return reject(err)
+        resolve(source)
+      })
+    })
+  }
+
+  /**
+   * Loads the image at the given URL using the browser's `Image` class
+   * @param  {String} url
+   * @return {Promise}
+   * @private
+   */
+  /* istanbul ignore next */
+  static _loadImageBrowser (url) {
+    return new Promise((resolve, reject) => {
+      const image = new Image()
+      image.addEventListener('load', () => {
+        resolve(image)
+      })
+      image.addEventListener('error', () => {
+        reject(new Error('Could not load lookup table: ' + url))
+      })
+      image.crossOrigin = 'Anonymous'
+      image.src = url
+    })
+  }
+
+  /**
+   * Loads the image at the given path using node.js' `fs` and
+   * node-canvas `Image`
+   * @param  {String} path
+   * @return {Promise}
+   * @private
+   */
+  static _loadImageNode (path) {
+    const Canvas = require('canvas')
+    const fs = require('fs')
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, (err, buffer) => {
+        if (err) return reject(err)
+
+        const image = new Canvas.Image()
+        image.src = buffer
+        resolve(image)
+      })
+    })
+  }
+
+  /**
+   * Creates a canvas with the given dimensions
+   * @param  {Number} width
+   * @param  {Number} height
+   * @return {Canvas}
+   * @private
+   */
+  static _createCanvas (width, height) {
+    let canvas
+    /* istanbul ignore else  */
+    if (typeof window === 'undefined') {
+      const Canvas = require('canvas')
+      canvas = new Canvas()
+    } else {
+      canvas = document.createElement('canvas')
+    }
+    canvas.width = width
+    canvas.height = height
+    return canvas
+  }
+}
+
+export default LUTFilter
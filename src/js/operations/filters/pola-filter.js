@@ -74,6 +74,12 @@ class PolaFilter extends Filter {
       contrast: 1.5
     }))
 
+    stack.add(new Filter.Primitives.Grain({
+      amount: 0.3,
+      size: 1.5,
+      roughness: 0.4
+    }))
+
     stack.render(renderer)
   }
 }
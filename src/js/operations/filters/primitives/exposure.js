@@ -0,0 +1,153 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Utils from '../../../lib/utils'
+import Primitive from './primitive'
+
+/**
+ * The exposure change (in stops) of the shadows and highlights at -1 / 1.
+ * Higher values would make the tone curve non-monotonic.
+ * @type {Number}
+ */
+const SHADOWS_STOPS = 1.5
+const HIGHLIGHTS_STOPS = 1.0
+
+/**
+ * The black and white point shifts at -1 / 1
+ * @type {Number}
+ */
+const BLACKS_RANGE = 0.15
+const WHITES_RANGE = 0.25
+
+/**
+ * Exposure primitive. Changes the exposure (in stops), then brightens or
+ * darkens the shadows and highlights using luminance masks and finally
+ * moves the black and white points.
+ * @class
+ * @alias ImglyKit.Filter.Primitives.Exposure
+ * @extends {ImglyKit.Filter.Primitive}
+ */
+class Exposure extends Primitive {
+  constructor (...args) {
+    super(...args)
+
+    this._options = Utils.defaults(this._options, {
+      exposure: 0,
+      highlights: 0,
+      shadows: 0,
+      whites: 0,
+      blacks: 0
+    })
+
+    /**
+     * The fragment shader for this primitive
+     * @return {String}
+     * @private
+     */
+    this._fragmentShader = `
+      precision mediump float;
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform float u_exposure;
+      uniform float u_shadows;
+      uniform float u_highlights;
+      uniform float u_blackPoint;
+      uniform float u_whitePoint;
+
+      const vec3 luminanceWeighting = vec3(0.2125, 0.7154, 0.0721);
+
+      void main() {
+        vec4 texColor = texture2D(u_image, v_texCoord);
+        vec3 color = texColor.rgb * exp2(u_exposure);
+
+        float luminance = clamp(dot(color, luminanceWeighting), 0.0, 1.0);
+        float mask = smoothstep(0.0, 1.0, luminance);
+        float shadowsMask = (1.0 - mask) * (1.0 - mask);
+        float highlightsMask = mask * mask;
+        color *= exp2(u_shadows * shadowsMask + u_highlights * highlightsMask);
+
+        color = (color - u_blackPoint) / (u_whitePoint - u_blackPoint);
+        gl_FragColor = vec4(clamp(color, 0.0, 1.0) * texColor.a, texColor.a);
+      }
+    `
+  }
+
+  /**
+   * Renders the primitive (WebGL)
+   * @param  {WebGLRenderer} renderer
+   */
+  /* istanbul ignore next */
+  renderWebGL (renderer) {
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = renderer.setupGLSLProgram(
+        null,
+        this._fragmentShader
+      )
+    }
+
+    const { exposure, shadows, highlights, blackPoint, whitePoint } = this._getParameters()
+    renderer.runProgram(this._glslPrograms[renderer.id], {
+      uniforms: {
+        u_exposure: { type: 'f', value: exposure },
+        u_shadows: { type: 'f', value: shadows },
+        u_highlights: { type: 'f', value: highlights },
+        u_blackPoint: { type: 'f', value: blackPoint },
+        u_whitePoint: { type: 'f', value: whitePoint }
+      }
+    })
+  }
+
+  /**
+   * Renders the primitive (Canvas)
+   * @param  {CanvasRenderer} renderer
+   */
+  renderCanvas (renderer) {
+    var canvas = renderer.getCanvas()
+    var imageData = renderer.getContext().getImageData(0, 0, canvas.width, canvas.height)
+    var data = imageData.data
+    var { exposure, shadows, highlights, blackPoint, whitePoint } = this._getParameters()
+    var exposureGain = Math.pow(2, exposure) / 255
+    var range = whitePoint - blackPoint
+
+    for (var index = 0; index < data.length; index += 4) {
+      var r = data[index] * exposureGain
+      var g = data[index + 1] * exposureGain
+      var b = data[index + 2] * exposureGain
+
+      var luminance = Math.min(1, Math.max(0, 0.2125 * r + 0.7154 * g + 0.0721 * b))
+      var mask = luminance * luminance * (3 - 2 * luminance)
+      var gain = Math.pow(2, shadows * (1 - mask) * (1 - mask) + highlights * mask * mask)
+
+      data[index] = (r * gain - blackPoint) / range * 255
+      data[index + 1] = (g * gain - blackPoint) / range * 255
+      data[index + 2] = (b * gain - blackPoint) / range * 255
+    }
+
+    renderer.getContext().putImageData(imageData, 0, 0)
+  }
+
+  /**
+   * Converts the options to the parameters used by the tone mapping
+   * @return {Object}
+   * @private
+   */
+  _getParameters () {
+    const { exposure, highlights, shadows, whites, blacks } = this._options
+    return {
+      exposure: exposure,
+      shadows: shadows * SHADOWS_STOPS,
+      highlights: highlights * HIGHLIGHTS_STOPS,
+      blackPoint: -blacks * BLACKS_RANGE,
+      whitePoint: 1 - whites * WHITES_RANGE
+    }
+  }
+}
+
+export default Exposure
@@ -0,0 +1,281 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Utils from '../../../lib/utils'
+import Primitive from './primitive'
+
+/**
+ * The width and height of the noise table. The table repeats, its size has
+ * to be a power of two for WebGL.
+ * @type {Number}
+ */
+const NOISE_SIZE = 256
+
+/**
+ * The number of grain cells along the longer side of the image at a size
+ * of 1. The grain is placed relative to the image dimensions so that it
+ * looks the same in the preview and in the (larger) export.
+ * @type {Number}
+ */
+const CELLS = 512
+
+/**
+ * The maximum change of the color values at an amount of 1
+ * @type {Number}
+ */
+const MAX_INTENSITY = 0.2
+
+/**
+ * The offset of the second, finer grain layer in the noise table
+ * @type {Number}
+ */
+const LAYER_OFFSET = 71
+
+/**
+ * Grain primitive. Adds monochromatic value noise that is generated from a
+ * seed. WebGL and Canvas use the same noise table and the same math, so
+ * both renderers produce the same grain.
+ * @class
+ * @alias ImglyKit.Filter.Primitives.Grain
+ * @extends {ImglyKit.Filter.Primitive}
+ */
+class Grain extends Primitive {
+  constructor (...args) {
+    super(...args)
+
+    this._options = Utils.defaults(this._options, {
+      amount: 0.5,
+      size: 1,
+      roughness: 0.5,
+      seed: 0
+    })
+
+    this._textureIndex = 4
+
+    /**
+     * The fragment shader for this primitive
+     * @return {String}
+     * @private
+     */
+    this._fragmentShader = `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+      #else
+        precision mediump float;
+      #endif
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform sampler2D u_noise;
+      uniform vec2 u_resolution;
+      uniform float u_cells;
+      uniform float u_intensity;
+      uniform float u_roughness;
+
+      const float noiseSize = ${NOISE_SIZE}.0;
+      const vec3 luminanceWeighting = vec3(0.2125, 0.7154, 0.0721);
+
+      float noiseAt(vec2 cell) {
+        return texture2D(u_noise, (cell + 0.5) / noiseSize).r * 2.0 - 1.0;
+      }
+
+      float valueNoise(vec2 position) {
+        vec2 cell = floor(position);
+        vec2 f = position - cell;
+        f = f * f * (3.0 - 2.0 * f);
+        float top = mix(noiseAt(cell), noiseAt(cell + vec2(1.0, 0.0)), f.x);
+        float bottom = mix(noiseAt(cell + vec2(0.0, 1.0)), noiseAt(cell + vec2(1.0, 1.0)), f.x);
+        return mix(top, bottom, f.y);
+      }
+
+      void main() {
+        vec4 texColor = texture2D(u_image, v_texCoord);
+
+        // Pixel centers, counted from the top left like in the canvas
+        vec2 pixel = vec2(v_texCoord.x, 1.0 - v_texCoord.y) * u_resolution;
+        vec2 position = pixel / max(u_resolution.x, u_resolution.y) * u_cells;
+
+        float grain = mix(
+          valueNoise(position),
+          valueNoise(position * 2.0 + ${LAYER_OFFSET}.0),
+          u_roughness
+        ) / length(vec2(1.0 - u_roughness, u_roughness));
+
+        float luminance = clamp(dot(texColor.rgb, luminanceWeighting), 0.0, 1.0);
+        float intensity = u_intensity * (1.0 - abs(2.0 * luminance - 1.0) * 0.5);
+
+        gl_FragColor = vec4(clamp(texColor.rgb + grain * intensity, 0.0, 1.0) * texColor.a, texColor.a);
+      }
+    `
+  }
+
+  /**
+   * Renders the primitive (WebGL)
+   * @param  {WebGLRenderer} renderer
+   */
+  /* istanbul ignore next */
+  renderWebGL (renderer) {
+    const { intensity, cells, roughness } = this._getParameters()
+    if (intensity === 0) return
+
+    this._updateTexture(renderer)
+
+    const canvas = renderer.getCanvas()
+    renderer.runShader(null, this._fragmentShader, {
+      uniforms: {
+        u_noise: { type: 'i', value: this._textureIndex },
+        u_resolution: { type: '2f', value: [canvas.width, canvas.height] },
+        u_cells: { type: 'f', value: cells },
+        u_intensity: { type: 'f', value: intensity },
+        u_roughness: { type: 'f', value: roughness }
+      }
+    })
+  }
+
+  /**
+   * Renders the primitive (Canvas)
+   * @param  {CanvasRenderer} renderer
+   */
+  renderCanvas (renderer) {
+    const { intensity, cells, roughness } = this._getParameters()
+    if (intensity === 0) return
+
+    const canvas = renderer.getCanvas()
+    const imageData = renderer.getContext().getImageData(0, 0, canvas.width, canvas.height)
+    const data = imageData.data
+    const noise = this._getNoiseData()
+    const scale = cells / Math.max(canvas.width, canvas.height)
+    const normalization = Math.sqrt((1 - roughness) * (1 - roughness) + roughness * roughness)
+
+    for (let y = 0; y < canvas.height; y++) {
+      const positionY = (y + 0.5) * scale
+      for (let x = 0; x < canvas.width; x++) {
+        const positionX = (x + 0.5) * scale
+        const grain = (
+          Grain.valueNoise(noise, positionX, positionY) * (1 - roughness) +
+          Grain.valueNoise(noise, positionX * 2 + LAYER_OFFSET, positionY * 2 + LAYER_OFFSET) * roughness
+        ) / normalization
+
+        const index = (y * canvas.width + x) * 4
+        const luminance = Math.min(1, Math.max(0,
+          (0.2125 * data[index] + 0.7154 * data[index + 1] + 0.0721 * data[index + 2]) / 255))
+        const change = grain * intensity * (1 - Math.abs(2 * luminance - 1) * 0.5) * 255
+
+        data[index] += change
+        data[index + 1] += change
+        data[index + 2] += change
+      }
+    }
+
+    renderer.getContext().putImageData(imageData, 0, 0)
+  }
+
+  /**
+   * Converts the options to the parameters used by the shader and the
+   * canvas implementation
+   * @return {Object}
+   * @private
+   */
+  _getParameters () {
+    const { amount, size, roughness } = this._options
+    return {
+      intensity: amount * MAX_INTENSITY,
+      cells: CELLS / size,
+      roughness
+    }
+  }
+
+  /**
+   * Returns the noise table for the current seed
+   * @return {Uint8Array}
+   * @private
+   */
+  _getNoiseData () {
+    if (!this._noiseData || this._noiseSeed !== this._options.seed) {
+      this._noiseData = Grain.createNoiseData(this._options.seed)
+      this._noiseSeed = this._options.seed
+    }
+    return this._noiseData
+  }
+
+  /**
+   * Uploads the noise table to the texture (WebGL only)
+   * @private
+   */
+  /* istanbul ignore next */
+  _updateTexture (renderer) {
+    const gl = renderer.getContext()
+
+    gl.activeTexture(gl.TEXTURE0 + this._textureIndex)
+    if (!this._texture) {
+      this._texture = gl.createTexture()
+    }
+    gl.bindTexture(gl.TEXTURE_2D, this._texture)
+
+    // The noise values are interpolated in the shader, like on the canvas
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT)
+
+    // The table rows are stored top to bottom, don't flip them
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE,
+      NOISE_SIZE, NOISE_SIZE, 0,
+      gl.LUMINANCE, gl.UNSIGNED_BYTE, this._getNoiseData())
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true)
+
+    gl.activeTexture(gl.TEXTURE0)
+  }
+
+  /**
+   * Returns the interpolated noise value (-1 to 1) at the given position.
+   * The noise table repeats.
+   * @param  {Uint8Array} noise
+   * @param  {Number} x
+   * @param  {Number} y
+   * @return {Number}
+   */
+  static valueNoise (noise, x, y) {
+    const cellX = Math.floor(x)
+    const cellY = Math.floor(y)
+    let fx = x - cellX
+    let fy = y - cellY
+    fx = fx * fx * (3 - 2 * fx)
+    fy = fy * fy * (3 - 2 * fy)
+
+    const mask = NOISE_SIZE - 1
+    const value = (cx, cy) => noise[(cy & mask) * NOISE_SIZE + (cx & mask)] / 255 * 2 - 1
+    const top = value(cellX, cellY) + (value(cellX + 1, cellY) - value(cellX, cellY)) * fx
+    const bottom = value(cellX, cellY + 1) + (value(cellX + 1, cellY + 1) - value(cellX, cellY + 1)) * fx
+    return top + (bottom - top) * fy
+  }
+
+  /**
+   * Creates the noise table for the given seed using a xorshift generator.
+   * The same seed always results in the same table.
+   * @param  {Number} seed
+   * @return {Uint8Array}
+   */
+  static createNoiseData (seed) {
+    let state = (seed ^ 0x9e3779b9) | 0
+    if (state === 0) state = 1
+
+    const data = new Uint8Array(NOISE_SIZE * NOISE_SIZE)
+    for (let i = 0; i < data.length; i++) {
+      state ^= state << 13
+      state ^= state >>> 17
+      state ^= state << 5
+      data[i] = state >>> 24
+    }
+    return data
+  }
+}
+
+export default Grain
@@ -0,0 +1,251 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Utils from '../../../lib/utils'
+import Color from '../../../lib/color'
+import Primitive from './primitive'
+
+/**
+ * The center hues (in degrees) of the color bands: reds, oranges, yellows,
+ * greens, aquas, blues, purples and magentas
+ * @type {Array.<Number>}
+ */
+const BAND_HUES = [0, 30, 60, 120, 180, 240, 270, 300]
+
+/**
+ * The maximum hue shift (as a fraction of the color wheel) at -1 / 1
+ * @type {Number}
+ */
+const HUE_RANGE = 30 / 360
+
+/**
+ * The maximum relative brightness change of fully saturated colors at
+ * -1 / 1
+ * @type {Number}
+ */
+const LUMINANCE_RANGE = 0.5
+
+/**
+ * Returns the previous, own and next center hue (0..1) of each band. The
+ * neighbours are moved across the 0 / 1 border so that they are always
+ * below and above the band's own hue.
+ * @return {Array.<Array.<Number>>}
+ */
+function createBandRanges () {
+  return BAND_HUES.map((hue, i) => {
+    const count = BAND_HUES.length
+    let previous = BAND_HUES[(i + count - 1) % count]
+    let next = BAND_HUES[(i + 1) % count]
+    if (previous > hue) previous -= 360
+    if (next < hue) next += 360
+    return [previous / 360, hue / 360, next / 360]
+  })
+}
+
+const BAND_RANGES = createBandRanges()
+
+/**
+ * Hermite interpolation between 0 and 1, like GLSL's `smoothstep`
+ * @param  {Number} edge0
+ * @param  {Number} edge1
+ * @param  {Number} x
+ * @return {Number}
+ */
+function smoothstep (edge0, edge1, x) {
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+  return t * t * (3 - 2 * t)
+}
+
+/**
+ * HSL primitive. Shifts the hue, saturation and luminance of eight color
+ * bands. Each pixel is affected by the two bands next to its hue, the
+ * weights fall off smoothly between the band centers.
+ * @class
+ * @alias ImglyKit.Filter.Primitives.HSL
+ * @extends {ImglyKit.Filter.Primitive}
+ */
+class HSL extends Primitive {
+  constructor (...args) {
+    super(...args)
+
+    const zeros = BAND_HUES.map(() => 0)
+    this._options = Utils.defaults(this._options, {
+      hue: zeros,
+      saturation: zeros,
+      luminance: zeros
+    })
+
+    /**
+     * The fragment shader for this primitive
+     * @return {String}
+     * @private
+     */
+    this._fragmentShader = `
+      precision mediump float;
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform vec3 u_bandRanges[${BAND_HUES.length}];
+      uniform vec3 u_adjustments[${BAND_HUES.length}];
+
+      vec3 rgbToHSV(vec3 c) {
+        vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+        vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
+        vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
+        float d = q.x - min(q.w, q.y);
+        float e = 1.0e-10;
+        return vec3(abs(q.z + (q.w - q.y) / (6.0 * d + e)), d / (q.x + e), q.x);
+      }
+
+      vec3 hsvToRGB(vec3 c) {
+        vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+        vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+        return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+      }
+
+      float bandWeight(vec3 range, float hue) {
+        hue = hue < range.x ? hue + 1.0 : hue;
+        hue = hue >= range.x + 1.0 ? hue - 1.0 : hue;
+        if (hue < range.y) {
+          return smoothstep(range.x, range.y, hue);
+        }
+        return 1.0 - smoothstep(range.y, range.z, hue);
+      }
+
+      void main() {
+        vec4 texColor = texture2D(u_image, v_texCoord);
+        vec3 hsv = rgbToHSV(texColor.rgb);
+
+        vec3 adjustment = vec3(0.0);
+        for (int i = 0; i < ${BAND_HUES.length}; i++) {
+          adjustment += u_adjustments[i] * bandWeight(u_bandRanges[i], hsv.x);
+        }
+
+        hsv.x = fract(hsv.x + adjustment.x * ${HUE_RANGE.toFixed(6)});
+        hsv.y = clamp(hsv.y * (1.0 + adjustment.y), 0.0, 1.0);
+        hsv.z = clamp(hsv.z * (1.0 + adjustment.z * ${LUMINANCE_RANGE.toFixed(1)} * hsv.y), 0.0, 1.0);
+
+        gl_FragColor = vec4(hsvToRGB(hsv) * texColor.a, texColor.a);
+      }
+    `
+  }
+
+  /**
+   * Renders the primitive (WebGL)
+   * @param  {WebGLRenderer} renderer
+   */
+  /* istanbul ignore next */
+  renderWebGL (renderer) {
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = renderer.setupGLSLProgram(
+        null,
+        this._fragmentShader
+      )
+    }
+
+    let bandRanges = []
+    let adjustments = []
+    for (let i = 0; i < BAND_HUES.length; i++) {
+      bandRanges.push(...BAND_RANGES[i])
+      adjustments.push(...this._getAdjustment(i))
+    }
+
+    renderer.runProgram(this._glslPrograms[renderer.id], {
+      uniforms: {
+        u_bandRanges: { type: '3fv', value: bandRanges },
+        u_adjustments: { type: '3fv', value: adjustments }
+      }
+    })
+  }
+
+  /**
+   * Renders the primitive (Canvas)
+   * @param  {CanvasRenderer} renderer
+   */
+  renderCanvas (renderer) {
+    var canvas = renderer.getCanvas()
+    var imageData = renderer.getContext().getImageData(0, 0, canvas.width, canvas.height)
+    var data = imageData.data
+    var color = new Color(0, 0, 0)
+
+    var adjustments = []
+    for (var i = 0; i < BAND_HUES.length; i++) {
+      adjustments.push(this._getAdjustment(i))
+    }
+
+    for (var index = 0; index < data.length; index += 4) {
+      color.r = data[index] / 255
+      color.g = data[index + 1] / 255
+      color.b = data[index + 2] / 255
+      var [h, s, v] = color.toHSV()
+
+      var hueShift = 0
+      var saturationChange = 0
+      var luminanceChange = 0
+      for (var band = 0; band < BAND_HUES.length; band++) {
+        var weight = HSL.getBandWeight(band, h)
+        if (weight === 0) continue
+
+        hueShift += adjustments[band][0] * weight
+        saturationChange += adjustments[band][1] * weight
+        luminanceChange += adjustments[band][2] * weight
+      }
+
+      h += hueShift * HUE_RANGE
+      color.fromHSV(
+        h - Math.floor(h),
+        Math.min(1, Math.max(0, s * (1 + saturationChange))),
+        Math.min(1, Math.max(0, v * (1 + luminanceChange * LUMINANCE_RANGE * s)))
+      )
+
+      data[index] = color.r * 255
+      data[index + 1] = color.g * 255
+      data[index + 2] = color.b * 255
+    }
+
+    renderer.getContext().putImageData(imageData, 0, 0)
+  }
+
+  /**
+   * Returns the hue, saturation and luminance adjustment of the given band
+   * @param  {Number} band
+   * @return {Array.<Number>}
+   * @private
+   */
+  _getAdjustment (band) {
+    const { hue, saturation, luminance } = this._options
+    return [hue[band], saturation[band], luminance[band]]
+  }
+
+  /**
+   * Returns how much the given band affects colors with the given hue
+   * (0..1). The weights of all bands add up to 1.
+   * @param  {Number} band
+   * @param  {Number} hue
+   * @return {Number}
+   */
+  static getBandWeight (band, hue) {
+    const [previous, center, next] = BAND_RANGES[band]
+    if (hue < previous) hue += 1
+    if (hue >= previous + 1) hue -= 1
+
+    if (hue < center) {
+      return smoothstep(previous, center, hue)
+    }
+    return 1 - smoothstep(center, next, hue)
+  }
+}
+
+/**
+ * The center hues (in degrees) of the color bands
+ * @type {Array.<Number>}
+ */
+HSL.BAND_HUES = BAND_HUES
+
+export default HSL
@@ -0,0 +1,225 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Primitive from './primitive'
+
+/**
+ * Maps colors using a three-dimensional lookup table with trilinear
+ * interpolation. The table is passed as `data`, an array of `size`^3
+ * RGB triplets in the range of 0 to 1, with red changing fastest and
+ * blue changing slowest (the order used by .cube files and Hald CLUTs).
+ *
+ * Since WebGL 1 does not support 3D textures, the blue slices of the
+ * table are laid out as tiles of a 2D texture.
+ * @class
+ * @alias ImglyKit.Filter.Primitives.LookupTable3D
+ * @extends {ImglyKit.Filter.Primitive}
+ */
+class LookupTable3D extends Primitive {
+  constructor (...args) {
+    super(...args)
+
+    this._textureIndex = 3
+
+    if (typeof this._options.size === 'undefined' ||
+        typeof this._options.data === 'undefined') {
+      throw new Error('LookupTable3D: No size or data specified.')
+    }
+
+    const { size, data } = this._options
+    if (data.length !== size * size * size * 3) {
+      throw new Error('LookupTable3D: Expected ' + (size * size * size * 3) + ' values, got ' + data.length + '.')
+    }
+
+    this._tilesX = Math.ceil(Math.sqrt(size))
+    this._tilesY = Math.ceil(size / this._tilesX)
+
+    /**
+     * The fragment shader for this primitive
+     * @return {String}
+     * @private
+     */
+    this._fragmentShader = `
+      #ifdef GL_FRAGMENT_PRECISION_HIGH
+        precision highp float;
+      #else
+        precision mediump float;
+      #endif
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform sampler2D u_lookupTable;
+      uniform float u_size;
+      uniform vec2 u_tiles;
+
+      vec3 lookup(float slice, vec2 redGreen) {
+        vec2 tile = vec2(mod(slice, u_tiles.x), floor(slice / u_tiles.x));
+        vec2 pixel = tile * u_size + redGreen * (u_size - 1.0) + 0.5;
+        return texture2D(u_lookupTable, pixel / (u_tiles * u_size)).rgb;
+      }
+
+      void main() {
+        vec4 texColor = texture2D(u_image, v_texCoord);
+        if (texColor.a == 0.0) {
+          gl_FragColor = texColor;
+          return;
+        }
+
+        vec3 color = clamp(texColor.rgb / texColor.a, 0.0, 1.0);
+        float blue = color.b * (u_size - 1.0);
+        float lowerSlice = floor(blue);
+        float upperSlice = min(lowerSlice + 1.0, u_size - 1.0);
+
+        vec3 lower = lookup(lowerSlice, color.rg);
+        vec3 upper = lookup(upperSlice, color.rg);
+        vec3 result = mix(lower, upper, blue - lowerSlice);
+
+        gl_FragColor = vec4(result * texColor.a, texColor.a);
+      }
+    `
+  }
+
+  /**
+   * Renders the primitive (WebGL)
+   * @param  {WebGLRenderer} renderer
+   */
+  /* istanbul ignore next */
+  renderWebGL (renderer) {
+    this._updateTexture(renderer)
+
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = renderer.setupGLSLProgram(
+        null,
+        this._fragmentShader
+      )
+    }
+
+    renderer.runProgram(this._glslPrograms[renderer.id], {
+      uniforms: {
+        u_lookupTable: { type: 'i', value: this._textureIndex },
+        u_size: { type: 'f', value: this._options.size },
+        u_tiles: { type: '2f', value: [this._tilesX, this._tilesY] }
+      }
+    })
+  }
+
+  /**
+   * Renders the primitive (Canvas)
+   * @param  {CanvasRenderer} renderer
+   */
+  renderCanvas (renderer) {
+    const canvas = renderer.getCanvas()
+    const context = renderer.getContext()
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height)
+    const pixels = imageData.data
+    const { size, data } = this._options
+    const max = size - 1
+
+    const index = (r, g, b) => ((b * size + g) * size + r) * 3
+    for (let i = 0; i < pixels.length; i += 4) {
+      const r = pixels[i] / 255 * max
+      const g = pixels[i + 1] / 255 * max
+      const b = pixels[i + 2] / 255 * max
+
+      const r0 = Math.floor(r)
+      const g0 = Math.floor(g)
+      const b0 = Math.floor(b)
+      const r1 = Math.min(r0 + 1, max)
+      const g1 = Math.min(g0 + 1, max)
+      const b1 = Math.min(b0 + 1, max)
+      const fr = r - r0
+      const fg = g - g0
+      const fb = b - b0
+
+      // The eight surrounding entries of the table
+      const i000 = index(r0, g0, b0)
+      const i100 = index(r1, g0, b0)
+      const i010 = index(r0, g1, b0)
+      const i110 = index(r1, g1, b0)
+      const i001 = index(r0, g0, b1)
+      const i101 = index(r1, g0, b1)
+      const i011 = index(r0, g1, b1)
+      const i111 = index(r1, g1, b1)
+
+      for (let c = 0; c < 3; c++) {
+        const c00 = data[i000 + c] + (data[i100 + c] - data[i000 + c]) * fr
+        const c10 = data[i010 + c] + (data[i110 + c] - data[i010 + c]) * fr
+        const c01 = data[i001 + c] + (data[i101 + c] - data[i001 + c]) * fr
+        const c11 = data[i011 + c] + (data[i111 + c] - data[i011 + c]) * fr
+        const c0 = c00 + (c10 - c00) * fg
+        const c1 = c01 + (c11 - c01) * fg
+        pixels[i + c] = (c0 + (c1 - c0) * fb) * 255
+      }
+    }
+
+    context.putImageData(imageData, 0, 0)
+  }
+
+  /**
+   * Returns the lookup table as RGBA bytes, with the blue slices laid out
+   * as tiles
+   * @return {Uint8Array}
+   * @private
+   */
+  _getTextureData () {
+    const { size, data } = this._options
+    const width = this._tilesX * size
+    const textureData = new Uint8Array(width * this._tilesY * size * 4)
+
+    for (let b = 0; b < size; b++) {
+      const tileX = (b % this._tilesX) * size
+      const tileY = Math.floor(b / this._tilesX) * size
+      for (let g = 0; g < size; g++) {
+        for (let r = 0; r < size; r++) {
+          const source = ((b * size + g) * size + r) * 3
+          const target = ((tileY + g) * width + tileX + r) * 4
+          textureData[target] = Math.round(data[source] * 255)
+          textureData[target + 1] = Math.round(data[source + 1] * 255)
+          textureData[target + 2] = Math.round(data[source + 2] * 255)
+          textureData[target + 3] = 255
+        }
+      }
+    }
+
+    return textureData
+  }
+
+  /**
+   * Updates the lookup table texture (WebGL only)
+   * @private
+   */
+  /* istanbul ignore next */
+  _updateTexture (renderer) {
+    const gl = renderer.getContext()
+    const { size } = this._options
+
+    gl.activeTexture(gl.TEXTURE0 + this._textureIndex)
+    if (!this._texture) {
+      this._texture = gl.createTexture()
+      this._textureData = this._getTextureData()
+    }
+    gl.bindTexture(gl.TEXTURE_2D, this._texture)
+
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+
+    // The table rows are stored top to bottom, don't flip them
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA,
+      this._tilesX * size, this._tilesY * size, 0,
+      gl.RGBA, gl.UNSIGNED_BYTE, this._textureData)
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true)
+
+    gl.activeTexture(gl.TEXTURE0)
+  }
+}
+
+export default LookupTable3D
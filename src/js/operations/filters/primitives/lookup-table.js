@@ -34,11 +34,18 @@ class LookupTable extends Primitive {
       uniform sampler2D u_image;
       uniform sampler2D u_lookupTable;
 
+      // Sample at the texel centers so that values are not interpolated
+      // and match the canvas implementation
+      vec3 lookupCoordinates(vec3 color) {
+        return color * (255.0 / 256.0) + (0.5 / 256.0);
+      }
+
       void main() {
         vec4 texColor = texture2D(u_image, v_texCoord);
-        float r = texture2D(u_lookupTable, vec2(texColor.r, 0.0)).r;
-        float g = texture2D(u_lookupTable, vec2(texColor.g, 0.0)).g;
-        float b = texture2D(u_lookupTable, vec2(texColor.b, 0.0)).b;
+        vec3 coords = lookupCoordinates(texColor.rgb);
+        float r = texture2D(u_lookupTable, vec2(coords.r, 0.0)).r;
+        float g = texture2D(u_lookupTable, vec2(coords.g, 0.0)).g;
+        float b = texture2D(u_lookupTable, vec2(coords.b, 0.0)).b;
 
         gl_FragColor = vec4(vec3(r, g, b) * texColor.a, texColor.a);
       }
@@ -44,6 +44,11 @@ class X400Filter extends Filter {
 
     stack.add(new Filter.Primitives.X400())
 
+    stack.add(new Filter.Primitives.Grain({
+      amount: 0.5,
+      roughness: 0.6
+    }))
+
     stack.render(renderer)
   }
 }
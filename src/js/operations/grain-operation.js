@@ -0,0 +1,88 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import PrimitivesStack from './filters/primitives-stack'
+import GrainPrimitive from './filters/primitives/grain'
+
+/**
+ * An operation that adds film grain. The grain is generated from the
+ * `seed` option, so the same options always result in the same grain.
+ *
+ * @class
+ * @alias ImglyKit.Operations.GrainOperation
+ * @extends ImglyKit.Operation
+ */
+class GrainOperation extends Operation {
+  /**
+   * Renders the grain using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the grain using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the grain (all renderers supported)
+   * @param {Renderer} renderer
+   * @private
+   */
+  _render (renderer) {
+    if (!this._stack) {
+      this._stack = new PrimitivesStack()
+      this._primitive = new GrainPrimitive()
+      this._stack.add(this._primitive)
+    }
+
+    const { amount, size, roughness, seed } = this._options
+    this._primitive.options.amount = amount
+    this._primitive.options.size = size
+    this._primitive.options.roughness = roughness
+    this._primitive.options.seed = seed
+    this._stack.render(renderer)
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+GrainOperation.prototype.identifier = 'grain'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+GrainOperation.prototype.availableOptions = {
+  amount: { type: 'number', default: 0.5, validation: Operation.rangeValidation('grain', 'amount', 0, 1) },
+  size: { type: 'number', default: 1, validation: Operation.rangeValidation('grain', 'size', 0.5, 4) },
+  roughness: { type: 'number', default: 0.5, validation: Operation.rangeValidation('grain', 'roughness', 0, 1) },
+  seed: { type: 'number', default: 0,
+    validation: function (seed) {
+      if (seed % 1 !== 0) {
+        throw new Error('Operation `grain`: Option `seed` has to be an integer.')
+      }
+    }
+  }
+}
+
+export default GrainOperation
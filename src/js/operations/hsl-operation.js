@@ -0,0 +1,137 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import PrimitivesStack from './filters/primitives-stack'
+import HSLPrimitive from './filters/primitives/hsl'
+
+const BANDS = ['reds', 'oranges', 'yellows', 'greens', 'aquas', 'blues', 'purples', 'magentas']
+
+/**
+ * Creates the definition of an option that holds one adjustment (-1 to 1)
+ * per color band
+ * @param  {String} name
+ * @return {Object}
+ */
+function bandsOption (name) {
+  let defaults = {}
+  BANDS.forEach((band) => { defaults[band] = 0 })
+
+  return {
+    type: 'object',
+    default: defaults,
+    // Copies the adjustments. Missing bands are reset.
+    setter: function (adjustments) {
+      let normalized = {}
+      BANDS.forEach((band) => {
+        normalized[band] = adjustments[band] || 0
+      })
+      return normalized
+    },
+    validation: function (adjustments) {
+      BANDS.forEach((band) => {
+        const value = adjustments[band]
+        if (isNaN(value) || value < -1 || value > 1) {
+          throw new Error('Operation `hsl`: Option `' + name + '` of band `' + band + '` has to be between -1 and 1.')
+        }
+      })
+    }
+  }
+}
+
+/**
+ * An operation that shifts the hue, saturation and luminance of eight
+ * color bands (reds, oranges, yellows, greens, aquas, blues, purples and
+ * magentas) separately.
+ *
+ * @class
+ * @alias ImglyKit.Operations.HSLOperation
+ * @extends ImglyKit.Operation
+ */
+class HSLOperation extends Operation {
+  /**
+   * Renders the adjustments using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the adjustments using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the adjustments (all renderers supported)
+   * @param {Renderer} renderer
+   * @private
+   */
+  _render (renderer) {
+    if (!this._stack) {
+      this._stack = new PrimitivesStack()
+      this._primitive = new HSLPrimitive()
+      this._stack.add(this._primitive)
+    }
+
+    const { hue, saturation, luminance } = this._options
+    this._primitive.options.hue = BANDS.map((band) => hue[band])
+    this._primitive.options.saturation = BANDS.map((band) => saturation[band])
+    this._primitive.options.luminance = BANDS.map((band) => luminance[band])
+    this._stack.render(renderer)
+  }
+
+  /**
+   * Checks whether this operation changes the image
+   * @return {Boolean}
+   */
+  isIdentity () {
+    return HSLOperation.ADJUSTMENTS.every((name) => {
+      return BANDS.every((band) => this._options[name][band] === 0)
+    })
+  }
+}
+
+/**
+ * The names of the color bands
+ * @type {Array.<String>}
+ */
+HSLOperation.BANDS = BANDS
+
+/**
+ * The names of the options that hold the adjustments of the bands
+ * @type {Array.<String>}
+ */
+HSLOperation.ADJUSTMENTS = ['hue', 'saturation', 'luminance']
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+HSLOperation.prototype.identifier = 'hsl'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+HSLOperation.prototype.availableOptions = {
+  hue: bandsOption('hue'),
+  saturation: bandsOption('saturation'),
+  luminance: bandsOption('luminance')
+}
+
+export default HSLOperation
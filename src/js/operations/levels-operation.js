@@ -0,0 +1,212 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import Utils from '../lib/utils'
+import PrimitivesStack from './filters/primitives-stack'
+import LookupTablePrimitive from './filters/primitives/lookup-table'
+
+/**
+ * The levels that don't change the image
+ * @type {Object}
+ */
+const DEFAULT_LEVELS = {
+  inputBlack: 0,
+  inputWhite: 255,
+  gamma: 1,
+  outputBlack: 0,
+  outputWhite: 255
+}
+
+/**
+ * Creates the option configuration for the levels of the given channel
+ * @param  {String} channel
+ * @return {Object}
+ */
+function levelsOption (channel) {
+  const prefix = 'Operation `levels`: Option `' + channel + '`'
+  return {
+    type: 'object',
+    default: DEFAULT_LEVELS,
+    setter: function (levels) {
+      return Utils.defaults(levels, DEFAULT_LEVELS)
+    },
+    validation: function (levels) {
+      const { inputBlack, inputWhite, gamma, outputBlack, outputWhite } = levels
+      const values = [inputBlack, inputWhite, outputBlack, outputWhite]
+      for (let i = 0; i < values.length; i++) {
+        if (typeof values[i] !== 'number' || values[i] < 0 || values[i] > 255) {
+          throw new Error(prefix + ': Black and white points have to be between 0 and 255.')
+        }
+      }
+      if (inputBlack >= inputWhite) {
+        throw new Error(prefix + ': `inputBlack` has to be less than `inputWhite`.')
+      }
+      if (typeof gamma !== 'number' || gamma < 0.1 || gamma > 10) {
+        throw new Error(prefix + ': `gamma` has to be between 0.1 and 10.')
+      }
+    }
+  }
+}
+
+/**
+ * An operation that remaps the tonal range of each RGB channel using input
+ * black / white points, a gamma value and output black / white points. The
+ * levels of the single channels are applied first, then the composite
+ * (`rgb`) levels.
+ *
+ * @class
+ * @alias ImglyKit.Operations.LevelsOperation
+ * @extends ImglyKit.Operation
+ */
+class LevelsOperation extends Operation {
+  /**
+   * Renders the levels using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the levels using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the levels (all renderers supported)
+   * @param {Renderer} renderer
+   * @private
+   */
+  _render (renderer) {
+    if (!this._stack) {
+      this._stack = new PrimitivesStack()
+      this._primitive = new LookupTablePrimitive()
+      this._stack.add(this._primitive)
+    }
+
+    this._primitive.options.data = this.createLookupTable()
+    this._stack.render(renderer)
+  }
+
+  /**
+   * Returns the levels of the given channel
+   * @param  {String} channel - `rgb`, `red`, `green` or `blue`
+   * @return {Object}
+   */
+  getLevels (channel) {
+    this._checkChannel(channel)
+    return this._getOption(channel)
+  }
+
+  /**
+   * Sets the levels of the given channel
+   * @param {String} channel - `rgb`, `red`, `green` or `blue`
+   * @param {Object} levels
+   */
+  setLevels (channel, levels) {
+    this._checkChannel(channel)
+    this._setOption(channel, levels)
+  }
+
+  /**
+   * Throws an error if the given channel does not exist
+   * @param {String} channel
+   * @private
+   */
+  _checkChannel (channel) {
+    if (LevelsOperation.CHANNELS.indexOf(channel) === -1) {
+      throw new Error('Operation `levels`: Unknown channel `' + channel + '`.')
+    }
+  }
+
+  /**
+   * Creates the lookup table data (256 RGBA entries) for the current options
+   * @return {Array.<Number>}
+   */
+  createLookupTable () {
+    const { rgb, red, green, blue } = this._options
+    const channels = [red, green, blue]
+
+    let data = []
+    for (let i = 0; i < 256; i++) {
+      for (let c = 0; c < 3; c++) {
+        const value = LevelsOperation.applyLevels(i, channels[c])
+        data.push(Math.round(LevelsOperation.applyLevels(value, rgb)))
+      }
+      data.push(255)
+    }
+    return data
+  }
+
+  /**
+   * Applies the given levels to the given value
+   * @param  {Number} value - Between 0 and 255
+   * @param  {Object} levels
+   * @return {Number} Between 0 and 255
+   */
+  static applyLevels (value, levels) {
+    const { inputBlack, inputWhite, gamma, outputBlack, outputWhite } = levels
+    let normalized = (value - inputBlack) / (inputWhite - inputBlack)
+    normalized = Math.min(1, Math.max(0, normalized))
+    normalized = Math.pow(normalized, 1 / gamma)
+    return outputBlack + (outputWhite - outputBlack) * normalized
+  }
+
+  /**
+   * Checks whether the given levels leave the image unchanged
+   * @param  {Object} levels
+   * @return {Boolean}
+   */
+  static isIdentity (levels) {
+    for (let key in DEFAULT_LEVELS) {
+      if (levels[key] !== DEFAULT_LEVELS[key]) return false
+    }
+    return true
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+LevelsOperation.prototype.identifier = 'levels'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+LevelsOperation.prototype.availableOptions = {
+  rgb: levelsOption('rgb'),
+  red: levelsOption('red'),
+  green: levelsOption('green'),
+  blue: levelsOption('blue')
+}
+
+/**
+ * The levels that don't change the image
+ * @type {Object}
+ */
+LevelsOperation.DEFAULT_LEVELS = DEFAULT_LEVELS
+
+/**
+ * The channels that can be adjusted
+ * @type {Array.<String>}
+ */
+LevelsOperation.CHANNELS = ['rgb', 'red', 'green', 'blue']
+
+export default LevelsOperation
@@ -63,10 +63,13 @@ class Operation extends EventEmitter {
   /**
    * Applies this operation
    * @param  {Renderer} renderer
-   * @return {Promise}
+   * @param  {ImglyKit.CancellationToken} [cancellationToken]
+   * @return {Promise} If the operation renders asynchronously. Gets rejected
+   *                   when the cancellation token is cancelled between two
+   *                   frames.
    * @abstract
    */
-  render (renderer) {
+  render (renderer, cancellationToken = null) {
     let renderFn
     if (renderer.identifier === 'webgl') {
       /* istanbul ignore next */
@@ -77,9 +80,17 @@ class Operation extends EventEmitter {
 
     // Handle caching
     if (this._dirty) {
-      renderFn(renderer)
-      renderer.cache(this._uuid)
-      this._dirty = false
+      const cache = () => {
+        renderer.cache(this._uuid)
+        this._dirty = false
+      }
+
+      // Operations that need more than one frame return a promise
+      const result = renderFn(renderer, cancellationToken)
+      if (result && typeof result.then === 'function') {
+        return result.then(cache)
+      }
+      cache()
     } else {
       renderer.drawCached(this._uuid)
     }
@@ -262,6 +273,77 @@ class Operation extends EventEmitter {
     }
   }
 
+  /**
+   * Returns a plain, JSON-compatible representation of this operation's
+   * options. Options can define a custom `serialize` function in
+   * `availableOptions`, otherwise the option type is used.
+   * @return {Object}
+   */
+  serializeOptions () {
+    let serialized = {}
+    for (let optionName in this.availableOptions) {
+      let optionConfig = this.availableOptions[optionName]
+      let value = this._options[optionName]
+      if (typeof value === 'undefined') continue
+
+      if (typeof optionConfig.serialize !== 'undefined') {
+        serialized[optionName] = optionConfig.serialize.call(this, value)
+        continue
+      }
+
+      switch (optionConfig.type) {
+        case 'vector2':
+          serialized[optionName] = [value.x, value.y]
+          break
+        case 'color':
+          serialized[optionName] = [value.r, value.g, value.b, value.a]
+          break
+        case 'array':
+          serialized[optionName] = value.slice(0)
+          break
+        default:
+          serialized[optionName] = value
+          break
+      }
+    }
+    return serialized
+  }
+
+  /**
+   * Turns options that have been returned by {@link Operation#serializeOptions}
+   * back into options that can be passed to {@link Operation#set}
+   * @param {Object} serialized
+   * @return {Object}
+   */
+  deserializeOptions (serialized) {
+    let options = {}
+    for (let optionName in serialized) {
+      let optionConfig = this.availableOptions[optionName]
+      if (typeof optionConfig === 'undefined') {
+        throw new Error('Invalid option: ' + optionName)
+      }
+
+      let value = serialized[optionName]
+      if (typeof optionConfig.deserialize !== 'undefined') {
+        options[optionName] = optionConfig.deserialize.call(this, value)
+        continue
+      }
+
+      switch (optionConfig.type) {
+        case 'vector2':
+          options[optionName] = new Vector2(value[0], value[1])
+          break
+        case 'color':
+          options[optionName] = new Color(value[0], value[1], value[2], value[3])
+          break
+        default:
+          options[optionName] = value
+          break
+      }
+    }
+    return options
+  }
+
   /**
    * Gets the new dimensions
    * @param {Renderer} renderer
@@ -285,7 +367,26 @@ class Operation extends EventEmitter {
   }
 
   /**
-   * Resets this operation
+   * Sets all options back to the defaults specified in `availableOptions`.
+   * Options without a default value are removed.
+   */
+  resetOptions () {
+    for (let optionName in this.availableOptions) {
+      let option = this.availableOptions[optionName]
+      if (typeof option.default === 'undefined') {
+        delete this._options[optionName]
+      } else {
+        this._setOption(optionName, option.default, false)
+      }
+    }
+
+    this.dirty = true
+    this.emit('update')
+  }
+
+  /**
+   * Resets the renderer specific state (e.g. compiled programs) of this
+   * operation. The options are not touched, see {@link Operation#resetOptions}.
    */
   reset () {
     this._dirty = true
@@ -308,6 +409,23 @@ class Operation extends EventEmitter {
   get dirty () {
     return this._dirty
   }
+
+  /**
+   * Creates the validation for a number option that has to be within the
+   * given range
+   * @param  {String} identifier - The identifier of the operation
+   * @param  {String} name - The name of the option
+   * @param  {Number} min
+   * @param  {Number} max
+   * @return {Function}
+   */
+  static rangeValidation (identifier, name, min, max) {
+    return function (value) {
+      if (value < min || value > max) {
+        throw new Error('Operation `' + identifier + '`: Option `' + name + '` has to be between ' + min + ' and ' + max + '.')
+      }
+    }
+  }
 }
 
 /**
@@ -0,0 +1,574 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import Vector2 from '../lib/math/vector2'
+import Color from '../lib/color'
+import Utils from '../lib/utils'
+
+/**
+ * The block size (relative to the longer side of the image) at a strength
+ * of 0 and 1. Blocks are never smaller than `MIN_BLOCK_PIXELS`.
+ * @type {Number}
+ */
+const MIN_BLOCK_SIZE = 0.01
+const MAX_BLOCK_SIZE = 0.05
+const MIN_BLOCK_PIXELS = 2
+
+/**
+ * The number of samples per axis that are averaged for each block
+ * @type {Number}
+ */
+const BLOCK_SAMPLES = 8
+
+/**
+ * The maximum amount of samples on each side of the blur kernel. Larger
+ * kernels skip pixels.
+ * @type {Number}
+ */
+const MAX_BLUR_SAMPLES = 30
+
+/**
+ * The GLSL code shared by all shaders of this operation. Positions are
+ * pixel coordinates counted from the top left, like on the canvas.
+ * @type {String}
+ */
+const SHADER_HEADER = `
+  #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+  #else
+    precision mediump float;
+  #endif
+  varying vec2 v_texCoord;
+  uniform sampler2D u_image;
+  uniform vec2 u_size;
+  uniform vec4 u_rect;
+  uniform float u_ellipse;
+
+  vec2 pixelPosition() {
+    return floor(vec2(v_texCoord.x, 1.0 - v_texCoord.y) * u_size);
+  }
+
+  vec4 pixelColor(vec2 pixel) {
+    return texture2D(u_image, vec2((pixel.x + 0.5) / u_size.x, 1.0 - (pixel.y + 0.5) / u_size.y));
+  }
+
+  bool isInside(vec2 pixel) {
+    vec2 position = pixel + 0.5;
+    if (position.x < u_rect.x || position.y < u_rect.y ||
+        position.x > u_rect.z || position.y > u_rect.w) {
+      return false;
+    }
+    if (u_ellipse < 0.5) return true;
+
+    vec2 center = (u_rect.xy + u_rect.zw) / 2.0;
+    vec2 radius = (u_rect.zw - u_rect.xy) / 2.0;
+    vec2 distance = (position - center) / radius;
+    return dot(distance, distance) <= 1.0;
+  }
+`
+
+/**
+ * An operation that hides parts of the image, e.g. faces or license plates.
+ * Each region is either pixelated, blurred or filled with a solid color.
+ * Blurred regions are pixelated before they are blurred, so that neither
+ * mode keeps more information than the block averages and the original
+ * pixels can not be restored.
+ *
+ * @class
+ * @alias ImglyKit.Operations.RedactOperation
+ * @extends ImglyKit.Operation
+ */
+class RedactOperation extends Operation {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * The fragment shader that replaces each block with its average color
+     * @type {String}
+     * @private
+     */
+    this._pixelateFragmentShader = SHADER_HEADER + `
+      uniform float u_blockSize;
+
+      void main() {
+        vec2 pixel = pixelPosition();
+        if (!isInside(pixel)) {
+          gl_FragColor = pixelColor(pixel);
+          return;
+        }
+
+        vec2 lastBlock = max(floor((u_rect.zw - u_rect.xy) / u_blockSize) - 1.0, 0.0);
+        vec2 block = min(floor((pixel - u_rect.xy + 0.5) / u_blockSize), lastBlock);
+        vec2 blockStart = u_rect.xy + block * u_blockSize;
+        vec2 blockEnd = mix(blockStart + u_blockSize, u_rect.zw, step(lastBlock, block));
+        vec2 blockSize = blockEnd - blockStart;
+        vec4 color = vec4(0.0);
+        for (float y = 0.0; y < ${BLOCK_SAMPLES}.0; y++) {
+          for (float x = 0.0; x < ${BLOCK_SAMPLES}.0; x++) {
+            color += pixelColor(floor(blockStart + (vec2(x, y) + 0.5) / ${BLOCK_SAMPLES}.0 * blockSize));
+          }
+        }
+        gl_FragColor = color / ${BLOCK_SAMPLES * BLOCK_SAMPLES}.0;
+      }
+    `
+
+    /**
+     * The fragment shader that blurs the region in the direction of
+     * `u_direction`. Only pixels inside the region's bounds are sampled.
+     * @type {String}
+     * @private
+     */
+    this._blurFragmentShader = SHADER_HEADER + `
+      uniform vec2 u_direction;
+      uniform float u_sigma;
+      uniform float u_step;
+
+      void main() {
+        vec2 pixel = pixelPosition();
+        if (!isInside(pixel)) {
+          gl_FragColor = pixelColor(pixel);
+          return;
+        }
+
+        vec4 color = vec4(0.0);
+        float total = 0.0;
+        for (float t = -${MAX_BLUR_SAMPLES}.0; t <= ${MAX_BLUR_SAMPLES}.0; t++) {
+          float offset = t * u_step;
+          if (abs(offset) > u_sigma * 3.0) continue;
+
+          float weight = exp(-offset * offset / (2.0 * u_sigma * u_sigma));
+          vec2 samplePixel = clamp(pixel + u_direction * offset, u_rect.xy, u_rect.zw - 1.0);
+          color += pixelColor(samplePixel) * weight;
+          total += weight;
+        }
+        gl_FragColor = color / total;
+      }
+    `
+
+    /**
+     * The fragment shader that fills the region with a solid color
+     * @type {String}
+     * @private
+     */
+    this._fillFragmentShader = SHADER_HEADER + `
+      uniform vec3 u_color;
+
+      void main() {
+        vec2 pixel = pixelPosition();
+        gl_FragColor = isInside(pixel) ? vec4(u_color, 1.0) : pixelColor(pixel);
+      }
+    `
+  }
+
+  /**
+   * Redacts the regions using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = {
+        pixelate: renderer.setupGLSLProgram(null, this._pixelateFragmentShader),
+        blur: renderer.setupGLSLProgram(null, this._blurFragmentShader),
+        fill: renderer.setupGLSLProgram(null, this._fillFragmentShader)
+      }
+    }
+    const programs = this._glslPrograms[renderer.id]
+    const canvas = renderer.getCanvas()
+
+    this._options.regions.forEach((region) => {
+      const parameters = region.getParameters(canvas.width, canvas.height)
+      if (!parameters) return
+
+      const { x0, y0, x1, y1, blockSize, sigma, step } = parameters
+      const uniforms = {
+        u_size: { type: '2f', value: [canvas.width, canvas.height] },
+        u_rect: { type: '4f', value: [x0, y0, x1, y1] },
+        u_ellipse: { type: 'f', value: region.shape === 'ellipse' ? 1 : 0 }
+      }
+
+      if (region.mode === 'fill') {
+        renderer.runProgram(programs.fill, {
+          uniforms: Utils.extend(uniforms, {
+            u_color: { type: '3f', value: [region.color.r, region.color.g, region.color.b] }
+          })
+        })
+        return
+      }
+
+      renderer.runProgram(programs.pixelate, {
+        uniforms: Utils.extend(uniforms, {
+          u_blockSize: { type: 'f', value: blockSize }
+        })
+      })
+
+      if (region.mode === 'blur') {
+        [[1, 0], [0, 1]].forEach((direction) => {
+          renderer.runProgram(programs.blur, {
+            uniforms: Utils.extend(uniforms, {
+              u_direction: { type: '2f', value: direction },
+              u_sigma: { type: 'f', value: sigma },
+              u_step: { type: 'f', value: step }
+            })
+          })
+        })
+      }
+    })
+  }
+
+  /**
+   * Redacts the regions using Canvas2D
+   * @param  {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    if (!this._options.regions.length) return
+
+    const canvas = renderer.getCanvas()
+    const context = renderer.getContext()
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height)
+
+    this._options.regions.forEach((region) => {
+      const parameters = region.getParameters(canvas.width, canvas.height)
+      if (!parameters) return
+
+      if (region.mode === 'fill') {
+        RedactOperation._fill(imageData, region, parameters)
+        return
+      }
+
+      RedactOperation._pixelate(imageData, region, parameters)
+      if (region.mode === 'blur') {
+        RedactOperation._blur(imageData, region, parameters, 1, 0)
+        RedactOperation._blur(imageData, region, parameters, 0, 1)
+      }
+    })
+
+    context.putImageData(imageData, 0, 0)
+  }
+
+  /**
+   * Fills the given region with its color
+   * @param  {ImageData} imageData
+   * @param  {RedactOperation.Region} region
+   * @param  {Object} parameters
+   * @private
+   */
+  static _fill (imageData, region, parameters) {
+    const { x0, y0, x1, y1 } = parameters
+    const { data, width } = imageData
+    const color = [region.color.r * 255, region.color.g * 255, region.color.b * 255, 255]
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (!region.isInside(x, y, parameters)) continue
+
+        const index = (y * width + x) * 4
+        for (let c = 0; c < 4; c++) {
+          data[index + c] = color[c]
+        }
+      }
+    }
+  }
+
+  /**
+   * Replaces each block of the given region with its average color. A
+   * remainder at the right and bottom edges that is smaller than a block
+   * is added to the last block, a thin block would keep the original pixels.
+   * @param  {ImageData} imageData
+   * @param  {RedactOperation.Region} region
+   * @param  {Object} parameters
+   * @private
+   */
+  static _pixelate (imageData, region, parameters) {
+    const { x0, y0, x1, y1, blockSize } = parameters
+    const { data, width } = imageData
+    const sampleCount = BLOCK_SAMPLES * BLOCK_SAMPLES
+
+    let blockHeight, blockWidth
+    for (let blockY = y0; blockY < y1; blockY += blockHeight) {
+      blockHeight = y1 - blockY < blockSize * 2 ? y1 - blockY : blockSize
+      for (let blockX = x0; blockX < x1; blockX += blockWidth) {
+        blockWidth = x1 - blockX < blockSize * 2 ? x1 - blockX : blockSize
+
+        // Average the samples
+        let color = [0, 0, 0, 0]
+        for (let sy = 0; sy < BLOCK_SAMPLES; sy++) {
+          const y = Math.floor(blockY + (sy + 0.5) / BLOCK_SAMPLES * blockHeight)
+          for (let sx = 0; sx < BLOCK_SAMPLES; sx++) {
+            const x = Math.floor(blockX + (sx + 0.5) / BLOCK_SAMPLES * blockWidth)
+            const index = (y * width + x) * 4
+            for (let c = 0; c < 4; c++) {
+              color[c] += data[index + c]
+            }
+          }
+        }
+
+        // Replace the pixels of the block that are inside the region
+        for (let y = blockY; y < blockY + blockHeight; y++) {
+          for (let x = blockX; x < blockX + blockWidth; x++) {
+            if (!region.isInside(x, y, parameters)) continue
+
+            const index = (y * width + x) * 4
+            for (let c = 0; c < 4; c++) {
+              data[index + c] = color[c] / sampleCount
+            }
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Blurs the given region in the given direction. Only pixels inside the
+   * region's bounds are sampled.
+   * @param  {ImageData} imageData
+   * @param  {RedactOperation.Region} region
+   * @param  {Object} parameters
+   * @param  {Number} directionX
+   * @param  {Number} directionY
+   * @private
+   */
+  static _blur (imageData, region, parameters, directionX, directionY) {
+    const { x0, y0, x1, y1, sigma, step } = parameters
+    const { data, width } = imageData
+
+    // Copy the region's bounds, the blurred pixels are written to the image
+    const sourceWidth = x1 - x0
+    const source = new Uint8ClampedArray(sourceWidth * (y1 - y0) * 4)
+    for (let y = y0; y < y1; y++) {
+      source.set(data.subarray((y * width + x0) * 4, (y * width + x1) * 4), (y - y0) * sourceWidth * 4)
+    }
+
+    let offsets = []
+    let weights = []
+    for (let t = -MAX_BLUR_SAMPLES; t <= MAX_BLUR_SAMPLES; t++) {
+      const offset = t * step
+      if (Math.abs(offset) > sigma * 3) continue
+      offsets.push(offset)
+      weights.push(Math.exp(-offset * offset / (2 * sigma * sigma)))
+    }
+
+    for (let y = y0; y < y1; y++) {
+      for (let x = x0; x < x1; x++) {
+        if (!region.isInside(x, y, parameters)) continue
+
+        let color = [0, 0, 0, 0]
+        let total = 0
+        for (let i = 0; i < offsets.length; i++) {
+          const sampleX = Math.min(x1 - 1, Math.max(x0, x + directionX * offsets[i]))
+          const sampleY = Math.min(y1 - 1, Math.max(y0, y + directionY * offsets[i]))
+          const sampleIndex = ((sampleY - y0) * sourceWidth + sampleX - x0) * 4
+          for (let c = 0; c < 4; c++) {
+            color[c] += source[sampleIndex + c] * weights[i]
+          }
+          total += weights[i]
+        }
+
+        const index = (y * width + x) * 4
+        for (let c = 0; c < 4; c++) {
+          data[index + c] = color[c] / total
+        }
+      }
+    }
+  }
+
+  /**
+   * Creates a region with the given options and adds it on top of the
+   * other regions
+   * @param {Object} options
+   * @return {RedactOperation.Region}
+   */
+  addRegion (options) {
+    const region = new RedactOperation.Region(options)
+    this.setRegions(this._options.regions.concat([region]))
+    return region
+  }
+
+  /**
+   * Removes the given region
+   * @param {RedactOperation.Region} region
+   */
+  removeRegion (region) {
+    this.setRegions(this._options.regions.filter((r) => r !== region))
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+RedactOperation.prototype.identifier = 'redact'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+RedactOperation.prototype.availableOptions = {
+  regions: { type: 'array', default: [],
+    setter: function (regions) {
+      return regions.map((region) => {
+        if (region instanceof RedactOperation.Region) return region
+        return new RedactOperation.Region(region)
+      })
+    },
+    serialize: function (regions) {
+      return regions.map((region) => region.serialize())
+    },
+    deserialize: function (regions) {
+      return regions.map((data) => RedactOperation.Region.deserialize(data))
+    }
+  }
+}
+
+/**
+ * Represents a single region. Regions are applied in order, later regions
+ * see the result of the earlier ones.
+ * @param {Object} options
+ * @param {String} [options.shape=rectangle] - `rectangle` or `ellipse`
+ * @param {String} [options.mode=pixelate] - `pixelate`, `blur` or `fill`
+ * @param {Vector2} [options.position] - The top left corner, relative to
+ *                                     the image dimensions
+ * @param {Vector2} [options.size] - The size, relative to the image
+ *                                 dimensions
+ * @param {Number} [options.strength=0.5] - The block size or blur radius
+ *                                        (0 to 1), unused by `fill`
+ * @param {Color} [options.color] - The color used by `fill`
+ */
+RedactOperation.Region = class Region {
+  constructor (options) {
+    options = Utils.defaults(options || {}, {
+      shape: 'rectangle',
+      mode: 'pixelate',
+      position: new Vector2(0.4, 0.4),
+      size: new Vector2(0.2, 0.2),
+      strength: 0.5,
+      color: new Color(0, 0, 0, 1)
+    })
+
+    if (RedactOperation.Region.SHAPES.indexOf(options.shape) === -1) {
+      throw new Error('Operation `redact`: Invalid value for `shape` (valid values are: ' + RedactOperation.Region.SHAPES.join(', ') + ')')
+    }
+    if (RedactOperation.Region.MODES.indexOf(options.mode) === -1) {
+      throw new Error('Operation `redact`: Invalid value for `mode` (valid values are: ' + RedactOperation.Region.MODES.join(', ') + ')')
+    }
+    if (!(options.position instanceof Vector2)) {
+      throw new Error('Operation `redact`: Option `position` has to be an instance of ImglyKit.Vector2.')
+    }
+    if (!(options.size instanceof Vector2)) {
+      throw new Error('Operation `redact`: Option `size` has to be an instance of ImglyKit.Vector2.')
+    }
+    if (options.strength < 0 || options.strength > 1) {
+      throw new Error('Operation `redact`: Option `strength` has to be between 0 and 1.')
+    }
+    if (!(options.color instanceof Color)) {
+      throw new Error('Operation `redact`: Option `color` has to be an instance of ImglyKit.Color.')
+    }
+
+    this.shape = options.shape
+    this.mode = options.mode
+    this.position = options.position.clone()
+    this.size = options.size.clone()
+    this.strength = options.strength
+    this.color = options.color.clone()
+  }
+
+  /**
+   * Returns the pixel bounds (`x0` and `y0` inclusive, `x1` and `y1`
+   * exclusive) and the effect parameters of this region for the given
+   * canvas dimensions. Sizes are relative to the image, so the preview and
+   * the export look the same.
+   * @param {Number} width
+   * @param {Number} height
+   * @return {Object} `null` if the region is empty
+   */
+  getParameters (width, height) {
+    const clamp = (value, max) => Math.min(max, Math.max(0, Math.round(value)))
+    const x0 = clamp(this.position.x * width, width)
+    const y0 = clamp(this.position.y * height, height)
+    const x1 = clamp((this.position.x + this.size.x) * width, width)
+    const y1 = clamp((this.position.y + this.size.y) * height, height)
+    if (x1 <= x0 || y1 <= y0) return null
+
+    const relativeBlockSize = MIN_BLOCK_SIZE + (MAX_BLOCK_SIZE - MIN_BLOCK_SIZE) * this.strength
+    const blockSize = Math.max(MIN_BLOCK_PIXELS, Math.round(relativeBlockSize * Math.max(width, height)))
+    const sigma = blockSize
+    const step = Math.max(1, Math.ceil(sigma * 3 / MAX_BLUR_SAMPLES))
+
+    return { x0, y0, x1, y1, blockSize, sigma, step }
+  }
+
+  /**
+   * Checks whether the given pixel is inside this region
+   * @param {Number} x
+   * @param {Number} y
+   * @param {Object} parameters - See {@link RedactOperation.Region#getParameters}
+   * @return {Boolean}
+   */
+  isInside (x, y, parameters) {
+    const { x0, y0, x1, y1 } = parameters
+    if (x < x0 || y < y0 || x >= x1 || y >= y1) return false
+    if (this.shape !== 'ellipse') return true
+
+    const dx = (x + 0.5 - (x0 + x1) / 2) / ((x1 - x0) / 2)
+    const dy = (y + 0.5 - (y0 + y1) / 2) / ((y1 - y0) / 2)
+    return dx * dx + dy * dy <= 1
+  }
+
+  /**
+   * Returns a copy of this region
+   * @return {RedactOperation.Region}
+   */
+  clone () {
+    return new RedactOperation.Region(this)
+  }
+
+  /**
+   * Returns a plain representation of this region
+   * @return {Object}
+   */
+  serialize () {
+    return {
+      shape: this.shape,
+      mode: this.mode,
+      position: [this.position.x, this.position.y],
+      size: [this.size.x, this.size.y],
+      strength: this.strength,
+      color: [this.color.r, this.color.g, this.color.b, this.color.a]
+    }
+  }
+
+  /**
+   * Creates a region from the given plain representation
+   * @param {Object} data
+   * @return {RedactOperation.Region}
+   */
+  static deserialize (data) {
+    const options = Utils.extend({}, data)
+    options.position = new Vector2(data.position[0], data.position[1])
+    options.size = new Vector2(data.size[0], data.size[1])
+    if (data.color) {
+      options.color = new Color(data.color[0], data.color[1], data.color[2], data.color[3])
+    }
+    return new RedactOperation.Region(options)
+  }
+}
+
+/**
+ * The available shapes and modes of a region
+ * @type {Array.<String>}
+ */
+RedactOperation.Region.SHAPES = ['rectangle', 'ellipse']
+RedactOperation.Region.MODES = ['pixelate', 'blur', 'fill']
+
+export default RedactOperation
@@ -12,7 +12,9 @@ import Operation from './operation'
 import Vector2 from '../lib/math/vector2'
 
 /**
- * An operation that can crop out a part of the image and rotates it
+ * An operation that can rotate the image by an arbitrary angle. If `autoCrop`
+ * is enabled, the image is cropped to the largest rectangle that fits into the
+ * rotated image, so that no transparent corners appear.
  *
  * @class
  * @alias ImglyKit.Operations.RotationOperation
@@ -23,17 +25,31 @@ class RotationOperation extends Operation {
     super(...args)
 
     /**
-     * The fragment shader used for this operation
+     * The fragment shader used for this operation. Looks up the source pixel
+     * for every pixel of the (rotated) output image.
      */
-    this.vertexShader = `
-      attribute vec2 a_position;
-      attribute vec2 a_texCoord;
+    this._fragmentShader = `
+      precision mediump float;
       varying vec2 v_texCoord;
-      uniform mat3 u_matrix;
+      uniform sampler2D u_image;
+      uniform vec2 u_inputSize;
+      uniform vec2 u_outputSize;
+      uniform float u_cos;
+      uniform float u_sin;
 
       void main() {
-        gl_Position = vec4((u_matrix * vec3(a_position, 1)).xy, 0, 1);
-        v_texCoord = a_texCoord;
+        vec2 position = (v_texCoord - 0.5) * u_outputSize;
+        vec2 source = vec2(
+          u_cos * position.x - u_sin * position.y,
+          u_sin * position.x + u_cos * position.y
+        );
+        vec2 coord = source / u_inputSize + 0.5;
+
+        if (coord.x < 0.0 || coord.x > 1.0 || coord.y < 0.0 || coord.y > 1.0) {
+          gl_FragColor = vec4(0.0);
+        } else {
+          gl_FragColor = texture2D(u_image, coord);
+        }
       }
     `
   }
@@ -44,34 +60,34 @@ class RotationOperation extends Operation {
    */
   /* istanbul ignore next */
   _renderWebGL (renderer) {
-    var actualDegrees = this._options.degrees % 360
-
-    // Build the rotation matrix
-    var radians = actualDegrees * (Math.PI / 180)
-    var c = Math.cos(radians)
-    var s = Math.sin(radians)
-    var rotationMatrix = [
-      c, -s, 0,
-      s, c, 0,
-      0, 0, 1
-    ]
-
-    // Run the shader
-    renderer.runShader(this.vertexShader, null, {
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = renderer.setupGLSLProgram(null, this._fragmentShader)
+    }
+
+    // The WebGL renderer renders all operations in the final output size,
+    // so the input dimensions are calculated from the operations that are
+    // applied before this one
+    const inputSize = renderer.getInputDimensionsForOperation(this)
+    const outputSize = this.getNewDimensions(renderer, inputSize.clone())
+    const radians = this._getRadians()
+
+    renderer.runProgram(this._glslPrograms[renderer.id], {
       uniforms: {
-        u_matrix: { type: 'mat3fv', value: rotationMatrix }
+        u_inputSize: { type: '2f', value: [inputSize.x, inputSize.y] },
+        u_outputSize: { type: '2f', value: [outputSize.x, outputSize.y] },
+        u_cos: { type: 'f', value: Math.cos(radians) },
+        u_sin: { type: 'f', value: Math.sin(radians) }
       }
     })
   }
 
   /**
-   * Crops the image using Canvas2D
+   * Rotates the image using Canvas2D
    * @param  {CanvasRenderer} renderer
    */
   _renderCanvas (renderer) {
     var canvas = renderer.getCanvas()
 
-    var actualDegrees = this._options.degrees % 360
     let newDimensions = this.getNewDimensions(renderer)
 
     // Create a rotated canvas
@@ -86,7 +102,7 @@ class RotationOperation extends Operation {
     newContext.translate(newCanvas.width / 2, newCanvas.height / 2)
 
     // Rotate the canvas
-    newContext.rotate(actualDegrees * (Math.PI / 180))
+    newContext.rotate(this._getRadians())
 
     // Create a temporary canvas so that we can draw the image
     // with the applied transformation
@@ -99,6 +115,15 @@ class RotationOperation extends Operation {
     renderer.setCanvas(newCanvas)
   }
 
+  /**
+   * Returns the rotation in radians
+   * @return {Number}
+   * @private
+   */
+  _getRadians () {
+    return (this._options.degrees % 360) * (Math.PI / 180)
+  }
+
   /**
    * Gets the new dimensions
    * @param {Renderer} renderer
@@ -109,11 +134,67 @@ class RotationOperation extends Operation {
     dimensions = dimensions || renderer.getSize()
 
     let actualDegrees = this._options.degrees % 360
-    if (actualDegrees % 180 !== 0) {
-      dimensions.flip()
+    if (actualDegrees % 90 === 0) {
+      if (actualDegrees % 180 !== 0) {
+        dimensions.flip()
+      }
+      return dimensions
+    }
+
+    const radians = this._getRadians()
+    if (this._options.autoCrop) {
+      return RotationOperation.getInscribedDimensions(dimensions, radians)
+    }
+    return RotationOperation.getBoundingDimensions(dimensions, radians)
+  }
+
+  /**
+   * Returns the dimensions of the bounding box of a rectangle with the given
+   * dimensions that has been rotated by the given angle
+   * @param {Vector2} dimensions
+   * @param {Number} radians
+   * @return {Vector2}
+   */
+  static getBoundingDimensions (dimensions, radians) {
+    const cos = Math.abs(Math.cos(radians))
+    const sin = Math.abs(Math.sin(radians))
+    return new Vector2(
+      dimensions.x * cos + dimensions.y * sin,
+      dimensions.x * sin + dimensions.y * cos
+    )
+  }
+
+  /**
+   * Returns the dimensions of the largest axis-aligned rectangle that fits
+   * into a rectangle with the given dimensions that has been rotated by the
+   * given angle
+   * @param {Vector2} dimensions
+   * @param {Number} radians
+   * @return {Vector2}
+   */
+  static getInscribedDimensions (dimensions, radians) {
+    const { x: width, y: height } = dimensions
+    const cos = Math.abs(Math.cos(radians))
+    const sin = Math.abs(Math.sin(radians))
+    const widthIsLonger = width >= height
+    const longSide = widthIsLonger ? width : height
+    const shortSide = widthIsLonger ? height : width
+
+    if (shortSide <= 2 * sin * cos * longSide || Math.abs(sin - cos) < 1e-10) {
+      // Half constrained case: two corners of the rectangle touch the
+      // longer side of the rotated rectangle
+      const x = shortSide / 2
+      return widthIsLonger
+        ? new Vector2(x / sin, x / cos)
+        : new Vector2(x / cos, x / sin)
     }
 
-    return dimensions
+    // Fully constrained case: the rectangle touches all four sides
+    const cos2 = cos * cos - sin * sin
+    return new Vector2(
+      (width * cos - height * sin) / cos2,
+      (height * cos - width * sin) / cos2
+    )
   }
 }
 
@@ -129,11 +210,8 @@ RotationOperation.prototype.identifier = 'rotation'
  * @type {Object}
  */
 RotationOperation.prototype.availableOptions = {
-  degrees: { type: 'number', default: 0, validation: function (value) {
-    if (value % 90 !== 0) {
-      throw new Error('RotationOperation: `rotation` has to be a multiple of 90.')
-    }
-  }}
+  degrees: { type: 'number', default: 0 },
+  autoCrop: { type: 'boolean', default: false }
 }
 
 export default RotationOperation
@@ -0,0 +1,220 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import StackBlur from '../vendor/stack-blur'
+
+/**
+ * The maximum amount of texels sampled on each side by the blur shader.
+ * GLSL loops need a constant bound, this covers three standard deviations
+ * at the maximum radius.
+ * @type {Number}
+ */
+const MAX_BLUR_SAMPLES = 30
+
+/**
+ * An operation that sharpens the image using an unsharp mask: The
+ * difference between the image and a blurred copy is added to the image,
+ * but only where the difference in brightness exceeds the threshold.
+ *
+ * @class
+ * @alias ImglyKit.Operations.SharpenOperation
+ * @extends ImglyKit.Operation
+ */
+class SharpenOperation extends Operation {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * The texture index used for the unsharpened image
+     * @type {Number}
+     * @private
+     */
+    this._textureIndex = 1
+
+    /**
+     * The fragment shader that blurs the image in the direction of `u_delta`
+     * using a gaussian kernel
+     * @type {String}
+     * @private
+     */
+    this._blurFragmentShader = `
+      precision mediump float;
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform vec2 u_delta;
+      uniform float u_sigma;
+
+      void main() {
+        vec4 color = vec4(0.0);
+        float total = 0.0;
+        float samples = ceil(u_sigma * 3.0);
+        for (float t = -${MAX_BLUR_SAMPLES}.0; t <= ${MAX_BLUR_SAMPLES}.0; t++) {
+          if (abs(t) > samples) continue;
+          float weight = exp(-t * t / (2.0 * u_sigma * u_sigma));
+          color += texture2D(u_image, v_texCoord + u_delta * t) * weight;
+          total += weight;
+        }
+        gl_FragColor = color / total;
+      }
+    `
+
+    /**
+     * The fragment shader that applies the unsharp mask
+     * @type {String}
+     * @private
+     */
+    this._sharpenFragmentShader = `
+      precision mediump float;
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform sampler2D u_unsharpenedImage;
+      uniform float u_amount;
+      uniform float u_threshold;
+
+      const vec3 luminanceWeighting = vec3(0.2125, 0.7154, 0.0721);
+
+      void main() {
+        vec4 blurredColor = texture2D(u_image, v_texCoord);
+        vec4 color = texture2D(u_unsharpenedImage, v_texCoord);
+        vec3 difference = color.rgb - blurredColor.rgb;
+        float mask = step(u_threshold, abs(dot(difference, luminanceWeighting)));
+        gl_FragColor = vec4(clamp(color.rgb + difference * u_amount * mask, 0.0, color.a), color.a);
+      }
+    `
+  }
+
+  /**
+   * Sharpens the image using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    const { amount, radius, threshold } = this._options
+    if (amount === 0) return
+
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = {
+        blur: renderer.setupGLSLProgram(null, this._blurFragmentShader),
+        sharpen: renderer.setupGLSLProgram(null, this._sharpenFragmentShader)
+      }
+    }
+    const programs = this._glslPrograms[renderer.id]
+
+    // Keep a copy of the unsharpened image
+    const cacheIdentifier = this._uuid + '-unsharpened'
+    renderer.cache(cacheIdentifier)
+
+    // Separable blur: horizontal pass, then vertical pass
+    const canvas = renderer.getCanvas()
+    renderer.runProgram(programs.blur, {
+      uniforms: {
+        u_delta: { type: '2f', value: [1 / canvas.width, 0] },
+        u_sigma: { type: 'f', value: radius }
+      }
+    })
+    renderer.runProgram(programs.blur, {
+      uniforms: {
+        u_delta: { type: '2f', value: [0, 1 / canvas.height] },
+        u_sigma: { type: 'f', value: radius }
+      }
+    })
+
+    const gl = renderer.getContext()
+    gl.activeTexture(gl.TEXTURE0 + this._textureIndex)
+    gl.bindTexture(gl.TEXTURE_2D, renderer.getCachedTexture(cacheIdentifier))
+    gl.activeTexture(gl.TEXTURE0)
+
+    renderer.runProgram(programs.sharpen, {
+      uniforms: {
+        u_unsharpenedImage: { type: 'i', value: this._textureIndex },
+        u_amount: { type: 'f', value: amount },
+        u_threshold: { type: 'f', value: threshold / 255 }
+      }
+    })
+  }
+
+  /**
+   * Sharpens the image using Canvas2D. The gaussian blur is approximated
+   * with a stack blur.
+   * @param  {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    const { amount, radius, threshold } = this._options
+    if (amount === 0) return
+
+    const canvas = renderer.getCanvas()
+    const context = renderer.getContext()
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height)
+    const blurredImageData = context.getImageData(0, 0, canvas.width, canvas.height)
+
+    StackBlur.stackBlurCanvasRGBA(blurredImageData, 0, 0, canvas.width, canvas.height,
+      SharpenOperation.getStackBlurRadius(radius))
+
+    const data = imageData.data
+    const blurredData = blurredImageData.data
+    for (let i = 0; i < data.length; i += 4) {
+      const r = data[i] - blurredData[i]
+      const g = data[i + 1] - blurredData[i + 1]
+      const b = data[i + 2] - blurredData[i + 2]
+      if (Math.abs(0.2125 * r + 0.7154 * g + 0.0721 * b) < threshold) continue
+
+      data[i] += r * amount
+      data[i + 1] += g * amount
+      data[i + 2] += b * amount
+    }
+
+    context.putImageData(imageData, 0, 0)
+  }
+
+  /**
+   * Returns the stack blur radius that approximates a gaussian blur with the
+   * given standard deviation. The stack blur's triangular kernel with radius
+   * `r` has about the same variance as a gaussian with a standard deviation
+   * of `(r + 1) / sqrt(6)`.
+   * @param  {Number} sigma
+   * @return {Number}
+   */
+  static getStackBlurRadius (sigma) {
+    return Math.max(1, Math.round(sigma * Math.sqrt(6) - 1))
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+SharpenOperation.prototype.identifier = 'sharpen'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+SharpenOperation.prototype.availableOptions = {
+  amount: { type: 'number', default: 1, validation: Operation.rangeValidation('sharpen', 'amount', 0, 5) },
+  radius: { type: 'number', default: 1, validation: Operation.rangeValidation('sharpen', 'radius', 0.1, 10) },
+  threshold: { type: 'number', default: 0, validation: Operation.rangeValidation('sharpen', 'threshold', 0, 255) }
+}
+
+/**
+ * The options used to sharpen exports after they have been resized, see
+ * {@link ImglyKit#render}
+ * @type {Object}
+ */
+SharpenOperation.RESIZE_OPTIONS = {
+  amount: 0.6,
+  radius: 0.6,
+  threshold: 2
+}
+
+export default SharpenOperation
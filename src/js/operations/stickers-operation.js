@@ -12,9 +12,20 @@
 import Operation from './operation'
 import Vector2 from '../lib/math/vector2'
 import Promise from '../vendor/promise'
+import Utils from '../lib/utils'
 
 /**
- * An operation that can draw text on the canvas
+ * The options of the single sticker that this operation rendered before it
+ * supported multiple stickers. They are still accepted and map to the first
+ * sticker. `position` is the top left corner of the sticker, `size` its
+ * width relative to the image width (the height follows the sticker's
+ * aspect ratio).
+ * @type {Array.<String>}
+ */
+const LEGACY_OPTIONS = ['sticker', 'position', 'size']
+
+/**
+ * An operation that can draw a list of stickers on the canvas
  *
  * @class
  * @alias ImglyKit.Operations.StickersOperation
@@ -73,51 +84,31 @@ class StickersOperation extends Operation {
    */
   render (renderer) {
     var self = this
-    return this._loadSticker()
-      .then(function (image) {
+    return this._loadStickers()
+      .then(function (images) {
         if (renderer.identifier === 'webgl') {
           /* istanbul ignore next */
-          return self._renderWebGL(renderer, image)
+          return self._renderWebGL(renderer, images)
         } else {
-          return self._renderCanvas(renderer, image)
+          return self._renderCanvas(renderer, images)
         }
       })
   }
 
   /**
-   * Crops this image using WebGL
+   * Renders the stickers using WebGL
    * @param  {WebGLRenderer} renderer
-   * @param  {Image} image
+   * @param  {Array.<Image>} images
    * @private
    */
   /* istanbul ignore next */
-  _renderWebGL (renderer, image) {
+  _renderWebGL (renderer, images) {
     var canvas = renderer.getCanvas()
     var gl = renderer.getContext()
 
-    var position = this._options.position.clone()
-    var canvasSize = new Vector2(canvas.width, canvas.height)
-
-    if (this._options.numberFormat === 'absolute') {
-      position.divide(canvasSize)
-    }
-
-    var size = new Vector2(image.width, image.height)
-    if (typeof this._options.size !== 'undefined') {
-      size.copy(this._options.size)
-
-      if (this._options.numberFormat === 'relative') {
-        size.multiply(canvasSize)
-      }
-
-      // Calculate image ratio, scale by width
-      let ratio = image.height / image.width
-      size.y = size.x * ratio
-    }
-    size.divide(canvasSize)
-
-    position.y = 1 - position.y // Invert y
-    position.y -= size.y // Fix y
+    // Draw the stickers to a separate canvas and use it as a texture
+    var stickersCanvas = renderer.createCanvas(canvas.width, canvas.height)
+    this._renderStickersToCanvas(stickersCanvas, images)
 
     // Upload the texture
     gl.activeTexture(gl.TEXTURE0 + this._textureIndex)
@@ -133,63 +124,104 @@ class StickersOperation extends Operation {
     // Set premultiplied alpha
     gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true)
 
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, stickersCanvas)
     gl.activeTexture(gl.TEXTURE0)
 
     // Execute the shader
     renderer.runShader(null, this._fragmentShader, {
       uniforms: {
         u_stickerImage: { type: 'i', value: this._textureIndex },
-        u_position: { type: '2f', value: [position.x, position.y] },
-        u_size: { type: '2f', value: [size.x, size.y] }
+        u_position: { type: '2f', value: [0, 0] },
+        u_size: { type: '2f', value: [1, 1] }
       }
     })
   }
 
   /**
-   * Crops the image using Canvas2D
+   * Renders the stickers using Canvas2D
    * @param  {CanvasRenderer} renderer
-   * @param  {Image} image
+   * @param  {Array.<Image>} images
    * @private
    */
-  _renderCanvas (renderer, image) {
-    var canvas = renderer.getCanvas()
-    var context = renderer.getContext()
+  _renderCanvas (renderer, images) {
+    this._renderStickersToCanvas(renderer.getCanvas(), images)
+  }
 
+  /**
+   * Draws all stickers onto the given canvas. The first sticker in the
+   * list is drawn first and therefore is the bottom-most one.
+   * @param  {Canvas} canvas
+   * @param  {Array.<Image>} images
+   * @private
+   */
+  _renderStickersToCanvas (canvas, images) {
+    var context = canvas.getContext('2d')
     var canvasSize = new Vector2(canvas.width, canvas.height)
-    var scaledPosition = this._options.position.clone()
 
-    if (this._options.numberFormat === 'relative') {
-      scaledPosition.multiply(canvasSize)
-    }
+    this._options.stickers.forEach((sticker, i) => {
+      var image = images[i]
+      var position = sticker.position.clone().multiply(canvasSize)
+
+      var size = sticker.getSize(canvasSize, new Vector2(image.width, image.height))
+      var anchor = sticker.anchor.clone().multiply(size)
+
+      context.save()
+      context.globalAlpha = sticker.opacity
+      context.translate(position.x, position.y)
+      context.rotate(sticker.rotation)
+      context.scale(sticker.flipHorizontally ? -1 : 1, sticker.flipVertically ? -1 : 1)
+      context.drawImage(image,
+        0, 0,
+        image.width, image.height,
+        -anchor.x, -anchor.y,
+        size.x, size.y)
+      context.restore()
+    })
+  }
 
-    var size = new Vector2(image.width, image.height)
-    if (typeof this._options.size !== 'undefined') {
-      size.copy(this._options.size)
+  /**
+   * Creates a sticker with the given options and adds it on top of
+   * the other stickers
+   * @param {Object} options
+   * @return {StickersOperation.Sticker}
+   */
+  addSticker (options) {
+    const sticker = new StickersOperation.Sticker(options)
+    this.setStickers(this._options.stickers.concat([sticker]))
+    return sticker
+  }
 
-      if (this._options.numberFormat === 'relative') {
-        size.multiply(canvasSize)
-      }
-    }
+  /**
+   * Removes the given sticker
+   * @param {StickersOperation.Sticker} sticker
+   */
+  removeSticker (sticker) {
+    this.setStickers(this._options.stickers.filter((s) => s !== sticker))
+  }
 
-    context.drawImage(image,
-      0, 0,
-      image.width, image.height,
-      scaledPosition.x, scaledPosition.y,
-      size.x, size.y)
+  /**
+   * Loads the images of all stickers
+   * @return {Promise}
+   * @private
+   */
+  _loadStickers () {
+    return Promise.all(this._options.stickers.map((sticker) => {
+      return this._loadSticker(sticker.sticker)
+    }))
   }
 
   /**
-   * Loads the sticker
+   * Loads the given sticker
+   * @param  {String} fileName
    * @return {Promise}
    * @private
    */
-  _loadSticker () {
+  _loadSticker (fileName) {
     var isBrowser = typeof window !== 'undefined'
     if (isBrowser) {
-      return this._loadImageBrowser(this._options.sticker)
+      return this._loadImageBrowser(fileName)
     } else {
-      return this._loadImageNode(this._options.sticker)
+      return this._loadImageNode(fileName)
     }
   }
 
@@ -247,11 +279,49 @@ class StickersOperation extends Operation {
   }
 
   /**
-   * The registered stickers
-   * @type {Object.<String,String>}
+   * Returns the value for the given option. Legacy single sticker options
+   * are read from the first sticker.
+   * @param {String} optionName
+   * @return {*}
+   * @private
+   */
+  _getOption (optionName) {
+    if (LEGACY_OPTIONS.indexOf(optionName) === -1) {
+      return super._getOption(optionName)
+    }
+
+    const sticker = this._options.stickers[0]
+    if (!sticker) return
+    if (optionName === 'size') return new Vector2(sticker.scale, 0)
+    return sticker[optionName]
+  }
+
+  /**
+   * Sets the value for the given option. Legacy single sticker options are
+   * applied to the first sticker, which is created if necessary.
+   * @param {String} optionName
+   * @param {*} value
+   * @param {Boolean} update
+   * @private
    */
-  get stickers () {
-    return this._stickers
+  _setOption (optionName, value, update = true) {
+    if (LEGACY_OPTIONS.indexOf(optionName) === -1) {
+      return super._setOption(optionName, value, update)
+    }
+
+    const stickers = this._options.stickers.slice(0)
+    const options = Utils.extend(stickers[0] || { sticker: '' })
+    if (optionName === 'position') {
+      options.position = value
+      options.anchor = new Vector2(0, 0)
+    } else if (optionName === 'size') {
+      options.scale = value.x
+    } else {
+      options[optionName] = value
+    }
+    stickers[0] = new StickersOperation.Sticker(options)
+
+    super._setOption('stickers', stickers, update)
   }
 }
 
@@ -267,9 +337,127 @@ StickersOperation.prototype.identifier = 'stickers'
  * @type {Object}
  */
 StickersOperation.prototype.availableOptions = {
-  sticker: { type: 'string', required: true },
-  position: { type: 'vector2', default: new Vector2(0, 0) },
-  size: { type: 'vector2', default: new Vector2(0, 0) }
+  stickers: { type: 'array', default: [],
+    setter: function (stickers) {
+      return stickers.map((sticker) => {
+        if (sticker instanceof StickersOperation.Sticker) return sticker
+        return new StickersOperation.Sticker(sticker)
+      })
+    },
+    serialize: function (stickers) {
+      return stickers.map((sticker) => sticker.serialize())
+    },
+    deserialize: function (stickers) {
+      return stickers.map((data) => StickersOperation.Sticker.deserialize(data))
+    }
+  },
+
+  // Aliases of the first sticker, see `LEGACY_OPTIONS`. Only their type is
+  // needed to restore older recipes.
+  sticker: { type: 'string' },
+  position: { type: 'vector2' },
+  size: { type: 'vector2' }
+}
+
+/**
+ * Represents a single sticker. The first sticker of an operation is the
+ * bottom-most one.
+ * @param {Object} options
+ * @param {String} options.sticker - The path of the sticker image
+ * @param {Vector2} [options.position] - The position of the sticker's anchor
+ * @param {Vector2} [options.anchor] - The point of the sticker (relative to
+ *                                   its size) that is placed at `position`
+ *                                   and that it is rotated around. Defaults
+ *                                   to the center.
+ * @param {Number} [options.scale=0.2] - The width of the sticker relative to
+ *                                     the image width. The height is derived
+ *                                     from the sticker's aspect ratio.
+ * @param {Number} [options.rotation=0] - The rotation in radians
+ * @param {Boolean} [options.flipHorizontally=false]
+ * @param {Boolean} [options.flipVertically=false]
+ * @param {Number} [options.opacity=1]
+ */
+StickersOperation.Sticker = class Sticker {
+  constructor (options) {
+    options = Utils.defaults(options || {}, {
+      position: new Vector2(0.5, 0.5),
+      anchor: new Vector2(0.5, 0.5),
+      scale: 0.2,
+      rotation: 0,
+      flipHorizontally: false,
+      flipVertically: false,
+      opacity: 1
+    })
+
+    if (typeof options.sticker !== 'string') {
+      throw new Error('Operation `stickers`: Option `sticker` has to be a string.')
+    }
+    if (!(options.position instanceof Vector2)) {
+      throw new Error('Operation `stickers`: Option `position` has to be an instance of ImglyKit.Vector2.')
+    }
+    if (!(options.anchor instanceof Vector2)) {
+      throw new Error('Operation `stickers`: Option `anchor` has to be an instance of ImglyKit.Vector2.')
+    }
+
+    this.sticker = options.sticker
+    this.position = options.position.clone()
+    this.anchor = options.anchor.clone()
+    this.scale = options.scale
+    this.rotation = options.rotation
+    this.flipHorizontally = options.flipHorizontally
+    this.flipVertically = options.flipVertically
+    this.opacity = options.opacity
+  }
+
+  /**
+   * Returns the size of this sticker in pixels
+   * @param {Vector2} canvasSize
+   * @param {Vector2} imageSize - The dimensions of the sticker image
+   * @return {Vector2}
+   */
+  getSize (canvasSize, imageSize) {
+    const width = this.scale * canvasSize.x
+    return new Vector2(width, width * imageSize.y / imageSize.x)
+  }
+
+  /**
+   * Returns a copy of this sticker
+   * @return {StickersOperation.Sticker}
+   */
+  clone () {
+    return new StickersOperation.Sticker(this)
+  }
+
+  /**
+   * Returns a plain representation of this sticker
+   * @return {Object}
+   */
+  serialize () {
+    return {
+      sticker: this.sticker,
+      position: [this.position.x, this.position.y],
+      anchor: [this.anchor.x, this.anchor.y],
+      scale: this.scale,
+      rotation: this.rotation,
+      flipHorizontally: this.flipHorizontally,
+      flipVertically: this.flipVertically,
+      opacity: this.opacity
+    }
+  }
+
+  /**
+   * Creates a sticker from the given plain representation
+   * @param {Object} data
+   * @return {StickersOperation.Sticker}
+   */
+  static deserialize (data) {
+    const options = Utils.extend({}, data)
+    options.position = new Vector2(data.position[0], data.position[1])
+    if (data.anchor) {
+      options.anchor = new Vector2(data.anchor[0], data.anchor[1])
+    }
+    return new StickersOperation.Sticker(options)
+  }
 }
 
 export default StickersOperation
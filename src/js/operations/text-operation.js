@@ -11,9 +11,21 @@
 import Operation from './operation'
 import Vector2 from '../lib/math/vector2'
 import Color from '../lib/color'
+import Utils from '../lib/utils'
 
 /**
- * An operation that can draw text on the canvas
+ * The options of the single text block that this operation rendered before
+ * it supported multiple layers. They are still accepted and map to the
+ * first text layer.
+ * @type {Array.<String>}
+ */
+const LEGACY_OPTIONS = [
+  'text', 'fontSize', 'lineHeight', 'fontFamily', 'fontWeight', 'alignment',
+  'verticalAlignment', 'color', 'backgroundColor', 'position', 'maxWidth'
+]
+
+/**
+ * An operation that can draw multiple text layers on the canvas
  *
  * @class
  * @alias ImglyKit.Operations.TextOperation
@@ -63,40 +75,17 @@ class TextOperation extends Operation {
   }
 
   /**
-   * Crops this image using WebGL
+   * Renders the text layers using WebGL
    * @param  {WebGLRenderer} renderer
    */
   /* istanbul ignore next */
   _renderWebGL (renderer) {
-    var textCanvas = this._renderTextCanvas(renderer)
-
     var canvas = renderer.getCanvas()
     var gl = renderer.getContext()
 
-    var position = this._options.position.clone()
-    var canvasSize = new Vector2(canvas.width, canvas.height)
-    var size = new Vector2(textCanvas.width, textCanvas.height).divide(canvasSize)
-
-    if (this._options.numberFormat === 'absolute') {
-      position.divide(canvasSize)
-    }
-
-    position.y = 1 - position.y // Invert y
-    position.y -= size.y // Fix y
-
-    // Adjust vertical alignment
-    if (this._options.verticalAlignment === 'center') {
-      position.y += size.y / 2
-    } else if (this._options.verticalAlignment === 'bottom') {
-      position.y += size.y
-    }
-
-    // Adjust horizontal alignment
-    if (this._options.alignment === 'center') {
-      position.x -= size.x / 2
-    } else if (this._options.alignment === 'right') {
-      position.x -= size.x
-    }
+    // Draw the text layers to a separate canvas and use it as a texture
+    var textsCanvas = renderer.createCanvas(canvas.width, canvas.height)
+    this._renderTextsToCanvas(renderer, textsCanvas)
 
     // Upload the texture
     gl.activeTexture(gl.TEXTURE0 + this._textureIndex)
@@ -111,147 +100,148 @@ class TextOperation extends Operation {
     // Set premultiplied alpha
     gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true)
 
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, textCanvas)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, textsCanvas)
     gl.activeTexture(gl.TEXTURE0)
 
     // Execute the shader
     renderer.runShader(null, this._fragmentShader, {
       uniforms: {
         u_textImage: { type: 'i', value: this._textureIndex },
-        u_position: { type: '2f', value: [position.x, position.y] },
-        u_size: { type: '2f', value: [size.x, size.y] }
+        u_position: { type: '2f', value: [0, 0] },
+        u_size: { type: '2f', value: [1, 1] }
       }
     })
   }
 
   /**
-   * Crops the image using Canvas2D
+   * Renders the text layers using Canvas2D
    * @param  {CanvasRenderer} renderer
    */
   _renderCanvas (renderer) {
-    var textCanvas = this._renderTextCanvas(renderer)
-
-    var canvas = renderer.getCanvas()
-    var context = renderer.getContext()
+    this._renderTextsToCanvas(renderer, renderer.getCanvas())
+  }
 
+  /**
+   * Draws all text layers onto the given canvas. The first layer in the
+   * list is drawn first and therefore is the bottom-most one.
+   * @param  {Renderer} renderer
+   * @param  {Canvas} canvas
+   * @private
+   */
+  _renderTextsToCanvas (renderer, canvas) {
+    var context = canvas.getContext('2d')
     var canvasSize = new Vector2(canvas.width, canvas.height)
-    var scaledPosition = this._options.position.clone()
-
-    if (this._options.numberFormat === 'relative') {
-      scaledPosition.multiply(canvasSize)
-    }
-
-    // Adjust vertical alignment
-    if (this._options.verticalAlignment === 'center') {
-      scaledPosition.y -= textCanvas.height / 2
-    } else if (this._options.verticalAlignment === 'bottom') {
-      scaledPosition.y -= textCanvas.height
-    }
 
-    // Adjust horizontal alignment
-    if (this._options.alignment === 'center') {
-      scaledPosition.x -= textCanvas.width / 2
-    } else if (this._options.alignment === 'right') {
-      scaledPosition.x -= textCanvas.width
-    }
-
-    context.drawImage(textCanvas, scaledPosition.x, scaledPosition.y)
+    this._options.texts.forEach((text) => {
+      var textCanvas = this._renderTextCanvas(renderer, text, canvasSize)
+      var padding = text.getPadding(canvasSize)
+
+      // The size of the text box without the padding
+      var size = new Vector2(textCanvas.width, textCanvas.height)
+        .subtract(padding * 2)
+      var boxPosition = text.getBoxPosition(canvasSize, size)
+
+      // Rotate around the center of the text box
+      var center = boxPosition.clone().add(size.clone().divide(2))
+
+      context.save()
+      context.globalAlpha = text.opacity
+      context.translate(center.x, center.y)
+      context.rotate(text.rotation)
+      context.drawImage(textCanvas,
+        -size.x / 2 - padding,
+        -size.y / 2 - padding)
+      context.restore()
+    })
   }
 
   /**
-   * Renders the text canvas that will be used as a texture in WebGL
-   * and as an image in canvas
+   * Renders the given text layer to a separate canvas. The canvas is
+   * padded so that the outline and the shadow fit into it.
+   * @param  {Renderer} renderer
+   * @param  {TextOperation.Text} text
+   * @param  {Vector2} canvasSize
    * @return {Canvas}
    * @private
    */
-  _renderTextCanvas (renderer) {
+  _renderTextCanvas (renderer, text, canvasSize) {
     let line, lineNum
     let canvas = renderer.createCanvas()
     let context = canvas.getContext('2d')
 
-    let outputCanvas = renderer.getCanvas()
-    let canvasSize = new Vector2(outputCanvas.width, outputCanvas.height)
-
-    let maxWidth = this._options.maxWidth
-    let actualFontSize = this._options.fontSize * canvasSize.y
-    let actualLineHeight = this._options.lineHeight * actualFontSize
-
-    if (this._options.numberFormat === 'relative') {
-      maxWidth *= renderer.getCanvas().width
-    }
+    let maxWidth = text.maxWidth * canvasSize.x
+    let actualFontSize = text.getFontSize(canvasSize)
+    let actualLineHeight = text.lineHeight * actualFontSize
+    let padding = text.getPadding(canvasSize)
 
     // Apply text options
-    this._applyTextOptions(renderer, context)
+    this._applyTextOptions(context, text, canvasSize)
 
     let boundingBox = new Vector2()
 
-    let lines = this._options.text.split('\n')
-    if (typeof maxWidth !== 'undefined') {
-      // Calculate the bounding box
-      boundingBox.x = maxWidth
-      lines = this._buildOutputLines(context, maxWidth)
-    } else {
-      for (lineNum = 0; lineNum < lines.length; lineNum++) {
-        line = lines[lineNum]
-        boundingBox.x = Math.max(boundingBox.x, context.measureText(line).width)
-      }
-    }
+    // Calculate the bounding box
+    boundingBox.x = maxWidth
+    let lines = this._buildOutputLines(context, text.text, maxWidth)
 
     // Calculate boundingbox height
     boundingBox.y = actualLineHeight * lines.length
 
     // Resize the canvas
-    canvas.width = boundingBox.x
-    canvas.height = boundingBox.y
+    canvas.width = boundingBox.x + padding * 2
+    canvas.height = boundingBox.y + padding * 2
 
     // Get the context again
     context = canvas.getContext('2d')
 
     // Render background color
-    context.fillStyle = this._options.backgroundColor.toRGBA()
-    context.fillRect(0, 0, canvas.width, canvas.height)
+    context.fillStyle = text.backgroundColor.toRGBA()
+    context.fillRect(padding, padding, boundingBox.x, boundingBox.y)
 
     // Apply text options
-    this._applyTextOptions(renderer, context)
+    this._applyTextOptions(context, text, canvasSize)
+    context.translate(padding, padding)
 
     // Draw lines
     for (lineNum = 0; lineNum < lines.length; lineNum++) {
       line = lines[lineNum]
-      this._drawText(context, line, actualLineHeight * lineNum)
+      this._drawText(context, text, line, boundingBox.x, actualLineHeight * lineNum, canvasSize)
     }
 
     return canvas
   }
 
   /**
-   * Applies the text options on the given context
-   * @param  {Renderer} renderer
+   * Applies the options of the given text layer on the given context
    * @param  {RenderingContext2D} context
+   * @param  {TextOperation.Text} text
+   * @param  {Vector2} canvasSize
    * @private
    */
-  _applyTextOptions (renderer, context) {
-    let canvas = renderer.getCanvas()
-    let canvasSize = new Vector2(canvas.width, canvas.height)
-    let actualFontSize = this._options.fontSize * canvasSize.y
+  _applyTextOptions (context, text, canvasSize) {
+    let actualFontSize = text.getFontSize(canvasSize)
 
-    context.font = this._options.fontWeight + ' ' +
+    context.font = text.fontWeight + ' ' +
       actualFontSize + 'px ' +
-      this._options.fontFamily
+      text.fontFamily
     context.textBaseline = 'top'
-    context.textAlign = this._options.alignment
-    context.fillStyle = this._options.color.toRGBA()
+    context.textAlign = text.alignment
+    context.fillStyle = text.color.toRGBA()
+    context.strokeStyle = text.strokeColor.toRGBA()
+    context.lineWidth = text.strokeWidth * actualFontSize
+    context.lineJoin = 'round'
   }
 
   /**
    * Iterate over all lines and split them into multiple lines, depending
    * on the width they need
    * @param {RenderingContext2d} context
+   * @param {String} text
    * @param {Number} maxWidth
    * @return {Array.<string>}
    * @private
    */
-  _buildOutputLines (context, maxWidth) {
-    var inputLines = this._options.text.split('\n')
+  _buildOutputLines (context, text, maxWidth) {
+    var inputLines = text.split('\n')
     var outputLines = []
     var currentChars = []
 
@@ -300,21 +290,101 @@ class TextOperation extends Operation {
   }
 
   /**
-   * Draws the given line onto the given context at the given Y position
+   * Draws the given line onto the given context at the given Y position.
+   * The shadow is drawn first, then the outline and the text itself.
    * @param  {RenderingContext2D} context
-   * @param  {String} text
+   * @param  {TextOperation.Text} text
+   * @param  {String} line
+   * @param  {Number} width
    * @param  {Number} y
+   * @param  {Vector2} canvasSize
    * @private
    */
-  _drawText (context, text, y) {
-    var canvas = context.canvas
-    if (this._options.alignment === 'center') {
-      context.fillText(text, canvas.width / 2, y)
-    } else if (this._options.alignment === 'left') {
-      context.fillText(text, 0, y)
-    } else if (this._options.alignment === 'right') {
-      context.fillText(text, canvas.width, y)
+  _drawText (context, text, line, width, y, canvasSize) {
+    let x = 0
+    if (text.alignment === 'center') {
+      x = width / 2
+    } else if (text.alignment === 'right') {
+      x = width
+    }
+
+    const actualFontSize = text.getFontSize(canvasSize)
+    const hasStroke = text.strokeWidth > 0 && text.strokeColor.a > 0
+
+    context.save()
+    if (text.shadowColor.a > 0) {
+      const shadowOffset = text.shadowOffset.clone().multiply(actualFontSize)
+      context.shadowColor = text.shadowColor.toRGBA()
+      context.shadowBlur = text.shadowBlur * actualFontSize
+      context.shadowOffsetX = shadowOffset.x
+      context.shadowOffsetY = shadowOffset.y
+    }
+
+    if (hasStroke) {
+      context.strokeText(line, x, y)
+
+      // Only the outline casts a shadow, otherwise it would be drawn twice
+      context.shadowColor = 'transparent'
     }
+    context.fillText(line, x, y)
+    context.restore()
+  }
+
+  /**
+   * Creates a text layer with the given options and adds it on top of
+   * the other layers
+   * @param {Object} options
+   * @return {TextOperation.Text}
+   */
+  addText (options) {
+    const text = new TextOperation.Text(options)
+    this.setTexts(this._options.texts.concat([text]))
+    return text
+  }
+
+  /**
+   * Removes the given text layer
+   * @param {TextOperation.Text} text
+   */
+  removeText (text) {
+    this.setTexts(this._options.texts.filter((t) => t !== text))
+  }
+
+  /**
+   * Returns the value for the given option. Legacy single text options
+   * are read from the first text layer.
+   * @param {String} optionName
+   * @return {*}
+   * @private
+   */
+  _getOption (optionName) {
+    if (LEGACY_OPTIONS.indexOf(optionName) === -1) {
+      return super._getOption(optionName)
+    }
+
+    const text = this._options.texts[0]
+    return text && text[optionName]
+  }
+
+  /**
+   * Sets the value for the given option. Legacy single text options are
+   * applied to the first text layer, which is created if necessary.
+   * @param {String} optionName
+   * @param {*} value
+   * @param {Boolean} update
+   * @private
+   */
+  _setOption (optionName, value, update = true) {
+    if (LEGACY_OPTIONS.indexOf(optionName) === -1) {
+      return super._setOption(optionName, value, update)
+    }
+
+    const texts = this._options.texts.slice(0)
+    const options = Utils.extend(texts[0] || { text: '' })
+    options[optionName] = value
+    texts[0] = new TextOperation.Text(options)
+
+    super._setOption('texts', texts, update)
   }
 }
 
@@ -330,6 +400,230 @@ TextOperation.prototype.identifier = 'text'
  * @type {Object}
  */
 TextOperation.prototype.availableOptions = {
+  texts: { type: 'array', default: [],
+    setter: function (texts) {
+      return texts.map((text) => {
+        if (text instanceof TextOperation.Text) return text
+        return new TextOperation.Text(text)
+      })
+    },
+    serialize: function (texts) {
+      return texts.map((text) => text.serialize())
+    },
+    deserialize: function (texts) {
+      return texts.map((data) => TextOperation.Text.deserialize(data))
+    }
+  }
+}
+
+/**
+ * Represents a single text layer. The first layer of an operation is the
+ * bottom-most one. Sizes are relative to the image: `fontSize` to its
+ * height, `maxWidth` to its width. `strokeWidth`, `shadowBlur` and
+ * `shadowOffset` are relative to the font size.
+ * @param {Object} options
+ * @param {String} options.text
+ * @param {Vector2} [options.position] - The anchor of the text box. Which
+ *                                     corner or edge is anchored depends on
+ *                                     `alignment` and `verticalAlignment`.
+ * @param {Number} [options.fontSize=0.1]
+ * @param {Number} [options.lineHeight=1.1]
+ * @param {String} [options.fontFamily=Times New Roman]
+ * @param {String} [options.fontWeight=normal]
+ * @param {String} [options.alignment=left]
+ * @param {String} [options.verticalAlignment=top]
+ * @param {Color} [options.color]
+ * @param {Color} [options.backgroundColor]
+ * @param {Number} [options.maxWidth=1]
+ * @param {Number} [options.rotation=0] - The rotation around the center of
+ *                                      the text box in radians
+ * @param {Number} [options.opacity=1]
+ * @param {Color} [options.strokeColor]
+ * @param {Number} [options.strokeWidth=0]
+ * @param {Color} [options.shadowColor]
+ * @param {Number} [options.shadowBlur=0]
+ * @param {Vector2} [options.shadowOffset]
+ */
+TextOperation.Text = class Text {
+  constructor (options) {
+    options = options || {}
+
+    const availableOptions = TextOperation.Text.availableOptions
+    for (let optionName in options) {
+      if (typeof availableOptions[optionName] === 'undefined') {
+        throw new Error('Invalid option: ' + optionName)
+      }
+    }
+
+    for (let optionName in availableOptions) {
+      const optionConfig = availableOptions[optionName]
+      let value = options[optionName]
+
+      if (typeof value === 'undefined') {
+        if (optionConfig.required) {
+          throw new Error('Operation `text`: Option `' + optionName + '` is required.')
+        }
+        value = optionConfig.default
+      }
+
+      this[optionName] = TextOperation.Text._validateOption(optionName, optionConfig, value)
+    }
+  }
+
+  /**
+   * Validates the given value and returns a copy of it
+   * @param {String} optionName
+   * @param {Object} optionConfig
+   * @param {*} value
+   * @return {*}
+   * @private
+   */
+  static _validateOption (optionName, optionConfig, value) {
+    const prefix = 'Operation `text`: '
+    switch (optionConfig.type) {
+      case 'string':
+        if (typeof value !== 'string') {
+          throw new Error(prefix + 'Option `' + optionName + '` has to be a string.')
+        }
+        if (optionConfig.available && optionConfig.available.indexOf(value) === -1) {
+          throw new Error(prefix + 'Invalid value for `' + optionName + '` (valid values are: ' + optionConfig.available.join(', ') + ')')
+        }
+        return value
+      case 'number':
+        if (typeof value !== 'number') {
+          throw new Error(prefix + 'Option `' + optionName + '` has to be a number.')
+        }
+        return value
+      case 'vector2':
+        if (!(value instanceof Vector2)) {
+          throw new Error(prefix + 'Option `' + optionName + '` has to be an instance of ImglyKit.Vector2.')
+        }
+        return value.clone()
+      case 'color':
+        if (!(value instanceof Color)) {
+          throw new Error(prefix + 'Option `' + optionName + '` has to be an instance of ImglyKit.Color.')
+        }
+        return value.clone()
+    }
+  }
+
+  /**
+   * Returns the font size in pixels
+   * @param {Vector2} canvasSize
+   * @return {Number}
+   */
+  getFontSize (canvasSize) {
+    return this.fontSize * canvasSize.y
+  }
+
+  /**
+   * Returns the amount of pixels that the outline and the shadow might
+   * exceed the text box by
+   * @param {Vector2} canvasSize
+   * @return {Number}
+   */
+  getPadding (canvasSize) {
+    const fontSize = this.getFontSize(canvasSize)
+    let padding = this.strokeWidth * fontSize / 2
+    if (this.shadowColor.a > 0) {
+      padding += this.shadowBlur * fontSize +
+        Math.max(Math.abs(this.shadowOffset.x), Math.abs(this.shadowOffset.y)) * fontSize
+    }
+    return Math.ceil(padding)
+  }
+
+  /**
+   * Returns the position of the upper left corner of the (unrotated) text
+   * box in pixels
+   * @param {Vector2} canvasSize
+   * @param {Vector2} size - The size of the text box in pixels
+   * @return {Vector2}
+   */
+  getBoxPosition (canvasSize, size) {
+    const position = this.position.clone().multiply(canvasSize)
+
+    // Adjust vertical alignment
+    if (this.verticalAlignment === 'center') {
+      position.y -= size.y / 2
+    } else if (this.verticalAlignment === 'bottom') {
+      position.y -= size.y
+    }
+
+    // Adjust horizontal alignment
+    if (this.alignment === 'center') {
+      position.x -= size.x / 2
+    } else if (this.alignment === 'right') {
+      position.x -= size.x
+    }
+
+    return position
+  }
+
+  /**
+   * Returns a copy of this text layer
+   * @return {TextOperation.Text}
+   */
+  clone () {
+    const options = {}
+    for (let optionName in TextOperation.Text.availableOptions) {
+      options[optionName] = this[optionName]
+    }
+    return new TextOperation.Text(options)
+  }
+
+  /**
+   * Returns a plain representation of this text layer
+   * @return {Object}
+   */
+  serialize () {
+    const data = {}
+    const availableOptions = TextOperation.Text.availableOptions
+    for (let optionName in availableOptions) {
+      const value = this[optionName]
+      switch (availableOptions[optionName].type) {
+        case 'vector2':
+          data[optionName] = [value.x, value.y]
+          break
+        case 'color':
+          data[optionName] = [value.r, value.g, value.b, value.a]
+          break
+        default:
+          data[optionName] = value
+      }
+    }
+    return data
+  }
+
+  /**
+   * Creates a text layer from the given plain representation
+   * @param {Object} data
+   * @return {TextOperation.Text}
+   */
+  static deserialize (data) {
+    const options = {}
+    const availableOptions = TextOperation.Text.availableOptions
+    for (let optionName in data) {
+      const value = data[optionName]
+      const optionConfig = availableOptions[optionName]
+      const type = optionConfig && optionConfig.type
+      if (type === 'vector2') {
+        options[optionName] = new Vector2(value[0], value[1])
+      } else if (type === 'color') {
+        options[optionName] = new Color(value[0], value[1], value[2], value[3])
+      } else {
+        options[optionName] = value
+      }
+    }
+    return new TextOperation.Text(options)
+  }
+}
+
+/**
+ * Specifies the available options for a text layer
+ * @type {Object}
+ */
+TextOperation.Text.availableOptions = {
+  text: { type: 'string', required: true },
   fontSize: { type: 'number', default: 0.1 },
   lineHeight: { type: 'number', default: 1.1 },
   fontFamily: { type: 'string', default: 'Times New Roman' },
@@ -339,8 +633,22 @@ TextOperation.prototype.availableOptions = {
   color: { type: 'color', default: new Color(1, 1, 1, 1) },
   backgroundColor: { type: 'color', default: new Color(0, 0, 0, 0) },
   position: { type: 'vector2', default: new Vector2(0, 0) },
-  text: { type: 'string', required: true },
-  maxWidth: { type: 'number', default: 1.0 }
+  maxWidth: { type: 'number', default: 1.0 },
+  rotation: { type: 'number', default: 0 },
+  opacity: { type: 'number', default: 1 },
+  strokeColor: { type: 'color', default: new Color(0, 0, 0, 1) },
+  strokeWidth: { type: 'number', default: 0 },
+  shadowColor: { type: 'color', default: new Color(0, 0, 0, 0) },
+  shadowBlur: { type: 'number', default: 0 },
+  shadowOffset: { type: 'vector2', default: new Vector2(0, 0) }
 }
 
+// The legacy single text options are not stored and not serialized, the
+// type is used to deserialize recipes that still contain them
+LEGACY_OPTIONS.forEach((optionName) => {
+  TextOperation.prototype.availableOptions[optionName] = {
+    type: TextOperation.Text.availableOptions[optionName].type
+  }
+})
+
 export default TextOperation
@@ -0,0 +1,191 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import Vector2 from '../lib/math/vector2'
+
+/**
+ * The exponent of the distance function at a roundness of -1. Higher values
+ * result in a more rectangular shape.
+ * @type {Number}
+ */
+const MAX_EXPONENT = 8
+
+/**
+ * An operation that darkens or lightens the edges of the image
+ *
+ * @class
+ * @alias ImglyKit.Operations.VignetteOperation
+ * @extends ImglyKit.Operation
+ */
+class VignetteOperation extends Operation {
+  constructor (...args) {
+    super(...args)
+
+    /**
+     * The fragment shader used for this operation
+     */
+    this._fragmentShader = `
+      precision mediump float;
+      varying vec2 v_texCoord;
+      uniform sampler2D u_image;
+      uniform vec2 u_center;
+      uniform vec2 u_scale;
+      uniform float u_exponent;
+      uniform float u_amount;
+      uniform float u_midpoint;
+      uniform float u_feather;
+
+      void main() {
+        vec4 texColor = texture2D(u_image, v_texCoord);
+        vec2 offset = abs(v_texCoord - u_center) * 2.0 * u_scale;
+        float dist = pow(pow(offset.x, u_exponent) + pow(offset.y, u_exponent), 1.0 / u_exponent);
+        float strength = u_amount * smoothstep(u_midpoint, u_midpoint + u_feather, dist);
+
+        vec3 color = texColor.rgb;
+        if (strength < 0.0) {
+          color *= 1.0 + strength;
+        } else {
+          color = mix(color, vec3(1.0), strength);
+        }
+        gl_FragColor = vec4(color * texColor.a, texColor.a);
+      }
+    `
+  }
+
+  /**
+   * Renders the vignette using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    const canvas = renderer.getCanvas()
+    const { center, scale, exponent, amount, midpoint, feather } = this._getParameters(canvas)
+
+    if (!this._glslPrograms[renderer.id]) {
+      this._glslPrograms[renderer.id] = renderer.setupGLSLProgram(
+        null,
+        this._fragmentShader
+      )
+    }
+
+    renderer.runProgram(this._glslPrograms[renderer.id], {
+      uniforms: {
+        u_center: { type: '2f', value: [center.x, 1 - center.y] },
+        u_scale: { type: '2f', value: [scale.x, scale.y] },
+        u_exponent: { type: 'f', value: exponent },
+        u_amount: { type: 'f', value: amount },
+        u_midpoint: { type: 'f', value: midpoint },
+        u_feather: { type: 'f', value: feather }
+      }
+    })
+  }
+
+  /**
+   * Renders the vignette using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    const canvas = renderer.getCanvas()
+    const context = renderer.getContext()
+    const imageData = context.getImageData(0, 0, canvas.width, canvas.height)
+    const data = imageData.data
+    const { center, scale, exponent, amount, midpoint, feather } = this._getParameters(canvas)
+
+    for (let y = 0; y < canvas.height; y++) {
+      const offsetY = Math.abs((y + 0.5) / canvas.height - center.y) * 2 * scale.y
+      for (let x = 0; x < canvas.width; x++) {
+        const offsetX = Math.abs((x + 0.5) / canvas.width - center.x) * 2 * scale.x
+        const dist = Math.pow(Math.pow(offsetX, exponent) + Math.pow(offsetY, exponent), 1 / exponent)
+        const strength = amount * VignetteOperation.smoothstep(midpoint, midpoint + feather, dist)
+        if (strength === 0) continue
+
+        const index = (y * canvas.width + x) * 4
+        for (let c = 0; c < 3; c++) {
+          if (strength < 0) {
+            data[index + c] *= 1 + strength
+          } else {
+            data[index + c] += (255 - data[index + c]) * strength
+          }
+        }
+      }
+    }
+
+    context.putImageData(imageData, 0, 0)
+  }
+
+  /**
+   * Converts the options to the parameters used by the shader and the
+   * canvas implementation. The center is returned in relative coordinates.
+   * At a roundness of 0 the vignette follows the image's aspect ratio, at 1
+   * it is a circle and at -1 a rounded rectangle.
+   * @param  {Canvas} canvas
+   * @return {Object}
+   * @private
+   */
+  _getParameters (canvas) {
+    const { amount, midpoint, roundness, feather } = this._options
+    const canvasSize = new Vector2(canvas.width, canvas.height)
+
+    let center = this._options.center.clone()
+    if (this._options.numberFormat === 'absolute') {
+      center.divide(canvasSize)
+    }
+
+    const longerSide = Math.max(canvas.width, canvas.height)
+    const circleScale = canvasSize.clone().divide(longerSide)
+    const circleRatio = Math.max(roundness, 0)
+    const scale = new Vector2(
+      1 + (circleScale.x - 1) * circleRatio,
+      1 + (circleScale.y - 1) * circleRatio
+    )
+    const exponent = 2 + Math.max(-roundness, 0) * (MAX_EXPONENT - 2)
+
+    return {
+      center, scale, exponent, amount, midpoint,
+      feather: Math.max(feather, 0.001)
+    }
+  }
+
+  /**
+   * Hermite interpolation between 0 and 1, like GLSL's `smoothstep`
+   * @param  {Number} edge0
+   * @param  {Number} edge1
+   * @param  {Number} x
+   * @return {Number}
+   */
+  static smoothstep (edge0, edge1, x) {
+    const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+    return t * t * (3 - 2 * t)
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+VignetteOperation.prototype.identifier = 'vignette'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+VignetteOperation.prototype.availableOptions = {
+  amount: { type: 'number', default: -0.5, validation: Operation.rangeValidation('vignette', 'amount', -1, 1) },
+  midpoint: { type: 'number', default: 0.5, validation: Operation.rangeValidation('vignette', 'midpoint', 0, 1) },
+  roundness: { type: 'number', default: 0, validation: Operation.rangeValidation('vignette', 'roundness', -1, 1) },
+  feather: { type: 'number', default: 0.5, validation: Operation.rangeValidation('vignette', 'feather', 0, 1) },
+  center: { type: 'vector2', default: new Vector2(0.5, 0.5) }
+}
+
+export default VignetteOperation
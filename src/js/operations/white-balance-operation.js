@@ -0,0 +1,151 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Operation from './operation'
+import PrimitivesStack from './filters/primitives-stack'
+import WhiteBalancePrimitive from './filters/primitives/white-balance'
+
+/**
+ * The maximum relative change of the channel gains at a temperature or tint
+ * of -1 / 1
+ * @type {Number}
+ */
+const STRENGTH = 0.5
+
+/**
+ * An operation that corrects color casts. A positive temperature warms the
+ * image up (more red, less blue), a positive tint shifts it towards magenta
+ * (less green).
+ *
+ * @class
+ * @alias ImglyKit.Operations.WhiteBalanceOperation
+ * @extends ImglyKit.Operation
+ */
+class WhiteBalanceOperation extends Operation {
+  /**
+   * Renders the white balance using WebGL
+   * @param  {WebGLRenderer} renderer
+   * @override
+   */
+  /* istanbul ignore next */
+  _renderWebGL (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the white balance using Canvas2D
+   * @param {CanvasRenderer} renderer
+   * @override
+   */
+  _renderCanvas (renderer) {
+    this._render(renderer)
+  }
+
+  /**
+   * Renders the white balance (all renderers supported)
+   * @param {Renderer} renderer
+   * @private
+   */
+  _render (renderer) {
+    if (!this._stack) {
+      this._stack = new PrimitivesStack()
+      this._primitive = new WhiteBalancePrimitive()
+      this._stack.add(this._primitive)
+    }
+
+    this._primitive.options.gains = this.getGains()
+    this._stack.render(renderer)
+  }
+
+  /**
+   * Returns the red, green and blue gains for the current options
+   * @return {Array.<Number>}
+   */
+  getGains () {
+    return WhiteBalanceOperation.getGains(this._options.temperature, this._options.tint)
+  }
+
+  /**
+   * Sets the temperature and tint so that the given color (as it appears
+   * after this operation has been applied) becomes neutral gray
+   * @param {ImglyKit.Color} color
+   */
+  setNeutralColor (color) {
+    // Remove the current correction to get the original color
+    const gains = this.getGains()
+    const original = [color.r / gains[0], color.g / gains[1], color.b / gains[2]]
+
+    this.set(WhiteBalanceOperation.getCorrection(original))
+  }
+
+  /**
+   * Returns the red, green and blue gains for the given temperature and tint
+   * @param  {Number} temperature
+   * @param  {Number} tint
+   * @return {Array.<Number>}
+   */
+  static getGains (temperature, tint) {
+    const t = temperature * STRENGTH
+    const k = tint * STRENGTH
+    return [(1 + t) * (1 + k), 1 - k, (1 - t) * (1 + k)]
+  }
+
+  /**
+   * Returns the temperature and tint that turn the given color into
+   * neutral gray
+   * @param  {Array.<Number>} color - The red, green and blue values
+   * @return {Object} An object with `temperature` and `tint`
+   */
+  static getCorrection (color) {
+    const [r, g, b] = color
+    if (r <= 0 || g <= 0 || b <= 0) {
+      return { temperature: 0, tint: 0 }
+    }
+
+    // Red and blue become equal with (1 + t) * r = (1 - t) * b
+    const t = (b - r) / (b + r)
+    // Green matches red with (1 + k) * (1 + t) * r = (1 - k) * g
+    const ratio = g / ((1 + t) * r)
+    const k = (ratio - 1) / (ratio + 1)
+
+    const clamp = (value) => Math.min(1, Math.max(-1, value / STRENGTH))
+    return { temperature: clamp(t), tint: clamp(k) }
+  }
+}
+
+/**
+ * A unique string that identifies this operation. Can be used to select
+ * operations.
+ * @type {String}
+ */
+WhiteBalanceOperation.prototype.identifier = 'white-balance'
+
+/**
+ * Specifies the available options for this operation
+ * @type {Object}
+ */
+WhiteBalanceOperation.prototype.availableOptions = {
+  temperature: { type: 'number', default: 0,
+    validation: function (temperature) {
+      if (temperature < -1 || temperature > 1) {
+        throw new Error('Operation `white-balance`: Option `temperature` has to be between -1 and 1.')
+      }
+    }
+  },
+  tint: { type: 'number', default: 0,
+    validation: function (tint) {
+      if (tint < -1 || tint > 1) {
+        throw new Error('Operation `white-balance`: Option `tint` has to be between -1 and 1.')
+      }
+    }
+  }
+}
+
+export default WhiteBalanceOperation
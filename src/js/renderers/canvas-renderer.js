@@ -74,6 +74,8 @@ class CanvasRenderer extends Renderer {
    * @returns {Promis}
    */
   drawImage (image) {
+    // The canvas might contain the result of a previous rendering
+    this._context.clearRect(0, 0, this._canvas.width, this._canvas.height)
     this._context.drawImage(image, 0, 0, image.width, image.height, 0, 0, this._canvas.width, this._canvas.height)
     return Promise.resolve()
   }
@@ -127,6 +129,15 @@ class CanvasRenderer extends Renderer {
     return canvas
   }
 
+  /**
+   * Reads back the pixels of the current render
+   * @return {ImageData}
+   * @override
+   */
+  getImageData () {
+    return this._context.getImageData(0, 0, this._canvas.width, this._canvas.height)
+  }
+
   /**
    * Resets the renderer
    * @param {Boolean} resetCache = false
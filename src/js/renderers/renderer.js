@@ -46,6 +46,12 @@ class Renderer extends EventEmitter {
      */
     this._cache = {}
 
+    /**
+     * The operations stack that is being rendered
+     * @type {Array.<Operation>}
+     */
+    this._stack = []
+
     this._image = image
   }
 
@@ -198,6 +204,27 @@ class Renderer extends EventEmitter {
     return size
   }
 
+  /**
+   * Sets the operations stack that is being rendered
+   * @param {Array.<Operation>} stack
+   */
+  setStack (stack) {
+    this._stack = stack
+  }
+
+  /**
+   * Returns the image dimensions before the given operation of the stack
+   * that is being rendered is applied. Operations that are not part of the
+   * stack are rendered after it.
+   * @param {Operation} operation
+   * @return {Vector2}
+   */
+  getInputDimensionsForOperation (operation) {
+    let index = this._stack.indexOf(operation)
+    if (index === -1) index = this._stack.length
+    return this.getOutputDimensionsForStack(this._stack.slice(0, index))
+  }
+
   /**
    * Returns the initial dimensions before any operations have been applied
    * @param {Array.<Operation>} stack
@@ -215,6 +242,27 @@ class Renderer extends EventEmitter {
     this._context = context
   }
 
+  /**
+   * Sets the image that will be rendered. Allows reusing the renderer
+   * for multiple images.
+   * @param {Image} image
+   */
+  setImage (image) {
+    this._image = image
+    this._size = new Vector2(image.width, image.height)
+  }
+
+  /**
+   * Reads back the pixels of the current render
+   * @return {Object} An object with `width`, `height` and a `data` array
+   *                  containing the (non-premultiplied) RGBA values
+   * @abstract
+   */
+  getImageData () {
+    /* istanbul ignore next */
+    throw new Error('Renderer#getImageData is abstract and not implemented in inherited class.')
+  }
+
   /**
    * Resets the renderer
    * @param {Boolean} resetCache = false
@@ -223,6 +271,17 @@ class Renderer extends EventEmitter {
 
   }
 
+  /**
+   * Releases the cached data and the canvas memory. The renderer can not
+   * be used anymore afterwards.
+   */
+  dispose () {
+    this._cache = {}
+    this._image = null
+    this._canvas.width = 0
+    this._canvas.height = 0
+  }
+
   /**
    * Gets called after the rendering has been done.
    */
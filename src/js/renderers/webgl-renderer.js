@@ -117,6 +117,15 @@ class WebGLRenderer extends Renderer {
     this._cache[identifier] = { fbo, texture, size: this._size.clone() }
   }
 
+  /**
+   * Returns the texture that has been cached for the given identifier
+   * @param {String} identifier
+   * @return {WebGLTexture}
+   */
+  getCachedTexture (identifier) {
+    return this._cache[identifier].texture
+  }
+
   /**
    * Draws the stored texture / image data for the given identifier
    * @param {String} identifier
@@ -424,6 +433,9 @@ class WebGLRenderer extends Renderer {
         case '2fv':
           gl.uniform2fv(location, uniform.value)
           break
+        case '3fv':
+          gl.uniform3fv(location, uniform.value)
+          break
         case 'mat3fv':
           gl.uniformMatrix3fv(location, false, uniform.value)
           break
@@ -481,6 +493,44 @@ class WebGLRenderer extends Renderer {
     gl.drawArrays(gl.TRIANGLES, 0, 6)
   }
 
+  /**
+   * Reads back the pixels of the final render. WebGL returns the rows bottom
+   * to top, so they are flipped to match the canvas renderer.
+   * @return {Object}
+   * @override
+   */
+  /* istanbul ignore next */
+  getImageData () {
+    var gl = this._context
+    var width = gl.drawingBufferWidth
+    var height = gl.drawingBufferHeight
+    var data = new Uint8Array(width * height * 4)
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null)
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, data)
+
+    var rowLength = width * 4
+    var row = new Uint8Array(rowLength)
+    for (var y = 0; y < Math.floor(height / 2); y++) {
+      var top = y * rowLength
+      var bottom = (height - y - 1) * rowLength
+      row.set(data.subarray(top, top + rowLength))
+      data.set(data.subarray(bottom, bottom + rowLength), top)
+      data.set(row, bottom)
+    }
+
+    // The drawing buffer contains premultiplied colors
+    for (var i = 0; i < data.length; i += 4) {
+      var alpha = data[i + 3]
+      if (alpha === 0 || alpha === 255) continue
+      data[i] = Math.min(255, data[i] * 255 / alpha)
+      data[i + 1] = Math.min(255, data[i + 1] * 255 / alpha)
+      data[i + 2] = Math.min(255, data[i + 2] * 255 / alpha)
+    }
+
+    return { width, height, data }
+  }
+
   /**
    * Sets up a GLSL program. Uses the default vertex and fragment shader
    * if none are given.
@@ -704,6 +754,32 @@ class WebGLRenderer extends Renderer {
     this.setLastTexture(this._inputTexture)
   }
 
+  /**
+   * Deletes all textures, framebuffers and programs
+   * @override
+   */
+  dispose () {
+    let gl = this._context
+    let cache = this._cache
+    for (let identifier in cache) {
+      gl.deleteTexture(cache[identifier].texture)
+      gl.deleteFramebuffer(cache[identifier].fbo)
+    }
+    this._textures.forEach((texture) => gl.deleteTexture(texture))
+    this._framebuffers.forEach((fbo) => gl.deleteFramebuffer(fbo))
+    if (this._inputTexture) {
+      gl.deleteTexture(this._inputTexture)
+    }
+    gl.deleteProgram(this._defaultProgram)
+
+    this._textures = []
+    this._framebuffers = []
+    this._inputTexture = null
+    this._lastTexture = null
+
+    super.dispose()
+  }
+
   get maxTextureSize () {
     return this._maxTextureSize
   }
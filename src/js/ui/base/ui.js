@@ -31,6 +31,22 @@ class BaseUI extends EventEmitter {
     this._attach()
   }
 
+  /**
+   * Gets called when the kit has been reset
+   * @abstract
+   */
+  reset () {
+
+  }
+
+  /**
+   * Gets called when the operations stack has been replaced
+   * @abstract
+   */
+  onOperationsStackChange () {
+
+  }
+
   /**
    * Registers a language
    * @param  {String} identifier
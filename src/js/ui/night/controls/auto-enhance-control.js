@@ -0,0 +1,92 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Slider from '../lib/slider'
+
+class AutoEnhanceControl extends Control {
+  /**
+   * The entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/auto-enhance_controls.jst')
+    this._controlsTemplate = controlsTemplate
+    this._partialTemplates.slider = Slider.template
+
+    this._onUpdate = this._onUpdate.bind(this)
+  }
+
+  /**
+   * Gets called when this control is activated. Entering the control
+   * already applies the enhancement, the slider only adjusts its intensity.
+   * @override
+   */
+  _onEnter () {
+    this._historyItem = null
+    this._operationExistedBefore = !!this._ui.operations['auto-enhance']
+    this._operation = this._ui.getOrCreateOperation('auto-enhance')
+
+    const intensity = this._operation.getIntensity()
+    this._initialIntensity = intensity
+
+    if (!this._operationExistedBefore) {
+      this._historyItem = this._ui.addHistory(this._operation, {
+        intensity: intensity
+      }, false)
+      this._ui.canvas.render()
+    }
+
+    const sliderElement = this._controls.querySelector('.imglykit-slider')
+    this._slider = new Slider(sliderElement, {
+      minValue: 0,
+      maxValue: 1,
+      defaultValue: 1
+    })
+    this._slider.on('update', this._onUpdate)
+    this._slider.setValue(intensity)
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    if (this._operation.getIntensity() === 0) {
+      this._ui.removeOperation('auto-enhance')
+    }
+
+    this._ui.canvas.render()
+    this._slider = null
+  }
+
+  /**
+   * Gets called when the value has been updated
+   * @override
+   */
+  _onUpdate (value) {
+    this._operation.setIntensity(value)
+    this._ui.canvas.render()
+
+    if (!this._historyItem) {
+      this._historyItem = this._ui.addHistory(this._operation, {
+        intensity: this._initialIntensity
+      }, this._operationExistedBefore)
+    }
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+AutoEnhanceControl.prototype.identifier = 'auto-enhance'
+
+export default AutoEnhanceControl
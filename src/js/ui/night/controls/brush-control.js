@@ -262,7 +262,7 @@ class BrushControl extends Control {
       this._hideCursor()
     }
     this._stopPaint()
-    this._ui.addHistory(this, {
+    this._ui.addHistory(this._operation, {
       paths: this._optionsBeforeDraw.paths
     }, this._operationExistedBeforeDraw)
   }
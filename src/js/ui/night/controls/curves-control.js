@@ -0,0 +1,350 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Utils from '../../../lib/utils'
+import Histogram from '../../../lib/histogram'
+import CurvesOperation from '../../../operations/curves-operation'
+import ToneCurvePrimitive from '../../../operations/filters/primitives/tone-curve'
+
+const CHANNELS = CurvesOperation.CHANNELS
+const CHANNEL_COLORS = {
+  rgb: 'rgba(255, 255, 255, 1)',
+  red: 'rgba(255, 62, 62, 1)',
+  green: 'rgba(62, 255, 62, 1)',
+  blue: 'rgba(67, 173, 235, 1)'
+}
+
+/**
+ * The maximum distance (in curve units) between the pointer and a control
+ * point for the point to be grabbed
+ * @type {Number}
+ */
+const GRAB_DISTANCE = 10
+
+class CurvesControl extends Control {
+  /**
+   * The entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/curves_controls.jst')
+    this._controlsTemplate = controlsTemplate
+
+    let canvasControlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/curves_canvas.jst')
+    this._canvasControlsTemplate = canvasControlsTemplate
+
+    this._onChannelClick = this._onChannelClick.bind(this)
+    this._onMouseDown = this._onMouseDown.bind(this)
+    this._onMouseMove = this._onMouseMove.bind(this)
+    this._onMouseUp = this._onMouseUp.bind(this)
+    this._onDoubleClick = this._onDoubleClick.bind(this)
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._historyItem = null
+    this._operationExistedBefore = !!this._ui.operations.curves
+    this._operation = this._ui.getOrCreateOperation('curves')
+    this._initialOptions = {
+      rgbControlPoints: this._operation.getRgbControlPoints()
+    }
+
+    this._channel = 'rgb'
+    this._draggedIndex = null
+    this._histogram = Histogram.fromImage(this._kit.getImage(), document.createElement('canvas'))
+
+    this._graph = this._canvasControls.querySelector('.imglykit-curves-graph')
+    this._graph.addEventListener('mousedown', this._onMouseDown)
+    this._graph.addEventListener('touchstart', this._onMouseDown)
+    this._graph.addEventListener('dblclick', this._onDoubleClick)
+
+    this._channelItems = this._controls.querySelectorAll('.imglykit-curves-channels li')
+    for (let i = 0; i < this._channelItems.length; i++) {
+      this._channelItems[i].addEventListener('click', this._onChannelClick)
+    }
+
+    this._selectChannel(this._channel)
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    const unchanged = CHANNELS.every((channel) => {
+      return CurvesOperation.isIdentity(this._operation.getControlPoints(channel))
+    })
+    if (unchanged) {
+      this._ui.removeOperation('curves')
+    }
+
+    this._ui.canvas.render()
+  }
+
+  /**
+   * Gets called when a channel has been clicked
+   * @param {Event} e
+   * @private
+   */
+  _onChannelClick (e) {
+    this._selectChannel(e.currentTarget.getAttribute('data-channel'))
+  }
+
+  /**
+   * Selects the given channel and redraws the graph
+   * @param {String} channel
+   * @private
+   */
+  _selectChannel (channel) {
+    this._channel = channel
+
+    for (let i = 0; i < this._channelItems.length; i++) {
+      const item = this._channelItems[i]
+      if (item.getAttribute('data-channel') === channel) {
+        Utils.classList(item).add('imglykit-controls-item-active')
+      } else {
+        Utils.classList(item).remove('imglykit-controls-item-active')
+      }
+    }
+
+    this._drawGraph()
+  }
+
+  /**
+   * Draws the histogram, the curve and the control points of the selected
+   * channel
+   * @private
+   */
+  _drawGraph () {
+    const canvas = this._graph
+    const context = canvas.getContext('2d')
+    const { width, height } = canvas
+    const points = this._operation.getControlPoints(this._channel)
+    const toCanvas = (x, y) => [x / 255 * width, height - y / 255 * height]
+
+    context.clearRect(0, 0, width, height)
+
+    // Histogram
+    const bins = this._histogram[this._channel === 'rgb' ? 'luminance' : this._channel]
+    const max = Math.max.apply(null, bins) || 1
+    context.fillStyle = 'rgba(255, 255, 255, 0.15)'
+    for (let i = 0; i < bins.length; i++) {
+      const binHeight = bins[i] / max * height
+      context.fillRect(i / bins.length * width, height - binHeight, width / bins.length, binHeight)
+    }
+
+    // Grid
+    context.strokeStyle = 'rgba(255, 255, 255, 0.2)'
+    context.lineWidth = 1
+    context.beginPath()
+    for (let i = 1; i < 4; i++) {
+      context.moveTo(Math.round(i / 4 * width) + 0.5, 0)
+      context.lineTo(Math.round(i / 4 * width) + 0.5, height)
+      context.moveTo(0, Math.round(i / 4 * height) + 0.5)
+      context.lineTo(width, Math.round(i / 4 * height) + 0.5)
+    }
+    context.moveTo(0, height)
+    context.lineTo(width, 0)
+    context.stroke()
+
+    // Curve
+    const curve = new ToneCurvePrimitive({
+      controlPoints: points.map((point) => point.slice(0))
+    }).options.data
+    context.strokeStyle = CHANNEL_COLORS[this._channel]
+    context.lineWidth = 2
+    context.beginPath()
+    for (let i = 0; i < 256; i++) {
+      const y = Math.min(255, Math.max(0, curve[i * 4]))
+      const [canvasX, canvasY] = toCanvas(i, y)
+      if (i === 0) {
+        context.moveTo(canvasX, canvasY)
+      } else {
+        context.lineTo(canvasX, canvasY)
+      }
+    }
+    context.stroke()
+
+    // Control points
+    context.fillStyle = CHANNEL_COLORS[this._channel]
+    points.forEach((point) => {
+      const [canvasX, canvasY] = toCanvas(point[0], point[1])
+      context.beginPath()
+      context.arc(canvasX, canvasY, 5, 0, Math.PI * 2)
+      context.fill()
+    })
+  }
+
+  /**
+   * Returns the curve coordinates (0 - 255) of the given event
+   * @param  {Event} e
+   * @return {Array.<Number>}
+   * @private
+   */
+  _getCurvePosition (e) {
+    const position = Utils.getEventPosition(e)
+    const bounds = this._graph.getBoundingClientRect()
+    const x = (position.x - bounds.left) / bounds.width
+    const y = 1 - (position.y - bounds.top) / bounds.height
+    return [
+      Math.round(Math.max(0, Math.min(1, x)) * 255),
+      Math.round(Math.max(0, Math.min(1, y)) * 255)
+    ]
+  }
+
+  /**
+   * Returns the index of the control point that is closest to the given
+   * position, or `null` if no point is close enough
+   * @param  {Array.<Number>} position
+   * @return {Number}
+   * @private
+   */
+  _findControlPoint (position) {
+    const points = this._operation.getControlPoints(this._channel)
+    let closestIndex = null
+    let closestDistance = GRAB_DISTANCE
+    points.forEach((point, i) => {
+      const distance = Math.sqrt(
+        Math.pow(point[0] - position[0], 2) + Math.pow(point[1] - position[1], 2)
+      )
+      if (distance <= closestDistance) {
+        closestIndex = i
+        closestDistance = distance
+      }
+    })
+    return closestIndex
+  }
+
+  /**
+   * Gets called when the user presses a mouse button on the graph. Grabs
+   * the closest control point or adds a new one.
+   * @param {Event} e
+   * @private
+   */
+  _onMouseDown (e) {
+    if (e.type === 'mousedown' && e.button !== 0) return
+    e.preventDefault()
+
+    const position = this._getCurvePosition(e)
+    let index = this._findControlPoint(position)
+    if (index === null) {
+      const points = this._operation.getControlPoints(this._channel)
+      const exists = points.some((point) => point[0] === position[0])
+      if (exists) return
+
+      this._setControlPoints(points.concat([position]))
+      index = this._operation.getControlPoints(this._channel)
+        .map((point) => point[0])
+        .indexOf(position[0])
+    }
+    this._draggedIndex = index
+
+    document.addEventListener('mousemove', this._onMouseMove)
+    document.addEventListener('touchmove', this._onMouseMove)
+
+    document.addEventListener('mouseup', this._onMouseUp)
+    document.addEventListener('touchend', this._onMouseUp)
+  }
+
+  /**
+   * Gets called when the user drags a control point. The first and the last
+   * point can only be moved vertically, all other points stay between their
+   * neighbours.
+   * @param {Event} e
+   * @private
+   */
+  _onMouseMove (e) {
+    e.preventDefault()
+
+    let [x, y] = this._getCurvePosition(e)
+    const index = this._draggedIndex
+    let points = this._operation.getControlPoints(this._channel)
+      .map((point) => point.slice(0))
+
+    if (index === 0 || index === points.length - 1) {
+      x = points[index][0]
+    } else {
+      x = Math.max(points[index - 1][0] + 1, Math.min(points[index + 1][0] - 1, x))
+    }
+    points[index] = [x, y]
+
+    this._setControlPoints(points)
+  }
+
+  /**
+   * Gets called when the user does not press the mouse button anymore
+   * @private
+   */
+  _onMouseUp () {
+    this._draggedIndex = null
+
+    document.removeEventListener('mousemove', this._onMouseMove)
+    document.removeEventListener('touchmove', this._onMouseMove)
+
+    document.removeEventListener('mouseup', this._onMouseUp)
+    document.removeEventListener('touchend', this._onMouseUp)
+  }
+
+  /**
+   * Gets called when the user double clicks the graph. Removes the control
+   * point under the pointer unless it's the first or the last one.
+   * @param {Event} e
+   * @private
+   */
+  _onDoubleClick (e) {
+    e.preventDefault()
+
+    const index = this._findControlPoint(this._getCurvePosition(e))
+    const points = this._operation.getControlPoints(this._channel)
+    if (index === null || index === 0 || index === points.length - 1) return
+
+    this._setControlPoints(points.filter((point, i) => i !== index))
+  }
+
+  /**
+   * Applies the given control points to the selected channel
+   * @param {Array.<Array.<Number>>} points
+   * @private
+   */
+  _setControlPoints (points) {
+    if (!this._historyItem) {
+      this._historyItem = this._ui.addHistory(this._operation,
+        this._initialOptions,
+        this._operationExistedBefore)
+    }
+
+    this._operation.setControlPoints(this._channel, points)
+    this._drawGraph()
+    this._ui.canvas.render()
+  }
+
+  /**
+   * The data that is available to the template
+   * @type {Object}
+   * @override
+   */
+  get context () {
+    let context = super.context
+    context.channels = CHANNELS
+    return context
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+CurvesControl.prototype.identifier = 'curves'
+
+export default CurvesControl
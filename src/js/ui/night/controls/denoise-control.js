@@ -0,0 +1,109 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import SimpleSlider from '../lib/simple-slider'
+
+/**
+ * The options that can be changed using sliders
+ * @type {Array.<String>}
+ */
+const OPTIONS = ['luminance', 'color']
+
+class DenoiseControl extends Control {
+  /**
+   * The entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/denoise_controls.jst')
+    this._controlsTemplate = controlsTemplate
+    this._partialTemplates.simpleSlider = SimpleSlider.template
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._historyItem = null
+    this._operationExistedBefore = !!this._ui.operations.denoise
+    this._operation = this._ui.getOrCreateOperation('denoise')
+
+    this._initialOptions = {
+      luminance: this._operation.getLuminance(),
+      color: this._operation.getColor()
+    }
+
+    this._sliders = {}
+    const settings = this._controls.querySelectorAll('.imglykit-controls-sliders-item')
+    for (let i = 0; i < settings.length; i++) {
+      const name = settings[i].getAttribute('data-option')
+      const slider = new SimpleSlider(settings[i].querySelector('.imglykit-slider'), {
+        minValue: 0,
+        maxValue: 1
+      })
+      slider.on('update', (value) => this._onUpdate(name, value))
+      slider.setValue(this._initialOptions[name])
+      this._sliders[name] = slider
+    }
+
+    this._ui.canvas.render()
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    if (this._operation.getLuminance() === 0 && this._operation.getColor() === 0) {
+      this._ui.removeOperation('denoise')
+    }
+
+    this._ui.canvas.render()
+    this._sliders = null
+  }
+
+  /**
+   * Gets called when the value of a slider has been updated
+   * @param {String} name
+   * @param {Number} value
+   * @private
+   */
+  _onUpdate (name, value) {
+    if (!this._historyItem) {
+      this._historyItem = this._ui.addHistory(this._operation,
+        this._initialOptions,
+        this._operationExistedBefore)
+    }
+
+    this._operation.set({ [name]: value })
+    this._ui.canvas.render()
+  }
+
+  /**
+   * The data that is available to the template
+   * @type {Object}
+   * @override
+   */
+  get context () {
+    let context = super.context
+    context.options = OPTIONS
+    return context
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+DenoiseControl.prototype.identifier = 'denoise'
+
+export default DenoiseControl
@@ -0,0 +1,111 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Slider from '../lib/slider'
+import ExposureOperation from '../../../operations/exposure-operation'
+
+/**
+ * The slider ranges of the options
+ * @type {Object}
+ */
+const RANGES = {
+  exposure: [-3, 3],
+  highlights: [-1, 1],
+  shadows: [-1, 1],
+  whites: [-1, 1],
+  blacks: [-1, 1]
+}
+
+class ExposureControl extends Control {
+  /**
+   * The entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/exposure_controls.jst')
+    this._controlsTemplate = controlsTemplate
+    this._partialTemplates.slider = Slider.template
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._historyItem = null
+    this._operationExistedBefore = !!this._ui.operations.exposure
+    this._operation = this._ui.getOrCreateOperation('exposure')
+
+    this._initialOptions = this._operation.getOptions()
+
+    this._sliders = {}
+    const settings = this._controls.querySelectorAll('.imglykit-controls-sliders-item')
+    for (let i = 0; i < settings.length; i++) {
+      const name = settings[i].getAttribute('data-option')
+      const slider = new Slider(settings[i].querySelector('.imglykit-slider'), {
+        minValue: RANGES[name][0],
+        maxValue: RANGES[name][1]
+      })
+      slider.on('update', (value) => this._onUpdate(name, value))
+      slider.setValue(this._initialOptions[name])
+      this._sliders[name] = slider
+    }
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    if (this._operation.isIdentity()) {
+      this._ui.removeOperation('exposure')
+    }
+
+    this._ui.canvas.render()
+    this._sliders = null
+  }
+
+  /**
+   * Gets called when the value of a slider has been updated
+   * @param {String} name
+   * @param {Number} value
+   * @private
+   */
+  _onUpdate (name, value) {
+    if (!this._historyItem) {
+      this._historyItem = this._ui.addHistory(this._operation,
+        this._initialOptions,
+        this._operationExistedBefore)
+    }
+
+    this._operation.set({ [name]: value })
+    this._ui.canvas.render()
+  }
+
+  /**
+   * The data that is available to the template
+   * @type {Object}
+   * @override
+   */
+  get context () {
+    let context = super.context
+    context.options = ExposureOperation.OPTIONS
+    return context
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+ExposureControl.prototype.identifier = 'exposure'
+
+export default ExposureControl
@@ -11,6 +11,7 @@
 
 import Control from './control'
 import Utils from '../../../lib/utils'
+import SimpleSlider from '../lib/simple-slider'
 
 class FiltersControl extends Control {
   /**
@@ -19,6 +20,10 @@ class FiltersControl extends Control {
   init () {
     let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/filters_controls.jst')
     this._controlsTemplate = controlsTemplate
+    this._partialTemplates.slider = SimpleSlider.template
+
+    this._displayIntensity = false
+    this._preserveState = false
 
     this._availableFilters = {}
     this._filters = {}
@@ -36,7 +41,9 @@ class FiltersControl extends Control {
    *           rendering, which is why we have to override this function
    */
   _renderAllControls (...args) {
-    this._operationExistedBefore = !!this._ui.operations.filters
+    if (!this._preserveState) {
+      this._operationExistedBefore = !!this._ui.operations.filters
+    }
     this._operation = this._ui.getOrCreateOperation('filters')
 
     super._renderAllControls(...args)
@@ -47,11 +54,23 @@ class FiltersControl extends Control {
    * @override
    */
   _onEnter () {
-    this._historyItem = null
-    this._initialFilter = this._operation.getFilter()
-    this._defaultFilter = this._operation.availableOptions.filter.default
+    if (!this._preserveState) {
+      this._historyItem = null
+      this._initialFilter = this._operation.getFilter()
+      this._initialIntensity = this._operation.getIntensity()
+      this._defaultFilter = this._operation.availableOptions.filter.default
+    }
+    this._preserveState = false
 
-    let listItems = this._controls.querySelectorAll('li')
+    if (this._displayIntensity) {
+      this._setupSlider()
+      return
+    }
+
+    let intensityButton = this._controls.querySelector('#imglykit-filters-intensity-button')
+    intensityButton.addEventListener('click', this._onIntensityButtonClick.bind(this))
+
+    let listItems = this._controls.querySelectorAll('li[data-identifier]')
     this._listItems = Array.prototype.slice.call(listItems)
 
     // Listen to click events
@@ -63,6 +82,65 @@ class FiltersControl extends Control {
     }
   }
 
+  /**
+   * Gets called when this control is deactivated
+   * @override
+   */
+  _onLeave () {
+    this._displayIntensity = false
+    this._slider = null
+  }
+
+  /**
+   * Sets up the slider used to change the filter intensity
+   * @private
+   */
+  _setupSlider () {
+    let sliderElement = this._controls.querySelector('.imglykit-slider')
+    this._slider = new SimpleSlider(sliderElement, {
+      minValue: 0,
+      maxValue: 1
+    })
+    this._slider.on('update', this._onIntensityUpdate.bind(this))
+    this._slider.setValue(this._operation.getIntensity())
+  }
+
+  /**
+   * Switches between the filters list and the intensity slider
+   * @param {Boolean} displayIntensity
+   * @private
+   */
+  _switchView (displayIntensity) {
+    this._displayIntensity = displayIntensity
+    this._preserveState = true
+    this.update()
+  }
+
+  /**
+   * Gets called when the intensity button has been clicked
+   * @param  {Event} e
+   * @private
+   */
+  _onIntensityButtonClick (e) {
+    e.preventDefault()
+    this._switchView(true)
+  }
+
+  /**
+   * Gets called when the back button has been clicked. If the intensity
+   * slider is displayed, the filters list is displayed again.
+   * @private
+   * @override
+   */
+  _onBackButtonClick () {
+    if (this._displayIntensity) {
+      this._slider = null
+      return this._switchView(false)
+    }
+
+    super._onBackButtonClick()
+  }
+
   /**
    * Gets called when the user hits the back button
    * @override
@@ -75,6 +153,17 @@ class FiltersControl extends Control {
     this._ui.canvas.render()
   }
 
+  /**
+   * Gets called when the intensity has been changed
+   * @param {Number} intensity
+   * @private
+   */
+  _onIntensityUpdate (intensity) {
+    this._operation.setIntensity(intensity)
+    this._ui.canvas.render()
+    this._addHistoryItem()
+  }
+
   /**
    * Gets called when the user clicked a list item
    * @private
@@ -89,13 +178,24 @@ class FiltersControl extends Control {
     Utils.classList(item).add('imglykit-controls-item-active')
 
     let currentFilter = this._operation.getFilter()
-    if (currentFilter !== this._initialFilter && !this._historyItem) {
-      this._historyItem = this._ui.addHistory(this._operation, {
-        filter: this._initialFilter
-      }, this._operationExistedBefore)
+    if (currentFilter !== this._initialFilter) {
+      this._addHistoryItem()
     }
   }
 
+  /**
+   * Adds a history item for the current changes unless there already is one
+   * @private
+   */
+  _addHistoryItem () {
+    if (this._historyItem) return
+
+    this._historyItem = this._ui.addHistory(this._operation, {
+      filter: this._initialFilter,
+      intensity: this._initialIntensity
+    }, this._operationExistedBefore)
+  }
+
   /**
    * Deactivates all list items
    * @private
@@ -144,12 +244,20 @@ class FiltersControl extends Control {
   }
 
   /**
-   * Registers the given filter
+   * Registers the given filter. Filters that are added after the control
+   * has been initialized (e.g. filters created using
+   * {@link ImglyKit.LUTFilter.load}) are selected right away.
    * @param  {class} filter
-   * @private
    */
   addFilter (filter) {
     this._availableFilters[filter.identifier] = filter
+    this._kit.registerFilter(filter)
+
+    this._filters[filter.identifier] = filter
+    if (this._active && !this._displayIntensity) {
+      this._preserveState = true
+      this.update()
+    }
   }
 
   /**
@@ -181,7 +289,8 @@ class FiltersControl extends Control {
   get context () {
     return {
       filters: this._filters,
-      activeFilter: this._operation.getFilter()
+      activeFilter: this._operation.getFilter(),
+      displayIntensity: this._displayIntensity
     }
   }
 }
@@ -0,0 +1,167 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Slider from '../lib/slider'
+import Utils from '../../../lib/utils'
+import HSLOperation from '../../../operations/hsl-operation'
+import HSLPrimitive from '../../../operations/filters/primitives/hsl'
+
+class HSLControl extends Control {
+  /**
+   * The entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/hsl_controls.jst')
+    this._controlsTemplate = controlsTemplate
+    this._partialTemplates.slider = Slider.template
+
+    this._onTabClick = this._onTabClick.bind(this)
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._historyItem = null
+    this._operationExistedBefore = !!this._ui.operations.hsl
+    this._operation = this._ui.getOrCreateOperation('hsl')
+
+    this._initialOptions = {
+      hue: Utils.extend({}, this._operation.getHue()),
+      saturation: Utils.extend({}, this._operation.getSaturation()),
+      luminance: Utils.extend({}, this._operation.getLuminance())
+    }
+
+    this._sliders = {}
+    const items = this._controls.querySelectorAll('.imglykit-controls-sliders-item')
+    for (let i = 0; i < items.length; i++) {
+      const band = items[i].getAttribute('data-band')
+      const slider = new Slider(items[i].querySelector('.imglykit-slider'), {
+        minValue: -1,
+        maxValue: 1
+      })
+      slider.on('update', (value) => this._onUpdate(band, value))
+      this._sliders[band] = slider
+    }
+
+    this._tabs = this._controls.querySelectorAll('.imglykit-hsl-tabs li')
+    for (let i = 0; i < this._tabs.length; i++) {
+      this._tabs[i].addEventListener('click', this._onTabClick)
+    }
+
+    this._selectTab('hue')
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    if (this._operation.isIdentity()) {
+      this._ui.removeOperation('hsl')
+    }
+
+    this._ui.canvas.render()
+    this._sliders = null
+  }
+
+  /**
+   * Gets called when a tab has been clicked
+   * @param {Event} e
+   * @private
+   */
+  _onTabClick (e) {
+    this._selectTab(e.currentTarget.getAttribute('data-adjustment'))
+  }
+
+  /**
+   * Selects the given tab (`hue`, `saturation` or `luminance`) and moves the
+   * sliders to the adjustments of the bands
+   * @param {String} adjustment
+   * @private
+   */
+  _selectTab (adjustment) {
+    this._adjustment = adjustment
+
+    for (let i = 0; i < this._tabs.length; i++) {
+      const tab = this._tabs[i]
+      if (tab.getAttribute('data-adjustment') === adjustment) {
+        Utils.classList(tab).add('imglykit-controls-item-active')
+      } else {
+        Utils.classList(tab).remove('imglykit-controls-item-active')
+      }
+    }
+
+    const values = this._getAdjustments()
+    HSLOperation.BANDS.forEach((band) => {
+      this._sliders[band].setValue(values[band])
+    })
+  }
+
+  /**
+   * Returns the adjustments of the selected tab
+   * @return {Object}
+   * @private
+   */
+  _getAdjustments () {
+    switch (this._adjustment) {
+      case 'saturation':
+        return this._operation.getSaturation()
+      case 'luminance':
+        return this._operation.getLuminance()
+      default:
+        return this._operation.getHue()
+    }
+  }
+
+  /**
+   * Gets called when the value of a slider has been updated
+   * @param {String} band
+   * @param {Number} value
+   * @private
+   */
+  _onUpdate (band, value) {
+    if (!this._historyItem) {
+      this._historyItem = this._ui.addHistory(this._operation,
+        this._initialOptions,
+        this._operationExistedBefore)
+    }
+
+    const adjustments = Utils.extend({}, this._getAdjustments())
+    adjustments[band] = value
+    this._operation.set({ [this._adjustment]: adjustments })
+    this._ui.canvas.render()
+  }
+
+  /**
+   * The data that is available to the template
+   * @type {Object}
+   * @override
+   */
+  get context () {
+    let context = super.context
+    context.adjustments = HSLOperation.ADJUSTMENTS
+    context.bands = HSLOperation.BANDS.map((name, i) => {
+      return { name, hue: HSLPrimitive.BAND_HUES[i] }
+    })
+    return context
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+HSLControl.prototype.identifier = 'hsl'
+
+export default HSLControl
@@ -0,0 +1,260 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Utils from '../../../lib/utils'
+import Histogram from '../../../lib/histogram'
+import LevelsOperation from '../../../operations/levels-operation'
+
+const CHANNELS = LevelsOperation.CHANNELS
+const CHANNEL_COLORS = {
+  rgb: 'rgba(255, 255, 255, 0.5)',
+  red: 'rgba(255, 62, 62, 0.7)',
+  green: 'rgba(62, 255, 62, 0.7)',
+  blue: 'rgba(67, 173, 235, 0.7)'
+}
+
+class LevelsControl extends Control {
+  /**
+   * The entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/levels_controls.jst')
+    this._controlsTemplate = controlsTemplate
+
+    this._onChannelClick = this._onChannelClick.bind(this)
+    this._onMouseDown = this._onMouseDown.bind(this)
+    this._onMouseMove = this._onMouseMove.bind(this)
+    this._onMouseUp = this._onMouseUp.bind(this)
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._historyItem = null
+    this._operationExistedBefore = !!this._ui.operations.levels
+    this._operation = this._ui.getOrCreateOperation('levels')
+
+    this._initialOptions = {}
+    CHANNELS.forEach((channel) => {
+      this._initialOptions[channel] = this._operation.getLevels(channel)
+    })
+
+    this._channel = 'rgb'
+    this._histogram = Histogram.fromImage(this._kit.getImage(), document.createElement('canvas'))
+
+    this._editor = this._controls.querySelector('.imglykit-levels-editor')
+    this._histogramCanvas = this._controls.querySelector('.imglykit-levels-histogram')
+    this._handles = {}
+    const handles = this._controls.querySelectorAll('.imglykit-levels-handle')
+    for (let i = 0; i < handles.length; i++) {
+      const handle = handles[i]
+      this._handles[handle.getAttribute('data-handle')] = handle
+      handle.addEventListener('mousedown', this._onMouseDown)
+      handle.addEventListener('touchstart', this._onMouseDown)
+    }
+
+    this._channelItems = this._controls.querySelectorAll('.imglykit-levels-channels li')
+    for (let i = 0; i < this._channelItems.length; i++) {
+      this._channelItems[i].addEventListener('click', this._onChannelClick)
+    }
+
+    this._selectChannel(this._channel)
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    const unchanged = CHANNELS.every((channel) => {
+      return LevelsOperation.isIdentity(this._operation.getLevels(channel))
+    })
+    if (unchanged) {
+      this._ui.removeOperation('levels')
+    }
+
+    this._ui.canvas.render()
+  }
+
+  /**
+   * Gets called when a channel has been clicked
+   * @param {Event} e
+   * @private
+   */
+  _onChannelClick (e) {
+    this._selectChannel(e.currentTarget.getAttribute('data-channel'))
+  }
+
+  /**
+   * Selects the given channel, redraws the histogram and moves the handles
+   * @param {String} channel
+   * @private
+   */
+  _selectChannel (channel) {
+    this._channel = channel
+
+    for (let i = 0; i < this._channelItems.length; i++) {
+      const item = this._channelItems[i]
+      if (item.getAttribute('data-channel') === channel) {
+        Utils.classList(item).add('imglykit-controls-item-active')
+      } else {
+        Utils.classList(item).remove('imglykit-controls-item-active')
+      }
+    }
+
+    this._drawHistogram()
+    this._updateHandles()
+  }
+
+  /**
+   * Draws the histogram of the selected channel
+   * @private
+   */
+  _drawHistogram () {
+    const canvas = this._histogramCanvas
+    const context = canvas.getContext('2d')
+    const bins = this._histogram[this._channel === 'rgb' ? 'luminance' : this._channel]
+    const max = Math.max.apply(null, bins) || 1
+
+    context.clearRect(0, 0, canvas.width, canvas.height)
+    context.fillStyle = CHANNEL_COLORS[this._channel]
+    for (let i = 0; i < bins.length; i++) {
+      const height = bins[i] / max * canvas.height
+      context.fillRect(i, canvas.height - height, 1, height)
+    }
+  }
+
+  /**
+   * Moves the handles to the positions of the selected channel's levels
+   * @private
+   */
+  _updateHandles () {
+    const levels = this._operation.getLevels(this._channel)
+    const gray = levels.inputBlack +
+      Math.pow(0.5, levels.gamma) * (levels.inputWhite - levels.inputBlack)
+    const positions = {
+      inputBlack: levels.inputBlack,
+      gray: gray,
+      inputWhite: levels.inputWhite,
+      outputBlack: levels.outputBlack,
+      outputWhite: levels.outputWhite
+    }
+
+    for (let name in positions) {
+      this._handles[name].style.left = `${positions[name] / 255 * 100}%`
+    }
+  }
+
+  /**
+   * Gets called when the user presses a mouse button on a handle
+   * @param {Event} e
+   * @private
+   */
+  _onMouseDown (e) {
+    if (e.type === 'mousedown' && e.button !== 0) return
+    e.preventDefault()
+
+    this._draggedHandle = e.currentTarget.getAttribute('data-handle')
+
+    document.addEventListener('mousemove', this._onMouseMove)
+    document.addEventListener('touchmove', this._onMouseMove)
+
+    document.addEventListener('mouseup', this._onMouseUp)
+    document.addEventListener('touchend', this._onMouseUp)
+  }
+
+  /**
+   * Gets called when the user drags a handle
+   * @param {Event} e
+   * @private
+   */
+  _onMouseMove (e) {
+    e.preventDefault()
+
+    const position = Utils.getEventPosition(e)
+    const bounds = this._editor.getBoundingClientRect()
+    const percentage = Math.max(0, Math.min(1, (position.x - bounds.left) / bounds.width))
+    const value = Math.round(percentage * 255)
+
+    let levels = Utils.extend({}, this._operation.getLevels(this._channel))
+    switch (this._draggedHandle) {
+      case 'inputBlack':
+        levels.inputBlack = Math.min(value, levels.inputWhite - 1)
+        break
+      case 'inputWhite':
+        levels.inputWhite = Math.max(value, levels.inputBlack + 1)
+        break
+      case 'gray': {
+        // The gray handle marks the input value that is mapped to 50% gray
+        let relative = (value - levels.inputBlack) / (levels.inputWhite - levels.inputBlack)
+        relative = Math.max(0.01, Math.min(0.99, relative))
+        levels.gamma = Math.max(0.1, Math.min(10, Math.log(relative) / Math.log(0.5)))
+        break
+      }
+      default:
+        levels[this._draggedHandle] = value
+        break
+    }
+
+    this._setLevels(levels)
+  }
+
+  /**
+   * Gets called when the user does not press the mouse button anymore
+   * @private
+   */
+  _onMouseUp () {
+    document.removeEventListener('mousemove', this._onMouseMove)
+    document.removeEventListener('touchmove', this._onMouseMove)
+
+    document.removeEventListener('mouseup', this._onMouseUp)
+    document.removeEventListener('touchend', this._onMouseUp)
+  }
+
+  /**
+   * Applies the given levels to the selected channel
+   * @param {Object} levels
+   * @private
+   */
+  _setLevels (levels) {
+    if (!this._historyItem) {
+      this._historyItem = this._ui.addHistory(this._operation,
+        this._initialOptions,
+        this._operationExistedBefore)
+    }
+
+    this._operation.setLevels(this._channel, levels)
+    this._updateHandles()
+    this._ui.canvas.render()
+  }
+
+  /**
+   * The data that is available to the template
+   * @type {Object}
+   * @override
+   */
+  get context () {
+    let context = super.context
+    context.channels = CHANNELS
+    return context
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+LevelsControl.prototype.identifier = 'levels'
+
+export default LevelsControl
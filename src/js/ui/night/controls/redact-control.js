@@ -0,0 +1,516 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Vector2 from '../../../lib/math/vector2'
+import Utils from '../../../lib/utils'
+import RedactOperation from '../../../operations/redact-operation'
+
+/**
+ * The minimum width and height of a region, relative to the canvas size.
+ * Smaller regions that are drawn by accident are discarded.
+ * @type {Number}
+ */
+const MIN_REGION_SIZE = 0.01
+
+class RedactControl extends Control {
+  /**
+   * Entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/redact_controls.jst')
+    this._controlsTemplate = controlsTemplate
+
+    let canvasControlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/redact_canvas.jst')
+    this._canvasControlsTemplate = canvasControlsTemplate
+
+    // Mouse event callbacks bound to the class context
+    this._onContainerDown = this._onContainerDown.bind(this)
+    this._onDrawDrag = this._onDrawDrag.bind(this)
+    this._onDrawUp = this._onDrawUp.bind(this)
+    this._onRegionDrag = this._onRegionDrag.bind(this)
+    this._onRegionUp = this._onRegionUp.bind(this)
+    this._onKnobDrag = this._onKnobDrag.bind(this)
+    this._onKnobUp = this._onKnobUp.bind(this)
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._operationExistedBefore = !!this._ui.operations.redact
+    this._operation = this._ui.getOrCreateOperation('redact')
+
+    this._initialSettings = {
+      regions: this._operation.getRegions().map((region) => region.clone())
+    }
+
+    // The regions that are being edited
+    this._editedRegions = this._initialSettings.regions.map((region) => region.clone())
+    this._regionElements = []
+    this._selectedRegion = null
+
+    // The settings of new regions
+    this._newRegionSettings = {
+      shape: 'rectangle',
+      mode: 'pixelate',
+      strength: 0.5
+    }
+
+    // Remember zoom level and zoom to fit the canvas
+    this._initialZoomLevel = this._ui.canvas.zoomLevel
+    this._ui.canvas.zoomToFit()
+
+    // Find DOM elements
+    this._container = this._canvasControls.querySelector('.imglykit-canvas-redact-container')
+    this._regionsList = this._canvasControls.querySelector('.imglykit-canvas-redact-list')
+    this._actions = this._canvasControls.querySelector('.imglykit-canvas-redact-actions')
+    this._strengthInput = this._actions.querySelector('input')
+
+    this._handleActions()
+    this._container.addEventListener('mousedown', this._onContainerDown)
+    this._container.addEventListener('touchstart', this._onContainerDown)
+
+    this._renderRegions()
+  }
+
+  /**
+   * Handles the click events of the action buttons and the strength input
+   * @private
+   */
+  _handleActions () {
+    const buttons = this._actions.querySelectorAll('button')
+    for (let i = 0; i < buttons.length; i++) {
+      const button = buttons[i]
+      button.addEventListener('click', (e) => {
+        e.preventDefault()
+        if (button.hasAttribute('data-shape')) {
+          this._updateSettings({ shape: button.getAttribute('data-shape') })
+        } else if (button.hasAttribute('data-mode')) {
+          this._updateSettings({ mode: button.getAttribute('data-mode') })
+        } else if (button.getAttribute('data-action') === 'delete') {
+          this._deleteSelectedRegion()
+        }
+      })
+    }
+
+    // Don't deselect the region or draw a new one when using the actions
+    this._actions.addEventListener('mousedown', (e) => e.stopPropagation())
+    this._actions.addEventListener('touchstart', (e) => e.stopPropagation())
+
+    this._strengthInput.addEventListener('change', () => {
+      this._updateSettings({ strength: parseFloat(this._strengthInput.value) })
+    })
+  }
+
+  /**
+   * Applies the given settings to the selected region and to the regions
+   * that will be drawn
+   * @param {Object} settings
+   * @private
+   */
+  _updateSettings (settings) {
+    this._newRegionSettings = Utils.extend(this._newRegionSettings, settings)
+
+    const region = this._selectedRegion
+    if (region) {
+      for (let name in settings) {
+        region[name] = settings[name]
+      }
+      this._applySettings(region)
+      this._applyRegions()
+    }
+
+    this._updateActions()
+  }
+
+  /**
+   * Removes the selected region
+   * @private
+   */
+  _deleteSelectedRegion () {
+    const index = this._editedRegions.indexOf(this._selectedRegion)
+    if (index === -1) return
+
+    this._editedRegions.splice(index, 1)
+    this._selectedRegion = null
+    this._renderRegions()
+    this._applyRegions()
+  }
+
+  /**
+   * Creates the DOM elements for all regions
+   * @private
+   */
+  _renderRegions () {
+    this._regionsList.innerHTML = ''
+    this._regionElements = this._editedRegions.map((region) => {
+      const element = document.createElement('div')
+      element.className = 'imglykit-canvas-redact-region'
+
+      const knob = document.createElement('div')
+      knob.className = 'imglykit-knob'
+      element.appendChild(knob)
+
+      element.addEventListener('mousedown', (e) => this._onRegionDown(e, region))
+      element.addEventListener('touchstart', (e) => this._onRegionDown(e, region))
+      knob.addEventListener('mousedown', (e) => this._onKnobDown(e, region))
+      knob.addEventListener('touchstart', (e) => this._onKnobDown(e, region))
+
+      this._regionsList.appendChild(element)
+      return element
+    })
+
+    this._editedRegions.forEach((region) => this._applySettings(region))
+    this._updateSelection()
+  }
+
+  /**
+   * Positions and resizes the DOM element of the given region according to
+   * its settings
+   * @param {RedactOperation.Region} region
+   * @private
+   */
+  _applySettings (region) {
+    const element = this._regionElements[this._editedRegions.indexOf(region)]
+    if (!element) return
+
+    const canvasSize = this._ui.canvas.size
+    const position = region.position.clone().multiply(canvasSize)
+    const size = region.size.clone().multiply(canvasSize)
+
+    element.style.left = `${position.x}px`
+    element.style.top = `${position.y}px`
+    element.style.width = `${size.x}px`
+    element.style.height = `${size.y}px`
+
+    const classList = Utils.classList(element)
+    if (region.shape === 'ellipse') {
+      classList.add('imglykit-canvas-redact-region-ellipse')
+    } else {
+      classList.remove('imglykit-canvas-redact-region-ellipse')
+    }
+  }
+
+  /**
+   * Selects the given region (or none, if `null` is given)
+   * @param {RedactOperation.Region} region
+   * @private
+   */
+  _selectRegion (region) {
+    this._selectedRegion = region
+    this._updateSelection()
+  }
+
+  /**
+   * Updates the selection state of the DOM elements and the actions
+   * @private
+   */
+  _updateSelection () {
+    this._editedRegions.forEach((region, i) => {
+      const classList = Utils.classList(this._regionElements[i])
+      if (region === this._selectedRegion) {
+        classList.add('imglykit-canvas-redact-region-selected')
+      } else {
+        classList.remove('imglykit-canvas-redact-region-selected')
+      }
+    })
+
+    this._updateActions()
+  }
+
+  /**
+   * Highlights the shape and mode of the selected region (or of new
+   * regions, if none is selected)
+   * @private
+   */
+  _updateActions () {
+    const settings = this._selectedRegion || this._newRegionSettings
+
+    const buttons = this._actions.querySelectorAll('button')
+    for (let i = 0; i < buttons.length; i++) {
+      const button = buttons[i]
+      const active = button.getAttribute('data-shape') === settings.shape ||
+        button.getAttribute('data-mode') === settings.mode
+      if (active) {
+        Utils.classList(button).add('imglykit-controls-item-active')
+      } else {
+        Utils.classList(button).remove('imglykit-controls-item-active')
+      }
+    }
+    this._strengthInput.value = settings.strength
+
+    const deleteButton = this._actions.querySelector('[data-action="delete"]')
+    deleteButton.disabled = !this._selectedRegion
+  }
+
+  /**
+   * Updates the operation with the edited regions and renders the canvas
+   * @private
+   */
+  _applyRegions () {
+    this._operation.setRegions(this._editedRegions.map((region) => region.clone()))
+    this._ui.canvas.render()
+    this._highlightDoneButton()
+  }
+
+  /**
+   * Returns the position of the given event relative to the canvas size
+   * @param {Event} e
+   * @return {Vector2}
+   * @private
+   */
+  _getRelativePosition (e) {
+    const clientRect = this._container.getBoundingClientRect()
+    return Utils.getEventPosition(e)
+      .subtract(new Vector2(clientRect.left, clientRect.top))
+      .divide(this._ui.canvas.size)
+  }
+
+  /**
+   * Gets called when the user hits the back button
+   * @override
+   */
+  _onBack () {
+    if (this._operationExistedBefore) {
+      this._operation.set(this._initialSettings)
+    } else {
+      this._ui.removeOperation('redact')
+    }
+    this._ui.canvas.setZoomLevel(this._initialZoomLevel)
+  }
+
+  /**
+   * Gets called when the done button has been clicked
+   * @protected
+   */
+  _onDone () {
+    this._ui.canvas.setZoomLevel(this._initialZoomLevel, false)
+
+    if (!this._editedRegions.length) {
+      this._ui.removeOperation('redact')
+    } else {
+      this._operation.set({
+        regions: this._editedRegions.map((region) => region.clone())
+      })
+    }
+    this._ui.canvas.render()
+
+    this._ui.addHistory(this._operation, {
+      regions: this._initialSettings.regions
+    }, this._operationExistedBefore)
+  }
+
+  /**
+   * Gets called when the user presses the mouse on an empty area of the
+   * canvas. Deselects the current region and starts drawing a new one.
+   * @param {Event} e
+   * @private
+   */
+  _onContainerDown (e) {
+    e.preventDefault()
+
+    this._drawStart = this._getRelativePosition(e)
+    const region = new RedactOperation.Region(Utils.extend(this._newRegionSettings, {
+      position: this._drawStart,
+      size: new Vector2(0, 0)
+    }))
+
+    this._editedRegions.push(region)
+    this._selectedRegion = region
+    this._renderRegions()
+
+    document.addEventListener('mousemove', this._onDrawDrag)
+    document.addEventListener('touchmove', this._onDrawDrag)
+
+    document.addEventListener('mouseup', this._onDrawUp)
+    document.addEventListener('touchend', this._onDrawUp)
+  }
+
+  /**
+   * Gets called when the user drags while drawing a region
+   * @param {Event} e
+   * @private
+   */
+  _onDrawDrag (e) {
+    e.preventDefault()
+
+    const region = this._selectedRegion
+    const position = this._getRelativePosition(e)
+      .clamp(new Vector2(0, 0), new Vector2(1, 1))
+
+    region.position = new Vector2(
+      Math.min(this._drawStart.x, position.x),
+      Math.min(this._drawStart.y, position.y))
+    region.size = new Vector2(
+      Math.abs(position.x - this._drawStart.x),
+      Math.abs(position.y - this._drawStart.y))
+
+    this._applySettings(region)
+  }
+
+  /**
+   * Gets called when the user has finished drawing a region. Regions that
+   * are too small are discarded.
+   * @private
+   */
+  _onDrawUp () {
+    document.removeEventListener('mousemove', this._onDrawDrag)
+    document.removeEventListener('touchmove', this._onDrawDrag)
+
+    document.removeEventListener('mouseup', this._onDrawUp)
+    document.removeEventListener('touchend', this._onDrawUp)
+
+    const region = this._selectedRegion
+    if (region.size.x < MIN_REGION_SIZE || region.size.y < MIN_REGION_SIZE) {
+      this._editedRegions.splice(this._editedRegions.indexOf(region), 1)
+      this._selectedRegion = null
+      this._renderRegions()
+      return
+    }
+
+    this._applyRegions()
+  }
+
+  /**
+   * Gets called when the user clicks a region. Selects the region and
+   * starts dragging it.
+   * @param {Event} e
+   * @param {RedactOperation.Region} region
+   * @private
+   */
+  _onRegionDown (e, region) {
+    e.preventDefault()
+    e.stopPropagation()
+
+    this._selectRegion(region)
+
+    this._initialMousePosition = this._getRelativePosition(e)
+    this._initialPosition = region.position.clone()
+
+    document.addEventListener('mousemove', this._onRegionDrag)
+    document.addEventListener('touchmove', this._onRegionDrag)
+
+    document.addEventListener('mouseup', this._onRegionUp)
+    document.addEventListener('touchend', this._onRegionUp)
+  }
+
+  /**
+   * Gets called when the user drags a region
+   * @param {Event} e
+   * @private
+   */
+  _onRegionDrag (e) {
+    e.preventDefault()
+
+    const region = this._selectedRegion
+    const diff = this._getRelativePosition(e)
+      .subtract(this._initialMousePosition)
+
+    region.position = this._initialPosition.clone().add(diff)
+    this._regionMoved = true
+
+    this._applySettings(region)
+  }
+
+  /**
+   * Gets called when the user releases a region
+   * @private
+   */
+  _onRegionUp () {
+    document.removeEventListener('mousemove', this._onRegionDrag)
+    document.removeEventListener('touchmove', this._onRegionDrag)
+
+    document.removeEventListener('mouseup', this._onRegionUp)
+    document.removeEventListener('touchend', this._onRegionUp)
+
+    if (this._regionMoved) {
+      this._regionMoved = false
+      this._applyRegions()
+    }
+  }
+
+  /**
+   * Gets called when the user clicks the knob of a region
+   * @param {Event} e
+   * @param {RedactOperation.Region} region
+   * @private
+   */
+  _onKnobDown (e, region) {
+    e.preventDefault()
+    e.stopPropagation()
+
+    this._selectRegion(region)
+
+    this._initialMousePosition = this._getRelativePosition(e)
+    this._initialSize = region.size.clone()
+
+    document.addEventListener('mousemove', this._onKnobDrag)
+    document.addEventListener('touchmove', this._onKnobDrag)
+
+    document.addEventListener('mouseup', this._onKnobUp)
+    document.addEventListener('touchend', this._onKnobUp)
+  }
+
+  /**
+   * Gets called when the user drags the knob. Resizes the selected region,
+   * the knob is located at its bottom right corner.
+   * @param {Event} e
+   * @private
+   */
+  _onKnobDrag (e) {
+    e.preventDefault()
+
+    const region = this._selectedRegion
+    const diff = this._getRelativePosition(e)
+      .subtract(this._initialMousePosition)
+
+    region.size = this._initialSize.clone().add(diff)
+      .clamp(new Vector2(MIN_REGION_SIZE, MIN_REGION_SIZE), new Vector2(1, 1))
+
+    this._applySettings(region)
+  }
+
+  /**
+   * Gets called when the user releases the knob
+   * @private
+   */
+  _onKnobUp () {
+    document.removeEventListener('mousemove', this._onKnobDrag)
+    document.removeEventListener('touchmove', this._onKnobDrag)
+
+    document.removeEventListener('mouseup', this._onKnobUp)
+    document.removeEventListener('touchend', this._onKnobUp)
+
+    this._applyRegions()
+  }
+
+  /**
+   * The data that is available to the template
+   * @type {Object}
+   * @override
+   */
+  get context () {
+    let context = super.context
+    context.shapes = RedactOperation.Region.SHAPES
+    context.modes = RedactOperation.Region.MODES
+    return context
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+RedactControl.prototype.identifier = 'redact'
+
+export default RedactControl
@@ -11,6 +11,8 @@
 
 import Control from './control'
 import Vector2 from '../../../lib/math/vector2'
+import Slider from '../lib/slider'
+import Utils from '../../../lib/utils'
 
 class RotationControl extends Control {
   /**
@@ -19,6 +21,9 @@ class RotationControl extends Control {
   init () {
     let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/rotation_controls.jst')
     this._controlsTemplate = controlsTemplate
+    this._partialTemplates.slider = Slider.template
+
+    this._onSliderUpdate = this._onSliderUpdate.bind(this)
   }
 
   /**
@@ -33,8 +38,14 @@ class RotationControl extends Control {
     this._cropOperation = this._ui.operations.crop
 
     this._initialDegrees = this._operation.getDegrees()
+    this._initialAutoCrop = this._operation.getAutoCrop()
+
+    // New rotations are cropped by default so that no transparent corners
+    // appear when straightening the image
+    this._autoCrop = this._operationExistedBefore ? this._initialAutoCrop : true
+    this._coarseDegrees = this._initialDegrees - this._getFineDegrees(this._initialDegrees)
 
-    let listItems = this._controls.querySelectorAll('li')
+    let listItems = this._controls.querySelectorAll('li[data-degrees]')
     if (this._cropOperation) {
       if (!this._initialStart && !this._initialEnd) {
         // Store initial settings for 'back' and 'done' buttons
@@ -51,6 +62,60 @@ class RotationControl extends Control {
         this._onListItemClick(listItem)
       })
     }
+
+    this._autoCropItem = this._controls.querySelector('.imglykit-rotation-auto-crop')
+    this._autoCropItem.addEventListener('click', () => {
+      this._onAutoCropClick()
+    })
+    this._toggleAutoCropItem()
+
+    // The slider is used to straighten the image by a few degrees
+    const sliderElement = this._controls.querySelector('.imglykit-slider')
+    this._slider = new Slider(sliderElement, {
+      minValue: -45,
+      maxValue: 45,
+      defaultValue: 0
+    })
+    this._slider.on('update', this._onSliderUpdate)
+    this._slider.setValue(this._getFineDegrees(this._initialDegrees))
+  }
+
+  /**
+   * Returns the part of the given rotation that is not a multiple of 90
+   * @param {Number} degrees
+   * @return {Number}
+   * @private
+   */
+  _getFineDegrees (degrees) {
+    return degrees - Math.round(degrees / 90) * 90
+  }
+
+  /**
+   * Adds the history item if it has not been added yet
+   * @private
+   */
+  _addHistoryItem () {
+    if (this._historyItem) return
+
+    this._historyItem = this._ui.addHistory(this._operation, {
+      degrees: this._initialDegrees,
+      autoCrop: this._initialAutoCrop
+    }, this._operationExistedBefore)
+  }
+
+  /**
+   * Gets called when the value of the straighten slider has been updated
+   * @param {Number} value
+   * @private
+   */
+  _onSliderUpdate (value) {
+    this._addHistoryItem()
+
+    this._operation.set({
+      degrees: this._coarseDegrees + Math.round(value * 10) / 10,
+      autoCrop: this._autoCrop
+    })
+    this._ui.canvas.zoomToFit()
   }
 
   /**
@@ -64,17 +129,43 @@ class RotationControl extends Control {
 
     let currentDegrees = this._operation.getDegrees()
 
-    if (!this._historyItem) {
-      this._historyItem = this._ui.addHistory(this._operation, {
-        degrees: this._initialDegrees
-      }, this._operationExistedBefore)
-    }
+    this._addHistoryItem()
 
     this._rotateCrop(degrees)
-    this._operation.setDegrees(currentDegrees + degrees)
+    this._coarseDegrees += degrees
+    this._operation.set({
+      degrees: currentDegrees + degrees,
+      autoCrop: this._autoCrop
+    })
+    this._ui.canvas.zoomToFit()
+  }
+
+  /**
+   * Gets called when the auto crop item has been clicked
+   * @private
+   */
+  _onAutoCropClick () {
+    this._addHistoryItem()
+
+    this._autoCrop = !this._autoCrop
+    this._operation.setAutoCrop(this._autoCrop)
+    this._toggleAutoCropItem()
     this._ui.canvas.zoomToFit()
   }
 
+  /**
+   * Updates the active state of the auto crop item
+   * @private
+   */
+  _toggleAutoCropItem () {
+    let activeClass = 'imglykit-controls-item-active'
+    if (this._autoCrop) {
+      Utils.classList(this._autoCropItem).add(activeClass)
+    } else {
+      Utils.classList(this._autoCropItem).remove(activeClass)
+    }
+  }
+
   /**
    * Rotates the current crop options by the given degrees
    * @param {Number} degrees
@@ -110,6 +201,7 @@ class RotationControl extends Control {
     if (currentDegrees === 0) {
       this._ui.removeOperation('rotation')
     }
+    this._slider = null
   }
 }
 
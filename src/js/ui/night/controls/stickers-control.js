@@ -12,6 +12,7 @@
 import Control from './control'
 import Vector2 from '../../../lib/math/vector2'
 import Utils from '../../../lib/utils'
+import StickersOperation from '../../../operations/stickers-operation'
 
 class StickersControl extends Control {
   /**
@@ -99,46 +100,44 @@ class StickersControl extends Control {
     this._operationExistedBefore = !!this._ui.operations.stickers
     this._operation = this._ui.getOrCreateOperation('stickers')
 
-    // Don't render initially
+    // Don't render initially, the stickers are displayed as DOM elements
     this._ui.removeOperation('stickers')
 
     this._initialSettings = {
-      sticker: this._operation.getSticker(),
-      position: this._operation.getPosition().clone(),
-      size: this._operation.getSize().clone()
+      stickers: this._operation.getStickers().map((sticker) => sticker.clone())
     }
 
-    let canvasSize = this._ui.canvas.size
-
-    this._size = this._initialSettings.size.clone()
-    this._position = this._initialSettings.position.clone()
-      .multiply(canvasSize)
+    // The stickers that are being edited
+    this._editedStickers = this._initialSettings.stickers.map((sticker) => sticker.clone())
+    this._stickerElements = []
+    this._selectedSticker = null
 
     // Remember zoom level and zoom to fit the canvas
     this._initialZoomLevel = this._ui.canvas.zoomLevel
     this._ui.canvas.zoomToFit()
 
     // Find DOM elements
-    this._container = this._canvasControls.querySelector('.imglykit-canvas-stickers')
-    this._stickerImage = this._canvasControls.querySelector('img')
-    this._stickerImage.addEventListener('load', () => {
-      this._stickerSize = new Vector2(this._stickerImage.width, this._stickerImage.height)
-      this._onStickerLoad()
-    })
-    this._knob = this._canvasControls.querySelector('div.imglykit-knob')
+    this._container = this._canvasControls.querySelector('.imglykit-canvas-stickers-container')
+    this._editedStickersList = this._canvasControls.querySelector('.imglykit-canvas-stickers-list')
+    this._actions = this._canvasControls.querySelector('.imglykit-canvas-stickers-actions')
+    this._opacityInput = this._actions.querySelector('input')
 
     // Mouse event callbacks bound to the class context
-    this._onImageDown = this._onImageDown.bind(this)
-    this._onImageDrag = this._onImageDrag.bind(this)
-    this._onImageUp = this._onImageUp.bind(this)
+    this._onStickerDown = this._onStickerDown.bind(this)
+    this._onStickerDrag = this._onStickerDrag.bind(this)
+    this._onStickerUp = this._onStickerUp.bind(this)
     this._onKnobDown = this._onKnobDown.bind(this)
     this._onKnobDrag = this._onKnobDrag.bind(this)
     this._onKnobUp = this._onKnobUp.bind(this)
+    this._onContainerDown = this._onContainerDown.bind(this)
 
     this._renderListItems()
     this._handleListItems()
-    this._handleImage()
-    this._handleKnob()
+    this._handleActions()
+    this._container.addEventListener('mousedown', this._onContainerDown)
+    this._container.addEventListener('touchstart', this._onContainerDown)
+
+    this._renderStickers()
   }
 
   /**
@@ -190,31 +189,201 @@ class StickersControl extends Control {
     // Listen to click events
     for (let i = 0; i < this._listItems.length; i++) {
       let listItem = this._listItems[i]
-      const identifier = listItem.getAttribute('data-identifier')
       listItem.addEventListener('click', () => {
         this._onListItemClick(listItem)
       })
+    }
+  }
 
-      if ((!this._operationExistedBefore && i === 0) ||
-          (this._operationExistedBefore &&
-          this._stickers[identifier] === this._initialSettings.sticker)) {
-        this._onListItemClick(listItem, false)
-      }
+  /**
+   * Handles the click events of the action buttons and the opacity input
+   * @private
+   */
+  _handleActions () {
+    const buttons = this._actions.querySelectorAll('[data-action]')
+    for (let i = 0; i < buttons.length; i++) {
+      const button = buttons[i]
+      const action = button.getAttribute('data-action')
+      button.addEventListener('click', (e) => {
+        e.preventDefault()
+        this._onAction(action)
+      })
+    }
+
+    // Don't deselect the sticker when using the actions
+    this._actions.addEventListener('mousedown', (e) => e.stopPropagation())
+    this._actions.addEventListener('touchstart', (e) => e.stopPropagation())
+
+    this._opacityInput.addEventListener('input', () => {
+      if (!this._selectedSticker) return
+      this._selectedSticker.opacity = parseFloat(this._opacityInput.value)
+      this._applySettings(this._selectedSticker)
+      this._highlightDoneButton()
+    })
+  }
+
+  /**
+   * Applies the given action to the selected sticker
+   * @param {String} action
+   * @private
+   */
+  _onAction (action) {
+    const sticker = this._selectedSticker
+    if (!sticker) return
+
+    const index = this._editedStickers.indexOf(sticker)
+    switch (action) {
+      case 'flip-horizontally':
+        sticker.flipHorizontally = !sticker.flipHorizontally
+        break
+      case 'flip-vertically':
+        sticker.flipVertically = !sticker.flipVertically
+        break
+      case 'bring-forward':
+        if (index < this._editedStickers.length - 1) {
+          this._editedStickers.splice(index, 1)
+          this._editedStickers.splice(index + 1, 0, sticker)
+        }
+        break
+      case 'send-backward':
+        if (index > 0) {
+          this._editedStickers.splice(index, 1)
+          this._editedStickers.splice(index - 1, 0, sticker)
+        }
+        break
+      case 'delete':
+        this._editedStickers.splice(index, 1)
+        this._selectedSticker = null
+        break
     }
+
+    this._renderStickers()
+    this._highlightDoneButton()
+  }
+
+  /**
+   * Creates the DOM elements for all stickers
+   * @private
+   */
+  _renderStickers () {
+    this._editedStickersList.innerHTML = ''
+    this._stickerElements = this._editedStickers.map((sticker) => {
+      const element = document.createElement('div')
+      element.className = 'imglykit-canvas-sticker'
+
+      const image = document.createElement('img')
+      image.className = 'imglykit-canvas-sticker-image'
+      image.addEventListener('load', () => {
+        this._applySettings(sticker)
+      })
+      image.src = this._kit.getAssetPath(sticker.sticker)
+      element.appendChild(image)
+
+      const knob = document.createElement('div')
+      knob.className = 'imglykit-knob'
+      element.appendChild(knob)
+
+      element.addEventListener('mousedown', (e) => this._onStickerDown(e, sticker))
+      element.addEventListener('touchstart', (e) => this._onStickerDown(e, sticker))
+      knob.addEventListener('mousedown', (e) => this._onKnobDown(e, sticker))
+      knob.addEventListener('touchstart', (e) => this._onKnobDown(e, sticker))
+
+      this._editedStickersList.appendChild(element)
+      return element
+    })
+
+    this._editedStickers.forEach((sticker) => this._applySettings(sticker))
+    this._updateSelection()
+  }
+
+  /**
+   * Returns the DOM element for the given sticker
+   * @param {StickersOperation.Sticker} sticker
+   * @return {DOMElement}
+   * @private
+   */
+  _getElement (sticker) {
+    return this._stickerElements[this._editedStickers.indexOf(sticker)]
+  }
+
+  /**
+   * Returns the size of the given sticker in pixels
+   * @param {StickersOperation.Sticker} sticker
+   * @return {Vector2}
+   * @private
+   */
+  _getStickerSize (sticker) {
+    const image = this._getElement(sticker).querySelector('img')
+    const imageSize = new Vector2(image.naturalWidth || 1, image.naturalHeight || 1)
+    return sticker.getSize(this._ui.canvas.size, imageSize)
+  }
+
+  /**
+   * Resizes, rotates and positions the DOM element of the given sticker
+   * according to its settings
+   * @param {StickersOperation.Sticker} sticker
+   * @private
+   */
+  _applySettings (sticker) {
+    const element = this._getElement(sticker)
+    if (!element) return
+
+    const image = element.querySelector('img')
+    const size = this._getStickerSize(sticker)
+    const position = sticker.position.clone()
+      .multiply(this._ui.canvas.size)
+      .subtract(size.clone().multiply(sticker.anchor))
+    const origin = `${sticker.anchor.x * 100}% ${sticker.anchor.y * 100}%`
+
+    element.style.left = `${position.x}px`
+    element.style.top = `${position.y}px`
+    element.style.width = `${size.x}px`
+    element.style.height = `${size.y}px`
+    element.style.transform = `rotate(${sticker.rotation}rad)`
+    element.style.webkitTransform = element.style.transform
+    element.style.transformOrigin = origin
+    element.style.webkitTransformOrigin = origin
+
+    const scaleX = sticker.flipHorizontally ? -1 : 1
+    const scaleY = sticker.flipVertically ? -1 : 1
+    image.style.width = `${size.x}px`
+    image.style.height = `${size.y}px`
+    image.style.opacity = sticker.opacity
+    image.style.transform = `scale(${scaleX}, ${scaleY})`
+    image.style.webkitTransform = image.style.transform
+  }
+
+  /**
+   * Selects the given sticker (or none, if `null` is given)
+   * @param {StickersOperation.Sticker} sticker
+   * @private
+   */
+  _selectSticker (sticker) {
+    this._selectedSticker = sticker
+    this._updateSelection()
   }
 
   /**
-   * Resizes and positions the sticker according to the current settings
+   * Updates the selection state of the DOM elements and the actions
    * @private
    */
-  _applySettings () {
-    let ratio = this._stickerSize.y / this._stickerSize.x
-    this._size.y = this._size.x * ratio
-
-    this._stickerImage.style.width = `${this._size.x}px`
-    this._stickerImage.style.height = `${this._size.y}px`
-    this._container.style.left = `${this._position.x}px`
-    this._container.style.top = `${this._position.y}px`
+  _updateSelection () {
+    this._editedStickers.forEach((sticker, i) => {
+      const classList = Utils.classList(this._stickerElements[i])
+      if (sticker === this._selectedSticker) {
+        classList.add('imglykit-canvas-sticker-selected')
+      } else {
+        classList.remove('imglykit-canvas-sticker-selected')
+      }
+    })
+
+    const actionsClassList = Utils.classList(this._actions)
+    if (this._selectedSticker) {
+      actionsClassList.remove('imglykit-canvas-stickers-actions-disabled')
+      this._opacityInput.value = this._selectedSticker.opacity
+    } else {
+      actionsClassList.add('imglykit-canvas-stickers-actions-disabled')
+    }
   }
 
   /**
@@ -236,48 +405,61 @@ class StickersControl extends Control {
    * @protected
    */
   _onDone () {
-    // Map the position and size options to 0...1 values
-    let canvasSize = this._ui.canvas.size
-    let position = this._position.clone().divide(canvasSize)
-    let size = this._size.clone().divide(canvasSize)
-
     this._ui.canvas.setZoomLevel(this._initialZoomLevel, false)
 
-    // Create a new operation and render it
-    this._operation = this._ui.getOrCreateOperation('stickers')
-    this._operation.set({
-      sticker: this._availableStickers[this._sticker],
-      position: position,
-      size: size
-    })
-    this._ui.canvas.render()
+    if (!this._editedStickers.length) {
+      this._ui.removeOperation('stickers')
+      this._ui.canvas.render()
+    } else {
+      // Create a new operation and render it
+      this._operation = this._ui.getOrCreateOperation('stickers')
+      this._operation.set({
+        stickers: this._editedStickers.map((sticker) => sticker.clone())
+      })
+      this._ui.canvas.render()
+    }
 
-    this._ui.addHistory(this, {
-      sticker: this._initialSettings.sticker,
-      position: this._initialSettings.position.clone(),
-      size: this._initialSettings.size.clone()
+    this._ui.addHistory(this._operation, {
+      stickers: this._initialSettings.stickers
     }, this._operationExistedBefore)
   }
 
   /**
-   * Handles the knob dragging
+   * Gets called when the user clicks on an empty area of the canvas.
+   * Deselects the current sticker.
    * @private
    */
-  _handleKnob () {
-    this._knob.addEventListener('mousedown', this._onKnobDown)
-    this._knob.addEventListener('touchstart', this._onKnobDown)
+  _onContainerDown () {
+    this._selectSticker(null)
   }
 
   /**
-   * Gets called when the user clicks the knob
+   * Gets called when the user clicks the knob of a sticker
    * @param {Event} e
+   * @param {StickersOperation.Sticker} sticker
    * @private
    */
-  _onKnobDown (e) {
+  _onKnobDown (e, sticker) {
     e.preventDefault()
-
-    this._initialMousePosition = Utils.getEventPosition(e)
-    this._initialSize = this._size.clone()
+    e.stopPropagation()
+
+    this._selectSticker(sticker)
+
+    const clientRect = this._container.getBoundingClientRect()
+    this._containerOffset = new Vector2(clientRect.left, clientRect.top)
+    this._stickerCenter = sticker.position.clone()
+      .multiply(this._ui.canvas.size)
+
+    // The knob is located at the bottom right corner of the sticker, the
+    // sticker is rotated around its anchor
+    const size = this._getStickerSize(sticker)
+    const knobOffset = new Vector2(1, 1)
+      .subtract(sticker.anchor)
+      .multiply(size)
+    this._initialKnobAngle = Math.atan2(knobOffset.y, knobOffset.x)
+    this._initialKnobDistance = Math.sqrt(
+      Math.pow(knobOffset.x, 2) + Math.pow(knobOffset.y, 2))
+    this._initialScale = sticker.scale
 
     document.addEventListener('mousemove', this._onKnobDrag)
     document.addEventListener('touchmove', this._onKnobDrag)
@@ -287,31 +469,29 @@ class StickersControl extends Control {
   }
 
   /**
-   * Gets called when the user drags the knob
+   * Gets called when the user drags the knob. Scales and rotates the
+   * selected sticker around its anchor.
    * @param {Event} e
    * @private
    */
   _onKnobDrag (e) {
     e.preventDefault()
 
-    let mousePosition = Utils.getEventPosition(e)
-    let diff = mousePosition.clone()
-      .subtract(this._initialMousePosition)
-
-    let size = this._initialSize.clone()
-    let ratio = this._stickerImage.height / this._stickerImage.width
-    size.x += diff.x
-    size.y = size.x * ratio
+    const sticker = this._selectedSticker
+    const diff = Utils.getEventPosition(e)
+      .subtract(this._containerOffset)
+      .subtract(this._stickerCenter)
+    const distance = Math.sqrt(diff.x * diff.x + diff.y * diff.y)
 
-    this._size.copy(size)
+    sticker.rotation = Math.atan2(diff.y, diff.x) - this._initialKnobAngle
+    sticker.scale = Math.max(0.01, this._initialScale * distance / this._initialKnobDistance)
 
-    this._applySettings()
+    this._applySettings(sticker)
     this._highlightDoneButton()
   }
 
   /**
    * Gets called when the user releases the knob
-   * @param {Event} e
    * @private
    */
   _onKnobUp () {
@@ -323,114 +503,75 @@ class StickersControl extends Control {
   }
 
   /**
-   * Handles the image dragging
-   * @private
-   */
-  _handleImage () {
-    this._stickerImage.addEventListener('mousedown', this._onImageDown)
-    this._stickerImage.addEventListener('touchstart', this._onImageDown)
-  }
-
-  /**
-   * Gets called when the user clicks the image
+   * Gets called when the user clicks a sticker. Selects the sticker and
+   * starts dragging it.
    * @param {Event} e
+   * @param {StickersOperation.Sticker} sticker
    * @private
    */
-  _onImageDown (e) {
+  _onStickerDown (e, sticker) {
     e.preventDefault()
+    e.stopPropagation()
+
+    this._selectSticker(sticker)
 
     this._initialMousePosition = Utils.getEventPosition(e)
-    this._initialPosition = this._position.clone()
+    this._initialPosition = sticker.position.clone()
 
-    document.addEventListener('mousemove', this._onImageDrag)
-    document.addEventListener('touchmove', this._onImageDrag)
+    document.addEventListener('mousemove', this._onStickerDrag)
+    document.addEventListener('touchmove', this._onStickerDrag)
 
-    document.addEventListener('mouseup', this._onImageUp)
-    document.addEventListener('touchend', this._onImageUp)
+    document.addEventListener('mouseup', this._onStickerUp)
+    document.addEventListener('touchend', this._onStickerUp)
   }
 
   /**
-   * Gets called when the user drags the image
+   * Gets called when the user drags a sticker
    * @param {Event} e
    * @private
    */
-  _onImageDrag (e) {
+  _onStickerDrag (e) {
     e.preventDefault()
 
-    let mousePosition = Utils.getEventPosition(e)
-    let diff = mousePosition.clone()
+    const sticker = this._selectedSticker
+    const diff = Utils.getEventPosition(e)
       .subtract(this._initialMousePosition)
+      .divide(this._ui.canvas.size)
 
-    let position = this._initialPosition.clone()
-    position.add(diff)
+    sticker.position = this._initialPosition.clone().add(diff)
 
-    this._position.copy(position)
-
-    this._applySettings()
+    this._applySettings(sticker)
     this._highlightDoneButton()
   }
 
   /**
-   * Gets called when the user releases the image
-   * @param {Event} e
+   * Gets called when the user releases a sticker
    * @private
    */
-  _onImageUp () {
-    document.removeEventListener('mousemove', this._onImageDrag)
-    document.removeEventListener('touchmove', this._onImageDrag)
+  _onStickerUp () {
+    document.removeEventListener('mousemove', this._onStickerDrag)
+    document.removeEventListener('touchmove', this._onStickerDrag)
 
-    document.removeEventListener('mouseup', this._onImageUp)
-    document.removeEventListener('touchend', this._onImageUp)
+    document.removeEventListener('mouseup', this._onStickerUp)
+    document.removeEventListener('touchend', this._onStickerUp)
   }
 
   /**
-   * Gets called as soon as the sticker image has been loaded
+   * Gets called when the user clicked a list item. Adds the sticker to
+   * the center of the image.
    * @private
    */
-  _onStickerLoad () {
-    this._size = new Vector2(this._stickerImage.width, this._stickerImage.height)
-
-    if (typeof this._position === 'undefined') {
-      this._position = new Vector2(0, 0)
-    }
-
-    this._applySettings()
-  }
-
-  /**
-   * Gets called when the user clicked a list item
-   * @private
-   */
-  _onListItemClick (item, manually=true) {
-    this._deactivateAllItems()
-
+  _onListItemClick (item) {
     const identifier = item.getAttribute('data-identifier')
-    let stickerPath = this._availableStickers[identifier]
-    stickerPath = this._kit.getAssetPath(stickerPath)
-
-    try {
-      this._stickerImage.attributes.removeNamedItem('style')
-    } catch (e) {}
-
-    this._sticker = identifier
-    this._stickerImage.src = stickerPath
-
-    Utils.classList(item).add('imglykit-controls-item-active')
+    const sticker = new StickersOperation.Sticker({
+      sticker: this._availableStickers[identifier]
+    })
 
-    if (manually) {
-      this._highlightDoneButton()
-    }
-  }
+    this._editedStickers.push(sticker)
+    this._selectedSticker = sticker
+    this._renderStickers()
 
-  /**
-   * Deactivates all list items
-   * @private
-   */
-  _deactivateAllItems () {
-    for (let i = 0; i < this._listItems.length; i++) {
-      let listItem = this._listItems[i]
-      Utils.classList(listItem).remove('imglykit-controls-item-active')
-    }
+    this._highlightDoneButton()
   }
 
   /**
@@ -12,7 +12,9 @@
 import Control from './control'
 import ColorPicker from '../lib/color-picker'
 import Vector2 from '../../../lib/math/vector2'
+import Color from '../../../lib/color'
 import Utils from '../../../lib/utils'
+import TextOperation from '../../../operations/text-operation'
 
 class TextControl extends Control {
   /**
@@ -35,6 +37,11 @@ class TextControl extends Control {
       id: 'imglykit-text-background-color-picker'
     }
 
+    this._partialTemplates.strokeColorPicker = ColorPicker.template
+    this._partialTemplates.strokeColorPicker.additionalContext = {
+      id: 'imglykit-text-stroke-color-picker'
+    }
+
     this._fonts = []
     this._addFonts()
   }
@@ -42,6 +49,7 @@ class TextControl extends Control {
   _renderControls () {
     this._partialTemplates.fgColorPicker.additionalContext.label = this._ui.translate('controls.text.foreground')
     this._partialTemplates.bgColorPicker.additionalContext.label = this._ui.translate('controls.text.background')
+    this._partialTemplates.strokeColorPicker.additionalContext.label = this._ui.translate('controls.text.outline')
     super._renderControls()
   }
 
@@ -53,76 +61,52 @@ class TextControl extends Control {
     this._operationExistedBefore = !!this._ui.operations.text
     this._operation = this._ui.getOrCreateOperation('text')
 
-    // Don't render initially
+    // Don't render initially, the layers are displayed as DOM elements
     this._ui.removeOperation('text')
 
-    let canvasSize = this._ui.canvas.size
-
     this._initialSettings = {
-      lineHeight: this._operation.getLineHeight(),
-      fontSize: this._operation.getFontSize(),
-      fontFamily: this._operation.getFontFamily(),
-      fontWeight: this._operation.getFontWeight(),
-      color: this._operation.getColor(),
-      position: this._operation.getPosition(),
-      text: this._operation.getText() || '',
-      maxWidth: this._operation.getMaxWidth(),
-      backgroundColor: this._operation.getBackgroundColor()
+      texts: this._operation.getTexts().map((text) => text.clone())
     }
 
-    this._settings = {
-      lineHeight: this._initialSettings.lineHeight,
-      fontSize: this._initialSettings.fontSize,
-      fontFamily: this._initialSettings.fontFamily,
-      fontWeight: this._initialSettings.fontWeight,
-      color: this._initialSettings.color.clone(),
-      position: this._initialSettings.position.clone().multiply(canvasSize),
-      text: this._initialSettings.text,
-      maxWidth: this._initialSettings.maxWidth * canvasSize.x,
-      backgroundColor: this._initialSettings.backgroundColor.clone()
-    }
+    // The text layers that are being edited
+    this._texts = this._initialSettings.texts.map((text) => text.clone())
+    this._textElements = []
+    this._selectedText = null
 
     // Remember zoom level and zoom to fit the canvas
     this._initialZoomLevel = this._ui.canvas.zoomLevel
 
-    this._container = this._canvasControls.querySelector('.imglykit-canvas-text')
-    this._textarea = this._canvasControls.querySelector('textarea')
-    this._textarea.focus()
-
-    this._moveKnob = this._canvasControls.querySelector('.imglykit-crosshair')
-    this._resizeKnob = this._canvasControls.querySelector('.imglykit-knob')
+    this._container = this._canvasControls.querySelector('.imglykit-canvas-texts-container')
+    this._textsList = this._canvasControls.querySelector('.imglykit-canvas-texts-list')
+    this._actions = this._canvasControls.querySelector('.imglykit-canvas-texts-actions')
+    this._opacityInput = this._actions.querySelector('input')
 
-    // If the text has been edited before, subtract the knob width and padding
-    if (this._operationExistedBefore) {
-      this._settings.position.x -= 2
-      this._settings.position.y -= 2
-    }
-
-    this._onTextareaKeyUp = this._onTextareaKeyUp.bind(this)
-    this._onResizeKnobDown = this._onResizeKnobDown.bind(this)
-    this._onResizeKnobDrag = this._onResizeKnobDrag.bind(this)
-    this._onResizeKnobUp = this._onResizeKnobUp.bind(this)
     this._onMoveKnobDown = this._onMoveKnobDown.bind(this)
     this._onMoveKnobDrag = this._onMoveKnobDrag.bind(this)
     this._onMoveKnobUp = this._onMoveKnobUp.bind(this)
+    this._onResizeKnobDown = this._onResizeKnobDown.bind(this)
+    this._onResizeKnobDrag = this._onResizeKnobDrag.bind(this)
+    this._onResizeKnobUp = this._onResizeKnobUp.bind(this)
+    this._onRotateKnobDown = this._onRotateKnobDown.bind(this)
+    this._onRotateKnobDrag = this._onRotateKnobDrag.bind(this)
+    this._onRotateKnobUp = this._onRotateKnobUp.bind(this)
     this._onForegroundColorUpdate = this._onForegroundColorUpdate.bind(this)
     this._onBackgroundColorUpdate = this._onBackgroundColorUpdate.bind(this)
+    this._onStrokeColorUpdate = this._onStrokeColorUpdate.bind(this)
 
     this._initColorPickers()
     this._renderListItems()
     this._handleListItems()
-    this._handleTextarea()
-    this._handleResizeKnob()
-    this._handleMoveKnob()
-
-    // Resize asynchronously to render a frame
-    setTimeout(() => {
-      this._resizeTextarea()
-    }, 1)
+    this._handleActions()
 
     this._ui.canvas.zoomToFit()
       .then(() => {
-        this._applySettings()
+        // Start with an empty layer if there is none yet
+        if (!this._texts.length) {
+          this._addText()
+        } else {
+          this._renderTexts()
+        }
       })
   }
 
@@ -131,21 +115,24 @@ class TextControl extends Control {
    * @private
    */
   _initColorPickers () {
-    let foregroundColorPicker = this._controls.querySelector('#imglykit-text-foreground-color-picker')
-    this._foregroundColorPicker = new ColorPicker(this._ui, foregroundColorPicker)
-    this._foregroundColorPicker.setValue(this._operation.getColor())
-    this._foregroundColorPicker.on('update', this._onForegroundColorUpdate)
-    this._foregroundColorPicker.on('show', () => {
-      this._backgroundColorPicker.hide()
-    })
+    const pickers = {
+      foreground: this._onForegroundColorUpdate,
+      background: this._onBackgroundColorUpdate,
+      stroke: this._onStrokeColorUpdate
+    }
 
-    let backgroundColorPicker = this._controls.querySelector('#imglykit-text-background-color-picker')
-    this._backgroundColorPicker = new ColorPicker(this._ui, backgroundColorPicker)
-    this._backgroundColorPicker.setValue(this._operation.getBackgroundColor())
-    this._backgroundColorPicker.on('update', this._onBackgroundColorUpdate)
-    this._backgroundColorPicker.on('show', () => {
-      this._foregroundColorPicker.hide()
-    })
+    this._colorPickers = {}
+    for (let name in pickers) {
+      const element = this._controls.querySelector(`#imglykit-text-${name}-color-picker`)
+      const colorPicker = new ColorPicker(this._ui, element)
+      colorPicker.on('update', pickers[name])
+      colorPicker.on('show', () => {
+        for (let otherName in this._colorPickers) {
+          if (otherName !== name) this._colorPickers[otherName].hide()
+        }
+      })
+      this._colorPickers[name] = colorPicker
+    }
   }
 
   /**
@@ -187,75 +174,238 @@ class TextControl extends Control {
     // Listen to click events
     for (let i = 0; i < this._listItems.length; i++) {
       let listItem = this._listItems[i]
-      const name = listItem.getAttribute('data-name')
       listItem.addEventListener('click', () => {
         this._onListItemClick(listItem)
       })
-
-      if ((!this._operationExistedBefore && i === 0) ||
-        (this._operationExistedBefore && name === this._initialSettings.fontFamily)) {
-        this._onListItemClick(listItem, false)
-      }
     }
   }
 
   /**
-   * Handles the text area key events
+   * Handles the click events of the action buttons and the opacity input
    * @private
    */
-  _handleTextarea () {
-    this._textarea.addEventListener('keyup', this._onTextareaKeyUp)
+  _handleActions () {
+    const buttons = this._actions.querySelectorAll('[data-action]')
+    for (let i = 0; i < buttons.length; i++) {
+      const button = buttons[i]
+      const action = button.getAttribute('data-action')
+      button.addEventListener('click', (e) => {
+        e.preventDefault()
+        this._onAction(action)
+      })
+    }
+
+    this._opacityInput.addEventListener('input', () => {
+      if (!this._selectedText) return
+      this._selectedText.opacity = parseFloat(this._opacityInput.value)
+      this._applySettings(this._selectedText)
+      this._highlightDoneButton()
+    })
   }
 
   /**
-   * Gets called when the user releases a key inside the text area
+   * Applies the given action to the selected text layer
+   * @param {String} action
    * @private
    */
-  _onTextareaKeyUp () {
-    this._resizeTextarea()
-    this._settings.text = this._textarea.value
+  _onAction (action) {
+    if (action === 'add') {
+      this._addText()
+      return
+    }
+
+    const text = this._selectedText
+    if (!text) return
+
+    switch (action) {
+      case 'align-left':
+      case 'align-center':
+      case 'align-right':
+        this._setAlignment(text, action.replace('align-', ''))
+        break
+      case 'outline':
+        text.strokeWidth = text.strokeWidth > 0 ? 0 : 0.08
+        break
+      case 'shadow':
+        text.shadowColor = new Color(0, 0, 0, text.shadowColor.a > 0 ? 0 : 0.6)
+        text.shadowBlur = 0.1
+        text.shadowOffset = new Vector2(0.05, 0.05)
+        break
+      case 'delete':
+        this._texts.splice(this._texts.indexOf(text), 1)
+        this._selectedText = null
+        this._renderTexts()
+        break
+    }
+
+    this._applySettings(text)
     this._highlightDoneButton()
   }
 
   /**
-   * Resizes the text area to fit the text inside of it
+   * Changes the alignment of the given layer without moving its text box
+   * @param {TextOperation.Text} text
+   * @param {String} alignment
+   * @private
+   */
+  _setAlignment (text, alignment) {
+    const offsets = { left: 0, center: 0.5, right: 1 }
+    const diff = offsets[alignment] - offsets[text.alignment]
+    text.position.x += diff * text.maxWidth
+    text.alignment = alignment
+  }
+
+  /**
+   * Adds an empty text layer at the top left of the image and selects it
+   * @private
+   */
+  _addText () {
+    const previous = this._texts[this._texts.length - 1]
+    const text = new TextOperation.Text({
+      text: '',
+      position: previous
+        ? previous.position.clone().add(0, previous.fontSize * 1.5)
+        : new Vector2(0, 0),
+      maxWidth: 0.5
+    })
+
+    this._texts.push(text)
+    this._renderTexts()
+    this._selectText(text)
+    this._getElement(text).querySelector('textarea').focus()
+  }
+
+  /**
+   * Creates the DOM elements for all text layers
+   * @private
+   */
+  _renderTexts () {
+    this._textsList.innerHTML = ''
+    this._textElements = this._texts.map((text) => {
+      const element = document.createElement('div')
+      element.className = 'imglykit-canvas-text'
+      element.innerHTML = `
+        <div class="imglykit-crosshair">
+          <img src="${this._helpers.assetPath('ui/night/crosshair.png')}" />
+        </div>
+        <div class="imglykit-transparent-knob imglykit-canvas-text-rotate"></div>
+        <div class="imglykit-canvas-text-textarea">
+          <textarea></textarea>
+          <div class="imglykit-knob"></div>
+        </div>
+      `
+
+      const textarea = element.querySelector('textarea')
+      textarea.value = text.text
+      textarea.addEventListener('keyup', () => {
+        text.text = textarea.value
+        this._resizeTextarea(textarea)
+        this._highlightDoneButton()
+      })
+      textarea.addEventListener('focus', () => {
+        this._selectText(text)
+      })
+
+      const moveKnob = element.querySelector('.imglykit-crosshair')
+      moveKnob.addEventListener('mousedown', (e) => this._onMoveKnobDown(e, text))
+      moveKnob.addEventListener('touchstart', (e) => this._onMoveKnobDown(e, text))
+
+      const resizeKnob = element.querySelector('.imglykit-knob')
+      resizeKnob.addEventListener('mousedown', (e) => this._onResizeKnobDown(e, text))
+      resizeKnob.addEventListener('touchstart', (e) => this._onResizeKnobDown(e, text))
+
+      const rotateKnob = element.querySelector('.imglykit-canvas-text-rotate')
+      rotateKnob.addEventListener('mousedown', (e) => this._onRotateKnobDown(e, text))
+      rotateKnob.addEventListener('touchstart', (e) => this._onRotateKnobDown(e, text))
+
+      this._textsList.appendChild(element)
+      return element
+    })
+
+    this._texts.forEach((text) => this._applySettings(text))
+    this._updateSelection()
+  }
+
+  /**
+   * Returns the DOM element for the given text layer
+   * @param {TextOperation.Text} text
+   * @return {DOMElement}
    * @private
    */
-  _resizeTextarea () {
-    let scrollTop = this._textarea.scrollTop
+  _getElement (text) {
+    return this._textElements[this._texts.indexOf(text)]
+  }
+
+  /**
+   * Selects the given text layer and updates the controls to represent
+   * its settings
+   * @param {TextOperation.Text} text
+   * @private
+   */
+  _selectText (text) {
+    if (this._selectedText === text) return
+    this._selectedText = text
+    this._updateSelection()
+  }
 
-    if (!scrollTop) {
-      let scrollHeight, height
-      do {
-        scrollHeight = this._textarea.scrollHeight
-        height = this._textarea.offsetHeight
-        this._textarea.style.height = `${height - 5}px`
+  /**
+   * Updates the selection state of the DOM elements and the controls
+   * @private
+   */
+  _updateSelection () {
+    const text = this._selectedText
+
+    this._texts.forEach((t, i) => {
+      const classList = Utils.classList(this._textElements[i])
+      if (t === text) {
+        classList.add('imglykit-canvas-text-selected')
+      } else {
+        classList.remove('imglykit-canvas-text-selected')
       }
-      while (scrollHeight && (scrollHeight !== this._textarea.scrollHeight))
+    })
+
+    const actionsClassList = Utils.classList(this._actions)
+    if (!text) {
+      actionsClassList.add('imglykit-canvas-texts-actions-disabled')
+      return
     }
+    actionsClassList.remove('imglykit-canvas-texts-actions-disabled')
+
+    this._opacityInput.value = text.opacity
+    this._colorPickers.foreground.setValue(text.color)
+    this._colorPickers.background.setValue(text.backgroundColor)
+    this._colorPickers.stroke.setValue(text.strokeColor)
 
-    let scrollHeight = this._textarea.scrollHeight
-    this._textarea.style.height = `${scrollHeight + 20}px`
+    this._deactivateAllItems()
+    this._listItems.forEach((listItem) => {
+      if (listItem.getAttribute('data-name') === text.fontFamily) {
+        Utils.classList(listItem).add('imglykit-controls-item-active')
+      }
+    })
   }
 
   /**
-   * Handles the move knob dragging
+   * Resizes the text area to fit the text inside of it
+   * @param {DOMElement} textarea
    * @private
    */
-  _handleMoveKnob () {
-    this._moveKnob.addEventListener('mousedown', this._onMoveKnobDown)
-    this._moveKnob.addEventListener('touchstart', this._onMoveKnobDown)
+  _resizeTextarea (textarea) {
+    textarea.style.height = '0px'
+    textarea.style.height = `${textarea.scrollHeight}px`
   }
 
   /**
-   * Gets called when the user clicks the move knob
+   * Gets called when the user clicks the move knob of a layer
+   * @param {Event} e
+   * @param {TextOperation.Text} text
    * @private
    */
-  _onMoveKnobDown (e) {
+  _onMoveKnobDown (e, text) {
     e.preventDefault()
 
+    this._selectText(text)
     this._initialMousePosition = Utils.getEventPosition(e)
-    this._initialPosition = this._settings.position.clone()
+    this._initialPosition = text.position.clone()
 
     document.addEventListener('mousemove', this._onMoveKnobDrag)
     document.addEventListener('touchmove', this._onMoveKnobDrag)
@@ -266,31 +416,21 @@ class TextControl extends Control {
 
   /**
    * Gets called when the user drags the move knob
+   * @param {Event} e
    * @private
    */
   _onMoveKnobDrag (e) {
     e.preventDefault()
 
-    let canvasSize = this._ui.canvas.size
-
-    let mousePosition = Utils.getEventPosition(e)
-    let diff = mousePosition.clone()
+    const text = this._selectedText
+    const diff = Utils.getEventPosition(e)
       .subtract(this._initialMousePosition)
+      .divide(this._ui.canvas.size)
 
-    let minPosition = new Vector2(0, 0)
-    let containerSize = new Vector2(
-      this._container.offsetWidth,
-      this._container.offsetHeight
-    )
-    let maxPosition = canvasSize.clone().subtract(containerSize)
-    let position = this._initialPosition.clone()
-      .add(diff)
-      .clamp(minPosition, maxPosition)
-
-    this._settings.position = position
+    text.position = this._initialPosition.clone().add(diff)
 
-    this._container.style.left = `${position.x}px`
-    this._container.style.top = `${position.y}px`
+    this._applySettings(text)
+    this._highlightDoneButton()
   }
 
   /**
@@ -306,24 +446,17 @@ class TextControl extends Control {
   }
 
   /**
-   * Handles the resize knob dragging
-   * @private
-   */
-  _handleResizeKnob () {
-    this._resizeKnob.addEventListener('mousedown', this._onResizeKnobDown)
-    this._resizeKnob.addEventListener('touchstart', this._onResizeKnobDown)
-  }
-
-  /**
-   * Gets called when the user clicks the resize knob
+   * Gets called when the user clicks the resize knob of a layer
    * @param {Event} e
+   * @param {TextOperation.Text} text
    * @private
    */
-  _onResizeKnobDown (e) {
+  _onResizeKnobDown (e, text) {
     e.preventDefault()
 
+    this._selectText(text)
     this._initialMousePosition = Utils.getEventPosition(e)
-    this._initialMaxWidth = this._settings.maxWidth
+    this._initialMaxWidth = text.maxWidth
 
     document.addEventListener('mousemove', this._onResizeKnobDrag)
     document.addEventListener('touchmove', this._onResizeKnobDrag)
@@ -340,24 +473,20 @@ class TextControl extends Control {
   _onResizeKnobDrag (e) {
     e.preventDefault()
 
-    let canvasSize = this._ui.canvas.size
-    let mousePosition = Utils.getEventPosition(e)
-    let diff = mousePosition.subtract(this._initialMousePosition)
-
-    let position = this._settings.position.clone()
-    let maxWidthAllowed = canvasSize.x - position.x
+    const text = this._selectedText
+    const canvasSize = this._ui.canvas.size
+    const diff = Utils.getEventPosition(e)
+      .subtract(this._initialMousePosition)
 
-    let maxWidth = this._initialMaxWidth + diff.x
-    maxWidth = Math.max(100, Math.min(maxWidthAllowed, maxWidth))
-    this._settings.maxWidth = maxWidth
-    this._textarea.style.width = `${maxWidth}px`
+    const minWidth = 100 / canvasSize.x
+    text.maxWidth = Math.max(minWidth, this._initialMaxWidth + diff.x / canvasSize.x)
 
-    this._resizeTextarea()
+    this._applySettings(text)
+    this._highlightDoneButton()
   }
 
   /**
    * Gets called when the user releases the resize knob
-   * @param {Event} e
    * @private
    */
   _onResizeKnobUp () {
@@ -368,6 +497,64 @@ class TextControl extends Control {
     document.removeEventListener('touchend', this._onResizeKnobUp)
   }
 
+  /**
+   * Gets called when the user clicks the rotation knob of a layer
+   * @param {Event} e
+   * @param {TextOperation.Text} text
+   * @private
+   */
+  _onRotateKnobDown (e, text) {
+    e.preventDefault()
+
+    this._selectText(text)
+
+    // The rotation happens around the center of the layer's element
+    const element = this._getElement(text)
+    const clientRect = element.getBoundingClientRect()
+    this._rotationCenter = new Vector2(
+      clientRect.left + clientRect.width / 2,
+      clientRect.top + clientRect.height / 2
+    )
+
+    const diff = Utils.getEventPosition(e).subtract(this._rotationCenter)
+    this._initialAngle = Math.atan2(diff.y, diff.x)
+    this._initialRotation = text.rotation
+
+    document.addEventListener('mousemove', this._onRotateKnobDrag)
+    document.addEventListener('touchmove', this._onRotateKnobDrag)
+
+    document.addEventListener('mouseup', this._onRotateKnobUp)
+    document.addEventListener('touchend', this._onRotateKnobUp)
+  }
+
+  /**
+   * Gets called when the user drags the rotation knob
+   * @param {Event} e
+   * @private
+   */
+  _onRotateKnobDrag (e) {
+    e.preventDefault()
+
+    const text = this._selectedText
+    const diff = Utils.getEventPosition(e).subtract(this._rotationCenter)
+    text.rotation = this._initialRotation + Math.atan2(diff.y, diff.x) - this._initialAngle
+
+    this._applySettings(text)
+    this._highlightDoneButton()
+  }
+
+  /**
+   * Gets called when the user releases the rotation knob
+   * @private
+   */
+  _onRotateKnobUp () {
+    document.removeEventListener('mousemove', this._onRotateKnobDrag)
+    document.removeEventListener('touchmove', this._onRotateKnobDrag)
+
+    document.removeEventListener('mouseup', this._onRotateKnobUp)
+    document.removeEventListener('touchend', this._onRotateKnobUp)
+  }
+
   /**
    * Gets called when the user selects another color using
    * the color picker.
@@ -375,9 +562,7 @@ class TextControl extends Control {
    * @private
    */
   _onForegroundColorUpdate (value) {
-    this._settings.color = value
-    this._applySettings()
-    this._highlightDoneButton()
+    this._updateSelectedText({ color: value.clone() })
   }
 
   /**
@@ -387,54 +572,101 @@ class TextControl extends Control {
    * @private
    */
   _onBackgroundColorUpdate (value) {
-    this._settings.backgroundColor = value
-    this._applySettings()
-    this._highlightDoneButton()
+    this._updateSelectedText({ backgroundColor: value.clone() })
   }
 
   /**
-   * Styles the textarea to represent the current settings
+   * Gets called when the user selects another color using
+   * the color picker. Enables the outline if it's disabled.
+   * @param {Color} value
    * @private
    */
-  _applySettings () {
-    let textarea = this._textarea
-    let settings = this._settings
+  _onStrokeColorUpdate (value) {
+    this._updateSelectedText({
+      strokeColor: value.clone(),
+      strokeWidth: this._selectedText && this._selectedText.strokeWidth || 0.08
+    })
+  }
 
-    let canvasSize = this._ui.canvas.size
-    let actualFontSize = settings.fontSize * canvasSize.y
+  /**
+   * Sets the given properties on the selected text layer
+   * @param {Object} properties
+   * @private
+   */
+  _updateSelectedText (properties) {
+    const text = this._selectedText
+    if (!text) return
+
+    for (let key in properties) {
+      text[key] = properties[key]
+    }
+    this._applySettings(text)
+    this._highlightDoneButton()
+  }
+
+  /**
+   * Styles the DOM element of the given layer to represent its settings
+   * @param {TextOperation.Text} text
+   * @private
+   */
+  _applySettings (text) {
+    const element = this._getElement(text)
+    if (!element) return
 
-    this._container.style.left = `${settings.position.x}px`
-    this._container.style.top = `${settings.position.y}px`
+    const textarea = element.querySelector('textarea')
+    const canvasSize = this._ui.canvas.size
+    const actualFontSize = text.getFontSize(canvasSize)
+    const width = text.maxWidth * canvasSize.x
 
-    textarea.value = settings.text
-    textarea.style.fontFamily = settings.fontFamily
+    textarea.style.fontFamily = text.fontFamily
     textarea.style.fontSize = `${actualFontSize}px`
-    textarea.style.fontWeight = settings.fontWeight
-    textarea.style.lineHeight = settings.lineHeight
-    textarea.style.color = settings.color.toRGBA()
-    textarea.style.backgroundColor = settings.backgroundColor.toRGBA()
-    textarea.style.width = `${settings.maxWidth}px`
+    textarea.style.fontWeight = text.fontWeight
+    textarea.style.lineHeight = text.lineHeight
+    textarea.style.textAlign = text.alignment
+    textarea.style.color = text.color.toRGBA()
+    textarea.style.backgroundColor = text.backgroundColor.toRGBA()
+    textarea.style.width = `${width}px`
+    textarea.style.opacity = text.opacity
+
+    const strokeWidth = text.strokeWidth * actualFontSize
+    textarea.style.webkitTextStroke = strokeWidth > 0
+      ? `${strokeWidth}px ${text.strokeColor.toRGBA()}`
+      : ''
+
+    if (text.shadowColor.a > 0) {
+      const offset = text.shadowOffset.clone().multiply(actualFontSize)
+      textarea.style.textShadow = `${offset.x}px ${offset.y}px ` +
+        `${text.shadowBlur * actualFontSize}px ${text.shadowColor.toRGBA()}`
+    } else {
+      textarea.style.textShadow = ''
+    }
+
+    this._resizeTextarea(textarea)
+
+    const size = new Vector2(width, textarea.offsetHeight)
+    const position = text.getBoxPosition(canvasSize, size)
+    element.style.left = `${position.x}px`
+    element.style.top = `${position.y}px`
+    element.style.transform = `rotate(${text.rotation}rad)`
+    element.style.webkitTransform = element.style.transform
   }
 
   /**
    * Gets called when the user clicked a list item
    * @private
    */
-  _onListItemClick (item, manually=true) {
-    this._deactivateAllItems()
-
-    const name = item.getAttribute('data-name')
-    const weight = item.getAttribute('data-weight')
-    this._settings.fontFamily = name
-    this._settings.fontWeight = weight
+  _onListItemClick (item) {
+    const text = this._selectedText
+    if (!text) return
 
-    this._applySettings()
+    text.fontFamily = item.getAttribute('data-name')
+    text.fontWeight = item.getAttribute('data-weight')
+    this._applySettings(text)
 
+    this._deactivateAllItems()
     Utils.classList(item).add('imglykit-controls-item-active')
 
-    if (manually) {
-      this._highlightDoneButton()
-    }
+    this._highlightDoneButton()
   }
 
   /**
@@ -472,35 +704,23 @@ class TextControl extends Control {
    * @override
    */
   _onDone () {
-    let canvasSize = this._ui.canvas.size
-    let padding = new Vector2(2, 2)
-    let position = this._settings.position.clone()
-      .add(padding)
-      .divide(canvasSize)
-
     this._ui.canvas.setZoomLevel(this._initialZoomLevel, false)
 
-    this._operation = this._ui.getOrCreateOperation('text')
-    this._operation.set({
-      fontSize: this._settings.fontSize,
-      fontFamily: this._settings.fontFamily,
-      fontWeight: this._settings.fontWeight,
-      color: this._settings.color,
-      backgroundColor: this._settings.backgroundColor,
-      position: position,
-      text: this._settings.text,
-      maxWidth: this._settings.maxWidth / canvasSize.x
-    })
+    // Layers without text are not rendered anyway
+    const texts = this._texts
+      .filter((text) => text.text.length > 0)
+      .map((text) => text.clone())
+
+    if (!texts.length) {
+      this._ui.removeOperation('text')
+    } else {
+      this._operation = this._ui.getOrCreateOperation('text')
+      this._operation.set({ texts })
+    }
     this._ui.canvas.render()
 
-    this._ui.addHistory(this, {
-      fontFamily: this._initialSettings.fontFamily,
-      fontWeight: this._initialSettings.fontWeight,
-      color: this._initialSettings.color.clone(),
-      backgroundColor: this._initialSettings.backgroundColor.clone(),
-      position: this._initialSettings.position.clone(),
-      text: this._initialSettings.text,
-      maxWidth: this._initialSettings.maxWidth
+    this._ui.addHistory(this._operation, {
+      texts: this._initialSettings.texts
     }, this._operationExistedBefore)
   }
 
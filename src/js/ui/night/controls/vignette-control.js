@@ -0,0 +1,245 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Vector2 from '../../../lib/math/vector2'
+import Utils from '../../../lib/utils'
+import Slider from '../lib/slider'
+import SimpleSlider from '../lib/simple-slider'
+
+/**
+ * The options that can be changed using sliders. Options that range from
+ * -1 to 1 use a slider that fills from the center.
+ * @type {Array.<Object>}
+ */
+const SLIDERS = [
+  { name: 'amount', minValue: -1, maxValue: 1, centered: true },
+  { name: 'midpoint', minValue: 0, maxValue: 1 },
+  { name: 'roundness', minValue: -1, maxValue: 1, centered: true },
+  { name: 'feather', minValue: 0, maxValue: 1 }
+]
+
+class VignetteControl extends Control {
+  /**
+   * Entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/vignette_controls.jst')
+    this._controlsTemplate = controlsTemplate
+
+    let canvasControlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/vignette_canvas.jst')
+    this._canvasControlsTemplate = canvasControlsTemplate
+
+    this._partialTemplates.slider = Slider.template
+    this._partialTemplates.simpleSlider = SimpleSlider.template
+
+    this._onCenterKnobDown = this._onCenterKnobDown.bind(this)
+    this._onCenterKnobDrag = this._onCenterKnobDrag.bind(this)
+    this._onCenterKnobUp = this._onCenterKnobUp.bind(this)
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._operationExistedBefore = !!this._ui.operations.vignette
+    this._operation = this._ui.getOrCreateOperation('vignette')
+
+    // Remember initial identity state
+    this._initialSettings = {
+      amount: this._operation.getAmount(),
+      midpoint: this._operation.getMidpoint(),
+      roundness: this._operation.getRoundness(),
+      feather: this._operation.getFeather(),
+      center: this._operation.getCenter().clone()
+    }
+
+    this._centerKnob = this._canvasControls.querySelector('#imglykit-vignette-center')
+    this._outline = this._canvasControls.querySelector('.imglykit-canvas-vignette-outline')
+    this._centerKnob.addEventListener('mousedown', this._onCenterKnobDown)
+    this._centerKnob.addEventListener('touchstart', this._onCenterKnobDown)
+
+    this._initSliders()
+
+    this._ui.canvas.render()
+      .then(() => {
+        this._updateDOM()
+      })
+  }
+
+  /**
+   * Initializes the slider controls
+   * @private
+   */
+  _initSliders () {
+    const items = this._controls.querySelectorAll('.imglykit-controls-sliders-item')
+    for (let i = 0; i < items.length; i++) {
+      const options = SLIDERS[i]
+      const SliderClass = options.centered ? Slider : SimpleSlider
+      const slider = new SliderClass(items[i].querySelector('.imglykit-slider'), {
+        minValue: options.minValue,
+        maxValue: options.maxValue
+      })
+      slider.on('update', (value) => this._onSliderUpdate(options.name, value))
+      slider.setValue(this._initialSettings[options.name])
+    }
+  }
+
+  /**
+   * Gets called when the value of a slider has been updated
+   * @param {String} name
+   * @param {Number} value
+   * @private
+   */
+  _onSliderUpdate (name, value) {
+    this._operation.set({ [name]: value })
+    this._updateDOM()
+    this._ui.canvas.render()
+    this._highlightDoneButton()
+  }
+
+  /**
+   * Gets called when the user starts dragging the center knob
+   * @param {Event} e
+   * @private
+   */
+  _onCenterKnobDown (e) {
+    e.preventDefault()
+
+    this._initialMousePosition = Utils.getEventPosition(e)
+    this._initialCenter = this._operation.getCenter().clone()
+
+    document.addEventListener('mousemove', this._onCenterKnobDrag)
+    document.addEventListener('touchmove', this._onCenterKnobDrag)
+
+    document.addEventListener('mouseup', this._onCenterKnobUp)
+    document.addEventListener('touchend', this._onCenterKnobUp)
+  }
+
+  /**
+   * Gets called while the user drags the center knob
+   * @param {Event} e
+   * @private
+   */
+  _onCenterKnobDrag (e) {
+    e.preventDefault()
+
+    let canvasSize = this._ui.canvas.size
+    let mousePosition = Utils.getEventPosition(e)
+    let diff = mousePosition.subtract(this._initialMousePosition)
+
+    let newCenter = this._initialCenter.clone()
+      .multiply(canvasSize)
+      .add(diff)
+    newCenter.clamp(new Vector2(0, 0), canvasSize)
+
+    // Translate to 0...1
+    newCenter.divide(canvasSize)
+
+    this._operation.setCenter(newCenter)
+    this._updateDOM()
+    this._ui.canvas.render()
+    this._highlightDoneButton()
+  }
+
+  /**
+   * Gets called when the user stops dragging the center knob
+   * @param {Event} e
+   * @private
+   */
+  _onCenterKnobUp (e) {
+    e.preventDefault()
+
+    document.removeEventListener('mousemove', this._onCenterKnobDrag)
+    document.removeEventListener('touchmove', this._onCenterKnobDrag)
+
+    document.removeEventListener('mouseup', this._onCenterKnobUp)
+    document.removeEventListener('touchend', this._onCenterKnobUp)
+  }
+
+  /**
+   * Moves the center knob and resizes the outline that marks where the
+   * vignette starts
+   * @private
+   */
+  _updateDOM () {
+    let canvasSize = this._ui.canvas.size
+    let center = this._operation.getCenter()
+      .clone()
+      .multiply(canvasSize)
+
+    this._centerKnob.style.left = `${center.x}px`
+    this._centerKnob.style.top = `${center.y}px`
+
+    // The outline follows the shape that is used by the operation
+    const roundness = this._operation.getRoundness()
+    const longerSide = Math.max(canvasSize.x, canvasSize.y)
+    const circleRatio = Math.max(roundness, 0)
+    const midpoint = this._operation.getMidpoint()
+    const width = midpoint * canvasSize.x / (1 + (canvasSize.x / longerSide - 1) * circleRatio)
+    const height = midpoint * canvasSize.y / (1 + (canvasSize.y / longerSide - 1) * circleRatio)
+
+    this._outline.style.left = `${center.x}px`
+    this._outline.style.top = `${center.y}px`
+    this._outline.style.width = `${width}px`
+    this._outline.style.height = `${height}px`
+    this._outline.style.marginLeft = `-${width / 2}px`
+    this._outline.style.marginTop = `-${height / 2}px`
+    this._outline.style.borderRadius = `${50 * (1 + Math.min(roundness, 0) * 0.7)}%`
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    if (this._operationExistedBefore) {
+      this._operation.set(this._initialSettings)
+    } else {
+      this._ui.removeOperation('vignette')
+    }
+    this._ui.canvas.render()
+  }
+
+  /**
+   * Gets called when the done button has been clicked
+   * @override
+   */
+  _onDone () {
+    this._ui.addHistory(this._operation, {
+      amount: this._initialSettings.amount,
+      midpoint: this._initialSettings.midpoint,
+      roundness: this._initialSettings.roundness,
+      feather: this._initialSettings.feather,
+      center: this._initialSettings.center.clone()
+    }, this._operationExistedBefore)
+  }
+
+  /**
+   * The data that is available to the template
+   * @type {Object}
+   * @override
+   */
+  get context () {
+    let context = super.context
+    context.sliders = SLIDERS
+    return context
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+VignetteControl.prototype.identifier = 'vignette'
+
+export default VignetteControl
@@ -0,0 +1,226 @@
+/* global __DOTJS_TEMPLATE */
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Control from './control'
+import Slider from '../lib/slider'
+import Utils from '../../../lib/utils'
+import Color from '../../../lib/color'
+
+/**
+ * The radius (in pixels) of the area that is averaged by the gray picker
+ * @type {Number}
+ */
+const SAMPLE_RADIUS = 2
+
+class WhiteBalanceControl extends Control {
+  /**
+   * The entry point for this control
+   */
+  init () {
+    let controlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/white-balance_controls.jst')
+    this._controlsTemplate = controlsTemplate
+
+    let canvasControlsTemplate = __DOTJS_TEMPLATE('../../../templates/night/operations/white-balance_canvas.jst')
+    this._canvasControlsTemplate = canvasControlsTemplate
+
+    this._partialTemplates.slider = Slider.template
+
+    this._onModeClick = this._onModeClick.bind(this)
+    this._onSliderUpdate = this._onSliderUpdate.bind(this)
+    this._onPickerClick = this._onPickerClick.bind(this)
+  }
+
+  /**
+   * Gets called when this control is activated
+   * @override
+   */
+  _onEnter () {
+    this._historyItem = null
+    this._operationExistedBefore = !!this._ui.operations['white-balance']
+    this._operation = this._ui.getOrCreateOperation('white-balance')
+    this._initialOptions = {
+      temperature: this._operation.getTemperature(),
+      tint: this._operation.getTint()
+    }
+
+    this._picker = this._canvasControls.querySelector('.imglykit-canvas-white-balance')
+    this._picker.addEventListener('click', this._onPickerClick)
+
+    const sliderElement = this._controls.querySelector('.imglykit-slider')
+    this._slider = new Slider(sliderElement, {
+      minValue: -1,
+      maxValue: 1
+    })
+    this._slider.on('update', this._onSliderUpdate)
+
+    this._modeItems = this._controls.querySelectorAll('.imglykit-white-balance-modes li')
+    for (let i = 0; i < this._modeItems.length; i++) {
+      this._modeItems[i].addEventListener('click', this._onModeClick)
+    }
+
+    this._selectMode('temperature')
+  }
+
+  /**
+   * Gets called when the back button has been clicked
+   * @override
+   */
+  _onBack () {
+    if (this._operation.getTemperature() === 0 && this._operation.getTint() === 0) {
+      this._ui.removeOperation('white-balance')
+    }
+
+    this._ui.canvas.render()
+    this._slider = null
+  }
+
+  /**
+   * Gets called when a mode has been clicked
+   * @param {Event} e
+   * @private
+   */
+  _onModeClick (e) {
+    this._selectMode(e.currentTarget.getAttribute('data-mode'))
+  }
+
+  /**
+   * Selects the given mode. `temperature` and `tint` bind the slider to the
+   * respective option, `picker` lets the user click on the canvas.
+   * @param {String} mode
+   * @private
+   */
+  _selectMode (mode) {
+    this._mode = mode
+
+    for (let i = 0; i < this._modeItems.length; i++) {
+      const item = this._modeItems[i]
+      if (item.getAttribute('data-mode') === mode) {
+        Utils.classList(item).add('imglykit-controls-item-active')
+      } else {
+        Utils.classList(item).remove('imglykit-controls-item-active')
+      }
+    }
+
+    if (mode === 'picker') {
+      Utils.classList(this._picker).add('imglykit-canvas-white-balance--picking')
+    } else {
+      Utils.classList(this._picker).remove('imglykit-canvas-white-balance--picking')
+      this._updateSlider()
+    }
+  }
+
+  /**
+   * Moves the slider to the value of the selected option
+   * @private
+   */
+  _updateSlider () {
+    if (this._mode === 'temperature') {
+      this._slider.setValue(this._operation.getTemperature())
+    } else if (this._mode === 'tint') {
+      this._slider.setValue(this._operation.getTint())
+    }
+  }
+
+  /**
+   * Gets called when the slider value has been updated
+   * @param {Number} value
+   * @private
+   */
+  _onSliderUpdate (value) {
+    this._addHistoryItem()
+
+    if (this._mode === 'tint') {
+      this._operation.setTint(value)
+    } else {
+      this._operation.setTemperature(value)
+    }
+    this._ui.canvas.render()
+  }
+
+  /**
+   * Gets called when the user clicks on the canvas in picker mode. Samples
+   * the rendered image at the clicked position and neutralizes its color.
+   * @param {Event} e
+   * @private
+   */
+  _onPickerClick (e) {
+    e.preventDefault()
+
+    const renderer = this._ui.canvas.renderer
+    const canvas = renderer.getCanvas()
+    const bounds = canvas.getBoundingClientRect()
+    const position = Utils.getEventPosition(e)
+    const x = Math.floor((position.x - bounds.left) / bounds.width * canvas.width)
+    const y = Math.floor((position.y - bounds.top) / bounds.height * canvas.height)
+    if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return
+
+    const color = this._sampleColor(renderer.getImageData(), x, y)
+    if (!color) return
+
+    this._addHistoryItem()
+    this._operation.setNeutralColor(color)
+    this._ui.canvas.render()
+
+    this._selectMode('temperature')
+  }
+
+  /**
+   * Returns the average color of the pixels around the given position
+   * @param  {Object} imageData
+   * @param  {Number} x
+   * @param  {Number} y
+   * @return {ImglyKit.Color} `null` if all pixels are transparent
+   * @private
+   */
+  _sampleColor (imageData, x, y) {
+    const { width, height, data } = imageData
+    let sum = [0, 0, 0]
+    let count = 0
+
+    for (let sampleY = y - SAMPLE_RADIUS; sampleY <= y + SAMPLE_RADIUS; sampleY++) {
+      for (let sampleX = x - SAMPLE_RADIUS; sampleX <= x + SAMPLE_RADIUS; sampleX++) {
+        if (sampleX < 0 || sampleY < 0 || sampleX >= width || sampleY >= height) continue
+
+        const index = (sampleY * width + sampleX) * 4
+        if (data[index + 3] === 0) continue
+
+        sum[0] += data[index]
+        sum[1] += data[index + 1]
+        sum[2] += data[index + 2]
+        count++
+      }
+    }
+
+    if (count === 0) return null
+    return new Color(sum[0] / count / 255, sum[1] / count / 255, sum[2] / count / 255)
+  }
+
+  /**
+   * Adds a history item for the initial options unless one has already
+   * been added
+   * @private
+   */
+  _addHistoryItem () {
+    if (!this._historyItem) {
+      this._historyItem = this._ui.addHistory(this._operation,
+        this._initialOptions,
+        this._operationExistedBefore)
+    }
+  }
+}
+
+/**
+ * A unique string that identifies this control.
+ * @type {String}
+ */
+WhiteBalanceControl.prototype.identifier = 'white-balance'
+
+export default WhiteBalanceControl
@@ -90,6 +90,7 @@ class Canvas extends EventEmitter {
     // Run the operations stack
     let stack = this.sanitizedStack
     this._updateStackDirtyStates(stack)
+    this._renderer.setStack(stack)
 
     let validationPromises = []
     for (let i = 0; i < stack.length; i++) {
@@ -142,7 +143,7 @@ class Canvas extends EventEmitter {
         for (let i = 0; i < stack.length; i++) {
           let operation = stack[i]
           promise = promise.then(() => {
-            operation.render(this._renderer)
+            return operation.render(this._renderer)
           })
         }
         return promise
@@ -157,6 +158,8 @@ class Canvas extends EventEmitter {
         this._updateContainerSize()
         this._updateCanvasMargins()
         this._applyBoundaries()
+
+        this.emit('render')
       })
       .catch((e) => {
         this.emit('error', e)
@@ -0,0 +1,93 @@
+/*
+ * Photo Editor SDK - photoeditorsdk.com
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+import Histogram from '../../../lib/histogram'
+
+const CHANNEL_COLORS = {
+  red: 'rgba(255, 62, 62, 0.8)',
+  green: 'rgba(62, 255, 62, 0.8)',
+  blue: 'rgba(67, 173, 235, 0.8)'
+}
+
+/**
+ * Draws the histogram of the canvas after every render. Enabled with the
+ * `ui.showHistogram` option.
+ * @class
+ * @private
+ */
+class HistogramPanel {
+  constructor (kit, ui) {
+    this._kit = kit
+    this._ui = ui
+  }
+
+  /**
+   * Finds the DOM elements
+   */
+  run () {
+    let { container } = this._ui
+
+    this._panel = container.querySelector('.imglykit-histogram')
+    this._canvas = this._panel.querySelector('canvas')
+    this._context = this._canvas.getContext('2d')
+    this._clipping = this._panel.querySelector('.imglykit-histogram-clipping')
+  }
+
+  /**
+   * Reads back the current render and redraws the histogram
+   */
+  update () {
+    const renderer = this._ui.canvas.renderer
+    const histogram = new Histogram(renderer.getImageData(), this._canvas.width)
+    this._draw(histogram)
+
+    const { shadows, highlights } = histogram.clipping.luminance
+    this._clipping.textContent = this._ui.translate('histogram.clipping',
+      shadows.toFixed(1),
+      highlights.toFixed(1))
+  }
+
+  /**
+   * Draws the luminance as a filled area and the color channels as lines
+   * @param {ImglyKit.Histogram} histogram
+   * @private
+   */
+  _draw (histogram) {
+    const context = this._context
+    const { width, height } = this._canvas
+    const max = histogram.getMaximum() || 1
+    const getY = (count) => height - count / max * height
+
+    context.clearRect(0, 0, width, height)
+
+    context.fillStyle = 'rgba(255, 255, 255, 0.3)'
+    context.beginPath()
+    context.moveTo(0, height)
+    histogram.luminance.forEach((count, x) => context.lineTo(x, getY(count)))
+    context.lineTo(width, height)
+    context.closePath()
+    context.fill()
+
+    for (let channel in CHANNEL_COLORS) {
+      context.strokeStyle = CHANNEL_COLORS[channel]
+      context.beginPath()
+      histogram[channel].forEach((count, x) => {
+        if (x === 0) {
+          context.moveTo(x, getY(count))
+        } else {
+          context.lineTo(x, getY(count))
+        }
+      })
+      context.stroke()
+    }
+  }
+}
+
+export default HistogramPanel
@@ -36,6 +36,7 @@ class TopControls extends EventEmitter {
     this._leftControls = container.querySelector('.imglykit-top-controls-left')
 
     this._undoButton = container.querySelector('.imglykit-undo')
+    this._redoButton = container.querySelector('.imglykit-redo')
     this._zoomIn = container.querySelector('.imglykit-zoom-in')
     this._zoomOut = container.querySelector('.imglykit-zoom-out')
     this._zoomLevel = container.querySelector('.imglykit-zoom-level-num')
@@ -43,6 +44,7 @@ class TopControls extends EventEmitter {
     this._exportButton = container.querySelector('.imglykit-export')
     this._handleZoom()
     this._handleUndo()
+    this._handleRedo()
     this._handleNew()
     this._handleExport()
   }
@@ -65,6 +67,15 @@ class TopControls extends EventEmitter {
     this._undo()
   }
 
+  /**
+   * Handles the redo control
+   * @private
+   */
+  _handleRedo () {
+    this._redoButton.addEventListener('click', this._redo.bind(this))
+    this.updateRedoButton()
+  }
+
   /**
    * Handles the new button
    * @private
@@ -116,18 +127,38 @@ class TopControls extends EventEmitter {
     this.emit('undo')
   }
 
+  /**
+   * Gets called when the user clicks the redo button
+   * @private
+   */
+  _redo () {
+    this.emit('redo')
+  }
+
   /**
    * Updates the undo button visible state
    */
   updateUndoButton () {
     let { history } = this._ui
-    if (history.length === 0) {
+    if (!history.canUndo()) {
       this._undoButton.style.display = 'none'
     } else {
       this._undoButton.style.display = 'inline-block'
     }
   }
 
+  /**
+   * Updates the redo button visible state
+   */
+  updateRedoButton () {
+    let { history } = this._ui
+    if (!history.canRedo()) {
+      this._redoButton.style.display = 'none'
+    } else {
+      this._redoButton.style.display = 'inline-block'
+    }
+  }
+
   /**
    * Updates the export button visible state
    */
@@ -18,6 +18,7 @@ import FileLoader from './lib/file-loader'
 import ImageResizer from './lib/image-resizer'
 import WebcamHandler from './lib/webcam-handler'
 import TopControls from './lib/top-controls'
+import HistogramPanel from './lib/histogram-panel'
 import Scrollbar from './lib/scrollbar'
 import { RenderType, ImageFormat } from '../../constants'
 
@@ -28,7 +29,6 @@ class NightUI extends UI {
     this._operationsMap = {}
     this._template = __DOTJS_TEMPLATE('../../templates/night/template.jst')
     this._registeredControls = {}
-    this._history = []
     this._imageResized = false
 
     // The `Night` UI has a fixed operation order
@@ -38,23 +38,44 @@ class NightUI extends UI {
       'crop',
       'flip',
 
-      // Then color operations (first filters, then fine-tuning)
+      // Then noise reduction, before the noise is amplified by other operations
+      'denoise',
+
+      // Then color operations (first auto-enhance and filters, then fine-tuning)
+      'auto-enhance',
+      'white-balance',
+      'exposure',
       'filters',
+      'levels',
+      'curves',
+      'hsl',
       'contrast',
       'brightness',
       'saturation',
 
       // Then post-processing
+      'sharpen',
       'radial-blur',
       'tilt-shift',
+      'vignette',
+      'grain',
       'frames',
       'stickers',
       'text',
-      'brush'
+      'brush',
+
+      // Finally redaction, so that nothing is drawn on top of the redacted regions
+      'redact'
     ]
 
     this._paused = false
 
+    this._onHistoryChange = this._onHistoryChange.bind(this)
+    this._kit.history.on('history-add', this._updateHistoryButtons.bind(this))
+    this._kit.history.on('history-undo', this._onHistoryChange)
+    this._kit.history.on('history-redo', this._onHistoryChange)
+    this._kit.history.on('history-jump', this._onHistoryChange)
+
     this._options.ui = Utils.defaults(this._options.ui, {
       showNewButton: !this._options.image,
       showUploadButton: true,
@@ -62,6 +83,7 @@ class NightUI extends UI {
       showHeader: true,
       showCloseButton: false,
       showExportButton: false,
+      showHistogram: false,
       language: 'en',
       maxMegaPixels: 10,
       export: {}
@@ -71,6 +93,11 @@ class NightUI extends UI {
       type: ImageFormat.JPEG,
       quality: 0.8
     })
+
+    // Support for the export type is checked when exporting
+    if (Utils.values(ImageFormat).indexOf(this._options.ui.export.type) === -1) {
+      throw new Error('Invalid export type: ' + this._options.ui.export.type)
+    }
   }
 
   /**
@@ -144,6 +171,10 @@ class NightUI extends UI {
       this._topControls.updateExportButton()
     }
 
+    if (this._histogramPanel) {
+      this._histogramPanel.run()
+    }
+
     if (this._canvas) {
       this._canvas.run()
     }
@@ -171,13 +202,49 @@ class NightUI extends UI {
       if (!operation) continue
 
       const { identifier } = operation
-      const indexInStack = this._preferredOperationOrder.indexOf(identifier)
+      let indexInStack = this._preferredOperationOrder.indexOf(identifier)
+      if (indexInStack === -1) {
+        // Operations without a preferred position are rendered last
+        indexInStack = Math.max(newStack.length, this._preferredOperationOrder.length)
+      }
       newStack[indexInStack] = operation
       this._operationsMap[identifier] = operation
     }
     this._kit.operationsStack = newStack
   }
 
+  /**
+   * Gets called when the kit has been reset. Clears the renderer caches
+   * and re-renders the controls.
+   * @override
+   */
+  reset () {
+    if (this._canvas) {
+      this._canvas.renderer.reset(true)
+    }
+    this.onOperationsStackChange()
+  }
+
+  /**
+   * Gets called when the operations stack has been replaced, e.g. by
+   * {@link ImglyKit#deserialize}. Moves the operations to their slots
+   * and re-renders the canvas.
+   */
+  onOperationsStackChange () {
+    this._operationsMap = {}
+    this._fixOperationsStack()
+
+    if (this._currentControl) {
+      this._switchToOverview()
+    }
+
+    this._updateHistoryButtons()
+
+    if (this._canvas) {
+      this._canvas.zoomToFit(true)
+    }
+  }
+
   /**
    * Initializes the webcam
    * @private
@@ -264,7 +331,7 @@ class NightUI extends UI {
     this._topControls.on('new', () => {
       this._operationsMap = {}
       this._kit.operationsStack = []
-      this._history = []
+      this._kit.history.clear()
       this._options.image = null
       this.run()
     })
@@ -273,6 +340,10 @@ class NightUI extends UI {
       this.undo()
     })
 
+    this._topControls.on('redo', () => {
+      this.redo()
+    })
+
     this._topControls.on('export', () => {
       this.export()
     })
@@ -359,6 +430,13 @@ class NightUI extends UI {
     this._canvas.on('resized', (payload) => {
       this.emit('resized', payload)
     })
+
+    if (this._options.ui.showHistogram) {
+      this._histogramPanel = new HistogramPanel(this._kit, this)
+      this._canvas.on('render', () => {
+        this._histogramPanel.update()
+      })
+    }
   }
 
   /**
@@ -445,19 +523,28 @@ class NightUI extends UI {
    * @private
    */
   _registerControls () {
+    this.registerControl('auto-enhance', 'auto-enhance', require('./controls/auto-enhance-control'))
+    this.registerControl('white-balance', 'white-balance', require('./controls/white-balance-control'))
     this.registerControl('filters', 'filters', require('./controls/filters-control'))
     this.registerControl('rotation', 'rotation', require('./controls/rotation-control'))
     this.registerControl('flip', 'flip', require('./controls/flip-control'))
+    this.registerControl('levels', 'levels', require('./controls/levels-control'))
+    this.registerControl('curves', 'curves', require('./controls/curves-control'))
+    this.registerControl('hsl', 'hsl', require('./controls/hsl-control'))
+    this.registerControl('exposure', 'exposure', require('./controls/exposure-control'))
+    this.registerControl('denoise', 'denoise', require('./controls/denoise-control'))
     this.registerControl('brightness', 'brightness', require('./controls/brightness-control'))
     this.registerControl('contrast', 'contrast', require('./controls/contrast-control'))
     this.registerControl('saturation', 'saturation', require('./controls/saturation-control'))
     this.registerControl('crop', 'crop', require('./controls/crop-control'))
     this.registerControl('radial-blur', 'radial-blur', require('./controls/radial-blur-control'))
     this.registerControl('tilt-shift', 'tilt-shift', require('./controls/tilt-shift-control'))
+    this.registerControl('vignette', 'vignette', require('./controls/vignette-control'))
     this.registerControl('frames', 'frames', require('./controls/frames-control'))
     this.registerControl('stickers', 'stickers', require('./controls/stickers-control'))
     this.registerControl('text', 'text', require('./controls/text-control'))
     this.registerControl('brush', 'brush', require('./controls/brush-control'))
+    this.registerControl('redact', 'redact', require('./controls/redact-control'))
   }
 
   /**
@@ -661,13 +748,7 @@ class NightUI extends UI {
    * @returns {Object} The history item
    */
   addHistory (operation, options, existent) {
-    const historyItem = { operation, options, existent }
-    this._history.push(historyItem)
-    this._topControls.updateUndoButton()
-
-    this.emit('history-add', historyItem)
-
-    return historyItem
+    return this._kit.history.add(operation, options, existent)
   }
 
   /**
@@ -685,24 +766,34 @@ class NightUI extends UI {
   }
 
   /**
-   * Takes the last history item and applies its options
+   * Reverts the last history item
    */
   undo () {
-    let lastItem = this._history.pop()
+    this._kit.history.undo()
+  }
+
+  /**
+   * Re-applies the last reverted history item
+   */
+  redo () {
+    this._kit.history.redo()
+  }
+
+  /**
+   * Gets called when history items have been undone or redone. Since the
+   * history might have added or removed operations, the stack is fixed
+   * and the canvas is re-rendered.
+   * @private
+   */
+  _onHistoryChange () {
+    this._operationsMap = {}
+    this._fixOperationsStack()
+    this._updateHistoryButtons()
+
     let promise = Promise.resolve()
-    if (lastItem) {
-      this.emit('history-undo', lastItem)
-
-      let { operation, existent, options } = lastItem
-      if (!existent) {
-        this.removeOperation(operation.identifier)
-      } else {
-        operation = this.getOrCreateOperation(operation.identifier)
-        operation.set(options)
-      }
-      promise = this.canvas.zoomToFit(true)
+    if (this._canvas) {
+      promise = this._canvas.zoomToFit(true)
     }
-    this._topControls.updateUndoButton()
 
     // Make sure the current control represents the new value
     promise.then(() => {
@@ -712,6 +803,17 @@ class NightUI extends UI {
     })
   }
 
+  /**
+   * Updates the visibility of the undo and redo buttons
+   * @private
+   */
+  _updateHistoryButtons () {
+    if (!this._topControls) return
+
+    this._topControls.updateUndoButton()
+    this._topControls.updateRedoButton()
+  }
+
   /**
    * Exports the current image with the default settings
    */
@@ -727,16 +829,21 @@ class NightUI extends UI {
     }
 
     setTimeout(() => {
-      this._kit.render(renderType,
-        this._options.ui.export.type,
-        this._options.ui.export.dimensions,
-        this._options.ui.export.quality)
+      const extension = this._options.ui.export.type.split('/').pop()
+
+      // Rendering throws synchronously if the image format is not supported
+      Promise.resolve()
+        .then(() => {
+          return this._kit.render(renderType,
+            this._options.ui.export.type,
+            this._options.ui.export.dimensions,
+            this._options.ui.export.quality)
+        })
         .then((data) => {
           switch (renderType) {
             case RenderType.DATAURL:
               const url = Utils.createBlobURIFromDataURI(data)
               let link = document.createElement('a')
-              const extension = this._options.ui.export.type.split('/').pop()
               link.download = `imglykit-export.${extension}`
               link.href = url
               document.body.appendChild(link)
@@ -745,12 +852,18 @@ class NightUI extends UI {
               document.body.removeChild(link)
               break
             case RenderType.MSBLOB:
-              navigator.msSaveBlob(data, 'imglykit-export.png')
+              // `msToBlob` always exports PNGs, use the blob's actual type
+              navigator.msSaveBlob(data, `imglykit-export.${data.type.split('/').pop()}`)
               break
           }
 
           this.hideLoadingMessage()
         })
+        .catch((e) => {
+          this.hideLoadingMessage()
+          this.emit('error', e)
+          this.displayErrorMessage(e.code || e.message)
+        })
     }, 1000)
   }
 
@@ -772,10 +885,10 @@ class NightUI extends UI {
 
   /**
    * The undo history
-   * @type {Array.<Object>}
+   * @type {ImglyKit.History}
    */
   get history () {
-    return this._history
+    return this._kit.history
   }
 
   /**
@@ -0,0 +1,116 @@
+/* global describe, it, beforeEach */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var ImglyKit = require("..");
+var canvas = require("canvas");
+var image, recipe;
+
+describe("ImglyKit.renderBatch", function () {
+
+  beforeEach(function () {
+    image = new canvas.Image();
+    var imagePath = path.resolve(__dirname, "assets/test.png");
+    var buffer = fs.readFileSync(imagePath);
+    image.src = buffer;
+
+    var kit = new ImglyKit({ image: image, ui: { enabled: false } });
+    kit.operationsStack.push(new ImglyKit.Operations.Brightness(kit, { brightness: 0.2 }));
+    kit.operationsStack.push(new ImglyKit.Operations.Rotation(kit, { degrees: 90 }));
+    recipe = kit.serialize();
+  });
+
+  it("should render all images and resolve with the results", function (done) {
+    ImglyKit.renderBatch([image, image, image], recipe, {
+      renderType: ImglyKit.RenderType.DATAURL,
+      concurrency: 2
+    })
+      .then(function (results) {
+        results.length.should.equal(3);
+        results.forEach(function (item, i) {
+          item.index.should.equal(i);
+          (item.error === null).should.equal(true);
+          item.result.indexOf("data:image/png;base64,").should.equal(0);
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  it("should reuse the renderers", function (done) {
+    var results = [];
+    var batch = ImglyKit.renderBatch([image, image, image], recipe, {
+      renderType: ImglyKit.RenderType.DATAURL,
+      concurrency: 1
+    });
+    batch.on("done", function (item) {
+      results.push(item.result);
+    });
+    batch
+      .then(function () {
+        batch._renderers.length.should.equal(1);
+        results[0].should.equal(results[2]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it("should emit `progress` events", function (done) {
+    var progress = [];
+    var batch = ImglyKit.renderBatch([image, image], recipe);
+    batch.on("progress", function (item) {
+      progress.push(item.completed + "/" + item.total);
+    });
+    batch
+      .then(function () {
+        progress.should.eql(["1/2", "2/2"]);
+        done();
+      })
+      .catch(done);
+  });
+
+  describe("when an image fails", function () {
+
+    it("should emit an `error` event and keep rendering", function (done) {
+      var errors = [];
+      var rendered = [];
+      var batch = ImglyKit.renderBatch([image, null, image], recipe, { concurrency: 1 });
+      batch.on("error", function (item) {
+        errors.push(item.index);
+      });
+      batch.on("done", function (item) {
+        rendered.push(item.index);
+      });
+      batch
+        .then(function (results) {
+          errors.should.eql([1]);
+          rendered.should.eql([0, 2]);
+          results[1].error.should.be.an.instanceOf(Error);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("with a concurrency less than 1", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        ImglyKit.renderBatch([image], recipe, { concurrency: 0 });
+      };
+      throwable.should.throw("ImglyKit.renderBatch: `concurrency` has to be at least 1.");
+    });
+
+  });
+
+});
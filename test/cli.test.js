@@ -0,0 +1,216 @@
+/* global describe, it, beforeEach, afterEach */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var sinon = require("sinon");
+var ImglyKit = require("..");
+var CLI = require("../src/js/cli");
+var stdout, stderr;
+
+/**
+ * Creates a stream that collects everything that is written to it
+ */
+function createStream () {
+  return {
+    output: "",
+    write: function (str) { this.output += str; }
+  };
+}
+
+function run (args) {
+  return new CLI(args, { stdout: stdout, stderr: stderr }).run();
+}
+
+describe("CLI", function () {
+
+  beforeEach(function () {
+    stdout = createStream();
+    stderr = createStream();
+  });
+
+  describe("#parseArguments", function () {
+
+    it("should parse the inputs and options", function () {
+      var options = CLI.parseArguments(["-o", "out", "--dimensions=800x600!", "-f", "JPEG", "-q", "0.9", "a.png", "b.png"]);
+      options.inputs.should.eql(["a.png", "b.png"]);
+      options.output.should.equal("out");
+      options.dimensions.should.equal("800x600!");
+      options.format.should.equal("jpeg");
+      options.quality.should.equal(0.9);
+    });
+
+    it("should turn inline flags into serialized operation options", function () {
+      var options = CLI.parseArguments(["--filter", "k1", "--filter-intensity", "0.5", "--crop", "0.1,0.1,0.9,0.9", "--rotate", "90", "--flip", "vertical", "a.png"]);
+      options.operations.filters.should.eql({ filter: "k1", intensity: 0.5 });
+      options.operations.crop.should.eql({ start: [0.1, 0.1], end: [0.9, 0.9] });
+      options.operations.rotation.should.eql({ degrees: 90 });
+      options.operations.flip.should.eql({ horizontal: false, vertical: true });
+    });
+
+    describe("with invalid dimensions", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          CLI.parseArguments(["-d", "800y600", "a.png"]);
+        };
+        throwable.should.throw("Invalid size option: 800y600");
+      });
+
+    });
+
+    describe("with an unknown option", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          CLI.parseArguments(["--foo", "a.png"]);
+        };
+        throwable.should.throw("Unknown option: --foo");
+      });
+
+    });
+
+  });
+
+  describe("#run", function () {
+
+    describe("with `--help`", function () {
+
+      it("should print the usage and exit with 0", function (done) {
+        run(["--help"])
+          .then(function (exitCode) {
+            exitCode.should.equal(CLI.ExitCode.SUCCESS);
+            stdout.output.should.match(/^Usage: imglykit/);
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+    describe("without input images", function () {
+
+      it("should exit with INVALID_ARGUMENTS", function (done) {
+        run([])
+          .then(function (exitCode) {
+            exitCode.should.equal(CLI.ExitCode.INVALID_ARGUMENTS);
+            stderr.output.should.match(/No input images given/);
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+    describe("with a recipe containing an unknown operation", function () {
+
+      var recipePath = path.join(os.tmpdir(), "imglykit-cli-test-recipe.json");
+
+      beforeEach(function () {
+        fs.writeFileSync(recipePath, JSON.stringify({ operations: [{ identifier: "foo" }] }));
+      });
+
+      afterEach(function () {
+        fs.unlinkSync(recipePath);
+      });
+
+      it("should exit with INVALID_ARGUMENTS", function (done) {
+        run(["--recipe", recipePath, "a.png"])
+          .then(function (exitCode) {
+            exitCode.should.equal(CLI.ExitCode.INVALID_ARGUMENTS);
+            stderr.output.should.match(/Unknown operation: foo/);
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+    describe("with invalid option values", function () {
+
+      it("should exit with INVALID_SETTINGS", function (done) {
+        run(["--filter", "foo", "a.png"])
+          .then(function (exitCode) {
+            exitCode.should.equal(CLI.ExitCode.INVALID_SETTINGS);
+            stderr.output.should.match(/Unknown filter `foo`/);
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+    describe("with the JPEG format", function () {
+
+      var inputPath = path.resolve(__dirname, "assets/test.png");
+      var outputPath = path.join(os.tmpdir(), "imglykit-cli-test-output");
+
+      afterEach(function () {
+        fs.readdirSync(outputPath).forEach(function (file) {
+          fs.unlinkSync(path.join(outputPath, file));
+        });
+        fs.rmdirSync(outputPath);
+      });
+
+      it("should write a JPEG file in the given quality and exit with 0", function (done) {
+        var outputFile = path.join(outputPath, "test.jpg");
+        var highQualitySize;
+
+        run(["-o", outputPath, "-f", "jpeg", "-q", "1", inputPath])
+          .then(function (exitCode) {
+            exitCode.should.equal(CLI.ExitCode.SUCCESS);
+            stderr.output.should.equal("");
+
+            var data = fs.readFileSync(outputFile);
+            data[0].should.equal(0xff);
+            data[1].should.equal(0xd8);
+            highQualitySize = data.length;
+
+            return run(["-o", outputPath, "-f", "jpeg", "-q", "0.1", inputPath]);
+          })
+          .then(function (exitCode) {
+            exitCode.should.equal(CLI.ExitCode.SUCCESS);
+            fs.readFileSync(outputFile).length.should.be.below(highQualitySize);
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+    describe("when Operation#validateSettings fails", function () {
+
+      beforeEach(function () {
+        sinon.stub(ImglyKit.Operations.Crop.prototype, "validateSettings", function () {
+          return Promise.reject(new Error("Operation `crop`: Option `start` is required."));
+        });
+      });
+
+      afterEach(function () {
+        ImglyKit.Operations.Crop.prototype.validateSettings.restore();
+      });
+
+      it("should exit with INVALID_SETTINGS before rendering", function (done) {
+        run(["--crop", "0.1,0.1,0.9,0.9", "does-not-exist.png"])
+          .then(function (exitCode) {
+            exitCode.should.equal(CLI.ExitCode.INVALID_SETTINGS);
+            stderr.output.should.equal("imglykit: Operation `crop`: Option `start` is required.\n");
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,430 @@
+/* global describe, it, beforeEach */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var Exif = require("../src/js/lib/exif");
+var Base64 = require("../src/js/lib/base64");
+var ImageExporter = require("../src/js/lib/image-exporter");
+var constants = require("../src/js/constants");
+var exif;
+
+var DATA_JPEG_PREFIX = "data:image/jpeg;base64,";
+
+// The beginning of a JPEG file without Exif data: SOI, APP0 (JFIF), DQT, SOS
+var JPEG_DATA = [
+  0xff, 0xd8,
+  0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00,
+  0xff, 0xdb, 0x00, 0x04, 0x00, 0x00,
+  0xff, 0xda, 0x00, 0x02,
+  0xff, 0xd9
+];
+
+/**
+ * Writes the given number as little-endian bytes
+ */
+function int (num, length) {
+  var bytes = [];
+  for (var i = 0; i < length; i++) {
+    bytes.push((num >>> (i * 8)) & 0xff);
+  }
+  return bytes;
+}
+
+function ascii (str) {
+  return str.split("").map(function (c) { return c.charCodeAt(0); }).concat([0]);
+}
+
+function rationals () {
+  var bytes = [];
+  for (var i = 0; i < arguments.length; i++) {
+    bytes = bytes.concat(int(arguments[i][0], 4), int(arguments[i][1], 4));
+  }
+  return bytes;
+}
+
+/**
+ * Builds a little-endian TIFF structure with IFD0, an Exif IFD, a GPS IFD
+ * and an optional thumbnail IFD (IFD1). Every entry is [tag, type, count,
+ * bytes].
+ */
+function buildTIFF (ifd0, exifIFD, gpsIFD, ifd1) {
+  var exifPointer = [0x8769, 4, 1, []];
+  var gpsPointer = [0x8825, 4, 1, []];
+  ifd0.push(exifPointer, gpsPointer);
+
+  var ifds = [ifd0, exifIFD, gpsIFD];
+  if (ifd1) ifds.push(ifd1);
+  var offsets = [];
+  var offset = 8;
+  ifds.forEach(function (entries) {
+    offsets.push(offset);
+    offset += 2 + entries.length * 12 + 4;
+    entries.forEach(function (entry) {
+      if (entry[3].length > 4) offset += entry[3].length;
+    });
+  });
+  exifPointer[3] = int(offsets[1], 4);
+  gpsPointer[3] = int(offsets[2], 4);
+
+  var tiff = [0x49, 0x49].concat(int(42, 2), int(8, 4));
+  ifds.forEach(function (entries, i) {
+    var valuesOffset = offsets[i] + 2 + entries.length * 12 + 4;
+    var values = [];
+    tiff = tiff.concat(int(entries.length, 2));
+    entries.forEach(function (entry) {
+      tiff = tiff.concat(int(entry[0], 2), int(entry[1], 2), int(entry[2], 4));
+      if (entry[3].length > 4) {
+        tiff = tiff.concat(int(valuesOffset, 4));
+        values = values.concat(entry[3]);
+        valuesOffset += entry[3].length;
+      } else {
+        var bytes = entry[3].slice(0);
+        while (bytes.length < 4) bytes.push(0);
+        tiff = tiff.concat(bytes);
+      }
+    });
+    var nextIFD = i === 0 && ifd1 ? offsets[3] : 0;
+    tiff = tiff.concat(int(nextIFD, 4), values);
+  });
+  return tiff;
+}
+
+/**
+ * Builds an APP13 segment with the given IPTC datasets ([dataset, string])
+ * and a Photoshop thumbnail resource
+ */
+function buildAPP13 (datasets) {
+  var iptc = [];
+  datasets.forEach(function (dataset) {
+    var bytes = ascii(dataset[1]).slice(0, -1);
+    iptc = iptc.concat([0x1c, 0x02, dataset[0], bytes.length >> 8, bytes.length & 0xff], bytes);
+  });
+
+  function resource (id, data) {
+    var bytes = ascii("8BIM").slice(0, -1).concat([id >> 8, id & 0xff, 0, 0]);
+    bytes = bytes.concat(int(data.length, 4).reverse(), data);
+    if (data.length % 2) bytes.push(0);
+    return bytes;
+  }
+
+  var data = ascii("Photoshop 3.0").concat(
+    resource(0x040C, [0xff, 0xd8, 0xff, 0xd9]),
+    resource(0x0404, iptc)
+  );
+  var length = data.length + 2;
+  return [0xff, 0xed, length >> 8, length & 0xff].concat(data);
+}
+
+function buildJPEG () {
+  var tiff = buildTIFF([
+    [0x010F, 2, 6, ascii("Canon")],
+    [0x0112, 3, 1, int(6, 2)]
+  ], [
+    [0x829A, 5, 1, rationals([1, 200])],
+    [0x8827, 3, 1, int(100, 2)],
+    [0x9003, 2, 20, ascii("2015:01:02 03:04:05")],
+    [0xA434, 2, 12, ascii("EF50mm f/1.8")]
+  ], [
+    [0x0001, 2, 2, ascii("N")],
+    [0x0002, 5, 3, rationals([52, 1], [30, 1], [0, 1])],
+    [0x0003, 2, 2, ascii("W")],
+    [0x0004, 5, 3, rationals([13, 1], [24, 1], [36, 1])]
+  ], [
+    [0x0103, 3, 1, int(6, 2)],
+    [0x0201, 4, 1, int(0, 4)],
+    [0x0202, 4, 1, int(0, 4)]
+  ]);
+
+  var length = tiff.length + 8;
+  var app1 = [0xff, 0xe1, length >> 8, length & 0xff, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00].concat(tiff);
+  var app13 = buildAPP13([
+    [0x19, "nature"],
+    [0x19, "sunset"],
+    [0x78, "A sunset at the beach"],
+    [0x50, "Jane Doe"]
+  ]);
+  return JPEG_DATA.slice(0, 2).concat(app1, app13, JPEG_DATA.slice(2));
+}
+
+function toDataURL (data) {
+  return DATA_JPEG_PREFIX + Base64.encode(data);
+}
+
+/**
+ * Returns the offset of the thumbnail IFD (IFD1) in the given JPEG data
+ * url, `0` if there is none
+ */
+function getIFD1Offset (dataURL) {
+  var data = Base64.decode(dataURL.replace(DATA_JPEG_PREFIX, ""));
+  var exifHeader = ascii("Exif").concat([0]).join(",");
+  var tiffStart = 0;
+  while (data.slice(tiffStart, tiffStart + 6).join(",") !== exifHeader) {
+    tiffStart++;
+  }
+  tiffStart += 6;
+
+  var readInt = function (offset, length) {
+    var num = 0;
+    for (var i = length - 1; i >= 0; i--) {
+      num = num * 256 + data[tiffStart + offset + i];
+    }
+    return num;
+  };
+  var ifd0 = readInt(4, 4);
+  return readInt(ifd0 + 2 + readInt(ifd0, 2) * 12, 4);
+}
+
+describe("Exif", function () {
+
+  beforeEach(function () {
+    exif = Exif.fromBase64String(toDataURL(buildJPEG()));
+  });
+
+  describe("#getTags", function () {
+
+    it("should contain the IFD0 tags", function () {
+      var tags = exif.getTags();
+      tags.Make.should.equal("Canon");
+      tags.Orientation.should.equal(6);
+    });
+
+    it("should contain the Exif IFD tags", function () {
+      var tags = exif.getTags();
+      tags.ExposureTime.should.equal(1 / 200);
+      tags.ISOSpeedRatings.should.equal(100);
+      tags.DateTimeOriginal.should.equal("2015:01:02 03:04:05");
+      tags.LensModel.should.equal("EF50mm f/1.8");
+    });
+
+    it("should contain the GPS tags", function () {
+      var tags = exif.getTags();
+      tags.GPSLatitudeRef.should.equal("N");
+      tags.GPSLatitude.should.eql([52, 30, 0]);
+    });
+
+  });
+
+  describe("#getGPSCoordinates", function () {
+
+    it("should return the coordinates in decimal degrees", function () {
+      var coordinates = exif.getGPSCoordinates();
+      coordinates.latitude.should.equal(52.5);
+      coordinates.longitude.should.be.approximately(-13.41, 0.0001);
+    });
+
+  });
+
+  describe("#setTag", function () {
+
+    it("should add and change tags that are restored", function () {
+      exif.setTag("Artist", "Jane Doe");
+      exif.setTag("ISOSpeedRatings", 400);
+
+      var restored = Exif.fromBase64String(exif.restoreExifTags(toDataURL(JPEG_DATA)));
+      var tags = restored.getTags();
+      tags.Artist.should.equal("Jane Doe");
+      tags.ISOSpeedRatings.should.equal(400);
+      tags.LensModel.should.equal("EF50mm f/1.8");
+      tags.GPSLongitude.should.eql([13, 24, 36]);
+    });
+
+    describe("with an unknown tag", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          exif.setTag("Foo", "bar");
+        };
+        throwable.should.throw("Exif: Unknown tag `Foo`.");
+      });
+
+    });
+
+  });
+
+  describe("#removeTags", function () {
+
+    it("should remove the given tags", function () {
+      exif.removeTags("Make", "LensModel");
+
+      var restored = Exif.fromBase64String(exif.restoreExifTags(toDataURL(JPEG_DATA)));
+      var tags = restored.getTags();
+      (typeof tags.Make).should.equal("undefined");
+      (typeof tags.LensModel).should.equal("undefined");
+      tags.ISOSpeedRatings.should.equal(100);
+    });
+
+  });
+
+  describe("#restoreExifTags", function () {
+
+    describe("with `stripGPS` set", function () {
+
+      it("should not restore the GPS information", function () {
+        var result = exif.restoreExifTags(toDataURL(JPEG_DATA), { stripGPS: true });
+        var restored = Exif.fromBase64String(result);
+
+        (restored.getGPSCoordinates() === null).should.equal(true);
+        (typeof restored.getTags().GPSInfoIFDPointer).should.equal("undefined");
+        restored.getTags().Make.should.equal("Canon");
+
+        // The instance itself keeps the GPS information
+        exif.getGPSCoordinates().latitude.should.equal(52.5);
+      });
+
+    });
+
+    it("should restore the unmodified thumbnail", function () {
+      getIFD1Offset(exif.restoreExifTags(toDataURL(JPEG_DATA))).should.not.equal(0);
+    });
+
+    describe("with `stripThumbnail` set", function () {
+
+      it("should not restore the thumbnails", function () {
+        var result = exif.restoreExifTags(toDataURL(JPEG_DATA), { stripThumbnail: true });
+        getIFD1Offset(result).should.equal(0);
+
+        var data = Base64.decode(result.replace(DATA_JPEG_PREFIX, ""));
+        var thumbnailResource = ascii("8BIM").slice(0, -1).concat([0x04, 0x0C]).join(",");
+        data.join(",").indexOf(thumbnailResource).should.equal(-1);
+
+        var restored = Exif.fromBase64String(result);
+        restored.getTags().Make.should.equal("Canon");
+        restored.getIPTCTags().keywords.should.eql(["nature", "sunset"]);
+      });
+
+    });
+
+    it("should restore the unmodified IPTC data", function () {
+      var restored = Exif.fromBase64String(exif.restoreExifTags(toDataURL(JPEG_DATA)));
+      restored.getIPTCTags().keywords.should.eql(["nature", "sunset"]);
+    });
+
+    describe("with an image without Exif data", function () {
+
+      it("should only restore the IPTC data", function () {
+        var data = JPEG_DATA.slice(0, 2).concat(buildAPP13([[0x78, "Caption"]]), JPEG_DATA.slice(2));
+        var iptcOnly = Exif.fromBase64String(toDataURL(data));
+
+        var restored = Exif.fromBase64String(iptcOnly.restoreExifTags(toDataURL(JPEG_DATA)));
+        restored.getIPTCTags().caption.should.equal("Caption");
+        restored.getTags().should.eql({});
+      });
+
+    });
+
+  });
+
+  describe("#getIPTCTags", function () {
+
+    it("should contain the IPTC tags", function () {
+      var tags = exif.getIPTCTags();
+      tags.keywords.should.eql(["nature", "sunset"]);
+      tags.caption.should.equal("A sunset at the beach");
+      tags.byline.should.eql(["Jane Doe"]);
+    });
+
+  });
+
+  describe("#setIPTCTag", function () {
+
+    it("should add and change tags that are restored", function () {
+      exif.setIPTCTag("keywords", ["beach"]);
+      exif.setIPTCTag("headline", "Sonnenuntergang am Strand – 2015");
+
+      var restored = Exif.fromBase64String(exif.restoreExifTags(toDataURL(JPEG_DATA)));
+      var tags = restored.getIPTCTags();
+      tags.keywords.should.eql(["beach"]);
+      tags.headline.should.equal("Sonnenuntergang am Strand – 2015");
+      tags.caption.should.equal("A sunset at the beach");
+      restored.getTags().Make.should.equal("Canon");
+    });
+
+    it("should not restore the Photoshop thumbnail", function () {
+      exif.setIPTCTag("caption", "Edited");
+
+      var result = exif.restoreExifTags(toDataURL(JPEG_DATA));
+      var data = Base64.decode(result.replace(DATA_JPEG_PREFIX, ""));
+      var thumbnailResource = ascii("8BIM").slice(0, -1).concat([0x04, 0x0C]).join(",");
+      data.join(",").indexOf(thumbnailResource).should.equal(-1);
+    });
+
+    describe("with an unknown tag", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          exif.setIPTCTag("foo", "bar");
+        };
+        throwable.should.throw("Exif: Unknown IPTC tag `foo`.");
+      });
+
+    });
+
+  });
+
+  describe("#removeIPTCTags", function () {
+
+    it("should remove the given tags", function () {
+      exif.removeIPTCTags("keywords");
+
+      var restored = Exif.fromBase64String(exif.restoreExifTags(toDataURL(JPEG_DATA)));
+      var tags = restored.getIPTCTags();
+      (typeof tags.keywords).should.equal("undefined");
+      tags.caption.should.equal("A sunset at the beach");
+    });
+
+  });
+
+  describe("#setOrientation", function () {
+
+    it("should overwrite the orientation", function () {
+      exif.setOrientation(1);
+
+      var restored = Exif.fromBase64String(exif.restoreExifTags(toDataURL(JPEG_DATA)));
+      restored.getTags().Orientation.should.equal(1);
+    });
+
+  });
+
+});
+
+describe("ImageExporter", function () {
+
+  describe("#export", function () {
+
+    describe("with a redact operation on the stack", function () {
+
+      it("should not restore the Exif thumbnail", function (done) {
+        var source = toDataURL(buildJPEG());
+        var redact = { identifier: "redact" };
+        var kit = {
+          exif: Exif.fromBase64String(source),
+          options: { stripGPS: false },
+          getOperationFromStack: function (identifier) {
+            return identifier === "redact" ? redact : undefined;
+          }
+        };
+        var canvas = {
+          toDataURL: function (type, quality, callback) { callback(null, toDataURL(JPEG_DATA)); }
+        };
+
+        ImageExporter.export(kit, { src: source }, canvas, constants.RenderType.DATAURL, constants.ImageFormat.JPEG)
+          .then(function (result) {
+            getIFD1Offset(result).should.equal(0);
+            Exif.fromBase64String(result).getTags().Make.should.equal("Canon");
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+  });
+
+});
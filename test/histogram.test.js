@@ -0,0 +1,123 @@
+/* global describe, it */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var ImglyKit = require("..");
+var Histogram = ImglyKit.Histogram;
+
+/**
+ * Creates image data containing the given RGBA colors
+ */
+function createImageData (colors) {
+  var data = [];
+  colors.forEach(function (color) {
+    data.push.apply(data, color);
+  });
+  return { data: new Uint8ClampedArray(data) };
+}
+
+describe("Histogram", function () {
+
+  var imageData = createImageData([
+    [0, 0, 0, 255],
+    [255, 255, 255, 255],
+    [255, 0, 0, 255],
+    [128, 128, 128, 0]
+  ]);
+
+  it("should count the pixels of each channel", function () {
+    var histogram = new Histogram(imageData);
+    histogram.pixelCount.should.equal(3);
+    histogram.red[0].should.equal(1);
+    histogram.red[255].should.equal(2);
+    histogram.green[0].should.equal(2);
+    histogram.luminance[0].should.equal(1);
+    histogram.luminance[54].should.equal(1);
+    histogram.luminance[255].should.equal(1);
+  });
+
+  it("should ignore transparent pixels", function () {
+    var histogram = new Histogram(imageData);
+    histogram.red[128].should.equal(0);
+  });
+
+  it("should calculate the clipping percentages", function () {
+    var histogram = new Histogram(imageData);
+    histogram.clipping.red.shadows.should.be.approximately(33.33, 0.01);
+    histogram.clipping.red.highlights.should.be.approximately(66.67, 0.01);
+    histogram.clipping.luminance.highlights.should.be.approximately(33.33, 0.01);
+  });
+
+  it("should calculate the mean values", function () {
+    var histogram = new Histogram(imageData);
+    histogram.mean.red.should.equal(170);
+    histogram.mean.blue.should.equal(85);
+  });
+
+  it("should group the values into the given amount of bins", function () {
+    var histogram = new Histogram(imageData, 2);
+    histogram.red.should.eql([1, 2]);
+    histogram.luminance.should.eql([2, 1]);
+  });
+
+  describe("#getPercentile", function () {
+
+    it("should return the value below which the given percentage lies", function () {
+      var histogram = new Histogram(imageData);
+      histogram.getPercentile("red", 10).should.equal(0);
+      histogram.getPercentile("red", 50).should.equal(255);
+    });
+
+    describe("with an unknown channel", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new Histogram(imageData).getPercentile("alpha", 50);
+        };
+        throwable.should.throw("Histogram: Unknown channel `alpha`.");
+      });
+
+    });
+
+  });
+
+  describe("#fromImage", function () {
+
+    it("should draw a downscaled version of the image", function () {
+      var drawn;
+      var canvas = {
+        getContext: function () {
+          return {
+            drawImage: function (image, x, y, width, height) { drawn = [width, height]; },
+            getImageData: function () { return imageData; }
+          };
+        }
+      };
+
+      var histogram = Histogram.fromImage({ width: 1024, height: 512 }, canvas, 256);
+      drawn.should.eql([256, 128]);
+      canvas.width.should.equal(256);
+      histogram.pixelCount.should.equal(3);
+    });
+
+  });
+
+  describe("with an invalid amount of bins", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new Histogram(imageData, 512);
+      };
+      throwable.should.throw("Histogram: `bins` has to be between 1 and 256.");
+    });
+
+  });
+
+});
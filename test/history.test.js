@@ -0,0 +1,241 @@
+/* global describe, it, beforeEach, afterEach */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var sinon = require("sinon");
+var ImglyKit = require("..");
+var UI = require("../src/js/ui/base/ui");
+var BrightnessOperation = ImglyKit.Operations.Brightness;
+var kit, history, operation;
+
+/**
+ * Adds a brightness operation to the stack (if not existent), sets the given
+ * value and adds the corresponding history item
+ */
+function changeBrightness (brightness) {
+  var existent = kit.operationsStack.indexOf(operation) !== -1;
+  var options = { brightness: operation.getBrightness() };
+  if (!existent) {
+    kit.operationsStack.push(operation);
+  }
+  operation.setBrightness(brightness);
+  return history.add(operation, options, existent);
+}
+
+describe("History", function () {
+
+  beforeEach(function () {
+    kit = new ImglyKit({ image: null, ui: { enabled: false } });
+    history = kit.history;
+    operation = new BrightnessOperation(kit);
+  });
+
+  describe("#add", function () {
+
+    it("should emit a `history-add` event on the kit", function (done) {
+      kit.once("history-add", function (item) {
+        item.operation.should.equal(operation);
+        done();
+      });
+      changeBrightness(0.5);
+    });
+
+    it("should discard items that have been undone", function () {
+      changeBrightness(0.5);
+      changeBrightness(0.7);
+      history.undo();
+      changeBrightness(0.9);
+
+      history.length.should.equal(2);
+      history.canRedo().should.equal(false);
+    });
+
+    describe("when `maxLength` is exceeded", function () {
+
+      it("should remove the oldest items", function () {
+        history.maxLength = 2;
+        changeBrightness(0.5);
+        changeBrightness(0.6);
+        changeBrightness(0.7);
+
+        history.length.should.equal(2);
+        history.items[0].options.brightness.should.equal(0.5);
+      });
+
+    });
+
+  }); // #add
+
+  describe("#undo", function () {
+
+    it("should restore the previous options", function () {
+      changeBrightness(0.5);
+      changeBrightness(0.7);
+
+      history.undo();
+      operation.getBrightness().should.equal(0.5);
+    });
+
+    describe("when the operation did not exist before", function () {
+
+      it("should remove the operation from the stack", function () {
+        changeBrightness(0.5);
+
+        history.undo();
+        kit.operationsStack.length.should.equal(0);
+      });
+
+    });
+
+    it("should emit a `history-undo` event", function (done) {
+      changeBrightness(0.5);
+      kit.once("history-undo", function () {
+        done();
+      });
+      history.undo();
+    });
+
+    describe("with array options", function () {
+
+      it("should not be affected by in-place edits", function () {
+        var stickers = new ImglyKit.Operations.Stickers(kit, {
+          stickers: [{ sticker: "glasses.png", scale: 0.2 }]
+        });
+        kit.operationsStack.push(stickers);
+
+        history.add(stickers, { stickers: stickers.getStickers() }, true);
+        stickers.getStickers()[0].scale = 0.5;
+
+        history.undo();
+        stickers.getStickers()[0].scale.should.equal(0.2);
+
+        stickers.getStickers()[0].scale = 0.8;
+        history.redo();
+        stickers.getStickers()[0].scale.should.equal(0.5);
+      });
+
+    });
+
+  }); // #undo
+
+  describe("#redo", function () {
+
+    it("should re-apply the undone options", function () {
+      changeBrightness(0.5);
+      changeBrightness(0.7);
+
+      history.undo();
+      history.redo();
+      operation.getBrightness().should.equal(0.7);
+    });
+
+    it("should re-add removed operations", function () {
+      changeBrightness(0.5);
+
+      history.undo();
+      history.redo();
+      kit.operationsStack[0].should.equal(operation);
+      operation.getBrightness().should.equal(0.5);
+    });
+
+    it("should emit a `history-redo` event", function (done) {
+      changeBrightness(0.5);
+      history.undo();
+      kit.once("history-redo", function () {
+        done();
+      });
+      history.redo();
+    });
+
+    describe("when there is nothing to redo", function () {
+
+      it("should return null", function () {
+        changeBrightness(0.5);
+        (history.redo() === null).should.equal(true);
+      });
+
+    });
+
+  }); // #redo
+
+  describe("#jump", function () {
+
+    it("should undo and redo multiple items", function () {
+      changeBrightness(0.5);
+      changeBrightness(0.6);
+      changeBrightness(0.7);
+
+      history.jump(1);
+      operation.getBrightness().should.equal(0.5);
+      history.index.should.equal(1);
+
+      history.jump(3);
+      operation.getBrightness().should.equal(0.7);
+    });
+
+    it("should emit a `history-jump` event", function (done) {
+      changeBrightness(0.5);
+      changeBrightness(0.6);
+      kit.once("history-jump", function (payload) {
+        payload.index.should.equal(0);
+        payload.previousIndex.should.equal(2);
+        done();
+      });
+      history.jump(0);
+    });
+
+    describe("with an invalid index", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          history.jump(5);
+        };
+        throwable.should.throw("History: Index 5 is out of bounds.");
+      });
+
+    });
+
+  }); // #jump
+
+  describe("with a UI", function () {
+
+    beforeEach(function () {
+      // The Night UI needs the compiled templates, the base UI is enough to
+      // receive events
+      sinon.stub(ImglyKit.prototype, "_registerUIs", function () {
+        this.registerUI(UI);
+      });
+      kit = new ImglyKit({ image: null });
+      history = kit.history;
+      operation = new BrightnessOperation(kit);
+    });
+
+    afterEach(function () {
+      ImglyKit.prototype._registerUIs.restore();
+    });
+
+    it("should emit the history events on the UI and once on the kit", function () {
+      var uiEvents = [];
+      var kitEvents = [];
+      ["history-add", "history-undo"].forEach(function (type) {
+        kit.ui.on(type, function () { uiEvents.push(type); });
+        kit.on(type, function () { kitEvents.push(type); });
+      });
+
+      changeBrightness(0.5);
+      history.undo();
+
+      uiEvents.should.eql(["history-add", "history-undo"]);
+      kitEvents.should.eql(["history-add", "history-undo"]);
+    });
+
+  }); // with a UI
+
+});
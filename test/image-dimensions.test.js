@@ -53,6 +53,26 @@ describe("ImageDimensions", function () {
 
   }); // #constructor
 
+  describe("#validate", function () {
+
+    it("should return whether dimensions are given", function () {
+      ImageDimensions.validate("800x600!").should.equal(true);
+      ImageDimensions.validate(null).should.equal(false);
+    });
+
+    describe("with an invalid dimensions string", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          ImageDimensions.validate("100x!");
+        };
+        throwable.should.throw("Both `x` and `y` have to be set when using the fixed (!) modifier.");
+      });
+
+    });
+
+  });
+
   describe("#calculateFinalDimensions", function () {
 
     describe("without any rules", function () {
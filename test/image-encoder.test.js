@@ -0,0 +1,110 @@
+/* global describe, it */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var ImageEncoder = require("../src/js/lib/image-encoder");
+var ImageFormat = require("../src/js/constants").ImageFormat;
+
+// A 2x1 image with a red and a half transparent blue pixel
+var imageData = {
+  width: 2,
+  height: 1,
+  data: [255, 0, 0, 255, 0, 0, 255, 128]
+};
+
+function toView (bytes) {
+  return new DataView(bytes.buffer);
+}
+
+describe("ImageEncoder", function () {
+
+  describe("#isSupported", function () {
+
+    it("should only support BMP and TIFF", function () {
+      ImageEncoder.isSupported(ImageFormat.BMP).should.equal(true);
+      ImageEncoder.isSupported(ImageFormat.TIFF).should.equal(true);
+      ImageEncoder.isSupported(ImageFormat.PNG).should.equal(false);
+    });
+
+  });
+
+  describe("#encode", function () {
+
+    describe("with an unsupported format", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          ImageEncoder.encode(imageData, ImageFormat.PNG);
+        };
+        throwable.should.throw("ImageEncoder: Unsupported image format: image/png");
+      });
+
+    });
+
+    describe("with BMP", function () {
+
+      it("should write a top-down 32 bit bitmap", function () {
+        var bytes = ImageEncoder.encode(imageData, ImageFormat.BMP);
+        var view = toView(bytes);
+
+        String.fromCharCode(bytes[0], bytes[1]).should.equal("BM");
+        view.getUint32(2, true).should.equal(bytes.length);
+        view.getInt32(18, true).should.equal(2);
+        view.getInt32(22, true).should.equal(-1);
+        view.getUint16(28, true).should.equal(32);
+
+        var offset = view.getUint32(10, true);
+        Array.prototype.slice.call(bytes, offset).should.eql([0, 0, 255, 255, 255, 0, 0, 128]);
+      });
+
+    });
+
+    describe("with TIFF", function () {
+
+      it("should write an uncompressed RGBA image", function () {
+        var bytes = ImageEncoder.encode(imageData, ImageFormat.TIFF);
+        var view = toView(bytes);
+
+        String.fromCharCode(bytes[0], bytes[1]).should.equal("II");
+        view.getUint16(2, true).should.equal(42);
+
+        // Read the tags of the first IFD
+        var ifdOffset = view.getUint32(4, true);
+        var tags = {};
+        for (var i = 0; i < view.getUint16(ifdOffset, true); i++) {
+          var entry = ifdOffset + 2 + i * 12;
+          var type = view.getUint16(entry + 2, true);
+          tags[view.getUint16(entry, true)] = type === 3
+            ? view.getUint16(entry + 8, true)
+            : view.getUint32(entry + 8, true);
+        }
+
+        tags[256].should.equal(2);
+        tags[257].should.equal(1);
+        tags[259].should.equal(1);
+        tags[277].should.equal(4);
+        tags[279].should.equal(8);
+        Array.prototype.slice.call(bytes, tags[273]).should.eql(imageData.data);
+      });
+
+    });
+
+  });
+
+  describe("#toDataURL", function () {
+
+    it("should return a base64 data url", function () {
+      ImageEncoder.toDataURL(new Uint8Array([1, 2, 3]), ImageFormat.BMP)
+        .should.equal("data:image/bmp;base64,AQID");
+    });
+
+  });
+
+});
@@ -0,0 +1,42 @@
+/* global describe, it */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var ImageExporter = require("../src/js/lib/image-exporter");
+var ImageFormat = require("../src/js/constants").ImageFormat;
+
+describe("ImageExporter", function () {
+
+  describe("#export", function () {
+
+    describe("with an unknown render type", function () {
+
+      it("should reject with an error", function (done) {
+        var kit = { exif: null, options: {} };
+        var canvas = {
+          toDataURL: function () { return "data:image/png;base64,"; }
+        };
+
+        ImageExporter.export(kit, { src: "test.png" }, canvas, null, ImageFormat.PNG)
+          .then(function () {
+            done(new Error("Exporting worked while it should not."));
+          })
+          .catch(function (err) {
+            err.message.should.equal("Invalid render type: null");
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
+  });
+
+});
@@ -1,4 +1,4 @@
-/* global describe, it, beforeEach */
+/* global describe, it, beforeEach, afterEach */
 "use strict";
 /*
  * Copyright (c) 2013-2015 9elements GmbH
@@ -15,7 +15,9 @@ var ImglyKit = require("..");
 var canvas = require("canvas");
 var image, kit;
 var should = require("should");
+var sinon = require("sinon");
 var NightUI = require("../src/js/ui/night/ui");
+var ImageExporter = require("../src/js/lib/image-exporter");
 
 // A fake container that passes Utils#isDOMElement
 var stubContainer = {
@@ -99,6 +101,28 @@ describe("ImglyKit", function () {
 
       });
 
+      describe("when an unsupported image format is given", function () {
+
+        beforeEach(function () {
+          sinon.stub(ImageExporter, "isFormatSupported").returns(false);
+        });
+
+        afterEach(function () {
+          ImageExporter.isFormatSupported.restore();
+        });
+
+        it("should throw an error with a code", function () {
+          try {
+            kit.render(null, ImglyKit.ImageFormat.WEBP);
+          } catch (e) {
+            e.code.should.equal("IMAGE_FORMAT_NOT_SUPPORTED");
+            return;
+          }
+          throw new Error("Rendering worked while it should not.");
+        });
+
+      });
+
     }); // validations
 
     describe("without any operations on the stack", function() {
@@ -110,6 +134,180 @@ describe("ImglyKit", function () {
       });
     });
 
+    describe("with a BMP image format", function () {
+      it("should return a BMP data url", function (done) {
+        kit.render(ImglyKit.RenderType.DATAURL, ImglyKit.ImageFormat.BMP)
+          .then(function (dataURL) {
+            dataURL.indexOf("data:image/bmp;base64,Qk").should.equal(0);
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+    describe("with a TIFF image format and `buffer` render type", function () {
+      it("should return a TIFF buffer", function (done) {
+        kit.render(ImglyKit.RenderType.BUFFER, ImglyKit.ImageFormat.TIFF)
+          .then(function (buffer) {
+            buffer.toString("ascii", 0, 2).should.equal("II");
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+    describe("with a JPEG image format and `buffer` render type", function () {
+      it("should return a JPEG buffer or throw an error with a code", function (done) {
+        var promise;
+        try {
+          promise = kit.render(ImglyKit.RenderType.BUFFER, ImglyKit.ImageFormat.JPEG);
+        } catch (e) {
+          e.code.should.equal("IMAGE_FORMAT_NOT_SUPPORTED");
+          return done();
+        }
+
+        promise
+          .then(function (buffer) {
+            buffer[0].should.equal(0xFF);
+            buffer[1].should.equal(0xD8);
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+    describe("with `sharpen` set to true", function () {
+      it("should resolve with the sharpened image", function (done) {
+        kit.render(ImglyKit.RenderType.DATAURL, ImglyKit.ImageFormat.PNG, "100x100", 0.8, null, true)
+          .then(function (dataURL) {
+            dataURL.should.startWith("data:image/png");
+            done();
+          })
+          .catch(done);
+      });
+    });
+
   }); // #render
 
+  describe("#getHistogram", function () {
+
+    beforeEach(function () {
+      image = new canvas.Image();
+      var imagePath = path.resolve(__dirname, "assets/test.png");
+      var buffer = fs.readFileSync(imagePath);
+      image.src = buffer;
+
+      kit = new ImglyKit({ image: image, ui: { enabled: false } });
+    });
+
+    it("should resolve with the histogram of the rendered image", function (done) {
+      kit.getHistogram({ bins: 64 })
+        .then(function (histogram) {
+          histogram.should.be.an.instanceOf(ImglyKit.Histogram);
+          histogram.red.length.should.equal(64);
+          histogram.pixelCount.should.be.above(0);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#reset", function () {
+
+    beforeEach(function () {
+      kit = new ImglyKit({ image: null, ui: { enabled: false } });
+    });
+
+    it("should reset the operations and clear the stack", function () {
+      var operation = new ImglyKit.Operations.Brightness(kit, { brightness: 0.5 });
+      kit.operationsStack.push(operation);
+      kit.history.add(operation, { brightness: 0 }, false);
+
+      kit.reset();
+
+      operation.getBrightness().should.equal(0);
+      kit.operationsStack.length.should.equal(0);
+      kit.history.length.should.equal(0);
+    });
+
+  }); // #reset
+
+  describe("#serialize", function () {
+
+    beforeEach(function () {
+      kit = new ImglyKit({ image: null, ui: { enabled: false } });
+    });
+
+    it("should restore the operations stack using #deserialize", function () {
+      kit.operationsStack.push(new ImglyKit.Operations.Filters(kit, {
+        filter: ImglyKit.Filters.K1
+      }));
+      kit.operationsStack.push(new ImglyKit.Operations.Crop(kit, {
+        start: new ImglyKit.Vector2(0.1, 0.2),
+        end: new ImglyKit.Vector2(0.9, 0.8)
+      }));
+      kit.operationsStack.push(new ImglyKit.Operations.Text(kit, {
+        text: "foo",
+        color: new ImglyKit.Color(1, 0, 0, 0.5)
+      }));
+
+      var json = kit.serialize();
+      json.should.be.type("string");
+
+      var newKit = new ImglyKit({ image: null, ui: { enabled: false } });
+      newKit.deserialize(json);
+
+      var stack = newKit.operationsStack;
+      stack.length.should.equal(3);
+      stack[0].getFilter().should.equal(ImglyKit.Filters.K1);
+      stack[1].getStart().x.should.equal(0.1);
+      stack[1].getEnd().y.should.equal(0.8);
+      stack[2].getText().should.equal("foo");
+      stack[2].getColor().should.be.an.instanceOf(ImglyKit.Color);
+      stack[2].getColor().a.should.equal(0.5);
+    });
+
+    it("should restore the default filter without exposing it", function () {
+      kit.operationsStack.push(new ImglyKit.Operations.Filters(kit));
+
+      var newKit = new ImglyKit({ image: null, ui: { enabled: false } });
+      newKit.deserialize(kit.serialize());
+
+      newKit.operationsStack[0].getFilter().identifier.should.equal("identity");
+      should.not.exist(ImglyKit.Filters.Identity);
+    });
+
+  }); // #serialize
+
+  describe("#deserialize", function () {
+
+    beforeEach(function () {
+      kit = new ImglyKit({ image: null, ui: { enabled: false } });
+    });
+
+    describe("with an unknown operation", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          kit.deserialize({ operations: [{ identifier: "foo", options: {} }] });
+        };
+        throwable.should.throw("Unknown operation: foo");
+      });
+
+    });
+
+    describe("with an unknown filter", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          kit.deserialize({ operations: [{ identifier: "filters", options: { filter: "foo" } }] });
+        };
+        throwable.should.throw("Operation `filters`: Unknown filter `foo`.");
+      });
+
+    });
+
+  }); // #deserialize
+
 });
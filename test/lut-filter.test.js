@@ -0,0 +1,150 @@
+/* global describe, it */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var ImglyKit = require("..");
+var LUTFilter = ImglyKit.LUTFilter;
+
+/**
+ * Returns the contents of a .cube file that inverts all colors
+ */
+function invertCube () {
+  var lines = [
+    "# Inverts all colors",
+    "TITLE \"Invert\"",
+    "LUT_3D_SIZE 2",
+    "DOMAIN_MIN 0 0 0",
+    "DOMAIN_MAX 1.0 1.0 1.0",
+    ""
+  ];
+  for (var b = 0; b < 2; b++) {
+    for (var g = 0; g < 2; g++) {
+      for (var r = 0; r < 2; r++) {
+        lines.push([1 - r, 1 - g, 1 - b].join(" "));
+      }
+    }
+  }
+  return lines.join("\r\n");
+}
+
+describe("LUTFilter", function () {
+
+  describe("#parseCube", function () {
+
+    it("should return the size, title and data", function () {
+      var lut = LUTFilter.parseCube(invertCube());
+      lut.size.should.equal(2);
+      lut.title.should.equal("Invert");
+      lut.data.length.should.equal(24);
+      lut.data.slice(0, 6).should.eql([1, 1, 1, 0, 1, 1]);
+    });
+
+    describe("with a missing size", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          LUTFilter.parseCube("0 0 0");
+        };
+        throwable.should.throw("LUTFilter: Missing `LUT_3D_SIZE`.");
+      });
+
+    });
+
+    describe("with a wrong amount of entries", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          LUTFilter.parseCube("LUT_3D_SIZE 2\n0 0 0\n1 1 1");
+        };
+        throwable.should.throw("LUTFilter: Expected 8 entries, got 2.");
+      });
+
+    });
+
+    describe("with an invalid entry", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          LUTFilter.parseCube("LUT_3D_SIZE 2\n0 0");
+        };
+        throwable.should.throw("LUTFilter: Invalid entry in line 2.");
+      });
+
+    });
+
+    describe("with a 1D lookup table", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          LUTFilter.parseCube("LUT_1D_SIZE 2\n0 0 0\n1 1 1");
+        };
+        throwable.should.throw("LUTFilter: 1D lookup tables are not supported.");
+      });
+
+    });
+
+  });
+
+  describe("#fromCube", function () {
+
+    it("should create a filter class", function () {
+      var Filter = LUTFilter.fromCube(invertCube(), { identifier: "invert" });
+      Filter.identifier.should.equal("invert");
+      Filter.lut.size.should.equal(2);
+      Filter.prototype.name.should.equal("Invert");
+      (new Filter()).should.be.an.instanceOf(ImglyKit.Filter);
+    });
+
+    it("should create filters that can be registered", function () {
+      var kit = new ImglyKit({ image: null, ui: { enabled: false } });
+      var Filter = LUTFilter.fromCube(invertCube(), { identifier: "invert", name: "Inverted" });
+      kit.registerFilter(Filter);
+
+      var operation = new ImglyKit.Operations.Filters(kit);
+      operation.set(operation.deserializeOptions({ filter: "invert" }));
+      operation.getFilter().should.equal(Filter);
+      operation.getFilter().prototype.name.should.equal("Inverted");
+    });
+
+    describe("without an identifier", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          LUTFilter.fromCube(invertCube());
+        };
+        throwable.should.throw("LUTFilter: Option `identifier` is required.");
+      });
+
+    });
+
+  });
+
+  describe("#render", function () {
+
+    it("should interpolate the colors of the table", function () {
+      var Filter = LUTFilter.fromCube(invertCube(), { identifier: "invert" });
+      var imageData = { data: new Uint8ClampedArray([0, 51, 255, 255, 128, 128, 128, 0]) };
+      var context = {
+        getImageData: function () { return imageData; },
+        putImageData: function () {}
+      };
+      var renderer = {
+        identifier: "canvas",
+        getCanvas: function () { return { width: 2, height: 1 }; },
+        getContext: function () { return context; }
+      };
+
+      (new Filter()).render(renderer);
+      Array.prototype.slice.call(imageData.data).should.eql([255, 204, 0, 255, 127, 127, 127, 0]);
+    });
+
+  });
+
+});
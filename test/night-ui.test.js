@@ -0,0 +1,66 @@
+/* global describe, it, beforeEach */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var ImglyKit = require("..");
+var NightUI = ImglyKit.NightUI;
+var CustomOperation = ImglyKit.Operation.extend({
+  identifier: "custom",
+  availableOptions: {}
+});
+var kit, ui;
+
+describe("NightUI", function () {
+
+  describe("#_fixOperationsStack", function () {
+
+    beforeEach(function () {
+      kit = new ImglyKit({ image: null, ui: { enabled: false } });
+
+      // The constructor needs the compiled templates, so only the state
+      // used by `_fixOperationsStack` is set up
+      ui = Object.create(NightUI.prototype);
+      ui._kit = kit;
+      ui._operationsMap = {};
+      ui._preferredOperationOrder = ["brightness", "contrast"];
+    });
+
+    it("should move the operations to their preferred position", function () {
+      var contrast = new ImglyKit.Operations.Contrast(kit);
+      var brightness = new ImglyKit.Operations.Brightness(kit);
+      kit.operationsStack = [contrast, brightness];
+
+      ui._fixOperationsStack();
+
+      kit.operationsStack[0].should.equal(brightness);
+      kit.operationsStack[1].should.equal(contrast);
+    });
+
+    it("should keep operations without a preferred position at the end", function () {
+      var custom = new CustomOperation(kit);
+      var otherCustom = new CustomOperation(kit);
+      var brightness = new ImglyKit.Operations.Brightness(kit);
+      kit.operationsStack = [custom, brightness, otherCustom];
+
+      ui._fixOperationsStack();
+
+      var stack = kit.operationsStack.filter(function (operation) {
+        return !!operation;
+      });
+      stack.length.should.equal(3);
+      stack[0].should.equal(brightness);
+      stack[1].should.equal(custom);
+      stack[2].should.equal(otherCustom);
+      ui._operationsMap.custom.should.equal(otherCustom);
+    });
+
+  });
+
+});
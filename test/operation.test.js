@@ -27,7 +27,15 @@ var testOperation = ImglyKit.Operation.extend({
       if (value !== "test") {
         throw new Error("Validation error");
       }
-    }}
+    }},
+    custom: { type: "object",
+      serialize: function (value) {
+        return value.name;
+      },
+      deserialize: function (name) {
+        return { name: name };
+      }
+    }
   }
 });
 var operation;
@@ -357,4 +365,99 @@ describe("Operation", function () {
 
   }); // #setNumberFormat()
 
+  describe("#resetOptions", function () {
+
+    beforeEach(function () {
+      operation = new testOperation(kit);
+    });
+
+    it("should set all options to their default values", function () {
+      operation.setVec(new ImglyKit.Vector2(1, 2));
+      operation.setNum(5);
+      operation.setReq("foo");
+
+      operation.resetOptions();
+
+      operation.getVec().x.should.equal(100);
+      operation.getNum().should.equal(1);
+      (typeof operation.getReq()).should.equal("undefined");
+    });
+
+  }); // #resetOptions
+
+  describe("#serializeOptions", function () {
+
+    beforeEach(function () {
+      operation = new testOperation(kit);
+    });
+
+    it("should return plain values for all set options", function () {
+      operation.setCustom({ name: "foo" });
+      var serialized = operation.serializeOptions();
+
+      serialized.vec.should.eql([100, 200]);
+      serialized.col.should.eql([0, 0, 0, 1]);
+      serialized.str.should.equal("center");
+      serialized.num.should.equal(1);
+      serialized.bool.should.equal(false);
+      serialized.custom.should.equal("foo");
+      serialized.should.not.have.property("notReq");
+    });
+
+    it("should be convertible to JSON and back", function () {
+      var json = JSON.stringify(operation.serializeOptions());
+      var options = operation.deserializeOptions(JSON.parse(json));
+
+      options.vec.should.be.an.instanceOf(ImglyKit.Vector2);
+      options.vec.x.should.equal(100);
+      options.vec.y.should.equal(200);
+      options.col.should.be.an.instanceOf(ImglyKit.Color);
+      options.col.a.should.equal(1);
+    });
+
+  }); // #serializeOptions
+
+  describe("#deserializeOptions", function () {
+
+    beforeEach(function () {
+      operation = new testOperation(kit);
+    });
+
+    it("should use the custom deserializer if given", function () {
+      var options = operation.deserializeOptions({ custom: "bar" });
+      options.custom.should.eql({ name: "bar" });
+    });
+
+    describe("with an unknown option", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          operation.deserializeOptions({ foo: 1 });
+        };
+        throwable.should.throw("Invalid option: foo");
+      });
+
+    });
+
+  }); // #deserializeOptions
+
+  describe(".rangeValidation", function () {
+
+    var validation = ImglyKit.Operation.rangeValidation("test", "amount", 0, 1);
+
+    it("should accept values within the range", function () {
+      validation(0);
+      validation(0.5);
+      validation(1);
+    });
+
+    it("should throw an error for values outside the range", function () {
+      var throwable = function () {
+        validation(1.5);
+      };
+      throwable.should.throw("Operation `test`: Option `amount` has to be between 0 and 1.");
+    });
+
+  }); // .rangeValidation
+
 }); // Operation
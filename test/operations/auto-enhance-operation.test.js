@@ -0,0 +1,96 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var AutoEnhanceOperation = ImglyKit.Operations.AutoEnhance;
+var kit, image;
+
+/**
+ * Creates a histogram of a dull, blue-tinted image with values between
+ * 60 and 180
+ */
+function createHistogram () {
+  var data = [];
+  for (var i = 0; i < 1210; i++) {
+    var value = 60 + (i % 121);
+    data.push(value * 0.9, value * 0.95, value * 1.1, 255);
+  }
+  return new ImglyKit.Histogram({ data: new Uint8ClampedArray(data) });
+}
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("AutoEnhanceOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new AutoEnhanceOperation(kit));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#setIntensity", function () {
+
+    describe("with a value greater than 1", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new AutoEnhanceOperation(kit).setIntensity(1.5);
+        };
+        throwable.should.throw("Operation `auto-enhance`: Option `intensity` has to be between 0 and 1.");
+      });
+
+    });
+
+  });
+
+  describe("#createLookupTable", function () {
+
+    it("should stretch the levels", function () {
+      var table = AutoEnhanceOperation.createLookupTable(createHistogram(), 1);
+      table[60 * 4 + 1].should.be.below(15);
+      table[180 * 4 + 1].should.equal(255);
+    });
+
+    it("should correct the white balance", function () {
+      var table = AutoEnhanceOperation.createLookupTable(createHistogram(), 1);
+      table[120 * 4].should.be.above(table[120 * 4 + 2]);
+    });
+
+    it("should return the identity with an intensity of 0", function () {
+      var table = AutoEnhanceOperation.createLookupTable(createHistogram(), 0);
+      for (var i = 0; i < 256; i++) {
+        table.slice(i * 4, i * 4 + 4).should.eql([i, i, i, 255]);
+      }
+    });
+
+  });
+
+});
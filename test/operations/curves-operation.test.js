@@ -0,0 +1,118 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var CurvesOperation = ImglyKit.Operations.Curves;
+var kit, image;
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("CurvesOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new CurvesOperation(kit, {
+        rgbControlPoints: {
+          rgb: [[0, 0], [64, 40], [192, 210], [255, 255]]
+        }
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#createLookupTable", function () {
+
+    it("should apply the channel curves before the composite curve", function () {
+      var operation = new CurvesOperation(kit, {
+        rgbControlPoints: {
+          red: [[0, 0], [128, 180], [255, 255]],
+          rgb: [[0, 20], [255, 235]]
+        }
+      });
+      var table = operation.createLookupTable();
+      table.slice(0, 4).should.eql([20, 20, 20, 255]);
+      table.slice(128 * 4, 129 * 4).should.eql([172, 128, 128, 255]);
+      table.slice(255 * 4, 256 * 4).should.eql([235, 235, 235, 255]);
+    });
+
+    it("should return the identity by default", function () {
+      var table = new CurvesOperation(kit).createLookupTable();
+      for (var i = 0; i < 256; i++) {
+        table.slice(i * 4, i * 4 + 4).should.eql([i, i, i, 255]);
+      }
+    });
+
+  });
+
+  describe("#setControlPoints", function () {
+
+    it("should round and sort the control points", function () {
+      var operation = new CurvesOperation(kit);
+      operation.setControlPoints("green", [[255, 255], [100.4, 120.6], [0, 0]]);
+      operation.getControlPoints("green").should.eql([[0, 0], [100, 121], [255, 255]]);
+      operation.getControlPoints("red").should.eql([[0, 0], [255, 255]]);
+    });
+
+    describe("with a curve that doesn't cover the whole range", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new CurvesOperation(kit).setControlPoints("blue", [[10, 0], [255, 255]]);
+        };
+        throwable.should.throw("Operation `curves`: Curve `blue` has to start at x = 0 and end at x = 255.");
+      });
+
+    });
+
+    describe("with duplicate x values", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new CurvesOperation(kit).setControlPoints("rgb", [[0, 0], [100, 50], [100, 80], [255, 255]]);
+        };
+        throwable.should.throw("Operation `curves`: Curve `rgb`: Control points need distinct x values.");
+      });
+
+    });
+
+    describe("with an unknown channel", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new CurvesOperation(kit).setControlPoints("alpha", []);
+        };
+        throwable.should.throw("Operation `curves`: Unknown channel `alpha`.");
+      });
+
+    });
+
+  });
+
+});
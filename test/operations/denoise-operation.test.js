@@ -0,0 +1,145 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var DenoiseOperation = ImglyKit.Operations.Denoise;
+var kit, image;
+
+/**
+ * Returns the variance of the red channel of the given pixel data
+ */
+function variance (data) {
+  var sum = 0;
+  var squaredSum = 0;
+  var count = data.length / 4;
+  for (var i = 0; i < data.length; i += 4) {
+    sum += data[i];
+    squaredSum += data[i] * data[i];
+  }
+  return squaredSum / count - (sum / count) * (sum / count);
+}
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("DenoiseOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new DenoiseOperation(kit, {
+        luminance: 0.8,
+        color: 0.3
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should emit `operation-end` after the tiles have been processed", function (done) {
+      var operation = new DenoiseOperation(kit);
+      kit.operationsStack.push(operation);
+
+      var ended = false;
+      kit.on("operation-end", function (e) {
+        if (e.operation === operation) ended = true;
+      });
+
+      kit.render()
+        .then(function () {
+          ended.should.equal(true);
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should lower the variance of a noisy patch", function (done) {
+      var size = 64;
+      var source = new canvas(size, size);
+      var context = source.getContext("2d");
+      var noise = context.createImageData(size, size);
+      var seed = 1;
+      for (var i = 0; i < noise.data.length; i += 4) {
+        seed = (seed * 16807) % 2147483647;
+        var value = 128 + Math.round((seed / 2147483647 - 0.5) * 40);
+        noise.data[i] = noise.data[i + 1] = noise.data[i + 2] = value;
+        noise.data[i + 3] = 255;
+      }
+      context.putImageData(noise, 0, 0);
+
+      var operation = new DenoiseOperation(kit, { luminance: 1, color: 0.5 });
+      var renderImage = new ImglyKit.RenderImage(source, [operation], null, "canvas");
+      renderImage.render()
+        .then(function () {
+          var imageData = renderImage.getRenderer().getContext().getImageData(0, 0, size, size);
+          variance(imageData.data).should.be.below(variance(noise.data) / 2);
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should reject with a `RENDER_CANCELLED` error when cancelled", function (done) {
+      var token = new ImglyKit.CancellationToken();
+      var renderImage = new ImglyKit.RenderImage(image, [], null, "canvas");
+      var operation = new DenoiseOperation(kit);
+      token.cancel();
+
+      operation.render(renderImage.getRenderer(), token)
+        .then(function () {
+          done(new Error("Rendering worked while it should not."));
+        })
+        .catch(function (err) {
+          err.code.should.equal("RENDER_CANCELLED");
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#toYCbCr / #toRGB", function () {
+
+    it("should convert colors back and forth", function () {
+      var ycbcr = DenoiseOperation.toYCbCr(200, 100, 50);
+      var rgb = DenoiseOperation.toRGB(ycbcr[0], ycbcr[1], ycbcr[2]);
+      rgb[0].should.be.approximately(200, 0.01);
+      rgb[1].should.be.approximately(100, 0.01);
+      rgb[2].should.be.approximately(50, 0.01);
+    });
+
+  });
+
+  describe("with a color strength out of range", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new DenoiseOperation(kit, { color: 1.5 });
+      };
+      throwable.should.throw("Operation `denoise`: Option `color` has to be between 0 and 1.");
+    });
+
+  });
+
+});
@@ -0,0 +1,86 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var ExposureOperation = ImglyKit.Operations.Exposure;
+var kit, image;
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("ExposureOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new ExposureOperation(kit, {
+        exposure: 1,
+        highlights: -1,
+        shadows: 0.5,
+        whites: -0.2,
+        blacks: 0.3
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#isIdentity", function () {
+
+    it("should return true by default", function () {
+      new ExposureOperation(kit).isIdentity().should.equal(true);
+    });
+
+    it("should return false if an option has been changed", function () {
+      new ExposureOperation(kit, { shadows: 0.5 }).isIdentity().should.equal(false);
+    });
+
+  });
+
+  describe("with an exposure out of range", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new ExposureOperation(kit, { exposure: 4 });
+      };
+      throwable.should.throw("Operation `exposure`: Option `exposure` has to be between -3 and 3.");
+    });
+
+  });
+
+  describe("with highlights out of range", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new ExposureOperation(kit, { highlights: -2 });
+      };
+      throwable.should.throw("Operation `exposure`: Option `highlights` has to be between -1 and 1.");
+    });
+
+  });
+
+});
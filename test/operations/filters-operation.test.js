@@ -60,8 +60,65 @@ describe("FiltersOperation", function () {
 
   });
 
+  describe("#setIntensity", function () {
+
+    describe("with a value outside of 0 and 1", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          filtersOperation.setIntensity(1.5);
+        };
+        throwable.should.throw("Operation `filters`: Option `intensity` has to be between 0 and 1.");
+      });
+
+    });
+
+  });
+
   describe("#render", function () {
 
+    describe("with an intensity", function () {
+
+      /**
+       * Renders the given filter with the given intensity and returns
+       * the resulting pixel data (an uncompressed bitmap without its header)
+       */
+      function renderPixels (Filter, intensity) {
+        var renderKit = new ImglyKit({ image: image, ui: { enabled: false } });
+        var operation = new FiltersOperation(renderKit, {
+          filter: Filter,
+          intensity: intensity
+        });
+        renderKit.operationsStack.push(operation);
+        return renderKit.render(ImglyKit.RenderType.BUFFER, ImglyKit.ImageFormat.BMP)
+          .then(function (buffer) {
+            return buffer.slice(122);
+          });
+      }
+
+      it("should blend the filtered image with the unfiltered one", function (done) {
+        var Filter = ImglyKit.Filters.BW;
+        var unfiltered, filtered;
+        renderPixels(Filter, 0)
+          .then(function (data) {
+            unfiltered = data;
+            return renderPixels(Filter, 1);
+          })
+          .then(function (data) {
+            filtered = data;
+            return renderPixels(Filter, 0.5);
+          })
+          .then(function (data) {
+            for (var i = 0; i < data.length; i += 97) {
+              data[i].should.be.approximately((unfiltered[i] + filtered[i]) / 2, 1);
+            }
+            done();
+          })
+          .catch(done);
+      });
+
+    });
+
     for (var name in ImglyKit.Filters) {
       (function (name) {
         it("should work with " + name + " filter", function(done) {
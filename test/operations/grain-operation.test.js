@@ -0,0 +1,132 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var GrainOperation = ImglyKit.Operations.Grain;
+var GrainPrimitive = ImglyKit.Filter.Primitives.Grain;
+var kit, image;
+
+/**
+ * Renders the given operation on a gray canvas and returns the resulting
+ * pixels
+ */
+function renderPixels (operation) {
+  var source = new canvas(64, 64);
+  var context = source.getContext("2d");
+  context.fillStyle = "rgb(128, 128, 128)";
+  context.fillRect(0, 0, 64, 64);
+
+  var renderImage = new ImglyKit.RenderImage(source, [operation], null, "canvas");
+  return renderImage.render()
+    .then(function () {
+      var data = renderImage.getRenderer().getContext().getImageData(0, 0, 64, 64).data;
+      return Array.prototype.slice.call(data);
+    });
+}
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("GrainOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new GrainOperation(kit, {
+        amount: 0.8,
+        size: 2,
+        seed: 42
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should render the same grain for the same seed", function (done) {
+      kit.operationsStack.push(new GrainOperation(kit, { seed: 7 }));
+
+      var firstResult;
+      kit.render()
+        .then(function (result) {
+          firstResult = result;
+          kit.operationsStack = [new GrainOperation(kit, { seed: 7 })];
+          return kit.render();
+        })
+        .then(function (result) {
+          result.should.equal(firstResult);
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should change the pixels the same way for the same seed", function (done) {
+      var firstPixels;
+      renderPixels(new GrainOperation(kit, { seed: 7 }))
+        .then(function (pixels) {
+          firstPixels = pixels;
+          return renderPixels(new GrainOperation(kit, { seed: 7 }));
+        })
+        .then(function (pixels) {
+          pixels.should.eql(firstPixels);
+
+          var changed = pixels.filter(function (value, i) {
+            return i % 4 !== 3 && value !== 128;
+          });
+          changed.length.should.be.above(pixels.length / 8);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("with a seed that is not an integer", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new GrainOperation(kit, { seed: 0.5 });
+      };
+      throwable.should.throw("Operation `grain`: Option `seed` has to be an integer.");
+    });
+
+  });
+
+});
+
+describe("Filter.Primitives.Grain", function () {
+
+  describe("#createNoiseData", function () {
+
+    it("should return the same table for the same seed", function () {
+      var a = GrainPrimitive.createNoiseData(3);
+      var b = GrainPrimitive.createNoiseData(3);
+      var c = GrainPrimitive.createNoiseData(4);
+      Array.prototype.slice.call(a, 0, 64).should.eql(Array.prototype.slice.call(b, 0, 64));
+      Array.prototype.slice.call(a, 0, 64).should.not.eql(Array.prototype.slice.call(c, 0, 64));
+    });
+
+  });
+
+});
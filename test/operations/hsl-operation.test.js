@@ -0,0 +1,121 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var HSLOperation = ImglyKit.Operations.HSL;
+var HSLPrimitive = ImglyKit.Filter.Primitives.HSL;
+var kit, image;
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("HSLOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new HSLOperation(kit, {
+        hue: { reds: 0.5 },
+        saturation: { blues: -1, greens: 0.3 },
+        luminance: { yellows: 0.8 }
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should move the hue of reds towards oranges", function (done) {
+      var source = new canvas(16, 16);
+      var context = source.getContext("2d");
+      context.fillStyle = "rgb(255, 0, 0)";
+      context.fillRect(0, 0, 16, 16);
+
+      var operation = new HSLOperation(kit, { hue: { reds: 1 } });
+      var renderImage = new ImglyKit.RenderImage(source, [operation], null, "canvas");
+      renderImage.render()
+        .then(function () {
+          var pixel = renderImage.getRenderer().getContext().getImageData(8, 8, 1, 1).data;
+          var hue = 60 * (pixel[1] - pixel[2]) / (pixel[0] - Math.min(pixel[1], pixel[2]));
+
+          // A shift of 1 moves the hue by 30 degrees
+          hue.should.be.approximately(30, 3);
+          pixel[0].should.equal(255);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#setHue", function () {
+
+    it("should reset missing bands", function () {
+      var operation = new HSLOperation(kit, { hue: { reds: 0.5 } });
+      operation.setHue({ greens: -0.2 });
+      operation.getHue().reds.should.equal(0);
+      operation.getHue().greens.should.equal(-0.2);
+    });
+
+  });
+
+  describe("#isIdentity", function () {
+
+    it("should return whether any band is adjusted", function () {
+      var operation = new HSLOperation(kit);
+      operation.isIdentity().should.equal(true);
+      operation.setLuminance({ aquas: 0.1 });
+      operation.isIdentity().should.equal(false);
+    });
+
+  });
+
+  describe("with an adjustment out of range", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new HSLOperation(kit, { saturation: { purples: -2 } });
+      };
+      throwable.should.throw("Operation `hsl`: Option `saturation` of band `purples` has to be between -1 and 1.");
+    });
+
+  });
+
+});
+
+describe("Filter.Primitives.HSL", function () {
+
+  describe("#getBandWeight", function () {
+
+    it("should fall off between the band centers", function () {
+      HSLPrimitive.getBandWeight(0, 0).should.equal(1);
+      HSLPrimitive.getBandWeight(1, 0).should.equal(0);
+      HSLPrimitive.getBandWeight(0, 15 / 360).should.be.approximately(0.5, 0.0001);
+      HSLPrimitive.getBandWeight(7, 330 / 360).should.be.approximately(0.5, 0.0001);
+      HSLPrimitive.getBandWeight(0, 330 / 360).should.be.approximately(0.5, 0.0001);
+    });
+
+  });
+
+});
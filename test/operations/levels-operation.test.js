@@ -0,0 +1,120 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var LevelsOperation = ImglyKit.Operations.Levels;
+var kit, image;
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("LevelsOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new LevelsOperation(kit, {
+        rgb: { inputBlack: 20, inputWhite: 230, gamma: 1.2 }
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#createLookupTable", function () {
+
+    it("should apply the channel levels before the composite levels", function () {
+      var operation = new LevelsOperation(kit, {
+        red: { inputBlack: 20, gamma: 2 },
+        rgb: { outputWhite: 200 }
+      });
+      var table = operation.createLookupTable();
+      table.slice(0, 4).should.eql([0, 0, 0, 255]);
+      table.slice(20 * 4, 21 * 4).should.eql([0, 16, 16, 255]);
+      table.slice(128 * 4, 129 * 4).should.eql([136, 100, 100, 255]);
+      table.slice(255 * 4, 256 * 4).should.eql([200, 200, 200, 255]);
+    });
+
+    it("should return the identity by default", function () {
+      var table = new LevelsOperation(kit).createLookupTable();
+      for (var i = 0; i < 256; i++) {
+        table.slice(i * 4, i * 4 + 4).should.eql([i, i, i, 255]);
+      }
+    });
+
+  });
+
+  describe("#setLevels", function () {
+
+    it("should fill in missing values", function () {
+      var operation = new LevelsOperation(kit);
+      operation.setLevels("green", { gamma: 0.5 });
+      operation.getLevels("green").should.eql({
+        inputBlack: 0,
+        inputWhite: 255,
+        gamma: 0.5,
+        outputBlack: 0,
+        outputWhite: 255
+      });
+    });
+
+    describe("with an input black point above the white point", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new LevelsOperation(kit).setLevels("blue", { inputBlack: 200, inputWhite: 100 });
+        };
+        throwable.should.throw("Operation `levels`: Option `blue`: `inputBlack` has to be less than `inputWhite`.");
+      });
+
+    });
+
+    describe("with an invalid gamma", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new LevelsOperation(kit).setLevels("rgb", { gamma: 0 });
+        };
+        throwable.should.throw("Operation `levels`: Option `rgb`: `gamma` has to be between 0.1 and 10.");
+      });
+
+    });
+
+    describe("with an unknown channel", function () {
+
+      it("should throw an error", function () {
+        var throwable = function () {
+          new LevelsOperation(kit).setLevels("alpha", {});
+        };
+        throwable.should.throw("Operation `levels`: Unknown channel `alpha`.");
+      });
+
+    });
+
+  });
+
+});
@@ -0,0 +1,153 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var RedactOperation = ImglyKit.Operations.Redact;
+var kit, image;
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("RedactOperation", function () {
+
+  describe("#render", function () {
+
+    RedactOperation.Region.MODES.forEach(function (mode) {
+      it("should succeed with mode `" + mode + "`", function (done) {
+        kit.operationsStack.push(new RedactOperation(kit, {
+          regions: [
+            { mode: mode },
+            { mode: mode, shape: "ellipse", position: new ImglyKit.Vector2(0.1, 0.6), strength: 1 }
+          ]
+        }));
+
+        kit.render()
+          .then(function (result) {
+            result.should.startWith("data:image/png");
+            done();
+          })
+          .catch(done);
+      });
+    });
+
+    describe("with a region whose size is not a multiple of the block size", function () {
+
+      RedactOperation.Region.MODES.forEach(function (mode) {
+        it("should change every pixel inside the region with mode `" + mode + "`", function (done) {
+          var size = 100;
+          var source = new canvas(size, size);
+          var context = source.getContext("2d");
+          var noise = context.createImageData(size, size);
+          var seed = 1;
+          for (var i = 0; i < noise.data.length; i++) {
+            seed = (seed * 16807) % 2147483647;
+            noise.data[i] = i % 4 === 3 ? 255 : seed % 256;
+          }
+          context.putImageData(noise, 0, 0);
+
+          // The region covers the pixels 10 to 30, the blocks are 5 pixels
+          // wide, which leaves a remainder of a single pixel
+          var operation = new RedactOperation(kit, {
+            regions: [{
+              mode: mode,
+              strength: 1,
+              position: new ImglyKit.Vector2(0.1, 0.1),
+              size: new ImglyKit.Vector2(0.21, 0.21)
+            }]
+          });
+          var renderImage = new ImglyKit.RenderImage(source, [operation], null, "canvas");
+          renderImage.render()
+            .then(function () {
+              var data = renderImage.getRenderer().getContext().getImageData(0, 0, size, size).data;
+              for (var y = 10; y <= 30; y++) {
+                for (var x = 10; x <= 30; x++) {
+                  var index = (y * size + x) * 4;
+                  var unchanged = data[index] === noise.data[index] &&
+                    data[index + 1] === noise.data[index + 1] &&
+                    data[index + 2] === noise.data[index + 2];
+                  unchanged.should.equal(false, "Pixel " + x + ", " + y + " has not been redacted");
+                }
+              }
+              done();
+            })
+            .catch(done);
+        });
+      });
+
+    });
+
+  });
+
+  describe("#addRegion", function () {
+
+    it("should add the region on top of the others", function () {
+      var operation = new RedactOperation(kit);
+      var first = operation.addRegion({ mode: "blur" });
+      var second = operation.addRegion({ mode: "fill" });
+      operation.getRegions().should.eql([first, second]);
+    });
+
+  });
+
+  describe("#removeRegion", function () {
+
+    it("should remove the given region", function () {
+      var operation = new RedactOperation(kit);
+      var first = operation.addRegion();
+      var second = operation.addRegion();
+      operation.removeRegion(first);
+      operation.getRegions().should.eql([second]);
+    });
+
+  });
+
+  describe("#serializeOptions", function () {
+
+    it("should restore the regions when deserialized", function () {
+      var operation = new RedactOperation(kit, {
+        regions: [{ shape: "ellipse", mode: "blur", strength: 0.25 }]
+      });
+      var options = operation.serializeOptions();
+
+      var restored = new RedactOperation(kit);
+      restored.set(restored.deserializeOptions(options));
+
+      var region = restored.getRegions()[0];
+      region.shape.should.equal("ellipse");
+      region.mode.should.equal("blur");
+      region.strength.should.equal(0.25);
+      region.position.x.should.equal(0.4);
+    });
+
+  });
+
+  describe("with an invalid mode", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new RedactOperation(kit, { regions: [{ mode: "smudge" }] });
+      };
+      throwable.should.throw("Operation `redact`: Invalid value for `mode` (valid values are: pixelate, blur, fill)");
+    });
+
+  });
+
+});
@@ -32,11 +32,45 @@ describe("RotationOperation", function () {
 
     describe("with a rotation that's not divisible by 90", function () {
 
-      it("should fail", function () {
-        var throwable = function () {
-          new RotationOperation(kit, { degrees: 45 });
-        }
-        throwable.should.throw("RotationOperation: `rotation` has to be a multiple of 90.");
+      it("should resize the canvas to the bounding box", function (done) {
+        rotationOperation = new RotationOperation(kit, {
+          degrees: 30
+        });
+        kit.operationsStack.push(rotationOperation);
+
+        var radians = 30 * Math.PI / 180;
+        var expectedWidth = image.width * Math.cos(radians) + image.height * Math.sin(radians);
+
+        kit.render(ImglyKit.RenderType.IMAGE)
+          .then(function (result) {
+            result.width.should.equal(Math.floor(expectedWidth));
+            done();
+          })
+          .catch(function (err) {
+            done(err);
+          });
+      });
+
+      describe("with `autoCrop` enabled", function () {
+
+        it("should crop the image to the largest inscribed rectangle", function (done) {
+          rotationOperation = new RotationOperation(kit, {
+            degrees: 30,
+            autoCrop: true
+          });
+          kit.operationsStack.push(rotationOperation);
+
+          kit.render(ImglyKit.RenderType.IMAGE)
+            .then(function (result) {
+              result.width.should.be.below(image.width);
+              result.height.should.be.below(image.height);
+              done();
+            })
+            .catch(function (err) {
+              done(err);
+            });
+        });
+
       });
 
     });
@@ -76,4 +110,30 @@ describe("RotationOperation", function () {
 
   });
 
+  describe(".getInscribedDimensions", function () {
+
+    it("should return the original dimensions for 0 degrees", function () {
+      var dimensions = RotationOperation.getInscribedDimensions(new ImglyKit.Vector2(300, 200), 0);
+      dimensions.x.should.be.approximately(300, 0.001);
+      dimensions.y.should.be.approximately(200, 0.001);
+    });
+
+    it("should return the inscribed square of a square rotated by 45 degrees", function () {
+      var dimensions = RotationOperation.getInscribedDimensions(new ImglyKit.Vector2(100, 100), Math.PI / 4);
+      dimensions.x.should.be.approximately(100 / Math.SQRT2, 0.001);
+      dimensions.y.should.be.approximately(100 / Math.SQRT2, 0.001);
+    });
+
+  }); // .getInscribedDimensions
+
+  describe(".getBoundingDimensions", function () {
+
+    it("should return the bounding box of the rotated rectangle", function () {
+      var dimensions = RotationOperation.getBoundingDimensions(new ImglyKit.Vector2(100, 100), Math.PI / 4);
+      dimensions.x.should.be.approximately(100 * Math.SQRT2, 0.001);
+      dimensions.y.should.be.approximately(100 * Math.SQRT2, 0.001);
+    });
+
+  }); // .getBoundingDimensions
+
 });
@@ -0,0 +1,107 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var SharpenOperation = ImglyKit.Operations.Sharpen;
+var kit, image;
+
+/**
+ * Renders the given operation on a canvas whose left half is dark gray and
+ * whose right half is light gray and returns the resulting image data
+ */
+function renderOnEdge (operation, size) {
+  var source = new canvas(size, size);
+  var context = source.getContext("2d");
+  context.fillStyle = "rgb(64, 64, 64)";
+  context.fillRect(0, 0, size / 2, size);
+  context.fillStyle = "rgb(192, 192, 192)";
+  context.fillRect(size / 2, 0, size / 2, size);
+
+  var renderImage = new ImglyKit.RenderImage(source, [operation], null, "canvas");
+  return renderImage.render()
+    .then(function () {
+      return renderImage.getRenderer().getContext().getImageData(0, 0, size, size);
+    });
+}
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("SharpenOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new SharpenOperation(kit, {
+        amount: 1.5,
+        radius: 2,
+        threshold: 4
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should increase the contrast at edges", function (done) {
+      var operation = new SharpenOperation(kit, { amount: 1, radius: 2, threshold: 0 });
+      renderOnEdge(operation, 40)
+        .then(function (imageData) {
+          var row = 20 * 40 * 4;
+          var dark = imageData.data[row + 19 * 4];
+          var light = imageData.data[row + 20 * 4];
+          dark.should.be.below(64);
+          light.should.be.above(192);
+          (light - dark).should.be.above(128 + 50);
+
+          // Flat areas stay untouched
+          imageData.data[row + 2 * 4].should.equal(64);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#getStackBlurRadius", function () {
+
+    it("should return a radius of at least 1", function () {
+      SharpenOperation.getStackBlurRadius(0.1).should.equal(1);
+      SharpenOperation.getStackBlurRadius(3).should.equal(6);
+    });
+
+  });
+
+  describe("with a radius out of range", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new SharpenOperation(kit, { radius: 0 });
+      };
+      throwable.should.throw("Operation `sharpen`: Option `radius` has to be between 0.1 and 10.");
+    });
+
+  });
+
+});
@@ -31,12 +31,12 @@ describe("StickersOperation", function () {
 
   describe("#render", function () {
 
-    describe("without a `sticker` set", function () {
+    describe("with a sticker not existing", function () {
 
       it("should throw an error", function (done) {
 
         stickersOperation = new StickersOperation(kit, {
-
+          stickers: [{ sticker: "foo" }]
         });
         kit.operationsStack.push(stickersOperation);
 
@@ -45,8 +45,7 @@ describe("StickersOperation", function () {
             should.not.exist(result);
             done();
           })
-          .catch(function (err) {
-            err.should.match(/sticker/);
+          .catch(function () {
             done();
           });
 
@@ -54,79 +53,161 @@ describe("StickersOperation", function () {
 
     });
 
-    describe("with `sticker` not existing", function () {
+    describe("with multiple stickers", function () {
 
-      it("should throw an error", function (done) {
+      it("should succeed", function (done) {
 
         stickersOperation = new StickersOperation(kit, {
-          sticker: "foo",
-          position: new ImglyKit.Vector2()
+          stickers: [
+            { sticker: "stickers/sticker-glasses-nerd.png" },
+            {
+              sticker: "stickers/sticker-heart.png",
+              position: new ImglyKit.Vector2(0.2, 0.3),
+              scale: 0.5,
+              rotation: Math.PI / 4,
+              flipHorizontally: true,
+              opacity: 0.5
+            }
+          ]
         });
         kit.operationsStack.push(stickersOperation);
 
         kit.render()
-          .then(function (result) {
-            should.not.exist(result);
+          .then(function () {
             done();
           })
-          .catch(function () {
-            done();
+          .catch(function (err) {
+            done(err);
           });
 
       });
 
     });
 
-    describe("with `position` not being an instance of Vector2", function () {
+  });
+
+  describe("#addSticker", function () {
+
+    it("should add a sticker on top of the existing ones", function () {
+      stickersOperation = new StickersOperation(kit, {
+        stickers: [{ sticker: "stickers/sticker-heart.png" }]
+      });
+      var sticker = stickersOperation.addSticker({ sticker: "stickers/sticker-star.png" });
+
+      var stickers = stickersOperation.getStickers();
+      stickers.length.should.equal(2);
+      stickers[1].should.equal(sticker);
+    });
+
+  });
+
+  describe("#removeSticker", function () {
+
+    it("should remove the given sticker", function () {
+      stickersOperation = new StickersOperation(kit);
+      var sticker = stickersOperation.addSticker({ sticker: "stickers/sticker-star.png" });
+      stickersOperation.removeSticker(sticker);
+
+      stickersOperation.getStickers().length.should.equal(0);
+    });
+
+  });
+
+  describe("with the legacy single sticker options", function () {
+
+    it("should map them to the first sticker", function () {
+      stickersOperation = new StickersOperation(kit, {
+        sticker: "stickers/sticker-heart.png",
+        position: new ImglyKit.Vector2(0.1, 0.2),
+        size: new ImglyKit.Vector2(0.3, 0)
+      });
+
+      var stickers = stickersOperation.getStickers();
+      stickers.length.should.equal(1);
+      stickers[0].sticker.should.equal("stickers/sticker-heart.png");
+      stickers[0].position.x.should.equal(0.1);
+      stickers[0].position.y.should.equal(0.2);
+      stickers[0].anchor.x.should.equal(0);
+      stickers[0].anchor.y.should.equal(0);
+      stickers[0].scale.should.equal(0.3);
+
+      stickersOperation.getSticker().should.equal("stickers/sticker-heart.png");
+      stickersOperation.getPosition().x.should.equal(0.1);
+      stickersOperation.getSize().x.should.equal(0.3);
+    });
+
+    it("should restore older recipes", function () {
+      stickersOperation = new StickersOperation(kit);
+      var options = stickersOperation.deserializeOptions({
+        sticker: "stickers/sticker-star.png",
+        position: [0.4, 0.5],
+        size: [0.25, 0.25]
+      });
+      stickersOperation.set(options);
+
+      var stickers = stickersOperation.getStickers();
+      stickers.length.should.equal(1);
+      stickers[0].sticker.should.equal("stickers/sticker-star.png");
+      stickers[0].position.x.should.equal(0.4);
+      stickers[0].scale.should.equal(0.25);
+
+      var serialized = stickersOperation.serializeOptions();
+      should.not.exist(serialized.sticker);
+      should.not.exist(serialized.position);
+      should.not.exist(serialized.size);
+      serialized.stickers.length.should.equal(1);
+    });
+
+  });
+
+  describe("Sticker", function () {
+
+    describe("without a `sticker` set", function () {
 
       it("should throw an error", function () {
 
         var throwable = function () {
-          new StickersOperation(kit, {
-            sticker: "nerd-glasses",
-            position: null
-          });
+          new StickersOperation.Sticker({});
         };
-        throwable.should.throw("Operation `stickers`: Option `position` has to be an instance of ImglyKit.Vector2.");
+        throwable.should.throw("Operation `stickers`: Option `sticker` has to be a string.");
 
       });
 
     });
 
-    describe("with `size` not being an instance of Vector2", function () {
+    describe("with `position` not being an instance of Vector2", function () {
 
       it("should throw an error", function () {
 
         var throwable = function () {
           new StickersOperation(kit, {
-            sticker: "nerd-glasses",
-            size: null
+            stickers: [{ sticker: "stickers/sticker-star.png", position: null }]
           });
         };
-        throwable.should.throw("Operation `stickers`: Option `size` has to be an instance of ImglyKit.Vector2.");
+        throwable.should.throw("Operation `stickers`: Option `position` has to be an instance of ImglyKit.Vector2.");
 
       });
 
     });
 
-    describe("with valid options", function () {
-
-      it("should succeed", function (done) {
+    describe("#serialize", function () {
 
-        stickersOperation = new StickersOperation(kit, {
-          sticker: "stickers/sticker-glasses-nerd.png",
-          position: new ImglyKit.Vector2(0, 0)
+      it("should be restorable using Sticker.deserialize", function () {
+        var sticker = new StickersOperation.Sticker({
+          sticker: "stickers/sticker-star.png",
+          position: new ImglyKit.Vector2(0.1, 0.2),
+          rotation: 1,
+          flipVertically: true
         });
-        kit.operationsStack.push(stickersOperation);
-
-        kit.render()
-          .then(function () {
-            done();
-          })
-          .catch(function (err) {
-            should.not.exist(err);
-          });
-
+        var restored = StickersOperation.Sticker.deserialize(
+          JSON.parse(JSON.stringify(sticker.serialize()))
+        );
+
+        restored.position.x.should.equal(0.1);
+        restored.position.y.should.equal(0.2);
+        restored.rotation.should.equal(1);
+        restored.flipVertically.should.equal(true);
+        restored.opacity.should.equal(1);
       });
 
     });
@@ -30,27 +30,105 @@ describe("TextOperation", function () {
 
   describe("#render", function () {
 
-    describe("without a `text` set", function () {
+    describe("with multiple text layers", function () {
 
-      it("should throw an error", function (done) {
+      it("should succeed", function (done) {
 
         textOperation = new TextOperation(kit, {
-          position: new ImglyKit.Vector2(0, 0),
-          fontSize: 12,
-          fontFamily: "Impact",
-          fontWeight: "bold",
-          color: new ImglyKit.Color(1.0, 1.0, 1.0, 0.5)
+          texts: [
+            { text: "foo" },
+            {
+              text: "bar\nbaz",
+              position: new ImglyKit.Vector2(0.5, 0.5),
+              alignment: "center",
+              verticalAlignment: "center",
+              rotation: Math.PI / 8,
+              opacity: 0.8,
+              strokeWidth: 0.1,
+              shadowColor: new ImglyKit.Color(0, 0, 0, 0.5),
+              shadowBlur: 0.1,
+              shadowOffset: new ImglyKit.Vector2(0.05, 0.05)
+            }
+          ]
         });
         kit.operationsStack.push(textOperation);
 
         kit.render()
           .then(function () {
-            done(new Error("Rendering worked while it should not."));
+            done();
           })
           .catch(function (err) {
-            err.message.should.equal("Operation `text`: Option `text` is required.");
-            done();
+            done(err);
+          });
+
+      });
+
+    });
+
+  });
+
+  describe("#addText", function () {
+
+    it("should add a text layer on top of the existing ones", function () {
+      textOperation = new TextOperation(kit, {
+        texts: [{ text: "foo" }]
+      });
+      var text = textOperation.addText({ text: "bar" });
+
+      var texts = textOperation.getTexts();
+      texts.length.should.equal(2);
+      texts[1].should.equal(text);
+    });
+
+  });
+
+  describe("#removeText", function () {
+
+    it("should remove the given text layer", function () {
+      textOperation = new TextOperation(kit);
+      var text = textOperation.addText({ text: "foo" });
+      textOperation.removeText(text);
+
+      textOperation.getTexts().length.should.equal(0);
+    });
+
+  });
+
+  describe("with the single text options", function () {
+
+    it("should map them to the first text layer", function () {
+      textOperation = new TextOperation(kit, {
+        text: "foo",
+        color: new ImglyKit.Color(1, 0, 0, 1)
+      });
+      textOperation.setFontSize(0.2);
+
+      var texts = textOperation.getTexts();
+      texts.length.should.equal(1);
+      texts[0].text.should.equal("foo");
+      texts[0].color.r.should.equal(1);
+      texts[0].fontSize.should.equal(0.2);
+      textOperation.getText().should.equal("foo");
+    });
+
+  });
+
+  describe("Text", function () {
+
+    describe("without a `text` set", function () {
+
+      it("should throw an error", function () {
+
+        var throwable = function () {
+          new TextOperation.Text({
+            position: new ImglyKit.Vector2(0, 0),
+            fontSize: 12,
+            fontFamily: "Impact",
+            fontWeight: "bold",
+            color: new ImglyKit.Color(1.0, 1.0, 1.0, 0.5)
           });
+        };
+        throwable.should.throw("Operation `text`: Option `text` is required.");
 
       });
 
@@ -61,7 +139,7 @@ describe("TextOperation", function () {
       it("should throw an error", function () {
 
         var throwable = function () {
-          new TextOperation(kit, {
+          new TextOperation.Text({
             position: new ImglyKit.Vector2(0, 0),
             fontSize: 12,
             fontFamily: "Impact",
@@ -82,12 +160,14 @@ describe("TextOperation", function () {
 
         var throwable = function () {
           new TextOperation(kit, {
-            position: null,
-            fontSize: 12,
-            fontFamily: "Impact",
-            fontWeight: "bold",
-            color: new ImglyKit.Color(1.0, 1.0, 1.0, 0.5),
-            text: "foo"
+            texts: [{
+              position: null,
+              fontSize: 12,
+              fontFamily: "Impact",
+              fontWeight: "bold",
+              color: new ImglyKit.Color(1.0, 1.0, 1.0, 0.5),
+              text: "foo"
+            }]
           });
         };
         throwable.should.throw("Operation `text`: Option `position` has to be an instance of ImglyKit.Vector2.");
@@ -101,7 +181,7 @@ describe("TextOperation", function () {
       it("should throw an error", function () {
 
         var throwable = function () {
-          new TextOperation(kit, {
+          new TextOperation.Text({
             alignment: "somewhere?",
             text: "foo"
           });
@@ -117,7 +197,7 @@ describe("TextOperation", function () {
       it("should throw an error", function () {
 
         var throwable = function () {
-          new TextOperation(kit, {
+          new TextOperation.Text({
             verticalAlignment: "somewhere?",
             text: "foo"
           });
@@ -128,6 +208,44 @@ describe("TextOperation", function () {
 
     });
 
+    describe("with an unknown option", function () {
+
+      it("should throw an error", function () {
+
+        var throwable = function () {
+          new TextOperation.Text({
+            text: "foo",
+            foo: "bar"
+          });
+        };
+        throwable.should.throw("Invalid option: foo");
+
+      });
+
+    });
+
+    describe("#serialize", function () {
+
+      it("should be restorable using Text.deserialize", function () {
+        var text = new TextOperation.Text({
+          text: "foo",
+          color: new ImglyKit.Color(1, 0, 0, 0.5),
+          shadowOffset: new ImglyKit.Vector2(0.1, 0.2),
+          rotation: 1
+        });
+        var restored = TextOperation.Text.deserialize(
+          JSON.parse(JSON.stringify(text.serialize()))
+        );
+
+        restored.text.should.equal("foo");
+        restored.color.r.should.equal(1);
+        restored.color.a.should.equal(0.5);
+        restored.shadowOffset.y.should.equal(0.2);
+        restored.rotation.should.equal(1);
+      });
+
+    });
+
   });
 
 });
@@ -0,0 +1,90 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var VignetteOperation = ImglyKit.Operations.Vignette;
+var kit, image;
+
+/**
+ * Renders the given operation on a gray canvas of the given size and
+ * returns the resulting image data
+ */
+function renderOnGray (operation, size) {
+  var source = new canvas(size, size);
+  var context = source.getContext("2d");
+  context.fillStyle = "rgb(128, 128, 128)";
+  context.fillRect(0, 0, size, size);
+
+  var renderImage = new ImglyKit.RenderImage(source, [operation], null, "canvas");
+  return renderImage.render()
+    .then(function () {
+      return renderImage.getRenderer().getContext().getImageData(0, 0, size, size);
+    });
+}
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("VignetteOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new VignetteOperation(kit, {
+        amount: -0.8,
+        roundness: 0.5,
+        center: new ImglyKit.Vector2(0.3, 0.6)
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+    it("should darken the corners relative to the center", function (done) {
+      renderOnGray(new VignetteOperation(kit, { amount: -0.8 }), 100)
+        .then(function (imageData) {
+          var corner = imageData.data[0];
+          var center = imageData.data[(50 * 100 + 50) * 4];
+          center.should.be.approximately(128, 1);
+          corner.should.be.below(center - 50);
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("with a feather out of range", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new VignetteOperation(kit, { feather: 2 });
+      };
+      throwable.should.throw("Operation `vignette`: Option `feather` has to be between 0 and 1.");
+    });
+
+  });
+
+});
@@ -0,0 +1,95 @@
+/* global describe, it, beforeEach */
+/*jshint -W083 */
+"use strict";
+/*
+ * Copyright (c) 2013-2015 9elements GmbH
+ *
+ * Released under Attribution-NonCommercial 3.0 Unported
+ * http://creativecommons.org/licenses/by-nc/3.0/
+ *
+ * For commercial use, please contact us at contact@9elements.com
+ */
+
+var path = require("path");
+var fs = require("fs");
+var canvas = require("canvas");
+var ImglyKit = require("../..");
+var WhiteBalanceOperation = ImglyKit.Operations.WhiteBalance;
+var kit, image;
+
+beforeEach(function () {
+  image = new canvas.Image();
+  var imagePath = path.resolve(__dirname, "../assets/test.png");
+  var buffer = fs.readFileSync(imagePath);
+  image.src = buffer;
+
+  kit = new ImglyKit({ image: image, ui: { enabled: false } });
+});
+
+describe("WhiteBalanceOperation", function () {
+
+  describe("#render", function () {
+
+    it("should succeed", function (done) {
+      kit.operationsStack.push(new WhiteBalanceOperation(kit, {
+        temperature: 0.4,
+        tint: -0.2
+      }));
+
+      kit.render()
+        .then(function (result) {
+          result.should.startWith("data:image/png");
+          done();
+        })
+        .catch(done);
+    });
+
+  });
+
+  describe("#getGains", function () {
+
+    it("should warm up the image with a positive temperature", function () {
+      var gains = new WhiteBalanceOperation(kit, { temperature: 1 }).getGains();
+      gains[0].should.be.above(1);
+      gains[1].should.equal(1);
+      gains[2].should.be.below(1);
+    });
+
+    it("should not change the image by default", function () {
+      new WhiteBalanceOperation(kit).getGains().should.eql([1, 1, 1]);
+    });
+
+  });
+
+  describe("#setNeutralColor", function () {
+
+    it("should turn the given color into gray", function () {
+      var operation = new WhiteBalanceOperation(kit, { temperature: 0.3, tint: 0.1 });
+      var color = new ImglyKit.Color(0.6, 0.5, 0.4);
+      var gains = operation.getGains();
+
+      // The picked color has already been corrected by the current options
+      operation.setNeutralColor(new ImglyKit.Color(
+        color.r * gains[0], color.g * gains[1], color.b * gains[2]
+      ));
+
+      gains = operation.getGains();
+      var red = color.r * gains[0];
+      (color.g * gains[1]).should.be.approximately(red, 0.0001);
+      (color.b * gains[2]).should.be.approximately(red, 0.0001);
+    });
+
+  });
+
+  describe("with a temperature out of range", function () {
+
+    it("should throw an error", function () {
+      var throwable = function () {
+        new WhiteBalanceOperation(kit, { temperature: 1.5 });
+      };
+      throwable.should.throw("Operation `white-balance`: Option `temperature` has to be between -1 and 1.");
+    });
+
+  });
+
+});
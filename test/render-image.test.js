@@ -165,10 +165,116 @@ describe("RenderImage", function () {
             });
         });
 
+        it("should pass the rendered stack to the renderer", function (done) {
+          var crop = new ImglyKit.Operations.Crop(kit, {
+            start: new ImglyKit.Vector2(0, 0),
+            end: new ImglyKit.Vector2(0.5, 0.5)
+          });
+          var operation = new ImglyKit.Operation(kit);
+          var inputDimensions;
+          sinon.stub(operation, "render", function (renderer) {
+            inputDimensions = renderer.getInputDimensionsForOperation(operation);
+          });
+          kit.operationsStack.push(crop, operation);
+
+          kit.render()
+            .then(function () {
+              inputDimensions.x.should.equal(image.width / 2);
+              inputDimensions.y.should.equal(image.height / 2);
+              done();
+            })
+            .catch(done);
+        });
+
+      });
+
+      describe("progress events", function () {
+
+        it("should emit `operation-start` and `operation-end` for every operation", function (done) {
+          var events = [];
+          var operation = new ImglyKit.Operation(kit);
+          sinon.stub(operation, "render");
+          kit.operationsStack.push(operation);
+
+          kit.on("operation-start", function (e) {
+            events.push("start " + e.index + "/" + e.total);
+          });
+          kit.on("operation-end", function (e) {
+            e.operation.should.equal(operation);
+            e.duration.should.be.type("number");
+            events.push("end " + e.index + "/" + e.total);
+          });
+
+          kit.render()
+            .then(function () {
+              events.should.eql(["start 0/1", "end 0/1"]);
+              done();
+            })
+            .catch(done);
+        });
+
       });
 
     });
 
+    /**
+     * Cancellation
+     */
+
+    describe("cancellation", function () {
+
+      it("should reject with a `RENDER_CANCELLED` error and skip the remaining operations", function (done) {
+        var token = new ImglyKit.CancellationToken();
+        var first = new ImglyKit.Operation(kit);
+        var second = new ImglyKit.Operation(kit);
+        sinon.stub(first, "render", function () { token.cancel(); });
+        sinon.stub(second, "render");
+        kit.operationsStack.push(first, second);
+
+        kit.render(null, null, null, null, token)
+          .then(function () {
+            done(new Error("Rendering worked while it should not."));
+          })
+          .catch(function (err) {
+            err.code.should.equal("RENDER_CANCELLED");
+            first.render.calledOnce.should.equal(true);
+            second.render.called.should.equal(false);
+            done();
+          })
+          .catch(done);
+      });
+
+      it("should pass the token to the operations", function (done) {
+        var token = new ImglyKit.CancellationToken();
+        var operation = new ImglyKit.Operation(kit);
+        sinon.stub(operation, "render");
+        kit.operationsStack.push(operation);
+
+        kit.render(ImglyKit.RenderType.DATAURL, null, null, null, token)
+          .then(function () {
+            operation.render.firstCall.args[1].should.equal(token);
+            done();
+          })
+          .catch(done);
+      });
+
+      it("should dispose the renderer", function (done) {
+        var token = new ImglyKit.CancellationToken();
+        var renderImage = new ImglyKit.RenderImage(image, [], null, "canvas");
+        var renderer = renderImage.getRenderer();
+        sinon.spy(renderer, "dispose");
+        token.cancel();
+
+        renderImage.render(token)
+          .catch(function (err) {
+            err.code.should.equal("RENDER_CANCELLED");
+            renderer.dispose.calledOnce.should.equal(true);
+            done();
+          })
+          .catch(done);
+      });
+
+    });
 
   }); // #render
 